@@ -0,0 +1,21 @@
+const { Common: Errors } = require("../../api/errors/actor-errors");
+
+class GetAbl {
+  constructor(actorDao) {
+    this.actorDao = actorDao;
+  }
+
+  async get(dtoIn) {
+    // Check actor existence
+    const actor = await this.actorDao.getById(dtoIn.id, dtoIn.userId);
+    if (!actor) {
+      throw new Errors.ActorDoesNotExist({ actorId: dtoIn.id });
+    }
+
+    // Return actor data with filmography
+    return { data: actor, status: 1 };
+  }
+
+}
+
+module.exports = GetAbl;
@@ -0,0 +1,35 @@
+const actorDao = require('../../dao/actor-sequelize-dao');
+
+const GetAbl = require('./get-abl');
+const UpdateAbl = require('./update-abl');
+const ListAbl = require('./list-abl');
+const MergeAbl = require('./merge-abl');
+const ListDuplicatesAbl = require('./list-duplicates-abl');
+
+/**
+ * Factory function to create actor ABL instances with custom dependencies.
+ * Useful for testing with mocked dependencies.
+ *
+ * @param {Object} [dependencies={}] - Optional dependencies to inject.
+ * @param {Object} [dependencies.actorDao] - Actor DAO instance (defaults to real DAO).
+ * @returns {Object} Object containing all actor ABL instances.
+ */
+function createActorAbls(dependencies = {}) {
+  const dao = dependencies.actorDao || actorDao;
+
+  return {
+    GetAbl: new GetAbl(dao),
+    UpdateAbl: new UpdateAbl(dao),
+    ListAbl: new ListAbl(dao),
+    MergeAbl: new MergeAbl(dao),
+    ListDuplicatesAbl: new ListDuplicatesAbl(dao),
+  };
+}
+
+// Create default instances with real dependencies
+const defaultAbls = createActorAbls();
+
+module.exports = {
+  ...defaultAbls,
+  createActorAbls, // Export factory for testing
+};
@@ -0,0 +1,18 @@
+const ActorDto = require("../../components/dto/actor-dto");
+const { DefaultValueMap } = require("../../constants/actor-constants");
+
+class ListAbl {
+  constructor(actorDao) {
+    this.actorDao = actorDao;
+  }
+
+  async list(dtoIn) {
+    // List actors
+    const { itemList, total } = await this.actorDao.list(ActorDto.prepareListDtoIn(dtoIn));
+
+    // Return actor list
+    return { data: itemList, meta: { total, pageSize: dtoIn.limit || DefaultValueMap.LIMIT }, status: 1 };
+  }
+}
+
+module.exports = ListAbl;
@@ -0,0 +1,46 @@
+const { normalizeName } = require("../../components/helpers/text-helper");
+
+class ListDuplicatesAbl {
+  constructor(actorDao) {
+    this.actorDao = actorDao;
+  }
+
+  async listDuplicates(dtoIn) {
+    // Load actors of the collection
+    const actors = await this.actorDao.listWithSearchName(dtoIn.userId);
+
+    // Group actors whose normalized names collide
+    const itemList = this.#groupByNormalizedName(actors);
+
+    // Return suggested duplicates
+    return { data: itemList, meta: { total: itemList.length }, status: 1 };
+  }
+
+  /**
+   * Groups actors by their normalized search name and keeps only groups with more than one actor.
+   *
+   * @private
+   * @param {Array<Object>} actors - Actors with id, name, and searchName.
+   * @returns {Array<Object>} Groups with the normalized name and the colliding actors (id and name).
+   */
+  #groupByNormalizedName(actors) {
+    const groups = new Map();
+
+    for (const { searchName, ...actor } of actors) {
+      const key = normalizeName(searchName);
+      const group = groups.get(key);
+      if (group) {
+        group.push(actor);
+      } else {
+        groups.set(key, [actor]);
+      }
+    }
+
+    return [...groups.entries()]
+      .filter(([, group]) => group.length > 1)
+      .map(([normalizedName, group]) => ({ normalizedName, actors: group }));
+  }
+
+}
+
+module.exports = ListDuplicatesAbl;
@@ -0,0 +1,56 @@
+const { Common: Errors, Merge } = require("../../api/errors/actor-errors");
+
+class MergeAbl {
+  constructor(actorDao) {
+    this.actorDao = actorDao;
+  }
+
+  async merge(dtoIn) {
+    const sourceIds = [...new Set(dtoIn.sourceIds)];
+
+    // Check that the actor is not merged into itself
+    if (sourceIds.includes(dtoIn.id)) {
+      throw new Merge.TargetActorAmongSources({ actorId: dtoIn.id, sourceIds });
+    }
+
+    // Check target and source actors existence
+    await this.#ensureActorsExist([dtoIn.id, ...sourceIds], dtoIn.userId);
+
+    // Merge source actors into the target
+    const { relinked, dropped } = await this.actorDao.merge(dtoIn.id, sourceIds, dtoIn.userId);
+
+    // Return merged actor data
+    const actor = await this.actorDao.getById(dtoIn.id, dtoIn.userId);
+    return {
+      data: actor,
+      meta: {
+        merged: sourceIds.length,
+        relinked,
+        dropped
+      },
+      status: 1
+    };
+  }
+
+  /**
+   * Ensures that all given actors exist in the user's collection.
+   *
+   * @async
+   * @private
+   * @param {Array<number>} actorIds - The IDs of the actors to check.
+   * @param {number} userId - The ID of the user whose collection is checked.
+   * @throws {Errors.ActorDoesNotExist} If any of the actors does not exist.
+   */
+  async #ensureActorsExist(actorIds, userId) {
+    const actors = await this.actorDao.listByIds(actorIds, userId);
+    const foundIds = new Set(actors.map(a => a.id));
+
+    const missingIds = actorIds.filter(id => !foundIds.has(id));
+    if (missingIds.length) {
+      throw new Errors.ActorDoesNotExist({ actorIds: missingIds });
+    }
+  }
+
+}
+
+module.exports = MergeAbl;
@@ -0,0 +1,47 @@
+const ActorDto = require("../../components/dto/actor-dto");
+const { Common: Errors, Update } = require("../../api/errors/actor-errors");
+
+class UpdateAbl {
+  constructor(actorDao) {
+    this.actorDao = actorDao;
+  }
+
+  async update(dtoIn) {
+    // Check actor existence
+    const actor = await this.actorDao.getById(dtoIn.id, dtoIn.userId);
+    if (!actor) {
+      throw new Errors.ActorDoesNotExist({ actorId: dtoIn.id });
+    }
+
+    // Check that the new name is not taken by another actor of the collection
+    await this.#ensureUniqueName(dtoIn.id, dtoIn.name, dtoIn.userId);
+
+    // Update actor
+    const actorData = await this.actorDao.update(ActorDto.prepareUpdateDtoIn(dtoIn));
+
+    // Return actor data
+    return { data: actorData, status: 1 };
+  }
+
+  /**
+   * Ensures that no other actor of the user's collection already uses the given name.
+   * Actors are matched by exact name when linked to movies, so two actors must never share one; an actor with the name
+   * that only appears in other collections is reused by the rename.
+   *
+   * @async
+   * @private
+   * @param {number} id - The ID of the actor being renamed.
+   * @param {string} name - The new name of the actor.
+   * @param {number} userId - The ID of the user whose collection is checked.
+   * @throws {Update.ActorAlreadyExists} If another actor of the collection has the same name.
+   */
+  async #ensureUniqueName(id, name, userId) {
+    const existingActor = await this.actorDao.getByName(name);
+    if (existingActor && existingActor.id !== id && await this.actorDao.getById(existingActor.id, userId)) {
+      throw new Update.ActorAlreadyExists({ name, actorId: existingActor.id });
+    }
+  }
+
+}
+
+module.exports = UpdateAbl;
@@ -0,0 +1,30 @@
+const FormatDto = require("../../components/dto/format-dto");
+const { Common: Errors } = require("../../api/errors/format-errors");
+const { ensureAdmin } = require("../../components/helpers/admin-helper");
+
+class CreateAbl {
+  constructor(formatDao, userDao) {
+    this.formatDao = formatDao;
+    this.userDao = userDao;
+  }
+
+  async create(dtoIn) {
+    // Check that the user is an administrator
+    await ensureAdmin(this.userDao, dtoIn.userId);
+
+    // Check that the name is not taken by another format
+    const existingFormat = await this.formatDao.getByName(dtoIn.name);
+    if (existingFormat) {
+      throw new Errors.FormatAlreadyExists({ name: dtoIn.name, formatId: existingFormat.id });
+    }
+
+    // Create format
+    const formatData = await this.formatDao.create(FormatDto.prepareCreateDtoIn(dtoIn));
+
+    // Return format data
+    return { data: formatData, status: 1 };
+  }
+
+}
+
+module.exports = CreateAbl;
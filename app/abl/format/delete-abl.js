@@ -0,0 +1,35 @@
+const { Common: Errors, Delete } = require("../../api/errors/format-errors");
+const { ensureAdmin } = require("../../components/helpers/admin-helper");
+
+class DeleteAbl {
+  constructor(formatDao, userDao) {
+    this.formatDao = formatDao;
+    this.userDao = userDao;
+  }
+
+  async delete(dtoIn) {
+    // Check that the user is an administrator
+    await ensureAdmin(this.userDao, dtoIn.userId);
+
+    // Check format existence
+    const format = await this.formatDao.getById(dtoIn.id);
+    if (!format) {
+      throw new Errors.FormatDoesNotExist({ formatId: dtoIn.id });
+    }
+
+    // Check that no movie uses the format
+    const movieCount = await this.formatDao.countMovies(format.name);
+    if (movieCount) {
+      throw new Delete.FormatInUse({ formatId: dtoIn.id, name: format.name, movieCount });
+    }
+
+    // Delete format
+    await this.formatDao.delete(dtoIn.id);
+
+    // Return status
+    return { status: 1 };
+  }
+
+}
+
+module.exports = DeleteAbl;
@@ -0,0 +1,21 @@
+const { Common: Errors } = require("../../api/errors/format-errors");
+
+class GetAbl {
+  constructor(formatDao) {
+    this.formatDao = formatDao;
+  }
+
+  async get(dtoIn) {
+    // Check format existence
+    const format = await this.formatDao.getById(dtoIn.id);
+    if (!format) {
+      throw new Errors.FormatDoesNotExist({ formatId: dtoIn.id });
+    }
+
+    // Return format data
+    return { data: format, status: 1 };
+  }
+
+}
+
+module.exports = GetAbl;
@@ -0,0 +1,38 @@
+const formatDao = require('../../dao/format-sequelize-dao');
+const userDao = require('../../dao/user-sequelize-dao');
+
+const ListAbl = require('./list-abl');
+const GetAbl = require('./get-abl');
+const CreateAbl = require('./create-abl');
+const UpdateAbl = require('./update-abl');
+const DeleteAbl = require('./delete-abl');
+
+/**
+ * Factory function to create format ABL instances with custom dependencies.
+ * Useful for testing with mocked dependencies.
+ *
+ * @param {Object} [dependencies={}] - Optional dependencies to inject.
+ * @param {Object} [dependencies.formatDao] - Format DAO instance (defaults to real DAO).
+ * @param {Object} [dependencies.userDao] - User DAO instance (defaults to real DAO).
+ * @returns {Object} Object containing all format ABL instances.
+ */
+function createFormatAbls(dependencies = {}) {
+  const dao = dependencies.formatDao || formatDao;
+  const users = dependencies.userDao || userDao;
+
+  return {
+    ListAbl: new ListAbl(dao),
+    GetAbl: new GetAbl(dao),
+    CreateAbl: new CreateAbl(dao, users),
+    UpdateAbl: new UpdateAbl(dao, users),
+    DeleteAbl: new DeleteAbl(dao, users),
+  };
+}
+
+// Create default instances with real dependencies
+const defaultAbls = createFormatAbls();
+
+module.exports = {
+  ...defaultAbls,
+  createFormatAbls, // Export factory for testing
+};
@@ -0,0 +1,16 @@
+class ListAbl {
+  constructor(formatDao) {
+    this.formatDao = formatDao;
+  }
+
+  async list() {
+    // List formats
+    const formats = await this.formatDao.list();
+
+    // Return formats
+    return { data: formats, status: 1 };
+  }
+
+}
+
+module.exports = ListAbl;
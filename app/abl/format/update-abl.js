@@ -0,0 +1,38 @@
+const FormatDto = require("../../components/dto/format-dto");
+const { Common: Errors } = require("../../api/errors/format-errors");
+const { ensureAdmin } = require("../../components/helpers/admin-helper");
+
+class UpdateAbl {
+  constructor(formatDao, userDao) {
+    this.formatDao = formatDao;
+    this.userDao = userDao;
+  }
+
+  async update(dtoIn) {
+    // Check that the user is an administrator
+    await ensureAdmin(this.userDao, dtoIn.userId);
+
+    // Check format existence
+    const format = await this.formatDao.getById(dtoIn.id);
+    if (!format) {
+      throw new Errors.FormatDoesNotExist({ formatId: dtoIn.id });
+    }
+
+    // Check that the new name is not taken by another format
+    if (dtoIn.name !== undefined) {
+      const existingFormat = await this.formatDao.getByName(dtoIn.name);
+      if (existingFormat && existingFormat.id !== dtoIn.id) {
+        throw new Errors.FormatAlreadyExists({ name: dtoIn.name, formatId: existingFormat.id });
+      }
+    }
+
+    // Update format (movies follow the new name)
+    const formatData = await this.formatDao.update(FormatDto.prepareUpdateDtoIn(dtoIn));
+
+    // Return format data
+    return { data: formatData, status: 1 };
+  }
+
+}
+
+module.exports = UpdateAbl;
@@ -0,0 +1,27 @@
+const genreDao = require('../../dao/genre-sequelize-dao');
+
+const ListAbl = require('./list-abl');
+
+/**
+ * Factory function to create genre ABL instances with custom dependencies.
+ * Useful for testing with mocked dependencies.
+ *
+ * @param {Object} [dependencies={}] - Optional dependencies to inject.
+ * @param {Object} [dependencies.genreDao] - Genre DAO instance (defaults to real DAO).
+ * @returns {Object} Object containing all genre ABL instances.
+ */
+function createGenreAbls(dependencies = {}) {
+  const dao = dependencies.genreDao || genreDao;
+
+  return {
+    ListAbl: new ListAbl(dao),
+  };
+}
+
+// Create default instances with real dependencies
+const defaultAbls = createGenreAbls();
+
+module.exports = {
+  ...defaultAbls,
+  createGenreAbls, // Export factory for testing
+};
@@ -0,0 +1,15 @@
+class ListAbl {
+  constructor(genreDao) {
+    this.genreDao = genreDao;
+  }
+
+  async list(dtoIn) {
+    // List genres with movie counts
+    const itemList = await this.genreDao.listWithMovieCounts(dtoIn.userId);
+
+    // Return genre list
+    return { data: itemList, meta: { total: itemList.length }, status: 1 };
+  }
+}
+
+module.exports = ListAbl;
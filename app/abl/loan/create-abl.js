@@ -0,0 +1,40 @@
+const LoanDto = require("../../components/dto/loan-dto");
+const { Common: MovieErrors } = require("../../api/errors/movie-errors");
+const { Create } = require("../../api/errors/loan-errors");
+
+class CreateAbl {
+  constructor(loanDao, movieDao, formatDao) {
+    this.loanDao = loanDao;
+    this.movieDao = movieDao;
+    this.formatDao = formatDao;
+  }
+
+  async create(dtoIn) {
+    // Check movie existence
+    const movie = await this.movieDao.getById(dtoIn.movieId, dtoIn.userId);
+    if (!movie) {
+      throw new MovieErrors.MovieDoesNotExist({ movieId: dtoIn.movieId });
+    }
+
+    // Only physical copies can be lent
+    const format = await this.formatDao.getByName(movie.format);
+    if (!format?.isPhysical) {
+      throw new Create.MovieNotLoanable({ movieId: movie.id, format: movie.format });
+    }
+
+    // Check that the copy is not on loan already
+    const activeLoan = await this.loanDao.getActiveByMovie(movie.id);
+    if (activeLoan) {
+      throw new Create.MovieAlreadyOnLoan({ movieId: movie.id, loanId: activeLoan.id });
+    }
+
+    // Create loan
+    const loan = await this.loanDao.create(LoanDto.prepareCreateDtoIn(dtoIn));
+
+    // Return loan data
+    return { data: loan, status: 1 };
+  }
+
+}
+
+module.exports = CreateAbl;
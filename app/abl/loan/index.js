@@ -0,0 +1,37 @@
+const loanDao = require('../../dao/loan-sequelize-dao');
+const movieDao = require('../../dao/movie-sequelize-dao');
+const formatDao = require('../../dao/format-sequelize-dao');
+
+const CreateAbl = require('./create-abl');
+const ReturnAbl = require('./return-abl');
+const ListAbl = require('./list-abl');
+
+/**
+ * Factory function to create loan ABL instances with custom dependencies.
+ * Useful for testing with mocked dependencies.
+ *
+ * @param {Object} [dependencies={}] - Optional dependencies to inject.
+ * @param {Object} [dependencies.loanDao] - Loan DAO instance (defaults to real DAO).
+ * @param {Object} [dependencies.movieDao] - Movie DAO instance (defaults to real DAO).
+ * @param {Object} [dependencies.formatDao] - Format DAO instance (defaults to real DAO).
+ * @returns {Object} Object containing all loan ABL instances.
+ */
+function createLoanAbls(dependencies = {}) {
+  const dao = dependencies.loanDao || loanDao;
+  const movies = dependencies.movieDao || movieDao;
+  const formats = dependencies.formatDao || formatDao;
+
+  return {
+    CreateAbl: new CreateAbl(dao, movies, formats),
+    ReturnAbl: new ReturnAbl(dao),
+    ListAbl: new ListAbl(dao),
+  };
+}
+
+// Create default instances with real dependencies
+const defaultAbls = createLoanAbls();
+
+module.exports = {
+  ...defaultAbls,
+  createLoanAbls, // Export factory for testing
+};
@@ -0,0 +1,18 @@
+const LoanDto = require("../../components/dto/loan-dto");
+const { DefaultValueMap } = require("../../constants/loan-constants");
+
+class ListAbl {
+  constructor(loanDao) {
+    this.loanDao = loanDao;
+  }
+
+  async list(dtoIn) {
+    // List loans
+    const { itemList, total } = await this.loanDao.list(LoanDto.prepareListDtoIn(dtoIn));
+
+    // Return loan list
+    return { data: itemList, meta: { total, pageSize: dtoIn.limit || DefaultValueMap.LIMIT }, status: 1 };
+  }
+}
+
+module.exports = ListAbl;
@@ -0,0 +1,36 @@
+const { Common: Errors, Return } = require("../../api/errors/loan-errors");
+const { today } = require("../../components/helpers/date-helper");
+
+class ReturnAbl {
+  constructor(loanDao) {
+    this.loanDao = loanDao;
+  }
+
+  async return(dtoIn) {
+    // Check loan existence
+    const loan = await this.loanDao.getById(dtoIn.id, dtoIn.userId);
+    if (!loan) {
+      throw new Errors.LoanDoesNotExist({ loanId: dtoIn.id });
+    }
+
+    // Check that the loan is still active
+    if (loan.returnedAt) {
+      throw new Return.LoanAlreadyReturned({ loanId: loan.id, returnedAt: loan.returnedAt });
+    }
+
+    // Check that the copy is not returned before it was lent
+    const returnedAt = dtoIn.returnedAt || today();
+    if (returnedAt < loan.lentAt) {
+      throw new Return.ReturnBeforeLent({ loanId: loan.id, lentAt: loan.lentAt, returnedAt });
+    }
+
+    // Mark loan as returned
+    const loanData = await this.loanDao.markReturned(loan.id, dtoIn.userId, returnedAt);
+
+    // Return loan data
+    return { data: loanData, status: 1 };
+  }
+
+}
+
+module.exports = ReturnAbl;
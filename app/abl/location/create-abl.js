@@ -0,0 +1,31 @@
+const LocationDto = require("../../components/dto/location-dto");
+const { Common: Errors } = require("../../api/errors/location-errors");
+const { canContain } = require("../../components/helpers/location-helper");
+
+class CreateAbl {
+  constructor(locationDao) {
+    this.locationDao = locationDao;
+  }
+
+  async create(dtoIn) {
+    // Check that the parent location exists and can contain the new location
+    if (dtoIn.parentId) {
+      const parent = await this.locationDao.getById(dtoIn.parentId, dtoIn.userId);
+      if (!parent) {
+        throw new Errors.ParentLocationDoesNotExist({ parentId: dtoIn.parentId });
+      }
+      if (!canContain(parent.type, dtoIn.type)) {
+        throw new Errors.InvalidLocationNesting({ type: dtoIn.type, parentId: parent.id, parentType: parent.type });
+      }
+    }
+
+    // Create location
+    const location = await this.locationDao.create(LocationDto.prepareCreateDtoIn(dtoIn));
+
+    // Return location data
+    return { data: location, status: 1 };
+  }
+
+}
+
+module.exports = CreateAbl;
@@ -0,0 +1,31 @@
+const { Common: Errors, Delete } = require("../../api/errors/location-errors");
+
+class DeleteAbl {
+  constructor(locationDao) {
+    this.locationDao = locationDao;
+  }
+
+  async delete(dtoIn) {
+    // Check location existence
+    const location = await this.locationDao.getById(dtoIn.id, dtoIn.userId);
+    if (!location) {
+      throw new Errors.LocationDoesNotExist({ locationId: dtoIn.id });
+    }
+
+    // Check that the location is empty
+    const childCount = await this.locationDao.countChildren(location.id);
+    const movieCount = await this.locationDao.countMovies(location.id);
+    if (childCount || movieCount) {
+      throw new Delete.LocationNotEmpty({ locationId: location.id, childCount, movieCount });
+    }
+
+    // Delete location
+    await this.locationDao.delete(location.id, dtoIn.userId);
+
+    // Return status
+    return { status: 1 };
+  }
+
+}
+
+module.exports = DeleteAbl;
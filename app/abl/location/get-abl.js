@@ -0,0 +1,25 @@
+const { Common: Errors } = require("../../api/errors/location-errors");
+
+class GetAbl {
+  constructor(locationDao) {
+    this.locationDao = locationDao;
+  }
+
+  async get(dtoIn) {
+    // Check location existence
+    const location = await this.locationDao.getById(dtoIn.id, dtoIn.userId);
+    if (!location) {
+      throw new Errors.LocationDoesNotExist({ locationId: dtoIn.id });
+    }
+
+    // Load path and nested locations
+    const path = await this.locationDao.getPath(location.id);
+    const children = await this.locationDao.listChildren(location.id);
+
+    // Return location data
+    return { data: { ...location, path, children }, status: 1 };
+  }
+
+}
+
+module.exports = GetAbl;
@@ -0,0 +1,47 @@
+const locationDao = require('../../dao/location-sequelize-dao');
+const movieDao = require('../../dao/movie-sequelize-dao');
+const formatDao = require('../../dao/format-sequelize-dao');
+
+const ListAbl = require('./list-abl');
+const GetAbl = require('./get-abl');
+const CreateAbl = require('./create-abl');
+const UpdateAbl = require('./update-abl');
+const DeleteAbl = require('./delete-abl');
+const ListMoviesAbl = require('./list-movies-abl');
+const SetMovieAbl = require('./set-movie-abl');
+const RemoveMovieAbl = require('./remove-movie-abl');
+
+/**
+ * Factory function to create location ABL instances with custom dependencies.
+ * Useful for testing with mocked dependencies.
+ *
+ * @param {Object} [dependencies={}] - Optional dependencies to inject.
+ * @param {Object} [dependencies.locationDao] - Location DAO instance (defaults to real DAO).
+ * @param {Object} [dependencies.movieDao] - Movie DAO instance (defaults to real DAO).
+ * @param {Object} [dependencies.formatDao] - Format DAO instance (defaults to real DAO).
+ * @returns {Object} Object containing all location ABL instances.
+ */
+function createLocationAbls(dependencies = {}) {
+  const dao = dependencies.locationDao || locationDao;
+  const movies = dependencies.movieDao || movieDao;
+  const formats = dependencies.formatDao || formatDao;
+
+  return {
+    ListAbl: new ListAbl(dao),
+    GetAbl: new GetAbl(dao),
+    CreateAbl: new CreateAbl(dao),
+    UpdateAbl: new UpdateAbl(dao),
+    DeleteAbl: new DeleteAbl(dao),
+    ListMoviesAbl: new ListMoviesAbl(dao),
+    SetMovieAbl: new SetMovieAbl(dao, movies, formats),
+    RemoveMovieAbl: new RemoveMovieAbl(dao, movies),
+  };
+}
+
+// Create default instances with real dependencies
+const defaultAbls = createLocationAbls();
+
+module.exports = {
+  ...defaultAbls,
+  createLocationAbls, // Export factory for testing
+};
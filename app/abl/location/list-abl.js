@@ -0,0 +1,18 @@
+const { buildLocationTree } = require("../../components/helpers/location-helper");
+
+class ListAbl {
+  constructor(locationDao) {
+    this.locationDao = locationDao;
+  }
+
+  async list(dtoIn) {
+    // List locations
+    const locations = await this.locationDao.list(dtoIn.userId);
+
+    // Return locations as a tree
+    return { data: buildLocationTree(locations), status: 1 };
+  }
+
+}
+
+module.exports = ListAbl;
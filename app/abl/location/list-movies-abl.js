@@ -0,0 +1,26 @@
+const LocationDto = require("../../components/dto/location-dto");
+const { Common: Errors } = require("../../api/errors/location-errors");
+const { DefaultValueMap } = require("../../constants/location-constants");
+
+class ListMoviesAbl {
+  constructor(locationDao) {
+    this.locationDao = locationDao;
+  }
+
+  async listMovies(dtoIn) {
+    // Check location existence
+    const location = await this.locationDao.getById(dtoIn.id, dtoIn.userId);
+    if (!location) {
+      throw new Errors.LocationDoesNotExist({ locationId: dtoIn.id });
+    }
+
+    // List movies of the location and its nested locations
+    const { itemList, total } = await this.locationDao.listMovies(LocationDto.prepareListMoviesDtoIn(dtoIn));
+
+    // Return movie list
+    return { data: itemList, meta: { total, pageSize: dtoIn.limit || DefaultValueMap.LIMIT }, status: 1 };
+  }
+
+}
+
+module.exports = ListMoviesAbl;
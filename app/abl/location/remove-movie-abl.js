@@ -0,0 +1,25 @@
+const { Common: MovieErrors } = require("../../api/errors/movie-errors");
+
+class RemoveMovieAbl {
+  constructor(locationDao, movieDao) {
+    this.locationDao = locationDao;
+    this.movieDao = movieDao;
+  }
+
+  async removeMovie(dtoIn) {
+    // Check movie existence
+    const movie = await this.movieDao.getById(dtoIn.movieId, dtoIn.userId);
+    if (!movie) {
+      throw new MovieErrors.MovieDoesNotExist({ movieId: dtoIn.movieId });
+    }
+
+    // Clear movie location
+    await this.locationDao.setMovieLocation(movie.id, dtoIn.userId, null);
+
+    // Return movie location
+    return { data: { movieId: movie.id, location: null }, status: 1 };
+  }
+
+}
+
+module.exports = RemoveMovieAbl;
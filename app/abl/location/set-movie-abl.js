@@ -0,0 +1,40 @@
+const { Common: Errors, SetMovie } = require("../../api/errors/location-errors");
+const { Common: MovieErrors } = require("../../api/errors/movie-errors");
+
+class SetMovieAbl {
+  constructor(locationDao, movieDao, formatDao) {
+    this.locationDao = locationDao;
+    this.movieDao = movieDao;
+    this.formatDao = formatDao;
+  }
+
+  async setMovie(dtoIn) {
+    // Check movie existence
+    const movie = await this.movieDao.getById(dtoIn.movieId, dtoIn.userId);
+    if (!movie) {
+      throw new MovieErrors.MovieDoesNotExist({ movieId: dtoIn.movieId });
+    }
+
+    // Only physical copies can be stored
+    const format = await this.formatDao.getByName(movie.format);
+    if (!format?.isPhysical) {
+      throw new SetMovie.MovieNotPhysical({ movieId: movie.id, format: movie.format });
+    }
+
+    // Check location existence
+    const location = await this.locationDao.getById(dtoIn.locationId, dtoIn.userId);
+    if (!location) {
+      throw new Errors.LocationDoesNotExist({ locationId: dtoIn.locationId });
+    }
+
+    // Store movie in the location
+    await this.locationDao.setMovieLocation(movie.id, dtoIn.userId, location.id);
+    const movieLocation = await this.locationDao.getMovieLocation({ locationId: location.id });
+
+    // Return movie location
+    return { data: { movieId: movie.id, location: movieLocation }, status: 1 };
+  }
+
+}
+
+module.exports = SetMovieAbl;
@@ -0,0 +1,49 @@
+const LocationDto = require("../../components/dto/location-dto");
+const { Common: Errors } = require("../../api/errors/location-errors");
+const { canContain } = require("../../components/helpers/location-helper");
+
+class UpdateAbl {
+  constructor(locationDao) {
+    this.locationDao = locationDao;
+  }
+
+  async update(dtoIn) {
+    // Check location existence
+    const location = await this.locationDao.getById(dtoIn.id, dtoIn.userId);
+    if (!location) {
+      throw new Errors.LocationDoesNotExist({ locationId: dtoIn.id });
+    }
+
+    const type = dtoIn.type ?? location.type;
+    const parentId = dtoIn.parentId !== undefined ? dtoIn.parentId : location.parentId;
+
+    // Check that the (new) parent location exists and can contain the location
+    if (parentId) {
+      const parent = await this.locationDao.getById(parentId, dtoIn.userId);
+      if (!parent) {
+        throw new Errors.ParentLocationDoesNotExist({ parentId });
+      }
+      if (!canContain(parent.type, type)) {
+        throw new Errors.InvalidLocationNesting({ type, parentId: parent.id, parentType: parent.type });
+      }
+    }
+
+    // Check that a new type can still contain the nested locations
+    if (type !== location.type) {
+      const children = await this.locationDao.listChildren(location.id);
+      const child = children.find(c => !canContain(type, c.type));
+      if (child) {
+        throw new Errors.InvalidLocationNesting({ type: child.type, parentId: location.id, parentType: type });
+      }
+    }
+
+    // Update location (nested locations and movies move with it)
+    const updatedLocation = await this.locationDao.update(LocationDto.prepareUpdateDtoIn(dtoIn));
+
+    // Return location data
+    return { data: updatedLocation, status: 1 };
+  }
+
+}
+
+module.exports = UpdateAbl;
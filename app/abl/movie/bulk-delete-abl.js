@@ -0,0 +1,38 @@
+const MovieDto = require("../../components/dto/movie-dto");
+const { Bulk: Errors } = require("../../api/errors/movie-errors");
+const { BulkOutcomeMap, MAX_BULK_IDS } = require("../../constants/movie-constants");
+
+class BulkDeleteAbl {
+  constructor(movieDao) {
+    this.movieDao = movieDao;
+  }
+
+  async bulkDelete(dtoIn) {
+    const bulkDtoIn = MovieDto.prepareBulkDeleteDtoIn(dtoIn);
+
+    // Check that the filter does not select more movies than IDs can
+    if (bulkDtoIn.filter) {
+      const movieCount = await this.movieDao.countByFilter(bulkDtoIn.userId, bulkDtoIn.filter);
+      if (movieCount > MAX_BULK_IDS) {
+        throw new Errors.TooManyMovies({ movieCount, maxMovieCount: MAX_BULK_IDS });
+      }
+    }
+
+    // Move movies to the trash
+    const itemList = await this.movieDao.bulkDelete(bulkDtoIn);
+
+    // Return outcome per movie
+    return {
+      data: itemList,
+      meta: {
+        total: itemList.length,
+        deleted: itemList.filter(item => item.outcome === BulkOutcomeMap.DELETED).length,
+        notFound: itemList.filter(item => item.outcome === BulkOutcomeMap.NOT_FOUND).length
+      },
+      status: 1
+    };
+  }
+
+}
+
+module.exports = BulkDeleteAbl;
@@ -0,0 +1,39 @@
+const MovieDto = require("../../components/dto/movie-dto");
+const { Bulk: Errors } = require("../../api/errors/movie-errors");
+const { BulkOutcomeMap, MAX_BULK_IDS } = require("../../constants/movie-constants");
+
+class BulkUpdateAbl {
+  constructor(movieDao) {
+    this.movieDao = movieDao;
+  }
+
+  async bulkUpdate(dtoIn) {
+    const bulkDtoIn = MovieDto.prepareBulkUpdateDtoIn(dtoIn);
+
+    // Check that the filter does not select more movies than IDs can
+    if (bulkDtoIn.filter) {
+      const movieCount = await this.movieDao.countByFilter(bulkDtoIn.userId, bulkDtoIn.filter);
+      if (movieCount > MAX_BULK_IDS) {
+        throw new Errors.TooManyMovies({ movieCount, maxMovieCount: MAX_BULK_IDS });
+      }
+    }
+
+    // Update movies
+    const itemList = await this.movieDao.bulkUpdate(bulkDtoIn);
+
+    // Return outcome per movie
+    return {
+      data: itemList,
+      meta: {
+        total: itemList.length,
+        updated: itemList.filter(item => item.outcome === BulkOutcomeMap.UPDATED).length,
+        notFound: itemList.filter(item => item.outcome === BulkOutcomeMap.NOT_FOUND).length,
+        rejected: itemList.filter(item => item.outcome === BulkOutcomeMap.REJECTED).length
+      },
+      status: 1
+    };
+  }
+
+}
+
+module.exports = BulkUpdateAbl;
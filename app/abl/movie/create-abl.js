@@ -1,5 +1,7 @@
 const MovieDto = require("../../components/dto/movie-dto");
 const { Create: Errors } = require("../../api/errors/movie-errors");
+const { PossibleDuplicateMap } = require("../../constants/movie-constants");
+const { findPossibleDuplicates } = require("../../components/helpers/duplicate-helper");
 
 class CreateAbl {
   constructor(movieDao) {
@@ -7,18 +9,25 @@ class CreateAbl {
   }
 
   async create(dtoIn) {
+    const createDtoIn = MovieDto.prepareCreateDtoIn(dtoIn);
+
     // Check for duplicate movie
-    await this.#ensureNoDuplicate(dtoIn);
+    await this.#ensureNoDuplicate(createDtoIn);
+
+    // Check for possible duplicates unless the user confirmed the movie
+    if (!dtoIn.force) {
+      await this.#ensureNoPossibleDuplicate(createDtoIn);
+    }
 
     // Create movie
-    const movieData = await this.movieDao.create(MovieDto.prepareCreateDtoIn(dtoIn));
+    const movieData = await this.movieDao.create(createDtoIn);
 
     // Return created movie data
     return { data: movieData, status: 1 };
   }
 
   /**
-   * Ensures that there are no duplicate movies with the same title, year, format, and actors.
+   * Ensures that the user has no duplicate movies with the same title, year, format, and actors.
    *
    * @async
    * @private
@@ -26,16 +35,17 @@ class CreateAbl {
    * @param {string} dtoIn.title - The title of the movie.
    * @param {number} dtoIn.year - The release year of the movie.
    * @param {string} dtoIn.format - The format of the movie (e.g., DVD, Blu-ray).
-   * @param {Array<string>} dtoIn.actors - The list of actor names associated with the movie.
+   * @param {Array<Object>} dtoIn.actors - The cast of the movie (`{ name, character }`).
+   * @param {number} dtoIn.userId - The ID of the user whose collection is checked.
    * @throws {Errors.MovieAlreadyExists} If a movie with the same title, year, format, and actors already exists.
    */
-  async #ensureNoDuplicate({ title, year, format, actors }) {
-    const movieList = await this.movieDao.listByTitleYearAndFormat(title, year, format);
+  async #ensureNoDuplicate({ title, year, format, actors, userId }) {
+    const movieList = await this.movieDao.listByTitleYearAndFormat(title, year, format, userId);
     if (!movieList?.length) return;
 
     const normalize = (name) => name.trim().toLowerCase();
 
-    const inputActorSet = new Set(actors.map(normalize));
+    const inputActorSet = new Set(actors.map(a => normalize(a.name)));
 
     for (const movie of movieList) {
       const movieActorSet = new Set(
@@ -49,10 +59,38 @@ class CreateAbl {
       );
 
       if (isSameActors) {
-        throw new Errors.MovieAlreadyExists({ title, year, format, actors });
+        throw new Errors.MovieAlreadyExists({ title, year, format, actors: actors.map(a => a.name) });
       }
     }
   }
+
+  /**
+   * Ensures that the user has no movie that looks like the same copy: a movie in the same format with a similar
+   * title, a release year at most one year apart, and overlapping actors.
+   *
+   * @async
+   * @private
+   * @param {Object} dtoIn - The input data for the movie.
+   * @param {string} dtoIn.title - The title of the movie.
+   * @param {number} dtoIn.year - The release year of the movie.
+   * @param {string} dtoIn.format - The format of the movie (e.g., DVD, Blu-ray).
+   * @param {Array<Object>} dtoIn.actors - The cast of the movie (`{ name, character }`).
+   * @param {number} dtoIn.userId - The ID of the user whose collection is checked.
+   * @throws {Errors.PossibleDuplicatesFound} If possible duplicates exist (listed in `possibleDuplicates`).
+   */
+  async #ensureNoPossibleDuplicate({ title, year, format, actors, userId }) {
+    const candidateList = await this.movieDao.listDuplicateCandidates(userId, {
+      minYear: year - PossibleDuplicateMap.MAX_YEAR_DIFFERENCE,
+      maxYear: year + PossibleDuplicateMap.MAX_YEAR_DIFFERENCE,
+      formats: [format]
+    });
+
+    const possibleDuplicates = findPossibleDuplicates({ title, year, format, actors }, candidateList);
+
+    if (possibleDuplicates.length) {
+      throw new Errors.PossibleDuplicatesFound({ title, year, format, possibleDuplicates });
+    }
+  }
 }
 
 module.exports = CreateAbl;
\ No newline at end of file
@@ -0,0 +1,43 @@
+const { FromBarcode: Errors } = require("../../api/errors/movie-errors");
+
+class CreateFromBarcodeAbl {
+  constructor(createAbl, barcodeCatalog, formatDao) {
+    this.createAbl = createAbl;
+    this.barcodeCatalog = barcodeCatalog;
+    this.formatDao = formatDao;
+  }
+
+  async createFromBarcode(dtoIn) {
+    // Look up the barcode in the catalog
+    const entry = await this.barcodeCatalog.getEntry(dtoIn.barcode);
+    if (!entry) {
+      throw new Errors.BarcodeNotInCatalog({ barcode: dtoIn.barcode });
+    }
+
+    // Resolve the catalog format to a managed format
+    const format = await this.formatDao.getByName(entry.format);
+    if (!format) {
+      throw new Errors.CatalogFormatDoesNotExist({ barcode: entry.barcode, format: entry.format });
+    }
+
+    // Use the given actors, or the cast of the catalog entry
+    const actors = dtoIn.actors || entry.actors;
+    if (!actors.length) {
+      throw new Errors.ActorsRequired({ barcode: entry.barcode });
+    }
+
+    // Create movie with the duplicate checks of a regular creation
+    return this.createAbl.create({
+      title: entry.title,
+      year: entry.year,
+      format: format.name,
+      actors,
+      barcode: entry.barcode,
+      force: dtoIn.force,
+      userId: dtoIn.userId
+    });
+  }
+
+}
+
+module.exports = CreateFromBarcodeAbl;
@@ -7,15 +7,36 @@ class DeleteAbl {
 
   async delete(dtoIn) {
     // Delete movie
-    const result = await this.movieDao.delete(dtoIn.id);
+    const result = await this.movieDao.delete(dtoIn.id, dtoIn.userId, { expectedVersions: dtoIn.expectedVersions });
     if (!result) {
-      throw new Errors.MovieDoesNotExist({ movieId: dtoIn.id });
+      await this.#throwNotDeleted(dtoIn);
     }
 
     // Return status
     return { status: 1 };
   }
 
+  /**
+   * Throws the reason why a movie was not deleted: it does not exist or its version is not the expected one.
+   *
+   * @async
+   * @private
+   * @param {Object} dtoIn - The input data of the delete.
+   * @param {number} dtoIn.id - The ID of the movie.
+   * @param {number} dtoIn.userId - The ID of the user who owns the movie.
+   * @param {Array<number>} [dtoIn.expectedVersions] - The versions accepted by the If-Match header.
+   * @throws {Errors.MovieVersionMismatch} If the movie exists with another version.
+   * @throws {Errors.MovieDoesNotExist} If the movie does not exist.
+   */
+  async #throwNotDeleted({ id, userId, expectedVersions }) {
+    const movie = expectedVersions ? await this.movieDao.getById(id, userId) : null;
+    if (movie) {
+      throw new Errors.MovieVersionMismatch({ movieId: id, expectedVersions, currentVersion: movie.version });
+    }
+
+    throw new Errors.MovieDoesNotExist({ movieId: id });
+  }
+
 }
 
-module.exports = DeleteAbl;
\ No newline at end of file
+module.exports = DeleteAbl;
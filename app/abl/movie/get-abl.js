@@ -1,21 +1,29 @@
 const { Common: Errors } = require("../../api/errors/movie-errors");
 
 class GetAbl {
-  constructor(movieDao) {
+  constructor(movieDao, seriesDao, locationDao) {
     this.movieDao = movieDao;
+    this.seriesDao = seriesDao;
+    this.locationDao = locationDao;
   }
 
   async get(dtoIn) {
     // Check movie existence
-    const movie = await this.movieDao.getById(dtoIn.id);
+    const movie = await this.movieDao.getById(dtoIn.id, dtoIn.userId, { includeTrashed: dtoIn.includeTrashed });
     if (!movie) {
       throw new Errors.MovieDoesNotExist({ movieId: dtoIn.id });
     }
 
+    // Load series context (position and the previous and next movies)
+    const series = await this.seriesDao.getMovieContext(movie);
+
+    // Load storage location (with the locations containing it)
+    const location = await this.locationDao.getMovieLocation(movie);
+
     // Return movie data
-    return { data: movie, status: 1 };
+    return { data: { ...movie, series, location }, status: 1 };
   }
 
 }
 
-module.exports = GetAbl;
\ No newline at end of file
+module.exports = GetAbl;
@@ -0,0 +1,21 @@
+const { Common: Errors } = require("../../api/errors/movie-errors");
+
+class GetByBarcodeAbl {
+  constructor(movieDao) {
+    this.movieDao = movieDao;
+  }
+
+  async getByBarcode(dtoIn) {
+    // Find the copies with the barcode
+    const movieList = await this.movieDao.listByBarcode(dtoIn.code, dtoIn.userId);
+    if (!movieList.length) {
+      throw new Errors.MovieDoesNotExist({ barcode: dtoIn.code });
+    }
+
+    // Return matching movies
+    return { data: movieList, status: 1 };
+  }
+
+}
+
+module.exports = GetByBarcodeAbl;
@@ -2,18 +2,28 @@ const MovieDto = require("../../components/dto/movie-dto");
 const { Import } = require("../../api/errors/movie-errors");
 const { toCamelCase } = require("../../components/helpers/text-helper");
 const MovieConstants = require("../../constants/movie-constants");
+const { LANGUAGE_CODES, COUNTRY_CODES } = require("../../constants/locale-constants");
+const { isValidBarcode } = require("../../components/helpers/barcode-helper");
+const { findPossibleDuplicates, isExactDuplicate } = require("../../components/helpers/duplicate-helper");
 
 class ImportAbl {
-  constructor(movieDao) {
+  constructor(movieDao, formatDao) {
     this.movieDao = movieDao;
+    this.formatDao = formatDao;
   }
 
   async import(dtoIn) {
+    // Load the accepted formats
+    const formatNames = (await this.formatDao.list()).map(format => format.name);
+
     // Parse and validate the movies file
-    const createManyMoviesDtoIn = this.#parseMoviesFile(dtoIn.file);
+    const createManyMoviesDtoIn = this.#parseMoviesFile(dtoIn.file, formatNames);
+
+    // Find possible duplicates in the collection before the movies are added to it
+    const warnings = await this.#buildDuplicateWarnings(createManyMoviesDtoIn, dtoIn.userId);
 
     // Bulk create movies
-    const { itemList, total, skipped = 0 } = await this.movieDao.createMany(createManyMoviesDtoIn);
+    const { itemList, total, skipped = 0 } = await this.movieDao.createMany(createManyMoviesDtoIn, dtoIn.userId);
 
     // Return import result
     return {
@@ -21,23 +31,64 @@ class ImportAbl {
       meta: {
         imported: itemList.length,
         duplicates: skipped,
-        total
+        total,
+        warnings
       },
       status: 1
     };
   }
 
+  /**
+   * Builds a warning for every imported movie that may duplicate a movie already in the collection.
+   * Unlike on creation, possible duplicates do not stop the import. Movies with an exact duplicate are skipped by the
+   * import, so they get no warning.
+   *
+   * @async
+   * @private
+   * @param {Array<Object>} movieList - The parsed movies (`{ title, year, format, actors }`).
+   * @param {number} userId - The ID of the user whose collection is checked.
+   * @returns {Promise<Array<Object>>} The warnings (`{ code, title, year, format, possibleDuplicates }`) in file
+   *   order.
+   */
+  async #buildDuplicateWarnings(movieList, userId) {
+    if (!movieList.length) return [];
+
+    // Release years are still strings as read from the file
+    const years = movieList.map(movie => Number(movie.year));
+    const candidateList = await this.movieDao.listDuplicateCandidates(userId, {
+      minYear: Math.min(...years) - MovieConstants.PossibleDuplicateMap.MAX_YEAR_DIFFERENCE,
+      maxYear: Math.max(...years) + MovieConstants.PossibleDuplicateMap.MAX_YEAR_DIFFERENCE,
+      formats: [...new Set(movieList.map(movie => movie.format))]
+    });
+
+    const warnings = [];
+
+    movieList.forEach(({ title, format, actors }, i) => {
+      const year = years[i];
+      const movie = { title, year, format, actors };
+      if (candidateList.some(candidate => isExactDuplicate(movie, candidate))) return;
+
+      const possibleDuplicates = findPossibleDuplicates(movie, candidateList);
+      if (possibleDuplicates.length) {
+        warnings.push({ code: MovieConstants.WarningCodeMap.POSSIBLE_DUPLICATES, title, year, format, possibleDuplicates });
+      }
+    });
+
+    return warnings;
+  }
+
   /**
    * Parses the content of a movies file and converts it into an array of movie objects.
    *
    * @private
    * @param {Object} file - The file object containing the movies data.
    * @param {Buffer} file.buffer - The buffer of the file content.
+   * @param {Array<string>} formatNames - The names of the accepted formats.
    * @throws {Import.InvalidFileContent} If a movie block is invalid.
    * @throws {Import.MoviesMissingRequiredFields} If required fields are missing in a movie block.
    * @returns {Object[]} An array of movie objects prepared for import.
    */
-  #parseMoviesFile(file) {
+  #parseMoviesFile(file, formatNames) {
     const fileContent = file.buffer.toString('utf-8');
 
     const lines = fileContent.split(/\r?\n/);
@@ -48,8 +99,8 @@ class ImportAbl {
       if (!block.length) return;
 
       const parsed = this.#parseMovieBlock(block);
-      this.#validateMovieBlock(parsed);
-      movies.push(MovieDto.prepareImportDtoIn(parsed));
+      this.#validateMovieBlock(parsed, formatNames);
+      movies.push(MovieDto.prepareImportDtoIn({ ...parsed, stars: this.#parseStars(parsed.stars) }));
 
       block = [];
     };
@@ -75,22 +126,25 @@ class ImportAbl {
    *
    * @private
    * @param {string[]} block - An array of strings representing the lines of a movie block.
-   * @throws {Import.InvalidFileContent} If the block does not contain the exact required fields.
+   * @throws {Import.InvalidFileContent} If the block has too few or too many lines, or a line with an unknown field.
    * @throws {Import.MoviesMissingRequiredFields} If any required fields are missing in the block.
    * @returns {Object} An object containing the parsed movie fields with camelCase keys.
    */
   #parseMovieBlock(block) {
     const parsedBlock = {};
     const missingFields = [];
+    const requiredFields = MovieConstants.MOVIE_FILE_TEXT_FIELDS;
+    const knownFields = [...requiredFields, ...MovieConstants.MOVIE_FILE_OPTIONAL_TEXT_FIELDS];
 
-    if (Object.values(block).length !== MovieConstants.MOVIE_FILE_TEXT_FIELDS.length) {
+    if (block.length < requiredFields.length || block.length > knownFields.length) {
       throw new Import.InvalidFileContent({
         block,
-        errorDetail: `Movie block must contain exactly [${MovieConstants.MOVIE_FILE_TEXT_FIELDS.join(", ")}] fields`
+        errorDetail: `Movie block must contain [${requiredFields.join(", ")}] fields ` +
+          `and may contain [${MovieConstants.MOVIE_FILE_OPTIONAL_TEXT_FIELDS.join(", ")}] fields`
       });
     }
 
-    for (const field of MovieConstants.MOVIE_FILE_TEXT_FIELDS) {
+    for (const field of knownFields) {
       const prefix = `${field.toLowerCase()}:`;
 
       const line = block.find(line =>
@@ -98,7 +152,7 @@ class ImportAbl {
       );
 
       if (!line) {
-        missingFields.push(field);
+        if (requiredFields.includes(field)) missingFields.push(field);
         continue;
       }
 
@@ -113,24 +167,72 @@ class ImportAbl {
         textBlock: block
       });
     }
+
+    const unknownLine = block.find(line =>
+      !knownFields.some(field => line.toLowerCase().startsWith(`${field.toLowerCase()}:`))
+    );
+
+    if (unknownLine) {
+      throw new Import.InvalidFileContent({
+        block,
+        errorDetail: `Unknown field in line: "${unknownLine}"`,
+        expectedValues: knownFields
+      });
+    }
+
     return parsedBlock;
   }
 
+  /**
+   * Parses the Stars field into a cast list in billing order.
+   * Each comma-separated entry is an actor name, optionally followed by the character in parentheses,
+   * e.g. `Keanu Reeves (Neo)`.
+   *
+   * @private
+   * @param {string} stars - The raw value of the Stars field.
+   * @returns {Array<Object>} The cast entries (`{ name, character }`) in the order of the field.
+   */
+  #parseStars(stars) {
+    return stars
+      .split(",")
+      .map(a => a.trim())
+      .filter(Boolean)
+      .map(entry => {
+        const match = entry.match(MovieConstants.STAR_WITH_CHARACTER_REGEX);
+        if (!match) return { name: entry, character: null };
+
+        return { name: match[1].trim(), character: match[2].trim() || null };
+      });
+  }
+
   /**
    * Validates the fields of a movie block.
    *
    * @private
    * @param {Object} textBlock - The movie block to validate.
+   * @param {Array<string>} formatNames - The names of the accepted formats.
    * @throws {Import.InvalidInputData|Import.InvalidFileContent} If any validation fails.
    */
-  #validateMovieBlock(textBlock) {
+  #validateMovieBlock(textBlock, formatNames) {
     this.#releaseYearValidation(textBlock);
 
-    this.#formatValidation(textBlock);
+    this.#formatValidation(textBlock, formatNames);
 
     this.#actorsValidation(textBlock);
 
     this.#titleValidation(textBlock);
+
+    this.#genresValidation(textBlock);
+
+    this.#directorsValidation(textBlock);
+
+    this.#runtimeValidation(textBlock);
+
+    this.#synopsisValidation(textBlock);
+
+    this.#localeValidation(textBlock);
+
+    this.#barcodeValidation(textBlock);
   }
 
   /**
@@ -155,14 +257,15 @@ class ImportAbl {
    *
    * @private
    * @param {Object} textBlock - The movie block containing the format.
-   * @throws {Import.InvalidFileContent} If the format is not valid.
+   * @param {Array<string>} formatNames - The names of the accepted formats.
+   * @throws {Import.InvalidFileContent} If the format is not one of the accepted formats.
    */
-  #formatValidation(textBlock) {
-    if (!MovieConstants.VALID_FORMATS.includes(textBlock.format)) {
+  #formatValidation(textBlock, formatNames) {
+    if (!formatNames.includes(textBlock.format)) {
       throw new Import.InvalidFileContent({
         textBlock,
         errorDetail: `Invalid format`,
-        expectedValues: MovieConstants.VALID_FORMATS
+        expectedValues: formatNames
       });
     }
   }
@@ -172,13 +275,10 @@ class ImportAbl {
    *
    * @private
    * @param {Object} textBlock - The movie block containing the actors.
-   * @throws {Import.InvalidFileContent} If the actors field is empty, contains invalid names, or names are too long.
+   * @throws {Import.InvalidFileContent} If the actors field is empty, contains invalid names, or names or characters are too long.
    */
   #actorsValidation(textBlock) {
-    const actors = textBlock.stars
-      .split(",")
-      .map(a => a.trim())
-      .filter(Boolean);
+    const actors = this.#parseStars(textBlock.stars);
 
     if (!actors?.length) {
       throw new Import.InvalidFileContent({
@@ -187,7 +287,7 @@ class ImportAbl {
       });
     }
 
-    for (const actor of actors) {
+    for (const { name: actor, character } of actors) {
       if (actor.length > 255) {
         throw new Import.InvalidFileContent({
           textBlock,
@@ -201,6 +301,13 @@ class ImportAbl {
           errorDetail: `Actor name contains invalid characters: "${actor}"`
         });
       }
+
+      if (character?.length > 255) {
+        throw new Import.InvalidFileContent({
+          textBlock,
+          errorDetail: `Character name is too long: "${character}"`
+        });
+      }
     }
   }
 
@@ -226,6 +333,140 @@ class ImportAbl {
     }
   }
 
+  /**
+   * Validates the optional genres of a movie.
+   *
+   * @private
+   * @param {Object} textBlock - The movie block that may contain the genre line.
+   * @throws {Import.InvalidFileContent} If a genre name is too long or contains invalid characters.
+   */
+  #genresValidation(textBlock) {
+    if (textBlock.genre === undefined) return;
+
+    const genres = textBlock.genre.split(",").map(g => g.trim()).filter(Boolean);
+
+    for (const genre of genres) {
+      if (genre.length > MovieConstants.MAX_GENRE_NAME_LENGTH) {
+        throw new Import.InvalidFileContent({
+          textBlock,
+          errorDetail: `Genre name is too long: "${genre}"`
+        });
+      }
+
+      if (!MovieConstants.GENRE_NAME_REGEX.test(genre)) {
+        throw new Import.InvalidFileContent({
+          textBlock,
+          errorDetail: `Genre name contains invalid characters: "${genre}"`
+        });
+      }
+    }
+  }
+
+  /**
+   * Validates the optional directors of a movie.
+   *
+   * @private
+   * @param {Object} textBlock - The movie block that may contain the director line.
+   * @throws {Import.InvalidFileContent} If a director name is too long or contains invalid characters.
+   */
+  #directorsValidation(textBlock) {
+    if (textBlock.director === undefined) return;
+
+    const directors = MovieDto.prepareNameList(textBlock.director);
+
+    for (const director of directors) {
+      if (director.length > 255) {
+        throw new Import.InvalidFileContent({
+          textBlock,
+          errorDetail: `Director name is too long: "${director}"`
+        });
+      }
+
+      if (!MovieConstants.ACTOR_NAME_REGEX.test(director)) {
+        throw new Import.InvalidFileContent({
+          textBlock,
+          errorDetail: `Director name contains invalid characters: "${director}"`
+        });
+      }
+    }
+  }
+
+  /**
+   * Validates the optional runtime of a movie.
+   *
+   * @private
+   * @param {Object} textBlock - The movie block that may contain the runtime line.
+   * @throws {Import.InvalidInputData} If the runtime is not a whole number of minutes or out of range.
+   */
+  #runtimeValidation(textBlock) {
+    if (!textBlock.runtime) return;
+
+    const runtime = Number(textBlock.runtime);
+    if (!Number.isInteger(runtime) || runtime < MovieConstants.MIN_RUNTIME || runtime > MovieConstants.MAX_RUNTIME) {
+      throw new Import.InvalidInputData({
+        textBlock,
+        errorDetail: `Runtime must be a number of minutes between ${MovieConstants.MIN_RUNTIME} and ` +
+          `${MovieConstants.MAX_RUNTIME}`
+      });
+    }
+  }
+
+  /**
+   * Validates the optional synopsis of a movie.
+   *
+   * @private
+   * @param {Object} textBlock - The movie block that may contain the synopsis line.
+   * @throws {Import.InvalidFileContent} If the synopsis exceeds the maximum length.
+   */
+  #synopsisValidation(textBlock) {
+    if (textBlock.synopsis?.length > MovieConstants.MAX_SYNOPSIS_LENGTH) {
+      throw new Import.InvalidFileContent({
+        textBlock,
+        errorDetail: `Synopsis exceeds maximum length of ${MovieConstants.MAX_SYNOPSIS_LENGTH} characters`
+      });
+    }
+  }
+
+  /**
+   * Validates the optional original language and country of a movie.
+   * Codes are matched case-insensitively.
+   *
+   * @private
+   * @param {Object} textBlock - The movie block that may contain the language and country lines.
+   * @throws {Import.InvalidFileContent} If the language is not an ISO 639-1 code or the country is not an
+   *   ISO 3166-1 alpha-2 code.
+   */
+  #localeValidation(textBlock) {
+    if (textBlock.language && !LANGUAGE_CODES.includes(textBlock.language.toLowerCase())) {
+      throw new Import.InvalidFileContent({
+        textBlock,
+        errorDetail: `Language must be an ISO 639-1 code: "${textBlock.language}"`
+      });
+    }
+
+    if (textBlock.country && !COUNTRY_CODES.includes(textBlock.country.toUpperCase())) {
+      throw new Import.InvalidFileContent({
+        textBlock,
+        errorDetail: `Country must be an ISO 3166-1 alpha-2 code: "${textBlock.country}"`
+      });
+    }
+  }
+
+  /**
+   * Validates the optional UPC/EAN barcode of a movie.
+   *
+   * @private
+   * @param {Object} textBlock - The movie block that may contain the barcode line.
+   * @throws {Import.InvalidFileContent} If the barcode is not a valid EAN-8, UPC-A, or EAN-13 code.
+   */
+  #barcodeValidation(textBlock) {
+    if (textBlock.barcode && !isValidBarcode(textBlock.barcode)) {
+      throw new Import.InvalidFileContent({
+        textBlock,
+        errorDetail: `Barcode must be a valid EAN-8, UPC-A, or EAN-13 code: "${textBlock.barcode}"`
+      });
+    }
+  }
 }
 
 module.exports = ImportAbl;
\ No newline at end of file
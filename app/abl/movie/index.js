@@ -1,4 +1,9 @@
 const movieDao = require('../../dao/movie-sequelize-dao');
+const formatDao = require('../../dao/format-sequelize-dao');
+const seriesDao = require('../../dao/series-sequelize-dao');
+const locationDao = require('../../dao/location-sequelize-dao');
+const posterStorageService = require('../../components/services/poster-storage-service');
+const barcodeCatalogService = require('../../components/services/barcode-catalog-service');
 
 const CreateAbl = require('./create-abl');
 const GetAbl = require('./get-abl');
@@ -6,6 +11,13 @@ const DeleteAbl = require('./delete-abl');
 const UpdateAbl = require('./update-abl');
 const ListAbl = require('./list-abl');
 const ImportAbl = require('./import-abl');
+const ListTrashAbl = require('./list-trash-abl');
+const RestoreAbl = require('./restore-abl');
+const PurgeTrashAbl = require('./purge-trash-abl');
+const BulkUpdateAbl = require('./bulk-update-abl');
+const BulkDeleteAbl = require('./bulk-delete-abl');
+const GetByBarcodeAbl = require('./get-by-barcode-abl');
+const CreateFromBarcodeAbl = require('./create-from-barcode-abl');
 
 /**
  * Factory function to create movie ABL instances with custom dependencies.
@@ -13,18 +25,36 @@ const ImportAbl = require('./import-abl');
  *
  * @param {Object} [dependencies={}] - Optional dependencies to inject.
  * @param {Object} [dependencies.movieDao] - Movie DAO instance (defaults to real DAO).
+ * @param {Object} [dependencies.formatDao] - Format DAO instance (defaults to real DAO).
+ * @param {Object} [dependencies.seriesDao] - Series DAO instance (defaults to real DAO).
+ * @param {Object} [dependencies.locationDao] - Location DAO instance (defaults to real DAO).
+ * @param {Object} [dependencies.posterStorage] - Poster storage service (defaults to the local disk storage).
+ * @param {Object} [dependencies.barcodeCatalog] - Barcode catalog service (defaults to the local catalog file).
  * @returns {Object} Object containing all movie ABL instances.
  */
 function createMovieAbls(dependencies = {}) {
   const dao = dependencies.movieDao || movieDao;
+  const formats = dependencies.formatDao || formatDao;
+  const series = dependencies.seriesDao || seriesDao;
+  const locations = dependencies.locationDao || locationDao;
+  const posterStorage = dependencies.posterStorage || posterStorageService;
+  const barcodeCatalog = dependencies.barcodeCatalog || barcodeCatalogService;
+  const createAbl = new CreateAbl(dao);
 
   return {
-    CreateAbl: new CreateAbl(dao),
-    GetAbl: new GetAbl(dao),
+    CreateAbl: createAbl,
+    GetAbl: new GetAbl(dao, series, locations),
     DeleteAbl: new DeleteAbl(dao),
     UpdateAbl: new UpdateAbl(dao),
     ListAbl: new ListAbl(dao),
-    ImportAbl: new ImportAbl(dao),
+    ImportAbl: new ImportAbl(dao, formats),
+    ListTrashAbl: new ListTrashAbl(dao),
+    RestoreAbl: new RestoreAbl(dao),
+    PurgeTrashAbl: new PurgeTrashAbl(dao, posterStorage),
+    BulkUpdateAbl: new BulkUpdateAbl(dao),
+    BulkDeleteAbl: new BulkDeleteAbl(dao),
+    GetByBarcodeAbl: new GetByBarcodeAbl(dao),
+    CreateFromBarcodeAbl: new CreateFromBarcodeAbl(createAbl, barcodeCatalog, formats),
   };
 }
 
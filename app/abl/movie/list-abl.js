@@ -1,5 +1,8 @@
 const MovieDto = require("../../components/dto/movie-dto");
 const { DefaultValueMap } = require("../../constants/movie-constants");
+const { List } = require("../../api/errors/movie-errors");
+const { encodeCursor, decodeCursor } = require("../../components/helpers/cursor-helper");
+const { parseMovieQuery } = require("../../components/helpers/movie-query-helper");
 
 class ListAbl {
   constructor(movieDao) {
@@ -7,12 +10,50 @@ class ListAbl {
   }
 
   async list(dtoIn) {
+    const listDtoIn = MovieDto.prepareListDtoIn(dtoIn);
+
+    // Parse the search query
+    if (dtoIn.q) {
+      listDtoIn.query = parseMovieQuery(dtoIn.q);
+    }
+
+    // Resolve the position to continue after
+    if (dtoIn.cursor) {
+      listDtoIn.after = this.#resolveCursor(dtoIn.cursor, listDtoIn);
+    }
+
     // List movies
-    const { itemList, total } = await this.movieDao.list(MovieDto.prepareListDtoIn(dtoIn));
+    const { itemList, total, nextAfter, facets } = await this.movieDao.list(listDtoIn);
 
     // Return movie list
-    return { data: itemList, meta: { total, pageSize: dtoIn.limit || DefaultValueMap.LIMIT }, status: 1 };
+    const nextCursor = nextAfter && encodeCursor({ sort: listDtoIn.sort, order: listDtoIn.order, ...nextAfter });
+    const meta = { total, pageSize: dtoIn.limit || DefaultValueMap.LIMIT, nextCursor, ...(facets && { facets }) };
+    return { data: itemList, meta, status: 1 };
+  }
+
+  /**
+   * Decodes a cursor into the position of the last movie of the previous page.
+   * A cursor is only valid for the sort and order it was issued for.
+   *
+   * @private
+   * @param {string} cursor - The cursor returned as `nextCursor` of the previous page.
+   * @param {Object} listDtoIn - The prepared list input with the requested sort and order.
+   * @returns {Object} The sort value and ID to continue after.
+   * @throws {List.InvalidCursor} If the cursor cannot be decoded or was issued for a different sort or order.
+   */
+  #resolveCursor(cursor, listDtoIn) {
+    const position = decodeCursor(cursor);
+    const isValidValue = value => value === null || typeof value === "string" || Number.isFinite(value);
+
+    if (
+      !position || position.sort !== listDtoIn.sort || position.order !== listDtoIn.order ||
+      !Number.isInteger(position.id) || !isValidValue(position.value)
+    ) {
+      throw new List.InvalidCursor({ cursor });
+    }
+
+    return { value: position.value, id: position.id };
   }
 }
 
-module.exports = ListAbl;
\ No newline at end of file
+module.exports = ListAbl;
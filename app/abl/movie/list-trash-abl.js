@@ -0,0 +1,18 @@
+const MovieDto = require("../../components/dto/movie-dto");
+const { DefaultValueMap } = require("../../constants/movie-constants");
+
+class ListTrashAbl {
+  constructor(movieDao) {
+    this.movieDao = movieDao;
+  }
+
+  async listTrash(dtoIn) {
+    // List trashed movies
+    const { itemList, total } = await this.movieDao.listTrashed(MovieDto.prepareListTrashDtoIn(dtoIn));
+
+    // Return trashed movie list
+    return { data: itemList, meta: { total, pageSize: dtoIn.limit || DefaultValueMap.LIMIT }, status: 1 };
+  }
+}
+
+module.exports = ListTrashAbl;
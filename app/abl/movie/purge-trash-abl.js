@@ -0,0 +1,40 @@
+const MovieConstants = require("../../constants/movie-constants");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class PurgeTrashAbl {
+  constructor(movieDao, posterStorage) {
+    this.movieDao = movieDao;
+    this.posterStorage = posterStorage;
+  }
+
+  async purgeTrash(dtoIn = {}) {
+    // Compute the retention cut-off
+    const retentionDays = this.#getRetentionDays();
+    const deletedBefore = new Date(Date.now() - retentionDays * DAY_MS);
+
+    // Permanently delete movies trashed before the cut-off
+    const purgedIds = await this.movieDao.purgeTrashed({ deletedBefore, userId: dtoIn.userId });
+
+    // Remove the posters of the purged movies
+    await this.posterStorage.remove(purgedIds);
+
+    // Return purge result
+    return { meta: { purged: purgedIds.length, retentionDays }, status: 1 };
+  }
+
+  /**
+   * Reads the trash retention period from the `TRASH_RETENTION_DAYS` environment variable.
+   *
+   * @private
+   * @returns {number} The number of days a movie stays in the trash before it is purged.
+   */
+  #getRetentionDays() {
+    const retentionDays = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+
+    return retentionDays >= 0 ? retentionDays : MovieConstants.DEFAULT_TRASH_RETENTION_DAYS;
+  }
+
+}
+
+module.exports = PurgeTrashAbl;
@@ -0,0 +1,21 @@
+const { Restore: Errors } = require("../../api/errors/movie-errors");
+
+class RestoreAbl {
+  constructor(movieDao) {
+    this.movieDao = movieDao;
+  }
+
+  async restore(dtoIn) {
+    // Restore movie from the trash
+    const movie = await this.movieDao.restore(dtoIn.id, dtoIn.userId);
+    if (!movie) {
+      throw new Errors.MovieNotInTrash({ movieId: dtoIn.id });
+    }
+
+    // Return restored movie data
+    return { data: movie, status: 1 };
+  }
+
+}
+
+module.exports = RestoreAbl;
@@ -1,3 +1,4 @@
+const MovieDto = require("../../components/dto/movie-dto");
 const { Common: Errors } = require("../../api/errors/movie-errors");
 
 class UpdateAbl {
@@ -7,15 +8,36 @@ class UpdateAbl {
 
   async update(dtoIn) {
     // Update movie
-    const movieData = await this.movieDao.update(dtoIn);
+    const movieData = await this.movieDao.update(MovieDto.prepareUpdateDtoIn(dtoIn));
     if (!movieData) {
-      throw new Errors.MovieDoesNotExist({ movieId: dtoIn.id });
+      await this.#throwNotUpdated(dtoIn);
     }
 
     // Return movie data
     return { data: movieData, status: 1 };
   }
 
+  /**
+   * Throws the reason why a movie was not updated: it does not exist or its version is not the expected one.
+   *
+   * @async
+   * @private
+   * @param {Object} dtoIn - The input data of the update.
+   * @param {number} dtoIn.id - The ID of the movie.
+   * @param {number} dtoIn.userId - The ID of the user who owns the movie.
+   * @param {Array<number>} [dtoIn.expectedVersions] - The versions accepted by the If-Match header.
+   * @throws {Errors.MovieVersionMismatch} If the movie exists with another version.
+   * @throws {Errors.MovieDoesNotExist} If the movie does not exist.
+   */
+  async #throwNotUpdated({ id, userId, expectedVersions }) {
+    const movie = expectedVersions ? await this.movieDao.getById(id, userId) : null;
+    if (movie) {
+      throw new Errors.MovieVersionMismatch({ movieId: id, expectedVersions, currentVersion: movie.version });
+    }
+
+    throw new Errors.MovieDoesNotExist({ movieId: id });
+  }
+
 }
 
-module.exports = UpdateAbl;
\ No newline at end of file
+module.exports = UpdateAbl;
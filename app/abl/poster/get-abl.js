@@ -0,0 +1,41 @@
+const PosterDto = require("../../components/dto/poster-dto");
+const { Common: MovieErrors } = require("../../api/errors/movie-errors");
+const { Common: Errors } = require("../../api/errors/poster-errors");
+const PosterConstants = require("../../constants/poster-constants");
+
+class GetAbl {
+  constructor(movieDao, posterStorage) {
+    this.movieDao = movieDao;
+    this.posterStorage = posterStorage;
+  }
+
+  async get(dtoIn) {
+    const { movieId, userId, size } = PosterDto.prepareGetDtoIn(dtoIn);
+
+    // Check movie existence
+    const movie = await this.movieDao.getById(movieId, userId);
+    if (!movie) {
+      throw new MovieErrors.MovieDoesNotExist({ movieId });
+    }
+
+    // Check poster existence
+    if (!movie.posterUpdatedAt) {
+      throw new Errors.PosterDoesNotExist({ movieId });
+    }
+
+    // Return poster file data
+    return {
+      data: {
+        movieId,
+        size,
+        filePath: this.posterStorage.getPath(movieId, size),
+        contentType: PosterConstants.CONTENT_TYPE,
+        updatedAt: movie.posterUpdatedAt
+      },
+      status: 1
+    };
+  }
+
+}
+
+module.exports = GetAbl;
@@ -0,0 +1,32 @@
+const movieDao = require('../../dao/movie-sequelize-dao');
+const posterStorageService = require('../../components/services/poster-storage-service');
+
+const GetAbl = require('./get-abl');
+const UpdateAbl = require('./update-abl');
+
+/**
+ * Factory function to create poster ABL instances with custom dependencies.
+ * Useful for testing with mocked dependencies.
+ *
+ * @param {Object} [dependencies={}] - Optional dependencies to inject.
+ * @param {Object} [dependencies.movieDao] - Movie DAO instance (defaults to real DAO).
+ * @param {Object} [dependencies.posterStorage] - Poster storage service (defaults to the local disk storage).
+ * @returns {Object} Object containing all poster ABL instances.
+ */
+function createPosterAbls(dependencies = {}) {
+  const movies = dependencies.movieDao || movieDao;
+  const posterStorage = dependencies.posterStorage || posterStorageService;
+
+  return {
+    GetAbl: new GetAbl(movies, posterStorage),
+    UpdateAbl: new UpdateAbl(movies, posterStorage),
+  };
+}
+
+// Create default instances with real dependencies
+const defaultAbls = createPosterAbls();
+
+module.exports = {
+  ...defaultAbls,
+  createPosterAbls, // Export factory for testing
+};
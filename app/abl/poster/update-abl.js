@@ -0,0 +1,38 @@
+const { Common: MovieErrors } = require("../../api/errors/movie-errors");
+const { Update: Errors } = require("../../api/errors/poster-errors");
+
+class UpdateAbl {
+  constructor(movieDao, posterStorage) {
+    this.movieDao = movieDao;
+    this.posterStorage = posterStorage;
+  }
+
+  async update(dtoIn) {
+    // Check movie existence
+    const movie = await this.movieDao.getById(dtoIn.movieId, dtoIn.userId);
+    if (!movie) {
+      throw new MovieErrors.MovieDoesNotExist({ movieId: dtoIn.movieId });
+    }
+
+    // Check that the file is an image
+    const isValidImage = await this.posterStorage.isValidImage(dtoIn.file.buffer);
+    if (!isValidImage) {
+      throw new Errors.InvalidPosterImage({ fileName: dtoIn.file.originalname });
+    }
+
+    // Store poster
+    await this.posterStorage.save(dtoIn.movieId, dtoIn.file.buffer);
+
+    // Record poster update
+    const movieData = await this.movieDao.setPosterUpdatedAt(dtoIn.movieId, dtoIn.userId, new Date());
+    if (!movieData) {
+      throw new MovieErrors.MovieDoesNotExist({ movieId: dtoIn.movieId });
+    }
+
+    // Return updated movie data
+    return { data: movieData, status: 1 };
+  }
+
+}
+
+module.exports = UpdateAbl;
@@ -0,0 +1,33 @@
+const ReviewDto = require("../../components/dto/review-dto");
+const { Common: MovieErrors } = require("../../api/errors/movie-errors");
+const { Create } = require("../../api/errors/review-errors");
+
+class CreateAbl {
+  constructor(reviewDao, movieDao) {
+    this.reviewDao = reviewDao;
+    this.movieDao = movieDao;
+  }
+
+  async create(dtoIn) {
+    // Check movie existence
+    const movie = await this.movieDao.getById(dtoIn.movieId, dtoIn.userId);
+    if (!movie) {
+      throw new MovieErrors.MovieDoesNotExist({ movieId: dtoIn.movieId });
+    }
+
+    // Check that the user has not reviewed the movie yet
+    const existingReview = await this.reviewDao.getByMovieAndUser(dtoIn.movieId, dtoIn.userId);
+    if (existingReview) {
+      throw new Create.ReviewAlreadyExists({ movieId: dtoIn.movieId, reviewId: existingReview.id });
+    }
+
+    // Create review
+    const review = await this.reviewDao.create(ReviewDto.prepareCreateDtoIn(dtoIn));
+
+    // Return review data
+    return { data: review, status: 1 };
+  }
+
+}
+
+module.exports = CreateAbl;
@@ -0,0 +1,32 @@
+const { Common: MovieErrors } = require("../../api/errors/movie-errors");
+const { Common: Errors } = require("../../api/errors/review-errors");
+
+class DeleteAbl {
+  constructor(reviewDao, movieDao) {
+    this.reviewDao = reviewDao;
+    this.movieDao = movieDao;
+  }
+
+  async delete(dtoIn) {
+    // Check movie existence
+    const movie = await this.movieDao.getById(dtoIn.movieId, dtoIn.userId);
+    if (!movie) {
+      throw new MovieErrors.MovieDoesNotExist({ movieId: dtoIn.movieId });
+    }
+
+    // Check that the review exists and belongs to the user
+    const review = await this.reviewDao.getById(dtoIn.reviewId);
+    if (!review || review.movieId !== dtoIn.movieId || review.userId !== dtoIn.userId) {
+      throw new Errors.ReviewDoesNotExist({ movieId: dtoIn.movieId, reviewId: dtoIn.reviewId });
+    }
+
+    // Delete review
+    await this.reviewDao.delete(dtoIn.reviewId);
+
+    // Return status
+    return { status: 1 };
+  }
+
+}
+
+module.exports = DeleteAbl;
@@ -0,0 +1,36 @@
+const reviewDao = require('../../dao/review-sequelize-dao');
+const movieDao = require('../../dao/movie-sequelize-dao');
+
+const CreateAbl = require('./create-abl');
+const ListAbl = require('./list-abl');
+const UpdateAbl = require('./update-abl');
+const DeleteAbl = require('./delete-abl');
+
+/**
+ * Factory function to create review ABL instances with custom dependencies.
+ * Useful for testing with mocked dependencies.
+ *
+ * @param {Object} [dependencies={}] - Optional dependencies to inject.
+ * @param {Object} [dependencies.reviewDao] - Review DAO instance (defaults to real DAO).
+ * @param {Object} [dependencies.movieDao] - Movie DAO instance (defaults to real DAO).
+ * @returns {Object} Object containing all review ABL instances.
+ */
+function createReviewAbls(dependencies = {}) {
+  const dao = dependencies.reviewDao || reviewDao;
+  const movies = dependencies.movieDao || movieDao;
+
+  return {
+    CreateAbl: new CreateAbl(dao, movies),
+    ListAbl: new ListAbl(dao, movies),
+    UpdateAbl: new UpdateAbl(dao, movies),
+    DeleteAbl: new DeleteAbl(dao, movies),
+  };
+}
+
+// Create default instances with real dependencies
+const defaultAbls = createReviewAbls();
+
+module.exports = {
+  ...defaultAbls,
+  createReviewAbls, // Export factory for testing
+};
@@ -0,0 +1,34 @@
+const ReviewDto = require("../../components/dto/review-dto");
+const { Common: MovieErrors } = require("../../api/errors/movie-errors");
+const { DefaultValueMap } = require("../../constants/review-constants");
+
+class ListAbl {
+  constructor(reviewDao, movieDao) {
+    this.reviewDao = reviewDao;
+    this.movieDao = movieDao;
+  }
+
+  async list(dtoIn) {
+    // Check movie existence
+    const movie = await this.movieDao.getById(dtoIn.movieId, dtoIn.userId);
+    if (!movie) {
+      throw new MovieErrors.MovieDoesNotExist({ movieId: dtoIn.movieId });
+    }
+
+    // List reviews
+    const { itemList, total } = await this.reviewDao.listByMovie(ReviewDto.prepareListDtoIn(dtoIn));
+
+    // Return review list
+    return {
+      data: itemList,
+      meta: {
+        total,
+        averageRating: movie.averageRating,
+        pageSize: dtoIn.limit || DefaultValueMap.LIMIT
+      },
+      status: 1
+    };
+  }
+}
+
+module.exports = ListAbl;
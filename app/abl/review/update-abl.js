@@ -0,0 +1,33 @@
+const ReviewDto = require("../../components/dto/review-dto");
+const { Common: MovieErrors } = require("../../api/errors/movie-errors");
+const { Common: Errors } = require("../../api/errors/review-errors");
+
+class UpdateAbl {
+  constructor(reviewDao, movieDao) {
+    this.reviewDao = reviewDao;
+    this.movieDao = movieDao;
+  }
+
+  async update(dtoIn) {
+    // Check movie existence
+    const movie = await this.movieDao.getById(dtoIn.movieId, dtoIn.userId);
+    if (!movie) {
+      throw new MovieErrors.MovieDoesNotExist({ movieId: dtoIn.movieId });
+    }
+
+    // Check that the review exists and belongs to the user
+    const review = await this.reviewDao.getById(dtoIn.reviewId);
+    if (!review || review.movieId !== dtoIn.movieId || review.userId !== dtoIn.userId) {
+      throw new Errors.ReviewDoesNotExist({ movieId: dtoIn.movieId, reviewId: dtoIn.reviewId });
+    }
+
+    // Update review
+    const reviewData = await this.reviewDao.update(ReviewDto.prepareUpdateDtoIn(dtoIn));
+
+    // Return review data
+    return { data: reviewData, status: 1 };
+  }
+
+}
+
+module.exports = UpdateAbl;
@@ -0,0 +1,35 @@
+const revisionDao = require('../../dao/revision-sequelize-dao');
+const movieDao = require('../../dao/movie-sequelize-dao');
+const formatDao = require('../../dao/format-sequelize-dao');
+
+const ListAbl = require('./list-abl');
+const RevertAbl = require('./revert-abl');
+
+/**
+ * Factory function to create revision ABL instances with custom dependencies.
+ * Useful for testing with mocked dependencies.
+ *
+ * @param {Object} [dependencies={}] - Optional dependencies to inject.
+ * @param {Object} [dependencies.revisionDao] - Revision DAO instance (defaults to real DAO).
+ * @param {Object} [dependencies.movieDao] - Movie DAO instance (defaults to real DAO).
+ * @param {Object} [dependencies.formatDao] - Format DAO instance (defaults to real DAO).
+ * @returns {Object} Object containing all revision ABL instances.
+ */
+function createRevisionAbls(dependencies = {}) {
+  const dao = dependencies.revisionDao || revisionDao;
+  const movies = dependencies.movieDao || movieDao;
+  const formats = dependencies.formatDao || formatDao;
+
+  return {
+    ListAbl: new ListAbl(dao, movies),
+    RevertAbl: new RevertAbl(dao, movies, formats),
+  };
+}
+
+// Create default instances with real dependencies
+const defaultAbls = createRevisionAbls();
+
+module.exports = {
+  ...defaultAbls,
+  createRevisionAbls, // Export factory for testing
+};
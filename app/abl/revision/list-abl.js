@@ -0,0 +1,33 @@
+const RevisionDto = require("../../components/dto/revision-dto");
+const { Common: MovieErrors } = require("../../api/errors/movie-errors");
+const { DefaultValueMap } = require("../../constants/revision-constants");
+
+class ListAbl {
+  constructor(revisionDao, movieDao) {
+    this.revisionDao = revisionDao;
+    this.movieDao = movieDao;
+  }
+
+  async list(dtoIn) {
+    // Check movie existence
+    const movie = await this.movieDao.getById(dtoIn.movieId, dtoIn.userId);
+    if (!movie) {
+      throw new MovieErrors.MovieDoesNotExist({ movieId: dtoIn.movieId });
+    }
+
+    // List revisions
+    const { itemList, total } = await this.revisionDao.listByMovie(RevisionDto.prepareListDtoIn(dtoIn));
+
+    // Return revision list
+    return {
+      data: itemList,
+      meta: {
+        total,
+        pageSize: dtoIn.limit || DefaultValueMap.LIMIT
+      },
+      status: 1
+    };
+  }
+}
+
+module.exports = ListAbl;
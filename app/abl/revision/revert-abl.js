@@ -0,0 +1,44 @@
+const RevisionDto = require("../../components/dto/revision-dto");
+const { Common: MovieErrors } = require("../../api/errors/movie-errors");
+const { Common: Errors, Revert } = require("../../api/errors/revision-errors");
+
+class RevertAbl {
+  constructor(revisionDao, movieDao, formatDao) {
+    this.revisionDao = revisionDao;
+    this.movieDao = movieDao;
+    this.formatDao = formatDao;
+  }
+
+  async revert(dtoIn) {
+    // Check movie existence
+    const movie = await this.movieDao.getById(dtoIn.movieId, dtoIn.userId);
+    if (!movie) {
+      throw new MovieErrors.MovieDoesNotExist({ movieId: dtoIn.movieId });
+    }
+
+    // Check revision existence
+    const revision = await this.revisionDao.getByMovieAndRevision(dtoIn.movieId, dtoIn.revision);
+    if (!revision) {
+      throw new Errors.RevisionDoesNotExist({ movieId: dtoIn.movieId, revision: dtoIn.revision });
+    }
+
+    // Check that the format of the revision still exists
+    const { format } = revision.snapshot;
+    const existingFormat = await this.formatDao.getByName(format);
+    if (existingFormat?.name !== format) {
+      throw new Revert.RevisionFormatDoesNotExist({ movieId: dtoIn.movieId, revision: dtoIn.revision, format });
+    }
+
+    // Revert movie
+    const movieData = await this.movieDao.revert(RevisionDto.prepareRevertDtoIn(dtoIn));
+    if (!movieData) {
+      throw new MovieErrors.MovieDoesNotExist({ movieId: dtoIn.movieId });
+    }
+
+    // Return reverted movie data
+    return { data: movieData, status: 1 };
+  }
+
+}
+
+module.exports = RevertAbl;
@@ -0,0 +1,25 @@
+const SeriesDto = require("../../components/dto/series-dto");
+const { Common: Errors } = require("../../api/errors/series-errors");
+
+class CreateAbl {
+  constructor(seriesDao) {
+    this.seriesDao = seriesDao;
+  }
+
+  async create(dtoIn) {
+    // Check that the name is not taken by another series of the user
+    const existingSeries = await this.seriesDao.getByName(dtoIn.name, dtoIn.userId);
+    if (existingSeries) {
+      throw new Errors.SeriesAlreadyExists({ name: dtoIn.name, seriesId: existingSeries.id });
+    }
+
+    // Create series
+    const series = await this.seriesDao.create(SeriesDto.prepareCreateDtoIn(dtoIn));
+
+    // Return series data
+    return { data: { ...series, movies: [] }, status: 1 };
+  }
+
+}
+
+module.exports = CreateAbl;
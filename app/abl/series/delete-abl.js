@@ -0,0 +1,21 @@
+const { Common: Errors } = require("../../api/errors/series-errors");
+
+class DeleteAbl {
+  constructor(seriesDao) {
+    this.seriesDao = seriesDao;
+  }
+
+  async delete(dtoIn) {
+    // Delete series (its movies stay in the collection)
+    const deleted = await this.seriesDao.delete(dtoIn.id, dtoIn.userId);
+    if (!deleted) {
+      throw new Errors.SeriesDoesNotExist({ seriesId: dtoIn.id });
+    }
+
+    // Return status
+    return { status: 1 };
+  }
+
+}
+
+module.exports = DeleteAbl;
@@ -0,0 +1,24 @@
+const { Common: Errors } = require("../../api/errors/series-errors");
+
+class GetAbl {
+  constructor(seriesDao) {
+    this.seriesDao = seriesDao;
+  }
+
+  async get(dtoIn) {
+    // Check series existence
+    const series = await this.seriesDao.getById(dtoIn.id, dtoIn.userId);
+    if (!series) {
+      throw new Errors.SeriesDoesNotExist({ seriesId: dtoIn.id });
+    }
+
+    // Load movies in watch order
+    const movies = await this.seriesDao.listMovies(series.id);
+
+    // Return series data
+    return { data: { ...series, movies }, status: 1 };
+  }
+
+}
+
+module.exports = GetAbl;
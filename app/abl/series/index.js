@@ -0,0 +1,42 @@
+const seriesDao = require('../../dao/series-sequelize-dao');
+const movieDao = require('../../dao/movie-sequelize-dao');
+
+const ListAbl = require('./list-abl');
+const GetAbl = require('./get-abl');
+const CreateAbl = require('./create-abl');
+const UpdateAbl = require('./update-abl');
+const DeleteAbl = require('./delete-abl');
+const SetMovieAbl = require('./set-movie-abl');
+const RemoveMovieAbl = require('./remove-movie-abl');
+
+/**
+ * Factory function to create series ABL instances with custom dependencies.
+ * Useful for testing with mocked dependencies.
+ *
+ * @param {Object} [dependencies={}] - Optional dependencies to inject.
+ * @param {Object} [dependencies.seriesDao] - Series DAO instance (defaults to real DAO).
+ * @param {Object} [dependencies.movieDao] - Movie DAO instance (defaults to real DAO).
+ * @returns {Object} Object containing all series ABL instances.
+ */
+function createSeriesAbls(dependencies = {}) {
+  const dao = dependencies.seriesDao || seriesDao;
+  const movies = dependencies.movieDao || movieDao;
+
+  return {
+    ListAbl: new ListAbl(dao),
+    GetAbl: new GetAbl(dao),
+    CreateAbl: new CreateAbl(dao),
+    UpdateAbl: new UpdateAbl(dao),
+    DeleteAbl: new DeleteAbl(dao),
+    SetMovieAbl: new SetMovieAbl(dao, movies),
+    RemoveMovieAbl: new RemoveMovieAbl(dao, movies),
+  };
+}
+
+// Create default instances with real dependencies
+const defaultAbls = createSeriesAbls();
+
+module.exports = {
+  ...defaultAbls,
+  createSeriesAbls, // Export factory for testing
+};
@@ -0,0 +1,18 @@
+const SeriesDto = require("../../components/dto/series-dto");
+const { DefaultValueMap } = require("../../constants/series-constants");
+
+class ListAbl {
+  constructor(seriesDao) {
+    this.seriesDao = seriesDao;
+  }
+
+  async list(dtoIn) {
+    // List series
+    const { itemList, total } = await this.seriesDao.list(SeriesDto.prepareListDtoIn(dtoIn));
+
+    // Return series list
+    return { data: itemList, meta: { total, pageSize: dtoIn.limit || DefaultValueMap.LIMIT }, status: 1 };
+  }
+}
+
+module.exports = ListAbl;
@@ -0,0 +1,38 @@
+const { Common: Errors, RemoveMovie } = require("../../api/errors/series-errors");
+const { Common: MovieErrors } = require("../../api/errors/movie-errors");
+
+class RemoveMovieAbl {
+  constructor(seriesDao, movieDao) {
+    this.seriesDao = seriesDao;
+    this.movieDao = movieDao;
+  }
+
+  async removeMovie(dtoIn) {
+    // Check series existence
+    const series = await this.seriesDao.getById(dtoIn.id, dtoIn.userId);
+    if (!series) {
+      throw new Errors.SeriesDoesNotExist({ seriesId: dtoIn.id });
+    }
+
+    // Check movie existence
+    const movie = await this.movieDao.getById(dtoIn.movieId, dtoIn.userId);
+    if (!movie) {
+      throw new MovieErrors.MovieDoesNotExist({ movieId: dtoIn.movieId });
+    }
+
+    // Check that the movie is part of the series
+    if (movie.seriesId !== series.id) {
+      throw new RemoveMovie.MovieNotInSeries({ seriesId: series.id, movieId: movie.id });
+    }
+
+    // Remove movie from the series
+    await this.seriesDao.removeMovie(movie.id, dtoIn.userId);
+    const movies = await this.seriesDao.listMovies(series.id);
+
+    // Return series data
+    return { data: { ...series, movies }, status: 1 };
+  }
+
+}
+
+module.exports = RemoveMovieAbl;
@@ -0,0 +1,39 @@
+const { Common: Errors, SetMovie } = require("../../api/errors/series-errors");
+const { Common: MovieErrors } = require("../../api/errors/movie-errors");
+
+class SetMovieAbl {
+  constructor(seriesDao, movieDao) {
+    this.seriesDao = seriesDao;
+    this.movieDao = movieDao;
+  }
+
+  async setMovie(dtoIn) {
+    // Check series existence
+    const series = await this.seriesDao.getById(dtoIn.id, dtoIn.userId);
+    if (!series) {
+      throw new Errors.SeriesDoesNotExist({ seriesId: dtoIn.id });
+    }
+
+    // Check movie existence
+    const movie = await this.movieDao.getById(dtoIn.movieId, dtoIn.userId);
+    if (!movie) {
+      throw new MovieErrors.MovieDoesNotExist({ movieId: dtoIn.movieId });
+    }
+
+    // Check that the position is free (or already held by this movie)
+    const holder = await this.seriesDao.getMovieAtPosition(series.id, dtoIn.position);
+    if (holder && holder.id !== movie.id) {
+      throw new SetMovie.SeriesPositionTaken({ seriesId: series.id, position: dtoIn.position, movieId: holder.id });
+    }
+
+    // Place movie in the series (moving it out of its previous series)
+    await this.seriesDao.setMoviePosition(movie.id, dtoIn.userId, series.id, dtoIn.position);
+    const movies = await this.seriesDao.listMovies(series.id);
+
+    // Return series data
+    return { data: { ...series, movies }, status: 1 };
+  }
+
+}
+
+module.exports = SetMovieAbl;
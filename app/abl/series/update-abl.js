@@ -0,0 +1,32 @@
+const SeriesDto = require("../../components/dto/series-dto");
+const { Common: Errors } = require("../../api/errors/series-errors");
+
+class UpdateAbl {
+  constructor(seriesDao) {
+    this.seriesDao = seriesDao;
+  }
+
+  async update(dtoIn) {
+    // Check series existence
+    const series = await this.seriesDao.getById(dtoIn.id, dtoIn.userId);
+    if (!series) {
+      throw new Errors.SeriesDoesNotExist({ seriesId: dtoIn.id });
+    }
+
+    // Check that the new name is not taken by another series of the user
+    const existingSeries = await this.seriesDao.getByName(dtoIn.name, dtoIn.userId);
+    if (existingSeries && existingSeries.id !== dtoIn.id) {
+      throw new Errors.SeriesAlreadyExists({ name: dtoIn.name, seriesId: existingSeries.id });
+    }
+
+    // Update series
+    const updatedSeries = await this.seriesDao.update(SeriesDto.prepareUpdateDtoIn(dtoIn));
+    const movies = await this.seriesDao.listMovies(series.id);
+
+    // Return series data
+    return { data: { ...updatedSeries, movies }, status: 1 };
+  }
+
+}
+
+module.exports = UpdateAbl;
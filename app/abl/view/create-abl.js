@@ -0,0 +1,26 @@
+const ViewDto = require("../../components/dto/view-dto");
+const { Common: MovieErrors } = require("../../api/errors/movie-errors");
+
+class CreateAbl {
+  constructor(viewDao, movieDao) {
+    this.viewDao = viewDao;
+    this.movieDao = movieDao;
+  }
+
+  async create(dtoIn) {
+    // Check movie existence
+    const movie = await this.movieDao.getById(dtoIn.movieId, dtoIn.userId);
+    if (!movie) {
+      throw new MovieErrors.MovieDoesNotExist({ movieId: dtoIn.movieId });
+    }
+
+    // Record viewing
+    const view = await this.viewDao.create(ViewDto.prepareCreateDtoIn(dtoIn));
+
+    // Return viewing data
+    return { data: view, status: 1 };
+  }
+
+}
+
+module.exports = CreateAbl;
@@ -0,0 +1,34 @@
+const viewDao = require('../../dao/view-sequelize-dao');
+const movieDao = require('../../dao/movie-sequelize-dao');
+
+const CreateAbl = require('./create-abl');
+const ListAbl = require('./list-abl');
+const ListRecentAbl = require('./list-recent-abl');
+
+/**
+ * Factory function to create viewing log ABL instances with custom dependencies.
+ * Useful for testing with mocked dependencies.
+ *
+ * @param {Object} [dependencies={}] - Optional dependencies to inject.
+ * @param {Object} [dependencies.viewDao] - View DAO instance (defaults to real DAO).
+ * @param {Object} [dependencies.movieDao] - Movie DAO instance (defaults to real DAO).
+ * @returns {Object} Object containing all viewing log ABL instances.
+ */
+function createViewAbls(dependencies = {}) {
+  const dao = dependencies.viewDao || viewDao;
+  const movies = dependencies.movieDao || movieDao;
+
+  return {
+    CreateAbl: new CreateAbl(dao, movies),
+    ListAbl: new ListAbl(dao, movies),
+    ListRecentAbl: new ListRecentAbl(dao),
+  };
+}
+
+// Create default instances with real dependencies
+const defaultAbls = createViewAbls();
+
+module.exports = {
+  ...defaultAbls,
+  createViewAbls, // Export factory for testing
+};
@@ -0,0 +1,26 @@
+const ViewDto = require("../../components/dto/view-dto");
+const { Common: MovieErrors } = require("../../api/errors/movie-errors");
+const { DefaultValueMap } = require("../../constants/view-constants");
+
+class ListAbl {
+  constructor(viewDao, movieDao) {
+    this.viewDao = viewDao;
+    this.movieDao = movieDao;
+  }
+
+  async list(dtoIn) {
+    // Check movie existence
+    const movie = await this.movieDao.getById(dtoIn.movieId, dtoIn.userId);
+    if (!movie) {
+      throw new MovieErrors.MovieDoesNotExist({ movieId: dtoIn.movieId });
+    }
+
+    // List viewings
+    const { itemList, total } = await this.viewDao.listByMovie(ViewDto.prepareListDtoIn(dtoIn));
+
+    // Return viewing list
+    return { data: itemList, meta: { total, pageSize: dtoIn.limit || DefaultValueMap.LIMIT }, status: 1 };
+  }
+}
+
+module.exports = ListAbl;
@@ -0,0 +1,17 @@
+const ViewDto = require("../../components/dto/view-dto");
+
+class ListRecentAbl {
+  constructor(viewDao) {
+    this.viewDao = viewDao;
+  }
+
+  async listRecent(dtoIn) {
+    // List recently watched movies
+    const itemList = await this.viewDao.listRecentMovies(ViewDto.prepareListRecentDtoIn(dtoIn));
+
+    // Return movie list
+    return { data: itemList, status: 1 };
+  }
+}
+
+module.exports = ListRecentAbl;
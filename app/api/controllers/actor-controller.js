@@ -0,0 +1,34 @@
+const { GetAbl, UpdateAbl, ListAbl, MergeAbl, ListDuplicatesAbl } = require('../../abl/actor');
+
+/**
+ * Controller for handling actor-related operations.
+ */
+class ActorController {
+  static async get(req, res) {
+    const result = await GetAbl.get({ ...req.validatedDtoIn, userId: req.user.id });
+    res.status(200).json(result);
+  }
+
+  static async update(req, res) {
+    const result = await UpdateAbl.update({ ...req.validatedDtoIn, userId: req.user.id });
+    res.status(200).json(result);
+  }
+
+  static async list(req, res) {
+    const result = await ListAbl.list({ ...req.validatedDtoIn, userId: req.user.id });
+    res.status(200).json(result);
+  }
+
+  static async merge(req, res) {
+    const result = await MergeAbl.merge({ ...req.validatedDtoIn, userId: req.user.id });
+    res.status(200).json(result);
+  }
+
+  static async listDuplicates(req, res) {
+    const result = await ListDuplicatesAbl.listDuplicates({ userId: req.user.id });
+    res.status(200).json(result);
+  }
+
+}
+
+module.exports = ActorController;
@@ -0,0 +1,34 @@
+const { ListAbl, GetAbl, CreateAbl, UpdateAbl, DeleteAbl } = require('../../abl/format');
+
+/**
+ * Controller for handling format-related operations.
+ */
+class FormatController {
+  static async list(req, res) {
+    const result = await ListAbl.list();
+    res.status(200).json(result);
+  }
+
+  static async get(req, res) {
+    const result = await GetAbl.get({ ...req.validatedDtoIn });
+    res.status(200).json(result);
+  }
+
+  static async create(req, res) {
+    const result = await CreateAbl.create({ ...req.validatedDtoIn, userId: req.user.id });
+    res.status(201).json(result);
+  }
+
+  static async update(req, res) {
+    const result = await UpdateAbl.update({ ...req.validatedDtoIn, userId: req.user.id });
+    res.status(200).json(result);
+  }
+
+  static async delete(req, res) {
+    const result = await DeleteAbl.delete({ ...req.validatedDtoIn, userId: req.user.id });
+    res.status(200).json(result);
+  }
+
+}
+
+module.exports = FormatController;
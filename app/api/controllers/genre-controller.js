@@ -0,0 +1,14 @@
+const { ListAbl } = require('../../abl/genre');
+
+/**
+ * Controller for handling genre-related operations.
+ */
+class GenreController {
+  static async list(req, res) {
+    const result = await ListAbl.list({ userId: req.user.id });
+    res.status(200).json(result);
+  }
+
+}
+
+module.exports = GenreController;
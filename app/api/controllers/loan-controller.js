@@ -0,0 +1,24 @@
+const { CreateAbl, ReturnAbl, ListAbl } = require('../../abl/loan');
+
+/**
+ * Controller for handling loans of physical movie copies.
+ */
+class LoanController {
+  static async create(req, res) {
+    const result = await CreateAbl.create({ ...req.validatedDtoIn, userId: req.user.id });
+    res.status(201).json(result);
+  }
+
+  static async return(req, res) {
+    const result = await ReturnAbl.return({ ...req.validatedDtoIn, userId: req.user.id });
+    res.status(200).json(result);
+  }
+
+  static async list(req, res) {
+    const result = await ListAbl.list({ ...req.validatedDtoIn, userId: req.user.id });
+    res.status(200).json(result);
+  }
+
+}
+
+module.exports = LoanController;
@@ -0,0 +1,51 @@
+const {
+  ListAbl, GetAbl, CreateAbl, UpdateAbl, DeleteAbl, ListMoviesAbl, SetMovieAbl, RemoveMovieAbl
+} = require('../../abl/location');
+
+/**
+ * Controller for handling the physical storage locations of the collection (rooms, shelves, boxes, and slots).
+ */
+class LocationController {
+  static async list(req, res) {
+    const result = await ListAbl.list({ userId: req.user.id });
+    res.status(200).json(result);
+  }
+
+  static async get(req, res) {
+    const result = await GetAbl.get({ ...req.validatedDtoIn, userId: req.user.id });
+    res.status(200).json(result);
+  }
+
+  static async create(req, res) {
+    const result = await CreateAbl.create({ ...req.validatedDtoIn, userId: req.user.id });
+    res.status(201).json(result);
+  }
+
+  static async update(req, res) {
+    const result = await UpdateAbl.update({ ...req.validatedDtoIn, userId: req.user.id });
+    res.status(200).json(result);
+  }
+
+  static async delete(req, res) {
+    const result = await DeleteAbl.delete({ ...req.validatedDtoIn, userId: req.user.id });
+    res.status(200).json(result);
+  }
+
+  static async listMovies(req, res) {
+    const result = await ListMoviesAbl.listMovies({ ...req.validatedDtoIn, userId: req.user.id });
+    res.status(200).json(result);
+  }
+
+  static async setMovie(req, res) {
+    const result = await SetMovieAbl.setMovie({ ...req.validatedDtoIn, userId: req.user.id });
+    res.status(200).json(result);
+  }
+
+  static async removeMovie(req, res) {
+    const result = await RemoveMovieAbl.removeMovie({ ...req.validatedDtoIn, userId: req.user.id });
+    res.status(200).json(result);
+  }
+
+}
+
+module.exports = LocationController;
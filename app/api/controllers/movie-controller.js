@@ -1,36 +1,85 @@
-const { CreateAbl, GetAbl, DeleteAbl, UpdateAbl, ListAbl, ImportAbl } = require('../../abl/movie');
+const {
+  CreateAbl, GetAbl, DeleteAbl, UpdateAbl, ListAbl, ImportAbl, ListTrashAbl, RestoreAbl, PurgeTrashAbl, BulkUpdateAbl,
+  BulkDeleteAbl, GetByBarcodeAbl, CreateFromBarcodeAbl
+} = require('../../abl/movie');
+const { toETag, parseIfMatch } = require('../../components/helpers/etag-helper');
 
 /**
  * Controller for handling movie-related operations.
  */
 class MovieController {
   static async create(req, res) {
-    const result = await CreateAbl.create(req.validatedDtoIn);
+    const result = await CreateAbl.create({ ...req.validatedDtoIn, userId: req.user.id });
     res.status(201).json(result);
   }
 
   static async get(req, res) {
-    const result = await GetAbl.get(req.validatedDtoIn);
+    const result = await GetAbl.get({ ...req.validatedDtoIn, userId: req.user.id });
+    res.set("ETag", toETag(result.data.version));
     res.status(200).json(result);
   }
 
   static async delete(req, res) {
-    const result = await DeleteAbl.delete(req.validatedDtoIn);
+    const result = await DeleteAbl.delete({
+      ...req.validatedDtoIn,
+      expectedVersions: parseIfMatch(req.get("If-Match")),
+      userId: req.user.id
+    });
     res.status(200).json(result);
   }
 
   static async update(req, res) {
-    const result = await UpdateAbl.update(req.validatedDtoIn);
+    const result = await UpdateAbl.update({
+      ...req.validatedDtoIn,
+      expectedVersions: parseIfMatch(req.get("If-Match")),
+      userId: req.user.id
+    });
+    res.set("ETag", toETag(result.data.version));
     res.status(200).json(result);
   }
 
   static async list(req, res) {
-    const result = await ListAbl.list(req.validatedDtoIn);
+    const result = await ListAbl.list({ ...req.validatedDtoIn, userId: req.user.id });
     res.status(200).json(result);
   }
 
   static async import(req, res) {
-    const result = await ImportAbl.import({ file: req.file });
+    const result = await ImportAbl.import({ file: req.file, userId: req.user.id });
+    res.status(200).json(result);
+  }
+
+  static async getByBarcode(req, res) {
+    const result = await GetByBarcodeAbl.getByBarcode({ ...req.validatedDtoIn, userId: req.user.id });
+    res.status(200).json(result);
+  }
+
+  static async createFromBarcode(req, res) {
+    const result = await CreateFromBarcodeAbl.createFromBarcode({ ...req.validatedDtoIn, userId: req.user.id });
+    res.status(201).json(result);
+  }
+
+  static async listTrash(req, res) {
+    const result = await ListTrashAbl.listTrash({ ...req.validatedDtoIn, userId: req.user.id });
+    res.status(200).json(result);
+  }
+
+  static async restore(req, res) {
+    const result = await RestoreAbl.restore({ ...req.validatedDtoIn, userId: req.user.id });
+    res.status(200).json(result);
+  }
+
+  static async purgeTrash(req, res) {
+    const result = await PurgeTrashAbl.purgeTrash({ userId: req.user.id });
+    res.status(200).json(result);
+  }
+
+  static async bulkUpdate(req, res) {
+    const result = await BulkUpdateAbl.bulkUpdate({ ...req.validatedDtoIn, userId: req.user.id });
+    res.status(200).json(result);
+  }
+
+  static async bulkDelete(req, res) {
+    const result = await BulkDeleteAbl.bulkDelete({ ...req.validatedDtoIn, userId: req.user.id });
     res.status(200).json(result);
   }
 
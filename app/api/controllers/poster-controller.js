@@ -0,0 +1,29 @@
+const { GetAbl, UpdateAbl } = require('../../abl/poster');
+const { Common: Errors } = require('../errors/poster-errors');
+const PosterConstants = require('../../constants/poster-constants');
+
+/**
+ * Controller for handling movie poster operations.
+ */
+class PosterController {
+  static async update(req, res) {
+    const result = await UpdateAbl.update({ ...req.validatedDtoIn, file: req.file, userId: req.user.id });
+    res.status(200).json(result);
+  }
+
+  static async get(req, res, next) {
+    const result = await GetAbl.get({ ...req.validatedDtoIn, userId: req.user.id });
+
+    // Posters are served only to their owner, so shared caches must not store them
+    res.set("Cache-Control", `private, max-age=${PosterConstants.CACHE_MAX_AGE_SECONDS}`);
+    res.type(result.data.contentType);
+    res.sendFile(result.data.filePath, { cacheControl: false }, (err) => {
+      if (!err || res.headersSent) return;
+
+      next(err.code === "ENOENT" ? new Errors.PosterDoesNotExist({ movieId: result.data.movieId }) : err);
+    });
+  }
+
+}
+
+module.exports = PosterController;
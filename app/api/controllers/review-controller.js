@@ -0,0 +1,29 @@
+const { CreateAbl, ListAbl, UpdateAbl, DeleteAbl } = require('../../abl/review');
+
+/**
+ * Controller for handling movie review operations.
+ */
+class ReviewController {
+  static async create(req, res) {
+    const result = await CreateAbl.create({ ...req.validatedDtoIn, userId: req.user.id });
+    res.status(201).json(result);
+  }
+
+  static async list(req, res) {
+    const result = await ListAbl.list({ ...req.validatedDtoIn, userId: req.user.id });
+    res.status(200).json(result);
+  }
+
+  static async update(req, res) {
+    const result = await UpdateAbl.update({ ...req.validatedDtoIn, userId: req.user.id });
+    res.status(200).json(result);
+  }
+
+  static async delete(req, res) {
+    const result = await DeleteAbl.delete({ ...req.validatedDtoIn, userId: req.user.id });
+    res.status(200).json(result);
+  }
+
+}
+
+module.exports = ReviewController;
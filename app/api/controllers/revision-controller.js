@@ -0,0 +1,19 @@
+const { ListAbl, RevertAbl } = require('../../abl/revision');
+
+/**
+ * Controller for handling movie revision operations.
+ */
+class RevisionController {
+  static async list(req, res) {
+    const result = await ListAbl.list({ ...req.validatedDtoIn, userId: req.user.id });
+    res.status(200).json(result);
+  }
+
+  static async revert(req, res) {
+    const result = await RevertAbl.revert({ ...req.validatedDtoIn, userId: req.user.id });
+    res.status(200).json(result);
+  }
+
+}
+
+module.exports = RevisionController;
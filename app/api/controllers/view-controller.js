@@ -0,0 +1,24 @@
+const { CreateAbl, ListAbl, ListRecentAbl } = require('../../abl/view');
+
+/**
+ * Controller for handling the viewing log of movies.
+ */
+class ViewController {
+  static async create(req, res) {
+    const result = await CreateAbl.create({ ...req.validatedDtoIn, userId: req.user.id });
+    res.status(201).json(result);
+  }
+
+  static async list(req, res) {
+    const result = await ListAbl.list({ ...req.validatedDtoIn, userId: req.user.id });
+    res.status(200).json(result);
+  }
+
+  static async listRecent(req, res) {
+    const result = await ListRecentAbl.listRecent({ ...req.validatedDtoIn, userId: req.user.id });
+    res.status(200).json(result);
+  }
+
+}
+
+module.exports = ViewController;
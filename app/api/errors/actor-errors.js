@@ -0,0 +1,41 @@
+const MainError = require("./main-error");
+
+const Common = {
+  ActorDoesNotExist: class extends MainError {
+    constructor(paramMap = {}) {
+      super({
+        message: "Actor does not exist",
+        code: "actorDoesNotExist",
+        statusCode: 404,
+        paramMap
+      });
+    }
+  }
+};
+
+const Update = {
+  ActorAlreadyExists: class extends MainError {
+    constructor(paramMap = {}) {
+      super({
+        message: "Actor with the same name already exists",
+        code: "actorAlreadyExists",
+        statusCode: 409,
+        paramMap
+      });
+    }
+  }
+};
+
+const Merge = {
+  TargetActorAmongSources: class extends MainError {
+    constructor(paramMap = {}) {
+      super({
+        message: "Actor cannot be merged into itself",
+        code: "targetActorAmongSources",
+        paramMap
+      });
+    }
+  }
+};
+
+module.exports = { Common, Update, Merge };
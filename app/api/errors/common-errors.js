@@ -50,6 +50,17 @@ class TokenMissing extends MainError {
   }
 }
 
+class AdminRequired extends MainError {
+  constructor(paramMap = {}) {
+    super({
+      message: "Only administrators can perform this operation",
+      code: "adminRequired",
+      statusCode: 403,
+      paramMap
+    });
+  }
+}
+
 class NotFound extends MainError {
   constructor(paramMap = {}) {
     super({
@@ -72,4 +83,4 @@ class PasswordLeadingOrTrailingWhitespace extends MainError {
   }
 }
 
-module.exports = { InvalidInputData, PasswordConfirmationMismatch, PasswordLeadingOrTrailingWhitespace, InvalidToken, TokenMissing, Unauthorized, NotFound };
\ No newline at end of file
+module.exports = { InvalidInputData, PasswordConfirmationMismatch, PasswordLeadingOrTrailingWhitespace, InvalidToken, TokenMissing, Unauthorized, AdminRequired, NotFound };
\ No newline at end of file
@@ -0,0 +1,40 @@
+const MainError = require("./main-error");
+
+const Common = {
+  FormatDoesNotExist: class extends MainError {
+    constructor(paramMap = {}) {
+      super({
+        message: "Format does not exist",
+        code: "formatDoesNotExist",
+        statusCode: 404,
+        paramMap
+      });
+    }
+  },
+
+  FormatAlreadyExists: class extends MainError {
+    constructor(paramMap = {}) {
+      super({
+        message: "Format with the same name already exists",
+        code: "formatAlreadyExists",
+        statusCode: 409,
+        paramMap
+      });
+    }
+  }
+};
+
+const Delete = {
+  FormatInUse: class extends MainError {
+    constructor(paramMap = {}) {
+      super({
+        message: "Format is used by movies and cannot be deleted",
+        code: "formatInUse",
+        statusCode: 409,
+        paramMap
+      });
+    }
+  }
+};
+
+module.exports = { Common, Delete };
@@ -0,0 +1,62 @@
+const MainError = require("./main-error");
+
+const Common = {
+  LoanDoesNotExist: class extends MainError {
+    constructor(paramMap = {}) {
+      super({
+        message: "Loan does not exist",
+        code: "loanDoesNotExist",
+        statusCode: 404,
+        paramMap
+      });
+    }
+  }
+};
+
+const Create = {
+  MovieNotLoanable: class extends MainError {
+    constructor(paramMap = {}) {
+      super({
+        message: "Movie in this format cannot be loaned",
+        code: "movieNotLoanable",
+        paramMap
+      });
+    }
+  },
+
+  MovieAlreadyOnLoan: class extends MainError {
+    constructor(paramMap = {}) {
+      super({
+        message: "Movie is already on loan",
+        code: "movieAlreadyOnLoan",
+        statusCode: 409,
+        paramMap
+      });
+    }
+  }
+};
+
+const Return = {
+  LoanAlreadyReturned: class extends MainError {
+    constructor(paramMap = {}) {
+      super({
+        message: "Loan has already been returned",
+        code: "loanAlreadyReturned",
+        statusCode: 409,
+        paramMap
+      });
+    }
+  },
+
+  ReturnBeforeLent: class extends MainError {
+    constructor(paramMap = {}) {
+      super({
+        message: "Return date cannot be earlier than the lent date",
+        code: "returnBeforeLent",
+        paramMap
+      });
+    }
+  }
+};
+
+module.exports = { Common, Create, Return };
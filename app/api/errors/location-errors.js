@@ -0,0 +1,63 @@
+const MainError = require("./main-error");
+
+const Common = {
+  LocationDoesNotExist: class extends MainError {
+    constructor(paramMap = {}) {
+      super({
+        message: "Location does not exist",
+        code: "locationDoesNotExist",
+        statusCode: 404,
+        paramMap
+      });
+    }
+  },
+
+  ParentLocationDoesNotExist: class extends MainError {
+    constructor(paramMap = {}) {
+      super({
+        message: "Parent location does not exist",
+        code: "parentLocationDoesNotExist",
+        statusCode: 404,
+        paramMap
+      });
+    }
+  },
+
+  InvalidLocationNesting: class extends MainError {
+    constructor(paramMap = {}) {
+      super({
+        message: "Location of this type cannot be placed there",
+        code: "invalidLocationNesting",
+        statusCode: 422,
+        paramMap
+      });
+    }
+  }
+};
+
+const Delete = {
+  LocationNotEmpty: class extends MainError {
+    constructor(paramMap = {}) {
+      super({
+        message: "Location contains other locations or movies and cannot be deleted",
+        code: "locationNotEmpty",
+        statusCode: 409,
+        paramMap
+      });
+    }
+  }
+};
+
+const SetMovie = {
+  MovieNotPhysical: class extends MainError {
+    constructor(paramMap = {}) {
+      super({
+        message: "Movie in this format has no physical copy to store",
+        code: "movieNotPhysical",
+        paramMap
+      });
+    }
+  }
+};
+
+module.exports = { Common, Delete, SetMovie };
@@ -10,6 +10,17 @@ const Create = {
         paramMap
       });
     }
+  },
+
+  PossibleDuplicatesFound: class extends MainError {
+    constructor(paramMap = {}) {
+      super({
+        message: "Movie may already exist; send force to create it anyway",
+        code: "possibleDuplicatesFound",
+        statusCode: 409,
+        paramMap
+      });
+    }
   }
 };
 
@@ -23,6 +34,28 @@ const Common = {
         paramMap
       });
     }
+  },
+
+  MovieVersionMismatch: class extends MainError {
+    constructor(paramMap = {}) {
+      super({
+        message: "Movie has been modified since it was retrieved",
+        code: "movieVersionMismatch",
+        statusCode: 412,
+        paramMap
+      });
+    }
+  },
+
+  MovieOnLoan: class extends MainError {
+    constructor(paramMap = {}) {
+      super({
+        message: "Movie is on loan and cannot be converted to a format that is not physical",
+        code: "movieOnLoan",
+        statusCode: 409,
+        paramMap
+      });
+    }
   }
 };
 
@@ -94,4 +127,121 @@ const Import = {
   }
 };
 
-module.exports = { Common, Import, Create };
\ No newline at end of file
+const List = {
+  InvalidCursor: class extends MainError {
+    constructor(paramMap = {}) {
+      super({
+        message: "Cursor is invalid or was issued for a different sort",
+        code: "invalidCursor",
+        paramMap
+      });
+    }
+  },
+
+  InvalidQuery: class extends MainError {
+    constructor(paramMap = {}) {
+      super({
+        message: "Search query could not be parsed",
+        code: "invalidQuery",
+        paramMap
+      });
+    }
+  }
+};
+
+const Restore = {
+  MovieNotInTrash: class extends MainError {
+    constructor(paramMap = {}) {
+      super({
+        message: "Movie is not in the trash",
+        code: "movieNotInTrash",
+        statusCode: 404,
+        paramMap
+      });
+    }
+  }
+};
+
+const Patch = {
+  PatchTestFailed: class extends MainError {
+    constructor(paramMap = {}) {
+      super({
+        message: "Patch test operation failed",
+        code: "patchTestFailed",
+        statusCode: 409,
+        paramMap
+      });
+    }
+  },
+
+  PatchTargetNotFound: class extends MainError {
+    constructor(paramMap = {}) {
+      super({
+        message: "Patch operation target does not exist",
+        code: "patchTargetNotFound",
+        statusCode: 422,
+        paramMap
+      });
+    }
+  },
+
+  InvalidPatchResult: class extends MainError {
+    constructor(paramMap = {}) {
+      super({
+        message: "Patch would result in an invalid movie",
+        code: "invalidPatchResult",
+        statusCode: 422,
+        paramMap
+      });
+    }
+  }
+};
+
+const Bulk = {
+  TooManyMovies: class extends MainError {
+    constructor(paramMap = {}) {
+      super({
+        message: "Filter selects too many movies",
+        code: "tooManyMovies",
+        paramMap
+      });
+    }
+  }
+};
+
+const FromBarcode = {
+  BarcodeNotInCatalog: class extends MainError {
+    constructor(paramMap = {}) {
+      super({
+        message: "Barcode is not in the catalog",
+        code: "barcodeNotInCatalog",
+        statusCode: 404,
+        paramMap
+      });
+    }
+  },
+
+  CatalogFormatDoesNotExist: class extends MainError {
+    constructor(paramMap = {}) {
+      super({
+        message: "Format of the catalog entry does not exist",
+        code: "catalogFormatDoesNotExist",
+        statusCode: 422,
+        paramMap
+      });
+    }
+  },
+
+  ActorsRequired: class extends MainError {
+    constructor(paramMap = {}) {
+      super({
+        message: "Actors are required as the catalog entry has none",
+        code: "actorsRequired",
+        statusCode: 422,
+        paramMap
+      });
+    }
+  }
+};
+
+module.exports = { Common, Import, Create, List, Restore, Patch, Bulk, FromBarcode };
\ No newline at end of file
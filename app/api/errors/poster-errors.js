@@ -0,0 +1,58 @@
+const MainError = require("./main-error");
+
+const Common = {
+  PosterDoesNotExist: class extends MainError {
+    constructor(paramMap = {}) {
+      super({
+        message: "Movie has no poster",
+        code: "posterDoesNotExist",
+        statusCode: 404,
+        paramMap
+      });
+    }
+  }
+};
+
+const Update = {
+  PosterFileMissing: class extends MainError {
+    constructor(paramMap = {}) {
+      super({ message: "Poster file is missing", code: "posterFileMissing", paramMap });
+    }
+  },
+
+  InvalidPosterType: class extends MainError {
+    constructor(paramMap = {}) {
+      super({ message: "Invalid poster file type", code: "invalidPosterType", paramMap });
+    }
+  },
+
+  PosterTooLarge: class extends MainError {
+    constructor(paramMap = {}) {
+      super({
+        message: "Poster file exceeds the maximum size",
+        code: "posterTooLarge",
+        statusCode: 413,
+        paramMap
+      });
+    }
+  },
+
+  InvalidPosterImage: class extends MainError {
+    constructor(paramMap = {}) {
+      super({
+        message: "Poster file is not a valid image",
+        code: "invalidPosterImage",
+        statusCode: 422,
+        paramMap
+      });
+    }
+  },
+
+  PosterUploadFailed: class extends MainError {
+    constructor(paramMap = {}) {
+      super({ message: "Poster upload failed", code: "posterUploadFailed", paramMap });
+    }
+  }
+};
+
+module.exports = { Common, Update };
@@ -0,0 +1,29 @@
+const MainError = require("./main-error");
+
+const Common = {
+  ReviewDoesNotExist: class extends MainError {
+    constructor(paramMap = {}) {
+      super({
+        message: "Review does not exist",
+        code: "reviewDoesNotExist",
+        statusCode: 404,
+        paramMap
+      });
+    }
+  }
+};
+
+const Create = {
+  ReviewAlreadyExists: class extends MainError {
+    constructor(paramMap = {}) {
+      super({
+        message: "User has already reviewed this movie",
+        code: "reviewAlreadyExists",
+        statusCode: 409,
+        paramMap
+      });
+    }
+  }
+};
+
+module.exports = { Common, Create };
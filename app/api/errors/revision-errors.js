@@ -0,0 +1,29 @@
+const MainError = require("./main-error");
+
+const Common = {
+  RevisionDoesNotExist: class extends MainError {
+    constructor(paramMap = {}) {
+      super({
+        message: "Revision does not exist",
+        code: "revisionDoesNotExist",
+        statusCode: 404,
+        paramMap
+      });
+    }
+  }
+};
+
+const Revert = {
+  RevisionFormatDoesNotExist: class extends MainError {
+    constructor(paramMap = {}) {
+      super({
+        message: "Format of the revision no longer exists",
+        code: "revisionFormatDoesNotExist",
+        statusCode: 409,
+        paramMap
+      });
+    }
+  }
+};
+
+module.exports = { Common, Revert };
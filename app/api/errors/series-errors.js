@@ -0,0 +1,53 @@
+const MainError = require("./main-error");
+
+const Common = {
+  SeriesDoesNotExist: class extends MainError {
+    constructor(paramMap = {}) {
+      super({
+        message: "Series does not exist",
+        code: "seriesDoesNotExist",
+        statusCode: 404,
+        paramMap
+      });
+    }
+  },
+
+  SeriesAlreadyExists: class extends MainError {
+    constructor(paramMap = {}) {
+      super({
+        message: "Series with the same name already exists",
+        code: "seriesAlreadyExists",
+        statusCode: 409,
+        paramMap
+      });
+    }
+  }
+};
+
+const SetMovie = {
+  SeriesPositionTaken: class extends MainError {
+    constructor(paramMap = {}) {
+      super({
+        message: "Position in the series is already taken by another movie",
+        code: "seriesPositionTaken",
+        statusCode: 409,
+        paramMap
+      });
+    }
+  }
+};
+
+const RemoveMovie = {
+  MovieNotInSeries: class extends MainError {
+    constructor(paramMap = {}) {
+      super({
+        message: "Movie is not part of the series",
+        code: "movieNotInSeries",
+        statusCode: 404,
+        paramMap
+      });
+    }
+  }
+};
+
+module.exports = { Common, SetMovie, RemoveMovie };
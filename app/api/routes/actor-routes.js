@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const ActorController = require('../controllers/actor-controller');
+const Validator = require('../../middleware/validator');
+const { authenticate } = require('../../middleware/auth-guard');
+const {
+  actorGetValidation,
+  actorUpdateValidation,
+  actorListValidation,
+  actorMergeValidation
+} = require('../../api/validation-schemas/actor-validation-schemas');
+
+router.get('/actors/duplicates',
+  authenticate,
+  ActorController.listDuplicates
+);
+
+router.get('/actors/:id',
+  authenticate,
+  Validator.validate(actorGetValidation),
+  ActorController.get
+);
+
+router.patch('/actors/:id',
+  authenticate,
+  Validator.validate(actorUpdateValidation),
+  ActorController.update
+);
+
+router.get('/actors',
+  authenticate,
+  Validator.validate(actorListValidation),
+  ActorController.list
+);
+
+router.post('/actors/:id/merge',
+  authenticate,
+  Validator.validate(actorMergeValidation),
+  ActorController.merge
+);
+
+module.exports = router;
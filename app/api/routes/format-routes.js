@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const FormatController = require('../controllers/format-controller');
+const Validator = require('../../middleware/validator');
+const { authenticate } = require('../../middleware/auth-guard');
+const {
+  formatGetValidation,
+  formatCreateValidation,
+  formatUpdateValidation,
+  formatDeleteValidation
+} = require('../../api/validation-schemas/format-validation-schemas');
+
+router.get('/formats',
+  authenticate,
+  FormatController.list
+);
+
+router.post('/formats',
+  authenticate,
+  Validator.validate(formatCreateValidation),
+  FormatController.create
+);
+
+router.get('/formats/:id',
+  authenticate,
+  Validator.validate(formatGetValidation),
+  FormatController.get
+);
+
+router.patch('/formats/:id',
+  authenticate,
+  Validator.validate(formatUpdateValidation),
+  FormatController.update
+);
+
+router.delete('/formats/:id',
+  authenticate,
+  Validator.validate(formatDeleteValidation),
+  FormatController.delete
+);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const GenreController = require('../controllers/genre-controller');
+const { authenticate } = require('../../middleware/auth-guard');
+
+router.get('/genres',
+  authenticate,
+  GenreController.list
+);
+
+module.exports = router;
@@ -3,9 +3,29 @@ const router = express.Router();
 const userRoutes = require('./user-routes');
 const sessionRoutes = require('./session-routes');
 const movieRoutes = require('./movie-routes');
+const actorRoutes = require('./actor-routes');
+const genreRoutes = require('./genre-routes');
+const reviewRoutes = require('./review-routes');
+const viewRoutes = require('./view-routes');
+const loanRoutes = require('./loan-routes');
+const revisionRoutes = require('./revision-routes');
+const formatRoutes = require('./format-routes');
+const posterRoutes = require('./poster-routes');
+const seriesRoutes = require('./series-routes');
+const locationRoutes = require('./location-routes');
 
 router.use(userRoutes);
 router.use(sessionRoutes);
 router.use(movieRoutes);
+router.use(actorRoutes);
+router.use(genreRoutes);
+router.use(reviewRoutes);
+router.use(viewRoutes);
+router.use(loanRoutes);
+router.use(revisionRoutes);
+router.use(formatRoutes);
+router.use(posterRoutes);
+router.use(seriesRoutes);
+router.use(locationRoutes);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const LoanController = require('../controllers/loan-controller');
+const Validator = require('../../middleware/validator');
+const { authenticate } = require('../../middleware/auth-guard');
+const {
+  loanCreateValidation,
+  loanReturnValidation,
+  loanListValidation
+} = require('../../api/validation-schemas/loan-validation-schemas');
+
+router.post('/movies/:movieId/loans',
+  authenticate,
+  Validator.validate(loanCreateValidation),
+  LoanController.create
+);
+
+router.post('/loans/:id/return',
+  authenticate,
+  Validator.validate(loanReturnValidation),
+  LoanController.return
+);
+
+router.get('/loans',
+  authenticate,
+  Validator.validate(loanListValidation),
+  LoanController.list
+);
+
+module.exports = router;
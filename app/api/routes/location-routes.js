@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+const LocationController = require('../controllers/location-controller');
+const Validator = require('../../middleware/validator');
+const { authenticate } = require('../../middleware/auth-guard');
+const {
+  locationGetValidation,
+  locationCreateValidation,
+  locationUpdateValidation,
+  locationDeleteValidation,
+  locationListMoviesValidation,
+  locationSetMovieValidation,
+  locationRemoveMovieValidation
+} = require('../../api/validation-schemas/location-validation-schemas');
+
+router.get('/locations',
+  authenticate,
+  LocationController.list
+);
+
+router.post('/locations',
+  authenticate,
+  Validator.validate(locationCreateValidation),
+  LocationController.create
+);
+
+router.get('/locations/:id',
+  authenticate,
+  Validator.validate(locationGetValidation),
+  LocationController.get
+);
+
+router.patch('/locations/:id',
+  authenticate,
+  Validator.validate(locationUpdateValidation),
+  LocationController.update
+);
+
+router.delete('/locations/:id',
+  authenticate,
+  Validator.validate(locationDeleteValidation),
+  LocationController.delete
+);
+
+router.get('/locations/:id/movies',
+  authenticate,
+  Validator.validate(locationListMoviesValidation),
+  LocationController.listMovies
+);
+
+router.put('/movies/:movieId/location',
+  authenticate,
+  Validator.validate(locationSetMovieValidation),
+  LocationController.setMovie
+);
+
+router.delete('/movies/:movieId/location',
+  authenticate,
+  Validator.validate(locationRemoveMovieValidation),
+  LocationController.removeMovie
+);
+
+module.exports = router;
@@ -4,13 +4,21 @@ const FileUploader = require('../../middleware/file-uploader');
 const MovieController = require('../controllers/movie-controller');
 const Validator = require('../../middleware/validator');
 const { authenticate } = require('../../middleware/auth-guard');
+const { acceptJsonPatch } = require('../../middleware/json-patch');
 const {
   movieCreateValidation,
   movieGetValidation,
   movieDeleteValidation,
   movieUpdateValidation,
+  moviePatchValidation,
   movieListValidation,
-  movieImportValidation
+  movieImportValidation,
+  movieListTrashValidation,
+  movieRestoreValidation,
+  movieBulkUpdateValidation,
+  movieBulkDeleteValidation,
+  movieGetByBarcodeValidation,
+  movieCreateFromBarcodeValidation
 } = require('../../api/validation-schemas/movie-validation-schemas');
 
 router.post('/movies',
@@ -19,6 +27,47 @@ router.post('/movies',
   MovieController.create
 );
 
+router.get('/movies/trash',
+  authenticate,
+  Validator.validate(movieListTrashValidation),
+  MovieController.listTrash
+);
+
+router.post('/movies/trash/purge',
+  authenticate,
+  MovieController.purgeTrash
+);
+
+router.post('/movies/bulk-update',
+  authenticate,
+  Validator.validate(movieBulkUpdateValidation),
+  MovieController.bulkUpdate
+);
+
+router.post('/movies/bulk-delete',
+  authenticate,
+  Validator.validate(movieBulkDeleteValidation),
+  MovieController.bulkDelete
+);
+
+router.get('/movies/by-barcode/:code',
+  authenticate,
+  Validator.validate(movieGetByBarcodeValidation),
+  MovieController.getByBarcode
+);
+
+router.post('/movies/from-barcode',
+  authenticate,
+  Validator.validate(movieCreateFromBarcodeValidation),
+  MovieController.createFromBarcode
+);
+
+router.post('/movies/:id/restore',
+  authenticate,
+  Validator.validate(movieRestoreValidation),
+  MovieController.restore
+);
+
 router.get('/movies/:id',
   authenticate,
   Validator.validate(movieGetValidation),
@@ -31,6 +80,13 @@ router.delete('/movies/:id',
   MovieController.delete
 );
 
+router.patch('/movies/:id',
+  acceptJsonPatch,
+  authenticate,
+  Validator.validate(moviePatchValidation),
+  MovieController.update
+);
+
 router.patch('/movies/:id',
   authenticate,
   Validator.validate(movieUpdateValidation),
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const FileUploader = require('../../middleware/file-uploader');
+const PosterController = require('../controllers/poster-controller');
+const Validator = require('../../middleware/validator');
+const { authenticate } = require('../../middleware/auth-guard');
+const {
+  posterUpdateValidation,
+  posterGetValidation
+} = require('../../api/validation-schemas/poster-validation-schemas');
+
+router.put('/movies/:movieId/poster',
+  authenticate,
+  FileUploader.uploadPoster,
+  Validator.validate(posterUpdateValidation),
+  PosterController.update
+);
+
+router.get('/movies/:movieId/poster',
+  authenticate,
+  Validator.validate(posterGetValidation),
+  PosterController.get
+);
+
+module.exports = router;
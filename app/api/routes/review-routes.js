@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const ReviewController = require('../controllers/review-controller');
+const Validator = require('../../middleware/validator');
+const { authenticate } = require('../../middleware/auth-guard');
+const {
+  reviewCreateValidation,
+  reviewListValidation,
+  reviewUpdateValidation,
+  reviewDeleteValidation
+} = require('../../api/validation-schemas/review-validation-schemas');
+
+router.post('/movies/:movieId/reviews',
+  authenticate,
+  Validator.validate(reviewCreateValidation),
+  ReviewController.create
+);
+
+router.get('/movies/:movieId/reviews',
+  authenticate,
+  Validator.validate(reviewListValidation),
+  ReviewController.list
+);
+
+router.patch('/movies/:movieId/reviews/:reviewId',
+  authenticate,
+  Validator.validate(reviewUpdateValidation),
+  ReviewController.update
+);
+
+router.delete('/movies/:movieId/reviews/:reviewId',
+  authenticate,
+  Validator.validate(reviewDeleteValidation),
+  ReviewController.delete
+);
+
+module.exports = router;
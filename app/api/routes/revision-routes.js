@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const RevisionController = require('../controllers/revision-controller');
+const Validator = require('../../middleware/validator');
+const { authenticate } = require('../../middleware/auth-guard');
+const {
+  revisionListValidation,
+  revisionRevertValidation
+} = require('../../api/validation-schemas/revision-validation-schemas');
+
+router.get('/movies/:movieId/revisions',
+  authenticate,
+  Validator.validate(revisionListValidation),
+  RevisionController.list
+);
+
+router.post('/movies/:movieId/revisions/:revision/revert',
+  authenticate,
+  Validator.validate(revisionRevertValidation),
+  RevisionController.revert
+);
+
+module.exports = router;
@@ -0,0 +1,58 @@
+const express = require('express');
+const router = express.Router();
+const SeriesController = require('../controllers/series-controller');
+const Validator = require('../../middleware/validator');
+const { authenticate } = require('../../middleware/auth-guard');
+const {
+  seriesListValidation,
+  seriesGetValidation,
+  seriesCreateValidation,
+  seriesUpdateValidation,
+  seriesDeleteValidation,
+  seriesSetMovieValidation,
+  seriesRemoveMovieValidation
+} = require('../../api/validation-schemas/series-validation-schemas');
+
+router.get('/series',
+  authenticate,
+  Validator.validate(seriesListValidation),
+  SeriesController.list
+);
+
+router.post('/series',
+  authenticate,
+  Validator.validate(seriesCreateValidation),
+  SeriesController.create
+);
+
+router.get('/series/:id',
+  authenticate,
+  Validator.validate(seriesGetValidation),
+  SeriesController.get
+);
+
+router.patch('/series/:id',
+  authenticate,
+  Validator.validate(seriesUpdateValidation),
+  SeriesController.update
+);
+
+router.delete('/series/:id',
+  authenticate,
+  Validator.validate(seriesDeleteValidation),
+  SeriesController.delete
+);
+
+router.put('/series/:id/movies/:movieId',
+  authenticate,
+  Validator.validate(seriesSetMovieValidation),
+  SeriesController.setMovie
+);
+
+router.delete('/series/:id/movies/:movieId',
+  authenticate,
+  Validator.validate(seriesRemoveMovieValidation),
+  SeriesController.removeMovie
+);
+
+module.exports = router;
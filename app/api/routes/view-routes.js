@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const ViewController = require('../controllers/view-controller');
+const Validator = require('../../middleware/validator');
+const { authenticate } = require('../../middleware/auth-guard');
+const {
+  viewCreateValidation,
+  viewListValidation,
+  viewListRecentValidation
+} = require('../../api/validation-schemas/view-validation-schemas');
+
+router.post('/movies/:movieId/views',
+  authenticate,
+  Validator.validate(viewCreateValidation),
+  ViewController.create
+);
+
+router.get('/movies/:movieId/views',
+  authenticate,
+  Validator.validate(viewListValidation),
+  ViewController.list
+);
+
+router.get('/views/recent',
+  authenticate,
+  Validator.validate(viewListRecentValidation),
+  ViewController.listRecent
+);
+
+module.exports = router;
@@ -0,0 +1,117 @@
+const { body, param, query } = require("express-validator");
+const MovieConstants = require("../../constants/movie-constants");
+
+/**
+ * Validation schema for retrieving an actor by its ID.
+ * Ensures that the `id` parameter is present, is a positive integer, and is properly formatted.
+ */
+const actorGetValidation = [
+  param("id")
+    .exists({ checkFalsy: true })
+    .withMessage("Actor ID is required")
+    .bail()
+    .isInt({ min: 1 })
+    .withMessage("Actor ID must be a positive integer")
+    .bail()
+    .toInt()
+];
+
+/**
+ * Validation schema for renaming an actor.
+ * Ensures that the new name is present and contains only valid characters.
+ */
+const actorUpdateValidation = [
+  param("id")
+    .exists({ checkFalsy: true })
+    .withMessage("Actor ID is required")
+    .bail()
+    .isInt({ min: 1 })
+    .withMessage("Actor ID must be a positive integer")
+    .bail()
+    .toInt(),
+
+  body("name")
+    .exists({ checkFalsy: true })
+    .withMessage("Name is required")
+    .bail()
+    .isString()
+    .withMessage("Name has invalid type (expected string)")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage("Name has invalid length (expected 1–255 characters)")
+    .bail()
+    .matches(MovieConstants.ACTOR_NAME_REGEX)
+    .withMessage("Actor name contains invalid characters")
+];
+
+/**
+ * Validation schema for listing actors.
+ * Ensures that the query parameters are valid and meet the specified criteria.
+ */
+const actorListValidation = [
+  query("search")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Search term cannot be empty")
+    .bail()
+    .isLength({ min: 1, max: 255 })
+    .withMessage("Search term has invalid length (expected 1–255 characters)"),
+
+  query("order")
+    .optional()
+    .trim()
+    .isIn(["ASC", "DESC"])
+    .withMessage("Order must be one of: ASC, DESC"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be an integer between 1 and 100")
+    .bail()
+    .toInt(),
+
+  query("offset")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Offset must be a non-negative integer")
+    .bail()
+    .toInt()
+];
+
+/**
+ * Validation schema for merging actors into one canonical actor.
+ * Ensures that the target `id` is valid and that `sourceIds` is a non-empty list of positive integers.
+ */
+const actorMergeValidation = [
+  param("id")
+    .exists({ checkFalsy: true })
+    .withMessage("Actor ID is required")
+    .bail()
+    .isInt({ min: 1 })
+    .withMessage("Actor ID must be a positive integer")
+    .bail()
+    .toInt(),
+
+  body("sourceIds")
+    .exists({ checkFalsy: true })
+    .withMessage("Source actor IDs are required")
+    .bail()
+    .isArray({ min: 1, max: 100 })
+    .withMessage("Source actor IDs must be an array with 1–100 items")
+    .bail()
+    .custom((sourceIds) => {
+      if (!sourceIds.every(id => Number.isInteger(id) && id > 0)) {
+        throw new Error("All source actor IDs must be positive integers");
+      }
+      return true;
+    })
+];
+
+module.exports = {
+  actorGetValidation,
+  actorUpdateValidation,
+  actorListValidation,
+  actorMergeValidation
+};
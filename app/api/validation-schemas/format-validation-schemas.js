@@ -0,0 +1,100 @@
+const { body, param } = require("express-validator");
+const FormatConstants = require("../../constants/format-constants");
+
+/**
+ * Validation schema for retrieving a format by its ID.
+ * Ensures that the `id` parameter is present, is a positive integer, and is properly formatted.
+ */
+const formatGetValidation = [
+  param("id")
+    .exists({ checkFalsy: true })
+    .withMessage("Format ID is required")
+    .bail()
+    .isInt({ min: 1 })
+    .withMessage("Format ID must be a positive integer")
+    .bail()
+    .toInt()
+];
+
+/**
+ * Validation schema for creating a format.
+ * Ensures that the name is present and contains only valid characters, and that `isPhysical` is a boolean if given.
+ */
+const formatCreateValidation = [
+  body("name")
+    .exists({ checkFalsy: true })
+    .withMessage("Name is required")
+    .bail()
+    .isString()
+    .withMessage("Name has invalid type (expected string)")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: FormatConstants.MAX_FORMAT_NAME_LENGTH })
+    .withMessage(`Name has invalid length (expected 1–${FormatConstants.MAX_FORMAT_NAME_LENGTH} characters)`)
+    .bail()
+    .matches(FormatConstants.FORMAT_NAME_REGEX)
+    .withMessage("Format name contains invalid characters"),
+
+  body("isPhysical")
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage("isPhysical must be true or false")
+];
+
+/**
+ * Validation schema for updating a format.
+ * Ensures that the `id` parameter is valid and that a new name, valid characters only, or `isPhysical` is given.
+ */
+const formatUpdateValidation = [
+  param("id")
+    .exists({ checkFalsy: true })
+    .withMessage("Format ID is required")
+    .bail()
+    .isInt({ min: 1 })
+    .withMessage("Format ID must be a positive integer")
+    .bail()
+    .toInt(),
+
+  body()
+    .custom(dtoIn => ["name", "isPhysical"].some(field => dtoIn[field] !== undefined))
+    .withMessage("Body must contain at least one of: name, isPhysical"),
+
+  body("name")
+    .optional()
+    .isString()
+    .withMessage("Name has invalid type (expected string)")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: FormatConstants.MAX_FORMAT_NAME_LENGTH })
+    .withMessage(`Name has invalid length (expected 1–${FormatConstants.MAX_FORMAT_NAME_LENGTH} characters)`)
+    .bail()
+    .matches(FormatConstants.FORMAT_NAME_REGEX)
+    .withMessage("Format name contains invalid characters"),
+
+  body("isPhysical")
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage("isPhysical must be true or false")
+];
+
+/**
+ * Validation schema for deleting a format.
+ * Ensures that the `id` parameter is present, is a positive integer, and is properly formatted.
+ */
+const formatDeleteValidation = [
+  param("id")
+    .exists({ checkFalsy: true })
+    .withMessage("Format ID is required")
+    .bail()
+    .isInt({ min: 1 })
+    .withMessage("Format ID must be a positive integer")
+    .bail()
+    .toInt()
+];
+
+module.exports = {
+  formatGetValidation,
+  formatCreateValidation,
+  formatUpdateValidation,
+  formatDeleteValidation
+};
@@ -0,0 +1,107 @@
+const { body, param, query } = require("express-validator");
+const LoanConstants = require("../../constants/loan-constants");
+const { toDateOnly } = require("../../components/helpers/date-helper");
+
+/**
+ * Validation schema for lending a movie.
+ * Ensures that the borrower name is present and that the due date is not earlier than the lent date.
+ */
+const loanCreateValidation = [
+  param("movieId")
+    .exists({ checkFalsy: true })
+    .withMessage("Movie ID is required")
+    .bail()
+    .isInt({ min: 1 })
+    .withMessage("Movie ID must be a positive integer")
+    .bail()
+    .toInt(),
+
+  body("borrowerName")
+    .exists({ checkFalsy: true })
+    .withMessage("Borrower name is required")
+    .bail()
+    .isString()
+    .withMessage("Borrower name has invalid type (expected string)")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: LoanConstants.MAX_BORROWER_NAME_LENGTH })
+    .withMessage(`Borrower name has invalid length (expected 1–${LoanConstants.MAX_BORROWER_NAME_LENGTH} characters)`),
+
+  body("lentAt")
+    .exists({ checkFalsy: true })
+    .withMessage("Lent date is required")
+    .bail()
+    .isISO8601({ strict: true })
+    .withMessage("Lent date must be a valid date (YYYY-MM-DD)")
+    .bail()
+    .customSanitizer(toDateOnly),
+
+  body("dueAt")
+    .exists({ checkFalsy: true })
+    .withMessage("Due date is required")
+    .bail()
+    .isISO8601({ strict: true })
+    .withMessage("Due date must be a valid date (YYYY-MM-DD)")
+    .bail()
+    .customSanitizer(toDateOnly)
+    .custom((dueAt, { req }) => {
+      if (req.body.lentAt && dueAt < toDateOnly(req.body.lentAt)) {
+        throw new Error("Due date cannot be earlier than the lent date");
+      }
+      return true;
+    })
+];
+
+/**
+ * Validation schema for returning a lent movie.
+ * The return date is optional and defaults to today.
+ */
+const loanReturnValidation = [
+  param("id")
+    .exists({ checkFalsy: true })
+    .withMessage("Loan ID is required")
+    .bail()
+    .isInt({ min: 1 })
+    .withMessage("Loan ID must be a positive integer")
+    .bail()
+    .toInt(),
+
+  body("returnedAt")
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage("Return date must be a valid date (YYYY-MM-DD)")
+    .bail()
+    .customSanitizer(toDateOnly)
+];
+
+/**
+ * Validation schema for listing loans.
+ * Ensures that the status filter and pagination parameters are valid.
+ */
+const loanListValidation = [
+  query("status")
+    .optional()
+    .trim()
+    .isIn(LoanConstants.LOAN_STATUSES)
+    .withMessage(`Status must be one of: ${LoanConstants.LOAN_STATUSES.join(", ")}`),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be an integer between 1 and 100")
+    .bail()
+    .toInt(),
+
+  query("offset")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Offset must be a non-negative integer")
+    .bail()
+    .toInt()
+];
+
+module.exports = {
+  loanCreateValidation,
+  loanReturnValidation,
+  loanListValidation
+};
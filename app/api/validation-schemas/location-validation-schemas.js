@@ -0,0 +1,201 @@
+const { body, param, query } = require("express-validator");
+const LocationConstants = require("../../constants/location-constants");
+
+/**
+ * Validates the ID of a parent location, which may be null for a top-level location.
+ *
+ * @param {*} value - The parent location ID.
+ * @returns {boolean} True if the value is null or a positive integer.
+ */
+function validateParentId(value) {
+  return value === null || /^[1-9]\d*$/.test(String(value));
+}
+
+/**
+ * Converts a parent location ID to an integer, keeping null.
+ *
+ * @param {*} value - The validated parent location ID.
+ * @returns {number|null} The parent location ID.
+ */
+function sanitizeParentId(value) {
+  return value === null ? null : Number(value);
+}
+
+/**
+ * Validation schema for retrieving a location by its ID.
+ * Ensures that the `id` parameter is present, is a positive integer, and is properly formatted.
+ */
+const locationGetValidation = [
+  param("id")
+    .exists({ checkFalsy: true })
+    .withMessage("Location ID is required")
+    .bail()
+    .isInt({ min: 1 })
+    .withMessage("Location ID must be a positive integer")
+    .bail()
+    .toInt()
+];
+
+/**
+ * Validation schema for creating a location.
+ * Ensures that the name and type are valid and that the parent location ID (if given) is a positive integer or null.
+ */
+const locationCreateValidation = [
+  body("name")
+    .exists({ checkFalsy: true })
+    .withMessage("Name is required")
+    .bail()
+    .isString()
+    .withMessage("Name has invalid type (expected string)")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: LocationConstants.MAX_LOCATION_NAME_LENGTH })
+    .withMessage(`Name has invalid length (expected 1–${LocationConstants.MAX_LOCATION_NAME_LENGTH} characters)`),
+
+  body("type")
+    .exists({ checkFalsy: true })
+    .withMessage("Type is required")
+    .bail()
+    .isIn(LocationConstants.LOCATION_TYPES)
+    .withMessage(`Type must be one of: ${LocationConstants.LOCATION_TYPES.join(", ")}`),
+
+  body("parentId")
+    .optional()
+    .custom(validateParentId)
+    .withMessage("Parent location ID must be a positive integer or null")
+    .bail()
+    .customSanitizer(sanitizeParentId)
+];
+
+/**
+ * Validation schema for updating a location.
+ * Ensures that the `id` parameter is valid and that at least one of the name, type, or parent location is given.
+ */
+const locationUpdateValidation = [
+  param("id")
+    .exists({ checkFalsy: true })
+    .withMessage("Location ID is required")
+    .bail()
+    .isInt({ min: 1 })
+    .withMessage("Location ID must be a positive integer")
+    .bail()
+    .toInt(),
+
+  body()
+    .custom(dtoIn => ["name", "type", "parentId"].some(field => dtoIn[field] !== undefined))
+    .withMessage("Body must contain at least one of: name, type, parentId"),
+
+  body("name")
+    .optional()
+    .isString()
+    .withMessage("Name has invalid type (expected string)")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: LocationConstants.MAX_LOCATION_NAME_LENGTH })
+    .withMessage(`Name has invalid length (expected 1–${LocationConstants.MAX_LOCATION_NAME_LENGTH} characters)`),
+
+  body("type")
+    .optional()
+    .isIn(LocationConstants.LOCATION_TYPES)
+    .withMessage(`Type must be one of: ${LocationConstants.LOCATION_TYPES.join(", ")}`),
+
+  body("parentId")
+    .optional()
+    .custom(validateParentId)
+    .withMessage("Parent location ID must be a positive integer or null")
+    .bail()
+    .customSanitizer(sanitizeParentId)
+];
+
+/**
+ * Validation schema for deleting a location.
+ * Ensures that the `id` parameter is present, is a positive integer, and is properly formatted.
+ */
+const locationDeleteValidation = [
+  param("id")
+    .exists({ checkFalsy: true })
+    .withMessage("Location ID is required")
+    .bail()
+    .isInt({ min: 1 })
+    .withMessage("Location ID must be a positive integer")
+    .bail()
+    .toInt()
+];
+
+/**
+ * Validation schema for listing the movies of a location.
+ * Ensures that the `id` parameter and the pagination parameters are valid.
+ */
+const locationListMoviesValidation = [
+  param("id")
+    .exists({ checkFalsy: true })
+    .withMessage("Location ID is required")
+    .bail()
+    .isInt({ min: 1 })
+    .withMessage("Location ID must be a positive integer")
+    .bail()
+    .toInt(),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be an integer between 1 and 100")
+    .bail()
+    .toInt(),
+
+  query("offset")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Offset must be a non-negative integer")
+    .bail()
+    .toInt()
+];
+
+/**
+ * Validation schema for storing a movie in a location.
+ * Ensures that the movie ID and the location ID are positive integers.
+ */
+const locationSetMovieValidation = [
+  param("movieId")
+    .exists({ checkFalsy: true })
+    .withMessage("Movie ID is required")
+    .bail()
+    .isInt({ min: 1 })
+    .withMessage("Movie ID must be a positive integer")
+    .bail()
+    .toInt(),
+
+  body("locationId")
+    .exists({ checkFalsy: true })
+    .withMessage("Location ID is required")
+    .bail()
+    .isInt({ min: 1 })
+    .withMessage("Location ID must be a positive integer")
+    .bail()
+    .toInt()
+];
+
+/**
+ * Validation schema for clearing the location of a movie.
+ * Ensures that the movie ID is present, is a positive integer, and is properly formatted.
+ */
+const locationRemoveMovieValidation = [
+  param("movieId")
+    .exists({ checkFalsy: true })
+    .withMessage("Movie ID is required")
+    .bail()
+    .isInt({ min: 1 })
+    .withMessage("Movie ID must be a positive integer")
+    .bail()
+    .toInt()
+];
+
+module.exports = {
+  locationGetValidation,
+  locationCreateValidation,
+  locationUpdateValidation,
+  locationDeleteValidation,
+  locationListMoviesValidation,
+  locationSetMovieValidation,
+  locationRemoveMovieValidation
+};
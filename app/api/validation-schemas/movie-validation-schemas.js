@@ -1,6 +1,15 @@
 const { body, param, query } = require("express-validator");
 const { Import: Errors } = require("../../api/errors/movie-errors");
 const MovieConstants = require("../../constants/movie-constants");
+const { LANGUAGE_CODES, COUNTRY_CODES } = require("../../constants/locale-constants");
+const ReviewConstants = require("../../constants/review-constants");
+const { toDateOnly } = require("../../components/helpers/date-helper");
+const { isValidBarcode, normalizeBarcode } = require("../../components/helpers/barcode-helper");
+const { parsePatchPath, getAllowedOperations } = require("../../components/helpers/movie-patch-helper");
+const { parseMovieQuery, listSearchTerms } = require("../../components/helpers/movie-query-helper");
+const FormatDao = require("../../dao/format-sequelize-dao");
+
+const MOVIE_FACETS = Object.values(MovieConstants.MovieFacetMap);
 
 /**
  * Validation schema for creating a new movie.
@@ -32,8 +41,7 @@ const movieCreateValidation = [
     .withMessage("Format is required")
     .bail()
     .trim()
-    .isIn(MovieConstants.VALID_FORMATS)
-    .withMessage(`Format must be one of: ${MovieConstants.VALID_FORMATS.join(", ")}`),
+    .custom(validateFormat),
 
   body("actors")
     .exists({ checkFalsy: true })
@@ -44,9 +52,77 @@ const movieCreateValidation = [
     .bail()
     .custom(validateActors)
     .bail()
-    .customSanitizer((actors) => {
-      return actors.map(actor => actor.trim());
-    })
+    .customSanitizer(sanitizeActors),
+
+  body("genres")
+    .optional()
+    .isArray()
+    .withMessage("Genres must be an array")
+    .bail()
+    .custom(validateGenres)
+    .bail()
+    .customSanitizer((genres) => {
+      return genres.map(genre => genre.trim());
+    }),
+
+  body("directors")
+    .optional()
+    .isArray()
+    .withMessage("Directors must be an array")
+    .bail()
+    .custom(validateDirectors)
+    .bail()
+    .customSanitizer(directors => directors.map(director => director.trim())),
+
+  body("runtime")
+    .optional()
+    .isInt({ min: MovieConstants.MIN_RUNTIME, max: MovieConstants.MAX_RUNTIME })
+    .withMessage(`Runtime must be between ${MovieConstants.MIN_RUNTIME} and ${MovieConstants.MAX_RUNTIME} minutes`)
+    .bail()
+    .toInt(),
+
+  body("synopsis")
+    .optional()
+    .isString()
+    .withMessage("Synopsis has invalid type (expected string)")
+    .bail()
+    .trim()
+    .isLength({ max: MovieConstants.MAX_SYNOPSIS_LENGTH })
+    .withMessage(`Synopsis cannot exceed ${MovieConstants.MAX_SYNOPSIS_LENGTH} characters`),
+
+  body("language")
+    .optional()
+    .isString()
+    .withMessage("Language has invalid type (expected string)")
+    .bail()
+    .trim()
+    .toLowerCase()
+    .isIn(LANGUAGE_CODES)
+    .withMessage("Language must be an ISO 639-1 code (e.g., en)"),
+
+  body("country")
+    .optional()
+    .isString()
+    .withMessage("Country has invalid type (expected string)")
+    .bail()
+    .trim()
+    .toUpperCase()
+    .isIn(COUNTRY_CODES)
+    .withMessage("Country must be an ISO 3166-1 alpha-2 code (e.g., US)"),
+
+  body("barcode")
+    .optional()
+    .custom(isValidBarcode)
+    .withMessage("Barcode must be a valid EAN-8, UPC-A, or EAN-13 code")
+    .bail()
+    .customSanitizer(normalizeBarcode),
+
+  body("force")
+    .optional()
+    .isBoolean()
+    .withMessage("Force must be true or false")
+    .bail()
+    .toBoolean(true)
 ];
 
 /**
@@ -61,7 +137,14 @@ const movieGetValidation = [
     .isInt({ min: 1 })
     .withMessage("Movie ID must be a positive integer")
     .bail()
-    .toInt()
+    .toInt(),
+
+  query("includeTrashed")
+    .optional()
+    .isIn(["true", "false"])
+    .withMessage("Include trashed must be true or false")
+    .bail()
+    .toBoolean(true)
 ];
 
 /**
@@ -82,6 +165,7 @@ const movieDeleteValidation = [
 /**
  * Validation schema for updating a movie.
  * Ensures that the required fields are present and meet the specified criteria.
+ * The runtime, synopsis, language, country, and barcode are cleared by sending `null`.
  */
 const movieUpdateValidation = [
   param("id")
@@ -112,8 +196,7 @@ const movieUpdateValidation = [
   body("format")
     .optional({ checkFalsy: true })
     .trim()
-    .isIn(MovieConstants.VALID_FORMATS)
-    .withMessage(`Format must be one of: ${MovieConstants.VALID_FORMATS.join(", ")}`),
+    .custom(validateFormat),
 
   body("actors")
     .optional({ checkFalsy: true })
@@ -122,48 +205,308 @@ const movieUpdateValidation = [
     .bail()
     .custom(validateActors)
     .bail()
-    .customSanitizer((actors) => {
-      return actors.map(actor => actor.trim());
-    })
+    .customSanitizer(sanitizeActors),
+
+  body("genres")
+    .optional()
+    .isArray()
+    .withMessage("Genres must be an array")
+    .bail()
+    .custom(validateGenres)
+    .bail()
+    .customSanitizer((genres) => {
+      return genres.map(genre => genre.trim());
+    }),
+
+  body("directors")
+    .optional()
+    .isArray()
+    .withMessage("Directors must be an array")
+    .bail()
+    .custom(validateDirectors)
+    .bail()
+    .customSanitizer(directors => directors.map(director => director.trim())),
+
+  body("runtime")
+    .optional()
+    .if(isNotNull)
+    .isInt({ min: MovieConstants.MIN_RUNTIME, max: MovieConstants.MAX_RUNTIME })
+    .withMessage(`Runtime must be between ${MovieConstants.MIN_RUNTIME} and ${MovieConstants.MAX_RUNTIME} minutes`)
+    .bail()
+    .toInt(),
+
+  body("synopsis")
+    .optional()
+    .if(isNotNull)
+    .isString()
+    .withMessage("Synopsis has invalid type (expected string)")
+    .bail()
+    .trim()
+    .isLength({ max: MovieConstants.MAX_SYNOPSIS_LENGTH })
+    .withMessage(`Synopsis cannot exceed ${MovieConstants.MAX_SYNOPSIS_LENGTH} characters`)
+    .customSanitizer(synopsis => synopsis || null),
+
+  body("language")
+    .optional()
+    .if(isNotNull)
+    .isString()
+    .withMessage("Language has invalid type (expected string)")
+    .bail()
+    .trim()
+    .toLowerCase()
+    .isIn(LANGUAGE_CODES)
+    .withMessage("Language must be an ISO 639-1 code (e.g., en)"),
+
+  body("country")
+    .optional()
+    .if(isNotNull)
+    .isString()
+    .withMessage("Country has invalid type (expected string)")
+    .bail()
+    .trim()
+    .toUpperCase()
+    .isIn(COUNTRY_CODES)
+    .withMessage("Country must be an ISO 3166-1 alpha-2 code (e.g., US)"),
+
+  body("barcode")
+    .optional()
+    .if(isNotNull)
+    .custom(isValidBarcode)
+    .withMessage("Barcode must be a valid EAN-8, UPC-A, or EAN-13 code")
+    .bail()
+    .customSanitizer(normalizeBarcode)
 ];
 
+/**
+ * Validation schema for updating a movie with JSON Patch operations (RFC 6902).
+ * Ensures that every operation has a supported op and path, and a value matching the movie shape.
+ */
+const moviePatchValidation = [
+  param("id")
+    .exists({ checkFalsy: true })
+    .withMessage("Movie ID is required")
+    .bail()
+    .isInt({ min: 1 })
+    .withMessage("Movie ID must be a positive integer")
+    .bail()
+    .toInt(),
+
+  body("operations")
+    .isArray({ min: 1, max: MovieConstants.MAX_PATCH_OPERATIONS })
+    .withMessage(`Patch must be an array of 1–${MovieConstants.MAX_PATCH_OPERATIONS} operations`)
+    .bail()
+    .custom(validatePatchOperations)
+    .bail()
+    .customSanitizer(sanitizePatchOperations)
+];
+
+/**
+ * Builds the validation of the movie filters shared by listing movies and by the `filter` of bulk operations.
+ *
+ * @param {Function} field - Creates the validation chain of a filter by its name, e.g. `query`.
+ * @returns {Array} The validation chains of the filters.
+ */
+function movieFilterValidation(field) {
+  return [
+    field("actor")
+      .optional()
+      .isString()
+      .withMessage("Actor search term has invalid type (expected string)")
+      .bail()
+      .trim()
+      .notEmpty()
+      .withMessage("Actor search term cannot be empty")
+      .bail()
+      .isLength({ min: 1, max: 255 })
+      .withMessage("Actor search term has invalid length (expected 1–255 characters)"),
+
+    field("title")
+      .optional()
+      .isString()
+      .withMessage("Title search term has invalid type (expected string)")
+      .bail()
+      .trim()
+      .notEmpty()
+      .withMessage("Title search term cannot be empty")
+      .bail()
+      .isLength({ min: 1, max: 255 })
+      .withMessage("Title search term has invalid length (expected 1–255 characters)"),
+
+    field("search")
+      .optional()
+      .isString()
+      .withMessage("Search term has invalid type (expected string)")
+      .bail()
+      .trim()
+      .notEmpty()
+      .withMessage("Search term cannot be empty")
+      .bail()
+      .isLength({ min: 1, max: 255 })
+      .withMessage("Search term has invalid length (expected 1–255 characters)"),
+
+    field("genre")
+      .optional()
+      .customSanitizer(toList)
+      .isArray({ min: 1 })
+      .withMessage("Genre filter cannot be empty")
+      .bail()
+      .custom(validateGenres),
+
+    field("genreMatch")
+      .optional()
+      .trim()
+      .isIn(MovieConstants.GENRE_MATCH_TYPES)
+      .withMessage(`Genre match must be one of: ${MovieConstants.GENRE_MATCH_TYPES.join(", ")}`),
+
+    field("minRating")
+      .optional()
+      .isFloat({ min: ReviewConstants.MIN_RATING, max: ReviewConstants.MAX_RATING })
+      .withMessage(`Minimum rating must be a number between ${ReviewConstants.MIN_RATING} and ${ReviewConstants.MAX_RATING}`)
+      .bail()
+      .toFloat(),
+
+    field("watched")
+      .optional()
+      .isIn(["true", "false"])
+      .withMessage("Watched must be true or false")
+      .bail()
+      .toBoolean(true),
+
+    field("lastWatchedBefore")
+      .optional()
+      .isISO8601({ strict: true })
+      .withMessage("Last watched before must be a valid date (YYYY-MM-DD)")
+      .bail()
+      .customSanitizer(toDateOnly)
+  ];
+}
+
+/**
+ * Validation of the `filter` that selects the movies of a bulk update or bulk delete.
+ */
+const bulkFilterValidation = movieFilterValidation(name => body(`filter.${name}`));
+
 /**
  * Validation schema for listing movies.
  * Ensures that the query parameters are valid and meet the specified criteria.
  */
 const movieListValidation = [
-  query("actor")
+  ...movieFilterValidation(query),
+
+  query("actors")
+    .optional()
+    .customSanitizer(toList)
+    .isArray({ min: 1 })
+    .withMessage("Actors filter cannot be empty")
+    .bail()
+    .custom(actors => actors.every(actor => actor.length <= 255))
+    .withMessage("Actor names in the actors filter cannot exceed 255 characters"),
+
+  query("actorMatch")
     .optional()
     .trim()
-    .notEmpty()
-    .withMessage("Actor search term cannot be empty")
+    .isIn(MovieConstants.ACTOR_MATCH_TYPES)
+    .withMessage(`Actor match must be one of: ${MovieConstants.ACTOR_MATCH_TYPES.join(", ")}`),
+
+  query("hasActorCount")
+    .optional()
+    .trim()
+    .custom(validateActorCountRange)
     .bail()
-    .isLength({ min: 1, max: 255 })
-    .withMessage("Actor search term has invalid length (expected 1–255 characters)"),
+    .customSanitizer(toActorCountRange),
 
-  query("title")
+  query("q")
     .optional()
     .trim()
     .notEmpty()
-    .withMessage("Title search term cannot be empty")
+    .withMessage("Search query cannot be empty")
     .bail()
-    .isLength({ min: 1, max: 255 })
-    .withMessage("Title search term has invalid length (expected 1–255 characters)"),
+    .isLength({ max: MovieConstants.MAX_QUERY_LENGTH })
+    .withMessage(`Search query cannot be longer than ${MovieConstants.MAX_QUERY_LENGTH} characters`),
 
-  query("search")
+  query("director")
     .optional()
     .trim()
     .notEmpty()
-    .withMessage("Search term cannot be empty")
+    .withMessage("Director search term cannot be empty")
     .bail()
     .isLength({ min: 1, max: 255 })
-    .withMessage("Search term has invalid length (expected 1–255 characters)"),
+    .withMessage("Director search term has invalid length (expected 1–255 characters)"),
+
+  query("yearFrom")
+    .optional()
+    .isInt({ min: MovieConstants.MIN_YEAR, max: MovieConstants.MAX_YEAR })
+    .withMessage(`Year from must be between ${MovieConstants.MIN_YEAR} and ${MovieConstants.MAX_YEAR}`)
+    .bail()
+    .toInt(),
+
+  query("yearTo")
+    .optional()
+    .isInt({ min: MovieConstants.MIN_YEAR, max: MovieConstants.MAX_YEAR })
+    .withMessage(`Year to must be between ${MovieConstants.MIN_YEAR} and ${MovieConstants.MAX_YEAR}`)
+    .bail()
+    .toInt()
+    .custom((yearTo, { req }) => req.query.yearFrom === undefined || Number(req.query.yearFrom) <= yearTo)
+    .withMessage("Year to cannot be before year from"),
+
+  query("format")
+    .optional()
+    .customSanitizer(toList)
+    .isArray({ min: 1 })
+    .withMessage("Format filter cannot be empty")
+    .bail()
+    .custom(validateFormatList),
+
+  query("language")
+    .optional()
+    .trim()
+    .toLowerCase()
+    .isIn(LANGUAGE_CODES)
+    .withMessage("Language must be an ISO 639-1 code (e.g., en)"),
+
+  query("country")
+    .optional()
+    .trim()
+    .toUpperCase()
+    .isIn(COUNTRY_CODES)
+    .withMessage("Country must be an ISO 3166-1 alpha-2 code (e.g., US)"),
+
+  query("minRuntime")
+    .optional()
+    .isInt({ min: MovieConstants.MIN_RUNTIME, max: MovieConstants.MAX_RUNTIME })
+    .withMessage(`Minimum runtime must be between ${MovieConstants.MIN_RUNTIME} and ${MovieConstants.MAX_RUNTIME} minutes`)
+    .bail()
+    .toInt(),
+
+  query("maxRuntime")
+    .optional()
+    .isInt({ min: MovieConstants.MIN_RUNTIME, max: MovieConstants.MAX_RUNTIME })
+    .withMessage(`Maximum runtime must be between ${MovieConstants.MIN_RUNTIME} and ${MovieConstants.MAX_RUNTIME} minutes`)
+    .bail()
+    .toInt(),
+
+  query("series")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Series ID must be a positive integer")
+    .bail()
+    .toInt(),
+
+  query("includeTrashed")
+    .optional()
+    .isIn(["true", "false"])
+    .withMessage("Include trashed must be true or false")
+    .bail()
+    .toBoolean(true),
 
   query("sort")
     .optional()
     .trim()
-    .isIn(["id", "title", "year"])
-    .withMessage("Sort must be one of: id, title, year"),
+    .isIn(["id", "title", "year", "rating", "runtime", "relevance"])
+    .withMessage("Sort must be one of: id, title, year, rating, runtime, relevance")
+    .bail()
+    .custom((sort, { req }) => sort !== "relevance" || hasSearchTerms(req.query))
+    .withMessage("Sort by relevance requires a search term (in search, or a q term without a field)"),
 
   query("order")
     .optional()
@@ -183,7 +526,30 @@ const movieListValidation = [
     .isInt({ min: 0 })
     .withMessage("Offset must be a non-negative integer")
     .bail()
-    .toInt()
+    .toInt(),
+
+  query("cursor")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Cursor cannot be empty")
+    .bail()
+    .isLength({ max: MovieConstants.MAX_CURSOR_LENGTH })
+    .withMessage(`Cursor cannot be longer than ${MovieConstants.MAX_CURSOR_LENGTH} characters`)
+    .bail()
+    .custom((cursor, { req }) => req.query.offset === undefined)
+    .withMessage("Cursor cannot be combined with offset"),
+
+  query("facets")
+    .optional()
+    .customSanitizer(toList)
+    .isArray({ min: 1 })
+    .withMessage("Facets cannot be empty")
+    .bail()
+    .custom(facets => facets.every(facet => MOVIE_FACETS.includes(facet)))
+    .withMessage(`Facets must be any of: ${MOVIE_FACETS.join(", ")}`)
+    .bail()
+    .customSanitizer(facets => [...new Set(facets)])
 ];
 
 /**
@@ -214,22 +580,513 @@ const movieImportValidation = [
 ];
 
 /**
- * Validates an array of actor names.
+ * Validation schema for looking up movies by barcode.
+ * Ensures that the code is a valid EAN-8, UPC-A, or EAN-13 barcode and normalizes it.
+ */
+const movieGetByBarcodeValidation = [
+  param("code")
+    .custom(isValidBarcode)
+    .withMessage("Barcode must be a valid EAN-8, UPC-A, or EAN-13 code")
+    .bail()
+    .customSanitizer(normalizeBarcode)
+];
+
+/**
+ * Validation schema for creating a movie from the barcode catalog.
+ * Ensures that the barcode is valid and that the optional actors meet the same criteria as on creation.
+ */
+const movieCreateFromBarcodeValidation = [
+  body("barcode")
+    .exists({ checkFalsy: true })
+    .withMessage("Barcode is required")
+    .bail()
+    .custom(isValidBarcode)
+    .withMessage("Barcode must be a valid EAN-8, UPC-A, or EAN-13 code")
+    .bail()
+    .customSanitizer(normalizeBarcode),
+
+  body("actors")
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage("Actors must be an array with at least 1 actor")
+    .bail()
+    .custom(validateActors)
+    .bail()
+    .customSanitizer(sanitizeActors),
+
+  body("force")
+    .optional()
+    .isBoolean()
+    .withMessage("Force must be true or false")
+    .bail()
+    .toBoolean(true)
+];
+
+/**
+ * Validation schema for listing the trash.
+ * Ensures that the pagination parameters are valid.
+ */
+const movieListTrashValidation = [
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be an integer between 1 and 100")
+    .bail()
+    .toInt(),
+
+  query("offset")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Offset must be a non-negative integer")
+    .bail()
+    .toInt()
+];
+
+/**
+ * Validation schema for restoring a movie from the trash.
+ * Ensures that the `id` parameter is present, is a positive integer, and is properly formatted.
+ */
+const movieRestoreValidation = [
+  param("id")
+    .exists({ checkFalsy: true })
+    .withMessage("Movie ID is required")
+    .bail()
+    .isInt({ min: 1 })
+    .withMessage("Movie ID must be a positive integer")
+    .bail()
+    .toInt()
+];
+
+/**
+ * Validation schema for updating many movies at once.
+ * Ensures that the movies are selected either by IDs or by a filter, and that the change contains at least one valid
+ * field. Fields of the change are validated like on update; actor and genre lists like on creation.
+ */
+const movieBulkUpdateValidation = [
+  body("ids")
+    .custom(validateBulkTarget),
+
+  body("ids")
+    .optional()
+    .isArray({ min: 1, max: MovieConstants.MAX_BULK_IDS })
+    .withMessage(`IDs must be an array of 1–${MovieConstants.MAX_BULK_IDS} movie IDs`)
+    .bail()
+    .custom(ids => ids.every(id => Number.isInteger(id) && id > 0))
+    .withMessage("Movie IDs must be positive integers")
+    .bail()
+    .customSanitizer(ids => [...new Set(ids)]),
+
+  body("filter")
+    .optional()
+    .isObject()
+    .withMessage("Filter must be an object")
+    .bail()
+    .custom(filter => MovieConstants.BULK_FILTER_FIELDS.some(field => filter[field] !== undefined))
+    .withMessage(`Filter must contain at least one of: ${MovieConstants.BULK_FILTER_FIELDS.join(", ")}`),
+
+  ...bulkFilterValidation,
+
+  body("changes")
+    .exists({ checkNull: true })
+    .withMessage("Changes are required")
+    .bail()
+    .isObject()
+    .withMessage("Changes must be an object")
+    .bail()
+    .custom(changes => MovieConstants.BULK_CHANGE_FIELDS.some(field => changes[field] !== undefined))
+    .withMessage(`Changes must contain at least one of: ${MovieConstants.BULK_CHANGE_FIELDS.join(", ")}`),
+
+  body("changes.title")
+    .optional()
+    .isString()
+    .withMessage("Title has invalid type (expected string)")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage("Title has invalid length (expected 1–255 characters)"),
+
+  body("changes.year")
+    .optional()
+    .isInt({ min: MovieConstants.MIN_YEAR, max: MovieConstants.MAX_YEAR })
+    .withMessage(`Year must be between ${MovieConstants.MIN_YEAR} and ${MovieConstants.MAX_YEAR}`)
+    .bail()
+    .toInt(),
+
+  body("changes.format")
+    .optional()
+    .trim()
+    .custom(validateFormat),
+
+  body("changes.addActors")
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage("Added actors must be an array with at least 1 actor")
+    .bail()
+    .custom(validateActors)
+    .bail()
+    .customSanitizer(sanitizeActors),
+
+  body("changes.removeActors")
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage("Removed actors must be an array with at least 1 actor name")
+    .bail()
+    .custom(names => names.every(name => typeof name === "string" && name.trim()))
+    .withMessage("Removed actors must be non-empty actor names")
+    .bail()
+    .customSanitizer(names => names.map(name => name.trim())),
+
+  body("changes.addGenres")
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage("Added genres must be an array with at least 1 genre")
+    .bail()
+    .custom(validateGenres)
+    .bail()
+    .customSanitizer(genres => genres.map(genre => genre.trim())),
+
+  body("changes.removeGenres")
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage("Removed genres must be an array with at least 1 genre")
+    .bail()
+    .custom(validateGenres)
+    .bail()
+    .customSanitizer(genres => genres.map(genre => genre.trim()))
+];
+
+/**
+ * Validation schema for deleting many movies at once.
+ * Ensures that the movies are selected either by IDs or by a filter.
+ */
+const movieBulkDeleteValidation = [
+  body("ids")
+    .custom(validateBulkTarget),
+
+  body("ids")
+    .optional()
+    .isArray({ min: 1, max: MovieConstants.MAX_BULK_IDS })
+    .withMessage(`IDs must be an array of 1–${MovieConstants.MAX_BULK_IDS} movie IDs`)
+    .bail()
+    .custom(ids => ids.every(id => Number.isInteger(id) && id > 0))
+    .withMessage("Movie IDs must be positive integers")
+    .bail()
+    .customSanitizer(ids => [...new Set(ids)]),
+
+  body("filter")
+    .optional()
+    .isObject()
+    .withMessage("Filter must be an object")
+    .bail()
+    .custom(filter => MovieConstants.BULK_FILTER_FIELDS.some(field => filter[field] !== undefined))
+    .withMessage(`Filter must contain at least one of: ${MovieConstants.BULK_FILTER_FIELDS.join(", ")}`),
+
+  ...bulkFilterValidation
+];
+
+/**
+ * Checks whether a movie list request has full-text search terms to rank by relevance: a `search` term, or a search
+ * term of `q` that is not negated. A `q` that cannot be parsed passes, so that its own `invalidQuery` error is reported.
+ *
+ * @param {Object} listQuery - The query parameters of the request.
+ * @returns {boolean} Returns `true` if there are search terms.
+ */
+function hasSearchTerms({ search, q }) {
+  if (search?.trim()) return true;
+  if (!q?.trim()) return false;
+
+  try {
+    return listSearchTerms(parseMovieQuery(q)).length > 0;
+  } catch {
+    return true;
+  }
+}
+
+/**
+ * Ensures that the movies of a bulk operation are selected by exactly one of `ids` and `filter`.
+ *
+ * @param {Array<number>} [ids] - The IDs of the movies.
+ * @param {Object} meta - The express-validator meta object.
+ * @param {Object} meta.req - The request with the body that may contain a filter.
+ * @returns {boolean} Returns `true` if exactly one of `ids` and `filter` is given.
+ * @throws {Error} If both or none of them are given.
+ */
+function validateBulkTarget(ids, { req }) {
+  if ((ids === undefined) === (req.body?.filter === undefined)) {
+    throw new Error("Either ids or filter is required, but not both");
+  }
+
+  return true;
+}
+
+/**
+ * Validates JSON Patch operations against the movie shape.
+ * Each operation must be an object with a supported `op` and `path` (see `parsePatchPath`); every operation except
+ * `remove` must have a `value` that is valid for its path.
+ *
+ * @async
+ * @param {Array<Object>} operations - The operations to validate.
+ * @returns {Promise<boolean>} Resolves to `true` if all operations are valid.
+ * @throws {Error} If an operation is malformed, its path or op is not supported, or its value is invalid.
+ */
+async function validatePatchOperations(operations) {
+  const formatNames = await listFormatNames();
+
+  operations.forEach((operation, index) => {
+    if (operation === null || typeof operation !== "object" || Array.isArray(operation)) {
+      throw new Error(`Operation ${index} must be an object`);
+    }
+
+    const { op, path } = operation;
+
+    if (!MovieConstants.PATCH_OPERATIONS.includes(op)) {
+      throw new Error(`Operation ${index} must have op one of: ${MovieConstants.PATCH_OPERATIONS.join(", ")}`);
+    }
+
+    const target = parsePatchPath(path);
+    if (!target) {
+      throw new Error(`Operation ${index} has an unsupported path "${path}"`);
+    }
+
+    const allowedOperations = getAllowedOperations(target);
+    if (!allowedOperations.includes(op)) {
+      throw new Error(`Operation ${index} cannot "${op}" "${path}" (expected one of: ${allowedOperations.join(", ")})`);
+    }
+
+    if (op === "remove") return;
+
+    if (!("value" in operation)) {
+      throw new Error(`Operation ${index} must have a value`);
+    }
+
+    try {
+      validatePatchValue(target, operation.value, formatNames);
+    } catch (error) {
+      throw new Error(`Operation ${index}: ${error.message}`);
+    }
+  });
+
+  return true;
+}
+
+/**
+ * Validates the value of a JSON Patch operation for its target.
+ *
+ * @param {Object} target - The target of the operation (see `parsePatchPath`).
+ * @param {*} value - The value of the operation.
+ * @param {Array<string>} formatNames - The names of the existing formats.
+ * @throws {Error} If the value is not valid for the target.
+ */
+function validatePatchValue({ field, member, property }, value, formatNames) {
+  if (property) {
+    if (value !== null && typeof value !== "string") throw new Error("Character must be a string or null");
+    if (value?.trim().length > 255) throw new Error("Character cannot exceed 255 characters");
+    return;
+  }
+
+  if (member !== undefined) {
+    if (field === "actors") return validateActors([value]);
+    return field === "directors" ? validateDirectors([value]) : validateGenres([value]);
+  }
+
+  switch (field) {
+    case "title":
+      if (typeof value !== "string" || !value.trim() || value.trim().length > 255) {
+        throw new Error("Title has invalid length (expected 1–255 characters)");
+      }
+      break;
+    case "year":
+      if (!Number.isInteger(value) || value < MovieConstants.MIN_YEAR || value > MovieConstants.MAX_YEAR) {
+        throw new Error(`Year must be between ${MovieConstants.MIN_YEAR} and ${MovieConstants.MAX_YEAR}`);
+      }
+      break;
+    case "format":
+      if (!formatNames.includes(value)) {
+        throw new Error(`Format must be one of: ${formatNames.join(", ")}`);
+      }
+      break;
+    case "actors":
+      if (!Array.isArray(value) || !value.length) throw new Error("Actors must be an array with at least 1 actor");
+      validateActors(value);
+      break;
+    case "genres":
+      if (!Array.isArray(value)) throw new Error("Genres must be an array");
+      validateGenres(value);
+      break;
+    case "directors":
+      if (!Array.isArray(value)) throw new Error("Directors must be an array");
+      validateDirectors(value);
+      break;
+    case "runtime":
+      if (!Number.isInteger(value) || value < MovieConstants.MIN_RUNTIME || value > MovieConstants.MAX_RUNTIME) {
+        throw new Error(`Runtime must be between ${MovieConstants.MIN_RUNTIME} and ${MovieConstants.MAX_RUNTIME} minutes`);
+      }
+      break;
+    case "synopsis":
+      if (typeof value !== "string" || value.trim().length > MovieConstants.MAX_SYNOPSIS_LENGTH) {
+        throw new Error(`Synopsis must be a string of at most ${MovieConstants.MAX_SYNOPSIS_LENGTH} characters`);
+      }
+      break;
+    case "language":
+      if (typeof value !== "string" || !LANGUAGE_CODES.includes(value.trim().toLowerCase())) {
+        throw new Error("Language must be an ISO 639-1 code (e.g., en)");
+      }
+      break;
+    case "country":
+      if (typeof value !== "string" || !COUNTRY_CODES.includes(value.trim().toUpperCase())) {
+        throw new Error("Country must be an ISO 3166-1 alpha-2 code (e.g., US)");
+      }
+      break;
+    case "barcode":
+      if (!isValidBarcode(value)) throw new Error("Barcode must be a valid EAN-8, UPC-A, or EAN-13 code");
+      break;
+  }
+}
+
+/**
+ * Keeps only the op, path, and value of validated JSON Patch operations and normalizes their values:
+ * strings are trimmed, language and country codes are normalized to their case, barcodes are normalized to their
+ * EAN form, and actors become `{ name, character }` objects.
+ *
+ * @param {Array<Object>} operations - The validated operations.
+ * @returns {Array<Object>} The sanitized operations.
+ */
+function sanitizePatchOperations(operations) {
+  return operations.map(({ op, path, value }) => {
+    if (op === "remove") return { op, path };
+
+    const { field, member, property } = parsePatchPath(path);
+    const toActor = actor => typeof actor === "string" ? { name: actor, character: null } : actor;
+
+    if (property) return { op, path, value: value?.trim() || null };
+    if (field === "actors") {
+      return { op, path, value: member === undefined ? sanitizeActors(value).map(toActor) : toActor(sanitizeActors([value])[0]) };
+    }
+    if (field === "genres" || field === "directors") {
+      return { op, path, value: member === undefined ? value.map(name => name.trim()) : value.trim() };
+    }
+    if (field === "language") return { op, path, value: value.trim().toLowerCase() };
+    if (field === "country") return { op, path, value: value.trim().toUpperCase() };
+    if (field === "barcode") return { op, path, value: normalizeBarcode(value) };
+
+    return { op, path, value: typeof value === "string" ? value.trim() : value };
+  });
+}
+
+/**
+ * Ensures that a format is one of the formats managed in the formats table.
+ * Format names are matched exactly, as movies refer to their format by name.
+ *
+ * @async
+ * @param {string} format - The format to validate.
+ * @returns {Promise<boolean>} Resolves to `true` if the format exists.
+ * @throws {Error} If the format does not exist.
+ */
+async function validateFormat(format) {
+  const formatNames = await listFormatNames();
+
+  if (!formatNames.includes(format)) {
+    throw new Error(`Format must be one of: ${formatNames.join(", ")}`);
+  }
+
+  return true;
+}
+
+/**
+ * Ensures that every format of a list is one of the formats managed in the formats table.
+ *
+ * @async
+ * @param {Array<string>} formats - The formats to validate.
+ * @returns {Promise<boolean>} Resolves to `true` if all formats exist.
+ * @throws {Error} If any format does not exist.
+ */
+async function validateFormatList(formats) {
+  const formatNames = await listFormatNames();
+
+  if (!formats.every(format => formatNames.includes(format))) {
+    throw new Error(`Formats must be any of: ${formatNames.join(", ")}`);
+  }
+
+  return true;
+}
+
+/**
+ * Validates an actor count: an exact count ("2") or a range whose bounds are separated by two dots and may each be
+ * left out ("2..4", "2..", "..4").
+ *
+ * @param {string} value - The actor count to validate.
+ * @returns {boolean} Returns `true` if the actor count is valid.
+ * @throws {Error} If the value is malformed, has no bound, or its lower bound is above its upper bound.
+ */
+function validateActorCountRange(value) {
+  const range = MovieConstants.ACTOR_COUNT_RANGE_REGEX.test(value) ? toActorCountRange(value) : null;
+
+  if (!range || (range.min === undefined && range.max === undefined)) {
+    throw new Error("Actor count must be a number or a range such as 2..4, 2.., or ..4");
+  }
+
+  if (range.min !== undefined && range.max !== undefined && range.min > range.max) {
+    throw new Error("Actor count range cannot have a lower bound above its upper bound");
+  }
+
+  return true;
+}
+
+/**
+ * Converts a validated actor count into its bounds.
+ *
+ * @param {string} value - The actor count.
+ * @returns {Object} The bounds `{ min, max }`, each undefined if left out.
+ */
+function toActorCountRange(value) {
+  const [, exact, min, max] = value.match(MovieConstants.ACTOR_COUNT_RANGE_REGEX);
+  const toBound = bound => bound === undefined ? undefined : Number(bound);
+
+  return exact === undefined ? { min: toBound(min), max: toBound(max) } : { min: Number(exact), max: Number(exact) };
+}
+
+/**
+ * Lists the names of all formats.
+ *
+ * @async
+ * @returns {Promise<Array<string>>} The format names sorted alphabetically.
+ */
+async function listFormatNames() {
+  const formats = await FormatDao.list();
+  return formats.map(format => format.name);
+}
+
+/**
+ * Validates an array of actors.
+ * Each actor is either a name or an object `{ name, character }`.
  * Ensures that each actor name is a non-empty string, does not exceed the maximum length,
  * and contains only valid characters as defined by the `ACTOR_NAME_REGEX`.
+ * An optional character name must be a string of at most 255 characters.
  *
- * @param {Array<string>} actors - The array of actor names to validate.
- * @returns {boolean} Returns `true` if all actor names are valid.
- * @throws {Error} If any actor name is not a string, is empty, exceeds 255 characters,
- *                 or contains invalid characters.
+ * @param {Array<string|Object>} actors - The array of actors to validate.
+ * @returns {boolean} Returns `true` if all actors are valid.
+ * @throws {Error} If any actor is neither a string nor an object with a name, the name is empty,
+ *                 exceeds 255 characters, or contains invalid characters, or the character is invalid.
  */
 function validateActors(actors) {
   for (const actor of actors) {
-    if (typeof actor !== "string") {
-      throw new Error("All actors must be strings");
+    const isObject = actor !== null && typeof actor === "object" && !Array.isArray(actor);
+
+    if (typeof actor !== "string" && !(isObject && typeof actor.name === "string")) {
+      throw new Error("All actors must be strings or objects with a name");
+    }
+
+    if (isObject && actor.character !== undefined && actor.character !== null) {
+      if (typeof actor.character !== "string") {
+        throw new Error("Character must be a string");
+      }
+
+      if (actor.character.trim().length > 255) {
+        throw new Error("Character cannot exceed 255 characters");
+      }
     }
 
-    const name = actor.trim();
+    const name = (isObject ? actor.name : actor).trim();
 
     if (!name) {
       throw new Error("Actor names cannot be empty");
@@ -247,11 +1104,126 @@ function validateActors(actors) {
   return true;
 }
 
+/**
+ * Validates an array of genre names.
+ * Ensures that each genre name is a non-empty string, does not exceed the maximum length,
+ * and contains only valid characters as defined by the `GENRE_NAME_REGEX`.
+ *
+ * @param {Array<string>} genres - The array of genre names to validate.
+ * @returns {boolean} Returns `true` if all genre names are valid.
+ * @throws {Error} If any genre name is not a string, is empty, is too long, or contains invalid characters.
+ */
+function validateGenres(genres) {
+  for (const genre of genres) {
+    if (typeof genre !== "string") {
+      throw new Error("All genres must be strings");
+    }
+
+    const name = genre.trim();
+
+    if (!name) {
+      throw new Error("Genre names cannot be empty");
+    }
+
+    if (name.length > MovieConstants.MAX_GENRE_NAME_LENGTH) {
+      throw new Error(`Genre name cannot exceed ${MovieConstants.MAX_GENRE_NAME_LENGTH} characters`);
+    }
+
+    if (!MovieConstants.GENRE_NAME_REGEX.test(name)) {
+      throw new Error("Genre name contains invalid characters");
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Validates an array of director names.
+ * Director names follow the same rules as actor names (see `ACTOR_NAME_REGEX`).
+ *
+ * @param {Array<string>} directors - The array of director names to validate.
+ * @returns {boolean} Returns `true` if all director names are valid.
+ * @throws {Error} If any director name is not a string, is empty, exceeds 255 characters, or contains invalid
+ *                 characters.
+ */
+function validateDirectors(directors) {
+  for (const director of directors) {
+    if (typeof director !== "string") {
+      throw new Error("All directors must be strings");
+    }
+
+    const name = director.trim();
+
+    if (!name) {
+      throw new Error("Director names cannot be empty");
+    }
+
+    if (name.length > 255) {
+      throw new Error("Director name cannot exceed 255 characters");
+    }
+
+    if (!MovieConstants.ACTOR_NAME_REGEX.test(name)) {
+      throw new Error("Director name contains invalid characters");
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Checks that a value is not `null`, so that the rest of a validation chain is skipped for it.
+ * An optional nullable field sent as `null` is cleared; any other value, including `""` and `0`, is validated.
+ * (`optional({ values: "null" })` is not used, as it would also drop the `null` from the validated data.)
+ *
+ * @param {*} value - The value to check.
+ * @returns {boolean} Returns `true` if the value is not `null`.
+ */
+function isNotNull(value) {
+  return value !== null;
+}
+
+/**
+ * Converts a query parameter that may be repeated or comma-separated into a list of trimmed values.
+ *
+ * @param {string|Array<string>} value - The raw query parameter value.
+ * @returns {Array<string>} The list of non-empty values.
+ */
+function toList(value) {
+  return [value].flat()
+    .flatMap(item => String(item).split(","))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Trims actor names and character names while keeping the shape of each actor.
+ *
+ * @param {Array<string|Object>} actors - The array of validated actors.
+ * @returns {Array<string|Object>} The array of trimmed actors.
+ */
+function sanitizeActors(actors) {
+  return actors.map(actor => {
+    if (typeof actor === "string") return actor.trim();
+
+    return {
+      name: actor.name.trim(),
+      character: actor.character?.trim() || null
+    };
+  });
+}
+
 module.exports = {
   movieCreateValidation,
   movieGetValidation,
   movieDeleteValidation,
   movieUpdateValidation,
+  moviePatchValidation,
   movieListValidation,
-  movieImportValidation
+  movieImportValidation,
+  movieGetByBarcodeValidation,
+  movieCreateFromBarcodeValidation,
+  movieListTrashValidation,
+  movieRestoreValidation,
+  movieBulkUpdateValidation,
+  movieBulkDeleteValidation
 };
\ No newline at end of file
@@ -0,0 +1,52 @@
+const { body, param, query } = require("express-validator");
+const { Update: Errors } = require("../../api/errors/poster-errors");
+const PosterConstants = require("../../constants/poster-constants");
+
+/**
+ * Validation schema for uploading the poster of a movie.
+ * Ensures that the movie ID is valid and that an image file is attached to the request.
+ */
+const posterUpdateValidation = [
+  param("movieId")
+    .exists({ checkFalsy: true })
+    .withMessage("Movie ID is required")
+    .bail()
+    .isInt({ min: 1 })
+    .withMessage("Movie ID must be a positive integer")
+    .bail()
+    .toInt(),
+
+  body(PosterConstants.UPLOAD_FIELD)
+    .custom((value, { req }) => {
+      if (!req.file?.size) {
+        throw new Errors.PosterFileMissing();
+      }
+      return true;
+    })
+];
+
+/**
+ * Validation schema for getting the poster of a movie.
+ * Ensures that the movie ID and the requested size are valid.
+ */
+const posterGetValidation = [
+  param("movieId")
+    .exists({ checkFalsy: true })
+    .withMessage("Movie ID is required")
+    .bail()
+    .isInt({ min: 1 })
+    .withMessage("Movie ID must be a positive integer")
+    .bail()
+    .toInt(),
+
+  query("size")
+    .optional()
+    .trim()
+    .isIn(PosterConstants.POSTER_SIZES)
+    .withMessage(`Size must be one of: ${PosterConstants.POSTER_SIZES.join(", ")}`)
+];
+
+module.exports = {
+  posterUpdateValidation,
+  posterGetValidation
+};
@@ -0,0 +1,135 @@
+const { body, param, query } = require("express-validator");
+const ReviewConstants = require("../../constants/review-constants");
+
+/**
+ * Validation schema for reviewing a movie.
+ * Ensures that the rating is an integer within the allowed range and that the optional text is not too long.
+ */
+const reviewCreateValidation = [
+  param("movieId")
+    .exists({ checkFalsy: true })
+    .withMessage("Movie ID is required")
+    .bail()
+    .isInt({ min: 1 })
+    .withMessage("Movie ID must be a positive integer")
+    .bail()
+    .toInt(),
+
+  body("rating")
+    .exists({ checkNull: true })
+    .withMessage("Rating is required")
+    .bail()
+    .isInt({ min: ReviewConstants.MIN_RATING, max: ReviewConstants.MAX_RATING })
+    .withMessage(`Rating must be an integer between ${ReviewConstants.MIN_RATING} and ${ReviewConstants.MAX_RATING}`)
+    .bail()
+    .toInt(),
+
+  body("text")
+    .optional({ values: "null" })
+    .isString()
+    .withMessage("Text has invalid type (expected string)")
+    .bail()
+    .trim()
+    .isLength({ max: ReviewConstants.MAX_TEXT_LENGTH })
+    .withMessage(`Text cannot exceed ${ReviewConstants.MAX_TEXT_LENGTH} characters`)
+];
+
+/**
+ * Validation schema for listing the reviews of a movie.
+ * Ensures that the movie ID and pagination parameters are valid.
+ */
+const reviewListValidation = [
+  param("movieId")
+    .exists({ checkFalsy: true })
+    .withMessage("Movie ID is required")
+    .bail()
+    .isInt({ min: 1 })
+    .withMessage("Movie ID must be a positive integer")
+    .bail()
+    .toInt(),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be an integer between 1 and 100")
+    .bail()
+    .toInt(),
+
+  query("offset")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Offset must be a non-negative integer")
+    .bail()
+    .toInt()
+];
+
+/**
+ * Validation schema for updating a review.
+ * All fields are optional; provided fields must meet the same criteria as on creation.
+ */
+const reviewUpdateValidation = [
+  param("movieId")
+    .exists({ checkFalsy: true })
+    .withMessage("Movie ID is required")
+    .bail()
+    .isInt({ min: 1 })
+    .withMessage("Movie ID must be a positive integer")
+    .bail()
+    .toInt(),
+
+  param("reviewId")
+    .exists({ checkFalsy: true })
+    .withMessage("Review ID is required")
+    .bail()
+    .isInt({ min: 1 })
+    .withMessage("Review ID must be a positive integer")
+    .bail()
+    .toInt(),
+
+  body("rating")
+    .optional()
+    .isInt({ min: ReviewConstants.MIN_RATING, max: ReviewConstants.MAX_RATING })
+    .withMessage(`Rating must be an integer between ${ReviewConstants.MIN_RATING} and ${ReviewConstants.MAX_RATING}`)
+    .bail()
+    .toInt(),
+
+  body("text")
+    .optional({ values: "null" })
+    .isString()
+    .withMessage("Text has invalid type (expected string)")
+    .bail()
+    .trim()
+    .isLength({ max: ReviewConstants.MAX_TEXT_LENGTH })
+    .withMessage(`Text cannot exceed ${ReviewConstants.MAX_TEXT_LENGTH} characters`)
+];
+
+/**
+ * Validation schema for deleting a review.
+ * Ensures that the movie ID and review ID parameters are positive integers.
+ */
+const reviewDeleteValidation = [
+  param("movieId")
+    .exists({ checkFalsy: true })
+    .withMessage("Movie ID is required")
+    .bail()
+    .isInt({ min: 1 })
+    .withMessage("Movie ID must be a positive integer")
+    .bail()
+    .toInt(),
+
+  param("reviewId")
+    .exists({ checkFalsy: true })
+    .withMessage("Review ID is required")
+    .bail()
+    .isInt({ min: 1 })
+    .withMessage("Review ID must be a positive integer")
+    .bail()
+    .toInt()
+];
+
+module.exports = {
+  reviewCreateValidation,
+  reviewListValidation,
+  reviewUpdateValidation,
+  reviewDeleteValidation
+};
@@ -0,0 +1,59 @@
+const { param, query } = require("express-validator");
+
+/**
+ * Validation schema for listing the revisions of a movie.
+ * Ensures that the movie ID and pagination parameters are valid.
+ */
+const revisionListValidation = [
+  param("movieId")
+    .exists({ checkFalsy: true })
+    .withMessage("Movie ID is required")
+    .bail()
+    .isInt({ min: 1 })
+    .withMessage("Movie ID must be a positive integer")
+    .bail()
+    .toInt(),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be an integer between 1 and 100")
+    .bail()
+    .toInt(),
+
+  query("offset")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Offset must be a non-negative integer")
+    .bail()
+    .toInt()
+];
+
+/**
+ * Validation schema for reverting a movie to one of its revisions.
+ * Ensures that the movie ID and the revision number are positive integers.
+ */
+const revisionRevertValidation = [
+  param("movieId")
+    .exists({ checkFalsy: true })
+    .withMessage("Movie ID is required")
+    .bail()
+    .isInt({ min: 1 })
+    .withMessage("Movie ID must be a positive integer")
+    .bail()
+    .toInt(),
+
+  param("revision")
+    .exists({ checkFalsy: true })
+    .withMessage("Revision is required")
+    .bail()
+    .isInt({ min: 1 })
+    .withMessage("Revision must be a positive integer")
+    .bail()
+    .toInt()
+];
+
+module.exports = {
+  revisionListValidation,
+  revisionRevertValidation
+};
@@ -0,0 +1,162 @@
+const { body, param, query } = require("express-validator");
+const SeriesConstants = require("../../constants/series-constants");
+
+/**
+ * Validation schema for listing series.
+ * Ensures that the pagination parameters are valid.
+ */
+const seriesListValidation = [
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be an integer between 1 and 100")
+    .bail()
+    .toInt(),
+
+  query("offset")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Offset must be a non-negative integer")
+    .bail()
+    .toInt()
+];
+
+/**
+ * Validation schema for retrieving a series by its ID.
+ * Ensures that the `id` parameter is present, is a positive integer, and is properly formatted.
+ */
+const seriesGetValidation = [
+  param("id")
+    .exists({ checkFalsy: true })
+    .withMessage("Series ID is required")
+    .bail()
+    .isInt({ min: 1 })
+    .withMessage("Series ID must be a positive integer")
+    .bail()
+    .toInt()
+];
+
+/**
+ * Validation schema for creating a series.
+ * Ensures that the name is present and has a valid length.
+ */
+const seriesCreateValidation = [
+  body("name")
+    .exists({ checkFalsy: true })
+    .withMessage("Name is required")
+    .bail()
+    .isString()
+    .withMessage("Name has invalid type (expected string)")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: SeriesConstants.MAX_SERIES_NAME_LENGTH })
+    .withMessage(`Name has invalid length (expected 1–${SeriesConstants.MAX_SERIES_NAME_LENGTH} characters)`)
+];
+
+/**
+ * Validation schema for renaming a series.
+ * Ensures that the `id` parameter is valid and the new name has a valid length.
+ */
+const seriesUpdateValidation = [
+  param("id")
+    .exists({ checkFalsy: true })
+    .withMessage("Series ID is required")
+    .bail()
+    .isInt({ min: 1 })
+    .withMessage("Series ID must be a positive integer")
+    .bail()
+    .toInt(),
+
+  body("name")
+    .exists({ checkFalsy: true })
+    .withMessage("Name is required")
+    .bail()
+    .isString()
+    .withMessage("Name has invalid type (expected string)")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: SeriesConstants.MAX_SERIES_NAME_LENGTH })
+    .withMessage(`Name has invalid length (expected 1–${SeriesConstants.MAX_SERIES_NAME_LENGTH} characters)`)
+];
+
+/**
+ * Validation schema for deleting a series.
+ * Ensures that the `id` parameter is present, is a positive integer, and is properly formatted.
+ */
+const seriesDeleteValidation = [
+  param("id")
+    .exists({ checkFalsy: true })
+    .withMessage("Series ID is required")
+    .bail()
+    .isInt({ min: 1 })
+    .withMessage("Series ID must be a positive integer")
+    .bail()
+    .toInt()
+];
+
+/**
+ * Validation schema for placing a movie in a series.
+ * Ensures that both IDs are valid and that the position is within the allowed range.
+ */
+const seriesSetMovieValidation = [
+  param("id")
+    .exists({ checkFalsy: true })
+    .withMessage("Series ID is required")
+    .bail()
+    .isInt({ min: 1 })
+    .withMessage("Series ID must be a positive integer")
+    .bail()
+    .toInt(),
+
+  param("movieId")
+    .exists({ checkFalsy: true })
+    .withMessage("Movie ID is required")
+    .bail()
+    .isInt({ min: 1 })
+    .withMessage("Movie ID must be a positive integer")
+    .bail()
+    .toInt(),
+
+  body("position")
+    .exists({ checkNull: true })
+    .withMessage("Position is required")
+    .bail()
+    .isInt({ min: SeriesConstants.MIN_POSITION, max: SeriesConstants.MAX_POSITION })
+    .withMessage(`Position must be an integer between ${SeriesConstants.MIN_POSITION} and ${SeriesConstants.MAX_POSITION}`)
+    .bail()
+    .toInt()
+];
+
+/**
+ * Validation schema for removing a movie from a series.
+ * Ensures that both IDs are present, are positive integers, and are properly formatted.
+ */
+const seriesRemoveMovieValidation = [
+  param("id")
+    .exists({ checkFalsy: true })
+    .withMessage("Series ID is required")
+    .bail()
+    .isInt({ min: 1 })
+    .withMessage("Series ID must be a positive integer")
+    .bail()
+    .toInt(),
+
+  param("movieId")
+    .exists({ checkFalsy: true })
+    .withMessage("Movie ID is required")
+    .bail()
+    .isInt({ min: 1 })
+    .withMessage("Movie ID must be a positive integer")
+    .bail()
+    .toInt()
+];
+
+module.exports = {
+  seriesListValidation,
+  seriesGetValidation,
+  seriesCreateValidation,
+  seriesUpdateValidation,
+  seriesDeleteValidation,
+  seriesSetMovieValidation,
+  seriesRemoveMovieValidation
+};
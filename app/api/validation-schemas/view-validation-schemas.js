@@ -0,0 +1,99 @@
+const { body, param, query } = require("express-validator");
+const ViewConstants = require("../../constants/view-constants");
+const { toDateOnly, today } = require("../../components/helpers/date-helper");
+
+/**
+ * Validation schema for recording a viewing of a movie.
+ * Ensures that the viewing date is a valid calendar date that is not in the future.
+ */
+const viewCreateValidation = [
+  param("movieId")
+    .exists({ checkFalsy: true })
+    .withMessage("Movie ID is required")
+    .bail()
+    .isInt({ min: 1 })
+    .withMessage("Movie ID must be a positive integer")
+    .bail()
+    .toInt(),
+
+  body("watchedAt")
+    .exists({ checkFalsy: true })
+    .withMessage("Watched date is required")
+    .bail()
+    .isISO8601({ strict: true })
+    .withMessage("Watched date must be a valid date (YYYY-MM-DD)")
+    .bail()
+    .custom(validateNotInFuture)
+    .customSanitizer(toDateOnly),
+
+  body("note")
+    .optional({ values: "null" })
+    .isString()
+    .withMessage("Note has invalid type (expected string)")
+    .bail()
+    .trim()
+    .isLength({ max: ViewConstants.MAX_NOTE_LENGTH })
+    .withMessage(`Note cannot exceed ${ViewConstants.MAX_NOTE_LENGTH} characters`)
+];
+
+/**
+ * Validation schema for listing the viewings of a movie.
+ * Ensures that the movie ID and pagination parameters are valid.
+ */
+const viewListValidation = [
+  param("movieId")
+    .exists({ checkFalsy: true })
+    .withMessage("Movie ID is required")
+    .bail()
+    .isInt({ min: 1 })
+    .withMessage("Movie ID must be a positive integer")
+    .bail()
+    .toInt(),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be an integer between 1 and 100")
+    .bail()
+    .toInt(),
+
+  query("offset")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Offset must be a non-negative integer")
+    .bail()
+    .toInt()
+];
+
+/**
+ * Validation schema for listing recently watched movies.
+ * Ensures that the limit is a valid integer.
+ */
+const viewListRecentValidation = [
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be an integer between 1 and 100")
+    .bail()
+    .toInt()
+];
+
+/**
+ * Ensures that a date is not later than today.
+ *
+ * @param {string} value - The date to validate (ISO 8601).
+ * @returns {boolean} Returns `true` if the date is not in the future.
+ * @throws {Error} If the date is in the future.
+ */
+function validateNotInFuture(value) {
+  if (toDateOnly(value) > today()) {
+    throw new Error("Watched date cannot be in the future");
+  }
+  return true;
+}
+
+module.exports = {
+  viewCreateValidation,
+  viewListValidation,
+  viewListRecentValidation
+};
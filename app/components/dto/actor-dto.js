@@ -0,0 +1,48 @@
+const { DefaultValueMap } = require("../../constants/actor-constants");
+
+/**
+ * Data Transfer Object (DTO) for actors.
+ * Provides methods to prepare input data for various operations.
+ */
+class ActorDto {
+  /**
+   * Prepares the DTO for listing actors.
+   *
+   * @param {Object} dtoIn - The input data for listing actors.
+   * @param {number} dtoIn.userId - The ID of the user whose collection the actors appear in.
+   * @param {number} [dtoIn.limit] - The number of items per page.
+   * @param {number} [dtoIn.offset] - The starting point for pagination.
+   * @param {string} [dtoIn.order] - The sorting order by name (ASC or DESC).
+   * @param {string} [dtoIn.search] - A search term to filter actors by name.
+   * @returns {Object} The prepared DTO for listing actors.
+   */
+  prepareListDtoIn(dtoIn) {
+    return {
+      userId: dtoIn.userId,
+      limit: Number(dtoIn.limit) || DefaultValueMap.LIMIT,
+      offset: Number(dtoIn.offset) || DefaultValueMap.OFFSET,
+      order: dtoIn.order || DefaultValueMap.ORDER,
+      search: dtoIn.search,
+    };
+  }
+
+  /**
+   * Prepares the DTO for updating an actor.
+   *
+   * @param {Object} dtoIn - The input data for updating an actor.
+   * @param {number} dtoIn.id - The ID of the actor.
+   * @param {string} dtoIn.name - The new name of the actor.
+   * @param {number} dtoIn.userId - The ID of the user whose collection is updated.
+   * @returns {Object} The prepared DTO for updating an actor.
+   */
+  prepareUpdateDtoIn(dtoIn) {
+    return {
+      id: dtoIn.id,
+      name: dtoIn.name,
+      userId: dtoIn.userId,
+    };
+  }
+
+}
+
+module.exports = new ActorDto();
@@ -0,0 +1,40 @@
+/**
+ * Data Transfer Object (DTO) for formats.
+ * Provides methods to prepare input data for various operations.
+ */
+class FormatDto {
+  /**
+   * Prepares the DTO for creating a format.
+   *
+   * @param {Object} dtoIn - The input data for creating a format.
+   * @param {string} dtoIn.name - The name of the format.
+   * @param {boolean} [dtoIn.isPhysical] - Whether movies in the format are physical copies.
+   * @returns {Object} The prepared DTO for creating a format.
+   */
+  prepareCreateDtoIn(dtoIn) {
+    return {
+      name: dtoIn.name,
+      ...(dtoIn.isPhysical !== undefined && { isPhysical: dtoIn.isPhysical }),
+    };
+  }
+
+  /**
+   * Prepares the DTO for updating a format.
+   *
+   * @param {Object} dtoIn - The input data for updating a format.
+   * @param {number} dtoIn.id - The ID of the format.
+   * @param {string} [dtoIn.name] - The new name of the format.
+   * @param {boolean} [dtoIn.isPhysical] - Whether movies in the format are physical copies.
+   * @returns {Object} The prepared DTO for updating a format.
+   */
+  prepareUpdateDtoIn(dtoIn) {
+    return {
+      id: dtoIn.id,
+      ...(dtoIn.name !== undefined && { name: dtoIn.name }),
+      ...(dtoIn.isPhysical !== undefined && { isPhysical: dtoIn.isPhysical }),
+    };
+  }
+
+}
+
+module.exports = new FormatDto();
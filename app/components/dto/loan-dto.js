@@ -0,0 +1,50 @@
+const { DefaultValueMap } = require("../../constants/loan-constants");
+
+/**
+ * Data Transfer Object (DTO) for loans.
+ * Provides methods to prepare input data for various operations.
+ */
+class LoanDto {
+  /**
+   * Prepares the DTO for lending a movie.
+   *
+   * @param {Object} dtoIn - The input data for creating a loan.
+   * @param {number} dtoIn.movieId - The ID of the lent movie.
+   * @param {number} dtoIn.userId - The ID of the user who owns the movie.
+   * @param {string} dtoIn.borrowerName - The name of the borrower.
+   * @param {string} dtoIn.lentAt - The date the copy was lent (YYYY-MM-DD).
+   * @param {string} dtoIn.dueAt - The date the copy should be returned (YYYY-MM-DD).
+   * @returns {Object} The prepared DTO for creating a loan.
+   */
+  prepareCreateDtoIn(dtoIn) {
+    return {
+      movieId: dtoIn.movieId,
+      userId: dtoIn.userId,
+      borrowerName: dtoIn.borrowerName,
+      lentAt: dtoIn.lentAt,
+      dueAt: dtoIn.dueAt,
+    };
+  }
+
+  /**
+   * Prepares the DTO for listing loans.
+   *
+   * @param {Object} dtoIn - The input data for listing loans.
+   * @param {number} dtoIn.userId - The ID of the user who owns the lent movies.
+   * @param {string} [dtoIn.status] - The loan status to filter by.
+   * @param {number} [dtoIn.limit] - The number of items per page.
+   * @param {number} [dtoIn.offset] - The starting point for pagination.
+   * @returns {Object} The prepared DTO for listing loans.
+   */
+  prepareListDtoIn(dtoIn) {
+    return {
+      userId: dtoIn.userId,
+      status: dtoIn.status,
+      limit: Number(dtoIn.limit) || DefaultValueMap.LIMIT,
+      offset: Number(dtoIn.offset) || DefaultValueMap.OFFSET,
+    };
+  }
+
+}
+
+module.exports = new LoanDto();
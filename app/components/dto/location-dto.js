@@ -0,0 +1,69 @@
+const { DefaultValueMap } = require("../../constants/location-constants");
+
+/**
+ * Data Transfer Object (DTO) for locations.
+ * Provides methods to prepare input data for various operations.
+ */
+class LocationDto {
+  /**
+   * Prepares the DTO for creating a location.
+   *
+   * @param {Object} dtoIn - The input data for creating a location.
+   * @param {string} dtoIn.name - The name of the location.
+   * @param {string} dtoIn.type - The type of the location ("room", "shelf", "box", or "slot").
+   * @param {number|null} [dtoIn.parentId] - The ID of the location containing it.
+   * @param {number} dtoIn.userId - The ID of the user who owns the location.
+   * @returns {Object} The prepared DTO for creating a location.
+   */
+  prepareCreateDtoIn(dtoIn) {
+    return {
+      name: dtoIn.name,
+      type: dtoIn.type,
+      parentId: dtoIn.parentId ?? null,
+      userId: dtoIn.userId,
+    };
+  }
+
+  /**
+   * Prepares the DTO for updating a location. Fields that are not given are left unchanged.
+   *
+   * @param {Object} dtoIn - The input data for updating a location.
+   * @param {number} dtoIn.id - The ID of the location.
+   * @param {number} dtoIn.userId - The ID of the user who owns the location.
+   * @param {string} [dtoIn.name] - The new name of the location.
+   * @param {string} [dtoIn.type] - The new type of the location.
+   * @param {number|null} [dtoIn.parentId] - The ID of the new parent location, or null for a top-level location.
+   * @returns {Object} The prepared DTO for updating a location.
+   */
+  prepareUpdateDtoIn(dtoIn) {
+    return {
+      id: dtoIn.id,
+      userId: dtoIn.userId,
+      ...(dtoIn.name !== undefined && { name: dtoIn.name }),
+      ...(dtoIn.type !== undefined && { type: dtoIn.type }),
+      ...(dtoIn.parentId !== undefined && { parentId: dtoIn.parentId }),
+    };
+  }
+
+  /**
+   * Prepares the DTO for listing the movies of a location.
+   *
+   * @param {Object} dtoIn - The input data for listing the movies.
+   * @param {number} dtoIn.id - The ID of the location.
+   * @param {number} dtoIn.userId - The ID of the user who owns the location.
+   * @param {number} [dtoIn.limit] - The number of items per page.
+   * @param {number} [dtoIn.offset] - The starting point for pagination.
+   * @returns {Object} The prepared DTO for listing the movies of a location.
+   */
+  prepareListMoviesDtoIn(dtoIn) {
+    return {
+      id: dtoIn.id,
+      userId: dtoIn.userId,
+      limit: Number(dtoIn.limit) || DefaultValueMap.LIMIT,
+      offset: Number(dtoIn.offset) || DefaultValueMap.OFFSET,
+    };
+  }
+
+}
+
+module.exports = new LocationDto();
@@ -1,4 +1,5 @@
 const { DefaultValueMap } = require("../../constants/movie-constants");
+const { normalizeBarcode } = require("../helpers/barcode-helper");
 
 /**
  * Data Transfer Object (DTO) for movies.
@@ -12,7 +13,15 @@ class MovieDto {
    * @param {string} dtoIn.title - The title of the movie.
    * @param {number} dtoIn.year - The release year of the movie.
    * @param {string} dtoIn.format - The format of the movie (e.g., DVD, Blu-ray).
-   * @param {string[]} dtoIn.actors - The list of actors in the movie.
+   * @param {Array<string|Object>} dtoIn.actors - The list of actors in billing order (names or `{ name, character }`).
+   * @param {string[]} [dtoIn.genres] - The list of genre names of the movie.
+   * @param {string[]} [dtoIn.directors] - The list of director names of the movie.
+   * @param {number} [dtoIn.runtime] - The runtime of the movie in minutes.
+   * @param {string} [dtoIn.synopsis] - A short synopsis of the movie.
+   * @param {string} [dtoIn.language] - The original language of the movie (ISO 639-1 code).
+   * @param {string} [dtoIn.country] - The country of origin of the movie (ISO 3166-1 alpha-2 code).
+   * @param {string} [dtoIn.barcode] - The normalized UPC/EAN barcode of the copy.
+   * @param {number} dtoIn.userId - The ID of the user who owns the movie.
    * @returns {Object} The prepared DTO for creating a movie.
    */
   prepareCreateDtoIn(dtoIn) {
@@ -20,7 +29,15 @@ class MovieDto {
       title: dtoIn.title,
       year: dtoIn.year,
       format: dtoIn.format,
-      actors: dtoIn.actors,
+      actors: this.prepareActorList(dtoIn.actors),
+      genres: dtoIn.genres || [],
+      directors: dtoIn.directors || [],
+      runtime: dtoIn.runtime ?? null,
+      synopsis: dtoIn.synopsis || null,
+      language: dtoIn.language || null,
+      country: dtoIn.country || null,
+      barcode: dtoIn.barcode || null,
+      userId: dtoIn.userId,
     };
   }
 
@@ -31,7 +48,14 @@ class MovieDto {
    * @param {string} dtoIn.title - The title of the movie.
    * @param {number} dtoIn.releaseYear - The release year of the movie.
    * @param {string} dtoIn.format - The format of the movie (e.g., DVD, Blu-ray).
-   * @param {string} dtoIn.stars - A comma-separated string of actor names.
+   * @param {Array<Object>} dtoIn.stars - The parsed cast in billing order (`{ name, character }`).
+   * @param {string} [dtoIn.genre] - A comma-separated string of genre names.
+   * @param {string} [dtoIn.director] - A comma-separated string of director names.
+   * @param {string} [dtoIn.runtime] - The runtime of the movie in minutes.
+   * @param {string} [dtoIn.synopsis] - A short synopsis of the movie.
+   * @param {string} [dtoIn.language] - The original language of the movie (ISO 639-1 code, any case).
+   * @param {string} [dtoIn.country] - The country of origin of the movie (ISO 3166-1 alpha-2 code, any case).
+   * @param {string} [dtoIn.barcode] - The UPC/EAN barcode of the copy.
    * @returns {Object} The prepared DTO for importing a movie.
    */
   prepareImportDtoIn(dtoIn) {
@@ -39,32 +63,201 @@ class MovieDto {
       title: dtoIn.title,
       year: dtoIn.releaseYear,
       format: dtoIn.format,
-      actors: dtoIn.stars.split(",").map(a => a.trim()).filter(Boolean),
+      actors: this.prepareActorList(dtoIn.stars),
+      genres: this.prepareNameList(dtoIn.genre),
+      directors: this.prepareNameList(dtoIn.director),
+      runtime: dtoIn.runtime ? parseInt(dtoIn.runtime, 10) : null,
+      synopsis: dtoIn.synopsis || null,
+      language: dtoIn.language?.toLowerCase() || null,
+      country: dtoIn.country?.toUpperCase() || null,
+      barcode: dtoIn.barcode ? normalizeBarcode(dtoIn.barcode) : null,
     };
   }
 
+  /**
+   * Prepares the DTO for updating a movie.
+   *
+   * @param {Object} dtoIn - The input data for updating a movie.
+   * @param {Array<string|Object>} [dtoIn.actors] - The new cast in billing order (names or `{ name, character }`).
+   * @param {string[]} [dtoIn.genres] - The new list of genre names (replaces the current genres).
+   * @param {string[]} [dtoIn.directors] - The new list of director names (replaces the current directors).
+   * @param {Array<Object>} [dtoIn.operations] - Validated JSON Patch operations, passed through unchanged.
+   * @returns {Object} The prepared DTO for updating a movie.
+   */
+  prepareUpdateDtoIn(dtoIn) {
+    const { actors, ...movieFields } = dtoIn;
+    return actors ? { ...movieFields, actors: this.prepareActorList(actors) } : movieFields;
+  }
+
+  /**
+   * Prepares a cast list, converting plain actor names to `{ name, character }` objects.
+   *
+   * @param {Array<string|Object>} [actors] - The list of actor names or actor objects.
+   * @returns {Array<Object>} The cast list in the same (billing) order.
+   */
+  prepareActorList(actors) {
+    return (actors || []).map(actor => typeof actor === "string"
+      ? { name: actor, character: null }
+      : { name: actor.name, character: actor.character || null }
+    );
+  }
+
+  /**
+   * Splits a comma-separated list of names, as used by the import file.
+   *
+   * @param {string} [names] - The comma-separated names.
+   * @returns {string[]} The trimmed, non-empty names.
+   */
+  prepareNameList(names) {
+    return (names || "").split(",").map(name => name.trim()).filter(Boolean);
+  }
+
   /**
    * Prepares the DTO for listing movies.
    *
    * @param {Object} dtoIn - The input data for listing movies.
+   * @param {number} dtoIn.userId - The ID of the user whose movies are listed.
    * @param {number} [dtoIn.limit] - The number of items per page.
    * @param {number} [dtoIn.offset] - The starting point for pagination.
    * @param {string} [dtoIn.sort] - The field to sort by.
    * @param {string} [dtoIn.order] - The sorting order (ASC or DESC).
    * @param {string} [dtoIn.title] - The title to filter movies by.
    * @param {string} [dtoIn.actor] - The actor to filter movies by.
-   * @param {string} [dtoIn.search] - A search term to filter movies.
+   * @param {string[]} [dtoIn.actors] - Exact actor names to filter movies by.
+   * @param {string} [dtoIn.actorMatch] - Whether a movie needs "any" or "all" of the actors.
+   * @param {Object} [dtoIn.hasActorCount] - The bounds (`{ min, max }`) of the number of actors of listed movies.
+   * @param {string} [dtoIn.director] - The director to filter movies by.
+   * @param {string} [dtoIn.search] - A full-text search term over titles and actor names.
+   * @param {string[]} [dtoIn.genre] - Genre names to filter movies by.
+   * @param {string} [dtoIn.genreMatch] - Whether a movie needs "any" or "all" of the genres.
+   * @param {number} [dtoIn.minRating] - The minimum average rating of listed movies.
+   * @param {boolean} [dtoIn.watched] - Whether to list only watched (true) or unwatched (false) movies.
+   * @param {string} [dtoIn.lastWatchedBefore] - Only movies last watched before this date (YYYY-MM-DD).
+   * @param {number} [dtoIn.yearFrom] - The earliest release year of listed movies.
+   * @param {number} [dtoIn.yearTo] - The latest release year of listed movies.
+   * @param {string[]} [dtoIn.format] - The formats to filter movies by.
+   * @param {string} [dtoIn.language] - The original language (ISO 639-1 code) to filter movies by.
+   * @param {string} [dtoIn.country] - The country of origin (ISO 3166-1 alpha-2 code) to filter movies by.
+   * @param {number} [dtoIn.minRuntime] - The minimum runtime in minutes of listed movies.
+   * @param {number} [dtoIn.maxRuntime] - The maximum runtime in minutes of listed movies.
+   * @param {number} [dtoIn.series] - The ID of the series to filter movies by.
+   * @param {boolean} [dtoIn.includeTrashed] - Whether movies in the trash are listed too.
+   * @param {string[]} [dtoIn.facets] - The facets to count the matching movies by (format, decade, actor).
    * @returns {Object} The prepared DTO for listing movies.
    */
   prepareListDtoIn(dtoIn) {
     return {
+      userId: dtoIn.userId,
       limit: Number(dtoIn.limit) || DefaultValueMap.LIMIT,
       offset: Number(dtoIn.offset) || DefaultValueMap.OFFSET,
       sort: dtoIn.sort || DefaultValueMap.SORT,
       order: dtoIn.order || DefaultValueMap.ORDER,
       title: dtoIn.title,
       actor: dtoIn.actor,
+      actors: dtoIn.actors,
+      actorMatch: dtoIn.actorMatch || DefaultValueMap.ACTOR_MATCH,
+      minActorCount: dtoIn.hasActorCount?.min,
+      maxActorCount: dtoIn.hasActorCount?.max,
+      director: dtoIn.director,
       search: dtoIn.search,
+      genres: dtoIn.genre,
+      genreMatch: dtoIn.genreMatch || DefaultValueMap.GENRE_MATCH,
+      minRating: dtoIn.minRating,
+      watched: dtoIn.watched,
+      lastWatchedBefore: dtoIn.lastWatchedBefore,
+      yearFrom: dtoIn.yearFrom,
+      yearTo: dtoIn.yearTo,
+      formats: dtoIn.format,
+      language: dtoIn.language,
+      country: dtoIn.country,
+      minRuntime: dtoIn.minRuntime,
+      maxRuntime: dtoIn.maxRuntime,
+      seriesId: dtoIn.series,
+      includeTrashed: dtoIn.includeTrashed || false,
+      facets: dtoIn.facets,
+    };
+  }
+
+  /**
+   * Prepares the DTO for listing the trash.
+   *
+   * @param {Object} dtoIn - The input data for listing trashed movies.
+   * @param {number} dtoIn.userId - The ID of the user whose trash is listed.
+   * @param {number} [dtoIn.limit] - The number of items per page.
+   * @param {number} [dtoIn.offset] - The starting point for pagination.
+   * @returns {Object} The prepared DTO for listing trashed movies.
+   */
+  prepareListTrashDtoIn(dtoIn) {
+    return {
+      userId: dtoIn.userId,
+      limit: Number(dtoIn.limit) || DefaultValueMap.LIMIT,
+      offset: Number(dtoIn.offset) || DefaultValueMap.OFFSET,
+    };
+  }
+
+  /**
+   * Prepares the DTO for updating many movies at once.
+   *
+   * @param {Object} dtoIn - The input data for the bulk update.
+   * @param {number} dtoIn.userId - The ID of the user who owns the movies.
+   * @param {number[]} [dtoIn.ids] - The IDs of the movies to update.
+   * @param {Object} [dtoIn.filter] - List filters selecting the movies to update.
+   * @param {Object} dtoIn.changes - The change to apply (title, year, format, addActors, removeActors, addGenres,
+   *   removeGenres).
+   * @returns {Object} The prepared DTO for the bulk update.
+   */
+  prepareBulkUpdateDtoIn(dtoIn) {
+    const { title, year, format, addActors, removeActors, addGenres, removeGenres } = dtoIn.changes;
+
+    return {
+      userId: dtoIn.userId,
+      ids: dtoIn.ids,
+      filter: dtoIn.ids ? undefined : this.prepareBulkFilter(dtoIn.filter),
+      changes: {
+        title,
+        year,
+        format,
+        addActors: addActors && this.prepareActorList(addActors),
+        removeActors,
+        addGenres,
+        removeGenres,
+      },
+    };
+  }
+
+  /**
+   * Prepares the DTO for deleting many movies at once.
+   *
+   * @param {Object} dtoIn - The input data for the bulk delete.
+   * @param {number} dtoIn.userId - The ID of the user who owns the movies.
+   * @param {number[]} [dtoIn.ids] - The IDs of the movies to delete.
+   * @param {Object} [dtoIn.filter] - List filters selecting the movies to delete.
+   * @returns {Object} The prepared DTO for the bulk delete.
+   */
+  prepareBulkDeleteDtoIn(dtoIn) {
+    return {
+      userId: dtoIn.userId,
+      ids: dtoIn.ids,
+      filter: dtoIn.ids ? undefined : this.prepareBulkFilter(dtoIn.filter),
+    };
+  }
+
+  /**
+   * Prepares the filter of a bulk operation, using the same filters as the movie list.
+   *
+   * @param {Object} filter - The filter of the bulk operation.
+   * @returns {Object} The prepared list filters.
+   */
+  prepareBulkFilter(filter) {
+    return {
+      title: filter.title,
+      actor: filter.actor,
+      search: filter.search,
+      genres: filter.genre,
+      genreMatch: filter.genreMatch || DefaultValueMap.GENRE_MATCH,
+      minRating: filter.minRating,
+      watched: filter.watched,
+      lastWatchedBefore: filter.lastWatchedBefore,
     };
   }
 
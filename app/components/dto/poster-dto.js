@@ -0,0 +1,27 @@
+const { PosterSizeMap } = require("../../constants/poster-constants");
+
+/**
+ * Data Transfer Object (DTO) for movie posters.
+ * Provides methods to prepare input data for various operations.
+ */
+class PosterDto {
+  /**
+   * Prepares the DTO for getting the poster of a movie.
+   *
+   * @param {Object} dtoIn - The input data for getting a poster.
+   * @param {number} dtoIn.movieId - The ID of the movie.
+   * @param {number} dtoIn.userId - The ID of the user who owns the movie.
+   * @param {string} [dtoIn.size] - The poster size ("thumb" or "full", default "full").
+   * @returns {Object} The prepared DTO for getting a poster.
+   */
+  prepareGetDtoIn(dtoIn) {
+    return {
+      movieId: dtoIn.movieId,
+      userId: dtoIn.userId,
+      size: dtoIn.size || PosterSizeMap.FULL,
+    };
+  }
+
+}
+
+module.exports = new PosterDto();
@@ -0,0 +1,65 @@
+const { DefaultValueMap } = require("../../constants/review-constants");
+
+/**
+ * Data Transfer Object (DTO) for reviews.
+ * Provides methods to prepare input data for various operations.
+ */
+class ReviewDto {
+  /**
+   * Prepares the DTO for creating a review.
+   *
+   * @param {Object} dtoIn - The input data for creating a review.
+   * @param {number} dtoIn.movieId - The ID of the reviewed movie.
+   * @param {number} dtoIn.userId - The ID of the user who writes the review.
+   * @param {number} dtoIn.rating - The rating of the movie (1–10).
+   * @param {string} [dtoIn.text] - The text of the review.
+   * @returns {Object} The prepared DTO for creating a review.
+   */
+  prepareCreateDtoIn(dtoIn) {
+    return {
+      movieId: dtoIn.movieId,
+      userId: dtoIn.userId,
+      rating: dtoIn.rating,
+      text: dtoIn.text || null,
+    };
+  }
+
+  /**
+   * Prepares the DTO for updating a review.
+   * Only the provided fields are changed; an empty text removes the text.
+   *
+   * @param {Object} dtoIn - The input data for updating a review.
+   * @param {number} dtoIn.reviewId - The ID of the review.
+   * @param {number} [dtoIn.rating] - The new rating (1–10).
+   * @param {string} [dtoIn.text] - The new text of the review.
+   * @returns {Object} The prepared DTO for updating a review.
+   */
+  prepareUpdateDtoIn(dtoIn) {
+    const updateDtoIn = { id: dtoIn.reviewId };
+
+    if (dtoIn.rating !== undefined) updateDtoIn.rating = dtoIn.rating;
+    if (dtoIn.text !== undefined) updateDtoIn.text = dtoIn.text || null;
+
+    return updateDtoIn;
+  }
+
+  /**
+   * Prepares the DTO for listing the reviews of a movie.
+   *
+   * @param {Object} dtoIn - The input data for listing reviews.
+   * @param {number} dtoIn.movieId - The ID of the reviewed movie.
+   * @param {number} [dtoIn.limit] - The number of items per page.
+   * @param {number} [dtoIn.offset] - The starting point for pagination.
+   * @returns {Object} The prepared DTO for listing reviews.
+   */
+  prepareListDtoIn(dtoIn) {
+    return {
+      movieId: dtoIn.movieId,
+      limit: Number(dtoIn.limit) || DefaultValueMap.LIMIT,
+      offset: Number(dtoIn.offset) || DefaultValueMap.OFFSET,
+    };
+  }
+
+}
+
+module.exports = new ReviewDto();
@@ -0,0 +1,44 @@
+const { DefaultValueMap } = require("../../constants/revision-constants");
+
+/**
+ * Data Transfer Object (DTO) for movie revisions.
+ * Provides methods to prepare input data for various operations.
+ */
+class RevisionDto {
+  /**
+   * Prepares the DTO for listing the revisions of a movie.
+   *
+   * @param {Object} dtoIn - The input data for listing revisions.
+   * @param {number} dtoIn.movieId - The ID of the movie.
+   * @param {number} [dtoIn.limit] - The number of items per page.
+   * @param {number} [dtoIn.offset] - The starting point for pagination.
+   * @returns {Object} The prepared DTO for listing revisions.
+   */
+  prepareListDtoIn(dtoIn) {
+    return {
+      movieId: dtoIn.movieId,
+      limit: Number(dtoIn.limit) || DefaultValueMap.LIMIT,
+      offset: Number(dtoIn.offset) || DefaultValueMap.OFFSET,
+    };
+  }
+
+  /**
+   * Prepares the DTO for reverting a movie to one of its revisions.
+   *
+   * @param {Object} dtoIn - The input data for reverting a movie.
+   * @param {number} dtoIn.movieId - The ID of the movie.
+   * @param {number} dtoIn.revision - The revision number to revert to.
+   * @param {number} dtoIn.userId - The ID of the user who owns the movie.
+   * @returns {Object} The prepared DTO for reverting a movie.
+   */
+  prepareRevertDtoIn(dtoIn) {
+    return {
+      id: dtoIn.movieId,
+      revision: dtoIn.revision,
+      userId: dtoIn.userId,
+    };
+  }
+
+}
+
+module.exports = new RevisionDto();
@@ -0,0 +1,59 @@
+const { DefaultValueMap } = require("../../constants/series-constants");
+
+/**
+ * Data Transfer Object (DTO) for series.
+ * Provides methods to prepare input data for various operations.
+ */
+class SeriesDto {
+  /**
+   * Prepares the DTO for creating a series.
+   *
+   * @param {Object} dtoIn - The input data for creating a series.
+   * @param {string} dtoIn.name - The name of the series.
+   * @param {number} dtoIn.userId - The ID of the user who owns the series.
+   * @returns {Object} The prepared DTO for creating a series.
+   */
+  prepareCreateDtoIn(dtoIn) {
+    return {
+      name: dtoIn.name,
+      userId: dtoIn.userId,
+    };
+  }
+
+  /**
+   * Prepares the DTO for renaming a series.
+   *
+   * @param {Object} dtoIn - The input data for updating a series.
+   * @param {number} dtoIn.id - The ID of the series.
+   * @param {number} dtoIn.userId - The ID of the user who owns the series.
+   * @param {string} dtoIn.name - The new name of the series.
+   * @returns {Object} The prepared DTO for updating a series.
+   */
+  prepareUpdateDtoIn(dtoIn) {
+    return {
+      id: dtoIn.id,
+      userId: dtoIn.userId,
+      name: dtoIn.name,
+    };
+  }
+
+  /**
+   * Prepares the DTO for listing series.
+   *
+   * @param {Object} dtoIn - The input data for listing series.
+   * @param {number} dtoIn.userId - The ID of the user who owns the series.
+   * @param {number} [dtoIn.limit] - The number of items per page.
+   * @param {number} [dtoIn.offset] - The starting point for pagination.
+   * @returns {Object} The prepared DTO for listing series.
+   */
+  prepareListDtoIn(dtoIn) {
+    return {
+      userId: dtoIn.userId,
+      limit: Number(dtoIn.limit) || DefaultValueMap.LIMIT,
+      offset: Number(dtoIn.offset) || DefaultValueMap.OFFSET,
+    };
+  }
+
+}
+
+module.exports = new SeriesDto();
@@ -0,0 +1,61 @@
+const { DefaultValueMap } = require("../../constants/view-constants");
+
+/**
+ * Data Transfer Object (DTO) for movie viewings.
+ * Provides methods to prepare input data for various operations.
+ */
+class ViewDto {
+  /**
+   * Prepares the DTO for recording a viewing.
+   *
+   * @param {Object} dtoIn - The input data for recording a viewing.
+   * @param {number} dtoIn.movieId - The ID of the watched movie.
+   * @param {number} dtoIn.userId - The ID of the user who watched the movie.
+   * @param {string} dtoIn.watchedAt - The date of the viewing (YYYY-MM-DD).
+   * @param {string} [dtoIn.note] - An optional note about the viewing.
+   * @returns {Object} The prepared DTO for recording a viewing.
+   */
+  prepareCreateDtoIn(dtoIn) {
+    return {
+      movieId: dtoIn.movieId,
+      userId: dtoIn.userId,
+      watchedAt: dtoIn.watchedAt,
+      note: dtoIn.note || null,
+    };
+  }
+
+  /**
+   * Prepares the DTO for listing the viewings of a movie.
+   *
+   * @param {Object} dtoIn - The input data for listing viewings.
+   * @param {number} dtoIn.movieId - The ID of the watched movie.
+   * @param {number} [dtoIn.limit] - The number of items per page.
+   * @param {number} [dtoIn.offset] - The starting point for pagination.
+   * @returns {Object} The prepared DTO for listing viewings.
+   */
+  prepareListDtoIn(dtoIn) {
+    return {
+      movieId: dtoIn.movieId,
+      limit: Number(dtoIn.limit) || DefaultValueMap.LIMIT,
+      offset: Number(dtoIn.offset) || DefaultValueMap.OFFSET,
+    };
+  }
+
+  /**
+   * Prepares the DTO for listing recently watched movies.
+   *
+   * @param {Object} dtoIn - The input data for listing recently watched movies.
+   * @param {number} dtoIn.userId - The ID of the user whose viewings are listed.
+   * @param {number} [dtoIn.limit] - The maximum number of movies to return.
+   * @returns {Object} The prepared DTO for listing recently watched movies.
+   */
+  prepareListRecentDtoIn(dtoIn) {
+    return {
+      userId: dtoIn.userId,
+      limit: Number(dtoIn.limit) || DefaultValueMap.RECENT_LIMIT,
+    };
+  }
+
+}
+
+module.exports = new ViewDto();
@@ -0,0 +1,37 @@
+const CommonErrors = require("../../api/errors/common-errors");
+
+/**
+ * Checks whether an email belongs to an administrator. Administrators are listed by email, comma-separated, in the
+ * `ADMIN_EMAILS` environment variable (case-insensitive); without it, nobody is an administrator.
+ *
+ * @param {string} [email] - The email of the user.
+ * @returns {boolean} True if the user is an administrator.
+ */
+function isAdminEmail(email) {
+  const adminEmails = (process.env.ADMIN_EMAILS || "")
+    .split(",")
+    .map(adminEmail => adminEmail.trim().toLowerCase())
+    .filter(Boolean);
+
+  return Boolean(email) && adminEmails.includes(email.trim().toLowerCase());
+}
+
+/**
+ * Ensures that a user is an administrator, as required to change data shared by all users (such as formats).
+ *
+ * @async
+ * @param {Object} userDao - The user DAO used to load the user.
+ * @param {number} userId - The ID of the user.
+ * @throws {CommonErrors.AdminRequired} If the user is not an administrator.
+ */
+async function ensureAdmin(userDao, userId) {
+  const user = await userDao.getById(userId);
+  if (!isAdminEmail(user?.email)) {
+    throw new CommonErrors.AdminRequired({ userId });
+  }
+}
+
+module.exports = {
+  isAdminEmail,
+  ensureAdmin
+};
@@ -0,0 +1,44 @@
+const { BARCODE_LENGTHS } = require("../../constants/movie-constants");
+
+/**
+ * Normalizes a scanned or typed barcode.
+ * Removes spaces and hyphens, and converts a 12-digit UPC-A code to its EAN-13 form (with a leading zero),
+ * so that the same product is stored and looked up with one code.
+ *
+ * @param {string} code - The barcode.
+ * @returns {string} The normalized barcode.
+ */
+function normalizeBarcode(code) {
+  const digits = String(code).replace(/[\s-]/g, "");
+  return digits.length === 12 ? `0${digits}` : digits;
+}
+
+/**
+ * Checks whether a barcode is a valid EAN-8, UPC-A, or EAN-13 code.
+ * The last digit is the GS1 check digit: the other digits are weighted 3 and 1 alternately, starting with 3 at
+ * the rightmost one, and the check digit brings the weighted sum to a multiple of 10.
+ *
+ * @param {string} code - The barcode (spaces and hyphens are ignored).
+ * @returns {boolean} True if the barcode has a supported length and a correct check digit.
+ */
+function isValidBarcode(code) {
+  if (typeof code !== "string") return false;
+
+  const digits = code.replace(/[\s-]/g, "");
+  if (!/^\d+$/.test(digits) || !BARCODE_LENGTHS.includes(digits.length)) return false;
+
+  const payload = digits.slice(0, -1);
+  let sum = 0;
+
+  for (let i = 0; i < payload.length; i++) {
+    const digit = Number(payload[payload.length - 1 - i]);
+    sum += i % 2 === 0 ? digit * 3 : digit;
+  }
+
+  return (10 - (sum % 10)) % 10 === Number(digits.at(-1));
+}
+
+module.exports = {
+  normalizeBarcode,
+  isValidBarcode
+};
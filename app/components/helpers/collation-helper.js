@@ -0,0 +1,192 @@
+const TITLE_COLLATOR_OPTIONS = { sensitivity: "variant", caseFirst: "upper", numeric: true };
+// Raise whenever the keys change (weights, blocks, or the key layout): stored keys of older versions are recomputed
+// when the models are synced
+const TITLE_SORT_KEY_VERSION = 1;
+
+// Blocks whose characters get their collation weights from the collator; other characters sort by code point after them
+const COLLATED_RANGES = [
+  [0x0020, 0x007e], // Basic Latin
+  [0x00a0, 0x024f], // Latin-1 Supplement, Latin Extended-A and -B
+  [0x0370, 0x03ff], // Greek
+  [0x0400, 0x052f], // Cyrillic
+  [0x1e00, 0x1fff], // Latin Extended Additional, Greek Extended
+  [0x2010, 0x205e]  // General Punctuation
+];
+const COMBINING_MARK_RANGE = [0x0300, 0x036f];
+
+const LEVEL_SEPARATOR = "\u0001";
+const BASE_WEIGHT = 0x20;
+const EXPANSION_SECONDARY_WEIGHT = BASE_WEIGHT + 0x200;
+const UNCOLLATED_WEIGHT = 0x1000;
+const SURROGATE_START = 0xd800;
+const SURROGATE_SIZE = 0x800;
+const MAX_CODE_POINT = 0x10ffff;
+
+const CaseWeightMap = {
+  UPPER: BASE_WEIGHT,
+  LOWER: BASE_WEIGHT + 1,
+  EXPANSION_UPPER: BASE_WEIGHT + 2,
+  EXPANSION_LOWER: BASE_WEIGHT + 3
+};
+
+let weightTables = null;
+
+/**
+ * Builds the sort key of a movie title. Comparing two keys by code point (as SQLite does for text) orders the titles
+ * like `Intl.Collator("und", { sensitivity: "variant", caseFirst: "upper", numeric: true })`: letters by alphabet in
+ * every script (including Ukrainian), then accents, then case with uppercase first, and numbers by value ("Alien 2"
+ * before "Alien 10").
+ *
+ * The key has the three collation levels of the title one after another. Each character contributes the primary
+ * weight of its letter, the secondary weight of its accents, and the tertiary weight of its case; the weights come
+ * from sorting the characters of the collated blocks with the collator itself.
+ *
+ * Limitation: characters outside the collated blocks, such as emoji, symbols like "★", and CJK, sort after every
+ * collated character, by code point, while the collator puts symbols before letters ("★ Star" sorts after "Alien").
+ * Compatibility characters are folded first, so "½" sorts as "1⁄2". The order is still stable.
+ *
+ * @param {string} title - The movie title (surrounding whitespace is ignored).
+ * @returns {string} The sort key.
+ */
+function toTitleSortKey(title) {
+  const { primaryMap, variantMap, markMap, variantBase, baseCollator } = getWeightTables();
+  const primary = [];
+  const secondary = [];
+  const tertiary = [];
+
+  for (const [unit] of title.trim().normalize("NFKC").matchAll(/[0-9]+|\P{M}\p{M}*|\p{M}+/gu)) {
+    if (/^[0-9]/.test(unit)) {
+      // Numbers compare by length without leading zeros, then digit by digit
+      const digits = unit.replace(/^0+(?=\d)/, "");
+      primary.push(primaryMap.get("0")[0], BASE_WEIGHT + digits.length, ...[...digits].map(d => primaryMap.get(d)[0]));
+      secondary.push(BASE_WEIGHT);
+      tertiary.push(CaseWeightMap.LOWER);
+      continue;
+    }
+
+    if (/^\p{M}/u.test(unit)) {
+      // Marks without a letter only weigh as accents
+      secondary.push(...[...unit].map(mark => markMap.get(mark) || toUncollatedWeight(mark)));
+      continue;
+    }
+
+    const [char, ...marks] = unit;
+    if (!primaryMap.has(char) && baseCollator.compare(char, "") === 0) continue;
+
+    const weights = primaryMap.get(char) || [toUncollatedWeight(char)];
+    const isUpper = char !== char.toLowerCase();
+
+    primary.push(...weights);
+
+    if (weights.length > 1) {
+      // Expansions ("ß" as "ss", "æ" as "ae") sort after the letters they expand to
+      secondary.push(BASE_WEIGHT, ...weights.slice(1).map(() => EXPANSION_SECONDARY_WEIGHT));
+      tertiary.push(...weights.map(() => isUpper ? CaseWeightMap.EXPANSION_UPPER : CaseWeightMap.EXPANSION_LOWER));
+      continue;
+    }
+
+    const variant = variantMap.get(char);
+    secondary.push(
+      BASE_WEIGHT,
+      ...(variant ? [variantBase + variant] : []),
+      ...marks.map(mark => markMap.get(mark) || toUncollatedWeight(mark))
+    );
+    tertiary.push(isUpper ? CaseWeightMap.UPPER : CaseWeightMap.LOWER);
+  }
+
+  return [primary, secondary, tertiary]
+    .map(weights => String.fromCodePoint(...weights))
+    .join(LEVEL_SEPARATOR);
+}
+
+/**
+ * Returns the weight of a character outside the collated blocks: its code point, placed after the collated
+ * characters and moved past the surrogate range so that the key stays valid UTF-16.
+ *
+ * @private
+ * @param {string} char - The character.
+ * @returns {number} The weight.
+ */
+function toUncollatedWeight(char) {
+  const weight = UNCOLLATED_WEIGHT + char.codePointAt(0);
+  return weight < SURROGATE_START ? weight : Math.min(weight + SURROGATE_SIZE, MAX_CODE_POINT);
+}
+
+/**
+ * Returns the collation weights, building them with the title collator on first use.
+ * Characters equal at base strength share a primary weight (in collation order), and characters that differ only by
+ * accent get a variant number. Characters equal to two Latin letters at base strength are expansions with the
+ * primary weights of both letters. Combining marks are weighted by how the collator orders them on the same letter.
+ *
+ * @private
+ * @returns {Object} The primary weights and variant numbers by character, the weights of the combining marks, and the
+ *   base-strength collator that tells ignorable characters.
+ */
+function getWeightTables() {
+  if (weightTables) return weightTables;
+
+  const collator = new Intl.Collator("und", TITLE_COLLATOR_OPTIONS);
+  const baseCollator = new Intl.Collator("und", { sensitivity: "base" });
+  const accentCollator = new Intl.Collator("und", { sensitivity: "accent" });
+
+  const charList = [];
+  for (const [start, end] of COLLATED_RANGES) {
+    for (let codePoint = start; codePoint <= end; codePoint++) {
+      const char = String.fromCodePoint(codePoint);
+      const isIgnorable = baseCollator.compare(char, "") === 0;
+      if (!/[\p{M}\p{C}]/u.test(char) && char.normalize("NFKC") === char && !isIgnorable) charList.push(char);
+    }
+  }
+  charList.sort(collator.compare);
+
+  const primaryMap = new Map();
+  const variantMap = new Map();
+  let rank = 0;
+  let groupHead = null;
+  let variantHead = null;
+  let variant = 0;
+
+  for (const char of charList) {
+    if (groupHead === null || baseCollator.compare(groupHead, char) !== 0) {
+      rank++;
+      groupHead = char;
+      variantHead = char;
+      variant = 0;
+    } else if (accentCollator.compare(variantHead, char) !== 0) {
+      variant++;
+      variantHead = char;
+    }
+
+    primaryMap.set(char, [BASE_WEIGHT + rank]);
+    variantMap.set(char, variant);
+  }
+
+  const latinLetterList = [..."abcdefghijklmnopqrstuvwxyz"];
+  for (const char of charList) {
+    if (char.codePointAt(0) < 0xc0 || !/\p{Script=Latin}/u.test(char)) continue;
+
+    const lower = char.toLowerCase();
+    for (const first of latinLetterList.filter(letter => baseCollator.compare(lower, letter) > 0)) {
+      const second = latinLetterList.find(letter => baseCollator.compare(lower, first + letter) === 0);
+      if (second) primaryMap.set(char, [...primaryMap.get(first), ...primaryMap.get(second)]);
+    }
+  }
+
+  const markList = [];
+  for (let codePoint = COMBINING_MARK_RANGE[0]; codePoint <= COMBINING_MARK_RANGE[1]; codePoint++) {
+    markList.push(String.fromCodePoint(codePoint));
+  }
+  markList.sort((a, b) => collator.compare(`a${a}`, `a${b}`));
+
+  const markMap = new Map(markList.map((mark, i) => [mark, BASE_WEIGHT + 1 + i]));
+  const variantBase = BASE_WEIGHT + 1 + markList.length;
+
+  weightTables = { primaryMap, variantMap, markMap, variantBase, baseCollator };
+  return weightTables;
+}
+
+module.exports = {
+  TITLE_COLLATOR_OPTIONS,
+  TITLE_SORT_KEY_VERSION,
+  toTitleSortKey
+};
@@ -0,0 +1,29 @@
+/**
+ * Encodes a list position as an opaque cursor (base64url-encoded JSON), so that clients pass it back unchanged.
+ *
+ * @param {Object} position - The position, such as the sort and the sort value and ID of the last item of a page.
+ * @returns {string} The cursor.
+ */
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position), "utf8").toString("base64url");
+}
+
+/**
+ * Decodes a cursor created by `encodeCursor`.
+ *
+ * @param {string} cursor - The cursor.
+ * @returns {Object|null} The position, or null if the cursor is not a valid encoded object.
+ */
+function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    return position && typeof position === "object" && !Array.isArray(position) ? position : null;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor
+};
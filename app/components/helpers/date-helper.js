@@ -0,0 +1,24 @@
+/**
+ * Converts an ISO 8601 date or date-time to a date-only string.
+ *
+ * @param {string|Date} value - The date to convert.
+ * @returns {string} The date in YYYY-MM-DD format.
+ */
+function toDateOnly(value) {
+  const isoValue = value instanceof Date ? value.toISOString() : String(value);
+  return isoValue.slice(0, 10);
+}
+
+/**
+ * Returns the current date (UTC) as a date-only string.
+ *
+ * @returns {string} Today's date in YYYY-MM-DD format.
+ */
+function today() {
+  return toDateOnly(new Date());
+}
+
+module.exports = {
+  toDateOnly,
+  today
+};
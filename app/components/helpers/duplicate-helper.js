@@ -0,0 +1,157 @@
+const { PossibleDuplicateMap, PossibleDuplicateWeightMap, TITLE_ARTICLES } = require("../../constants/movie-constants");
+const { normalizeName } = require("./text-helper");
+
+const LEADING_ARTICLE_REGEX = new RegExp(`^(${TITLE_ARTICLES.join("|")})\\s+`);
+const TRAILING_ARTICLE_REGEX = new RegExp(`,\\s*(${TITLE_ARTICLES.join("|")})$`);
+
+/**
+ * Finds the movies that may be duplicates of a movie: movies in the same format, released at most
+ * `MAX_YEAR_DIFFERENCE` years apart, whose title is similar and whose weighted score (title similarity, year
+ * proximity, and cast overlap) reaches `MIN_SCORE`.
+ *
+ * @param {Object} movie - The movie being added (`{ title, year, format, actors }`, actors as names or
+ *   `{ name }` objects).
+ * @param {Array<Object>} candidateList - The movies of the collection to compare with, in the same shape plus `id`.
+ * @returns {Array<Object>} The possible duplicates (`{ id, title, year, format, score }`), best match first, at most
+ *   `MAX_RESULTS`.
+ */
+function findPossibleDuplicates(movie, candidateList) {
+  return candidateList
+    .map(candidate => ({ candidate, score: scorePossibleDuplicate(movie, candidate) }))
+    .filter(({ score }) => score !== null)
+    .sort((a, b) => b.score - a.score || a.candidate.id - b.candidate.id)
+    .slice(0, PossibleDuplicateMap.MAX_RESULTS)
+    .map(({ candidate: { id, title, year, format }, score }) => ({ id, title, year, format, score }));
+}
+
+/**
+ * Checks whether a movie is an exact duplicate of a movie of the collection: the same title, year, and format, and
+ * the same set of actors (compared case-insensitively). Exact duplicates are rejected on creation and skipped on
+ * import, so they are not reported as possible duplicates.
+ *
+ * @param {Object} movie - The movie being added (`{ title, year, format, actors }`).
+ * @param {Object} candidate - A movie of the collection in the same shape.
+ * @returns {boolean} True if the movies are exact duplicates.
+ */
+function isExactDuplicate(movie, candidate) {
+  if (movie.title.trim() !== candidate.title || movie.year !== candidate.year || movie.format !== candidate.format) {
+    return false;
+  }
+
+  return compareCasts(movie.actors, candidate.actors) === 1;
+}
+
+/**
+ * Scores how likely two movies are the same copy.
+ *
+ * @private
+ * @param {Object} movie - The movie being added.
+ * @param {Object} candidate - A movie of the collection.
+ * @returns {number|null} The score between 0 and 1 rounded to two decimals, or null if the movies are not
+ *   possible duplicates.
+ */
+function scorePossibleDuplicate(movie, candidate) {
+  const yearDifference = Math.abs(movie.year - candidate.year);
+  if (movie.format !== candidate.format || yearDifference > PossibleDuplicateMap.MAX_YEAR_DIFFERENCE) return null;
+
+  const titleSimilarity = compareTitles(movie.title, candidate.title);
+  if (titleSimilarity < PossibleDuplicateMap.MIN_TITLE_SIMILARITY) return null;
+
+  const yearProximity = 1 - yearDifference / (PossibleDuplicateMap.MAX_YEAR_DIFFERENCE + 1);
+  const score = PossibleDuplicateWeightMap.TITLE * titleSimilarity +
+    PossibleDuplicateWeightMap.YEAR * yearProximity +
+    PossibleDuplicateWeightMap.ACTORS * compareCasts(movie.actors, candidate.actors);
+
+  return score >= PossibleDuplicateMap.MIN_SCORE ? Math.round(score * 100) / 100 : null;
+}
+
+/**
+ * Compares two titles with the Sørensen–Dice coefficient of their character bigrams.
+ * Titles are compared without case, accents, punctuation, and a leading or trailing article, so "The Matrix" and
+ * "Matrix, The" are equal.
+ *
+ * @private
+ * @param {string} title - The first title.
+ * @param {string} otherTitle - The second title.
+ * @returns {number} The similarity between 0 (nothing in common) and 1 (equal).
+ */
+function compareTitles(title, otherTitle) {
+  const key = toTitleKey(title);
+  const otherKey = toTitleKey(otherTitle);
+
+  if (key === otherKey) return 1;
+  if (key.length < 2 || otherKey.length < 2) return 0;
+
+  const bigrams = toBigramCounts(key);
+  let shared = 0;
+
+  for (let i = 0; i < otherKey.length - 1; i++) {
+    const bigram = otherKey.slice(i, i + 2);
+    if (bigrams.get(bigram) > 0) {
+      bigrams.set(bigram, bigrams.get(bigram) - 1);
+      shared++;
+    }
+  }
+
+  return (2 * shared) / (key.length - 1 + otherKey.length - 1);
+}
+
+/**
+ * Normalizes a title for comparison.
+ *
+ * @private
+ * @param {string} title - The title.
+ * @returns {string} The lowercase title without accents, punctuation, and a leading or trailing article.
+ */
+function toTitleKey(title) {
+  return title
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .trim()
+    .replace(TRAILING_ARTICLE_REGEX, "")
+    .replace(LEADING_ARTICLE_REGEX, "")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+/**
+ * Counts the character bigrams of a string.
+ *
+ * @private
+ * @param {string} value - The string.
+ * @returns {Map<string, number>} The number of occurrences of each bigram.
+ */
+function toBigramCounts(value) {
+  const counts = new Map();
+
+  for (let i = 0; i < value.length - 1; i++) {
+    const bigram = value.slice(i, i + 2);
+    counts.set(bigram, (counts.get(bigram) || 0) + 1);
+  }
+
+  return counts;
+}
+
+/**
+ * Compares two casts with the Jaccard index of their (normalized) actor names.
+ *
+ * @private
+ * @param {Array<string|Object>} actors - The first cast (names or `{ name }` objects).
+ * @param {Array<string|Object>} otherActors - The second cast.
+ * @returns {number} The overlap between 0 (no actor in common, or no cast) and 1 (same actors).
+ */
+function compareCasts(actors = [], otherActors = []) {
+  const toNameSet = list => new Set(list.map(actor => normalizeName(typeof actor === "string" ? actor : actor.name)));
+  const names = toNameSet(actors);
+  const otherNames = toNameSet(otherActors);
+  const shared = [...names].filter(name => otherNames.has(name)).length;
+  const union = names.size + otherNames.size - shared;
+
+  return union ? shared / union : 0;
+}
+
+module.exports = {
+  findPossibleDuplicates,
+  isExactDuplicate
+};
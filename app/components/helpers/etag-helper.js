@@ -0,0 +1,32 @@
+/**
+ * Builds the strong ETag of a versioned resource.
+ *
+ * @param {number} version - The version of the resource.
+ * @returns {string} The quoted ETag, e.g. `"3"`.
+ */
+function toETag(version) {
+  return `"${version}"`;
+}
+
+/**
+ * Parses an If-Match header into the resource versions it accepts.
+ * If-Match uses the strong comparison (RFC 9110, section 13.1.1), so weak tags (`W/"3"`) are dropped and never match,
+ * like any other entry that is not a version.
+ *
+ * @param {string} [header] - The value of the If-Match header.
+ * @returns {number[]|undefined} The accepted versions, or undefined if the header is missing or `*` (any version).
+ */
+function parseIfMatch(header) {
+  if (header === undefined || header.trim() === "*") return undefined;
+
+  return header
+    .split(",")
+    .map(tag => tag.trim().replace(/^"(.*)"$/, "$1"))
+    .filter(tag => /^\d+$/.test(tag))
+    .map(Number);
+}
+
+module.exports = {
+  toETag,
+  parseIfMatch
+};
@@ -0,0 +1,38 @@
+const { LOCATION_TYPES } = require("../../constants/location-constants");
+
+/**
+ * Checks whether a location of one type can be placed in a location of another type.
+ * A location can only be placed in a location of an outer type (a box on a shelf, but not a shelf in a box), which
+ * also keeps a location from being moved into itself or into one of its own nested locations.
+ *
+ * @param {string} parentType - The type of the containing location.
+ * @param {string} childType - The type of the contained location.
+ * @returns {boolean} True if the nesting is allowed.
+ */
+function canContain(parentType, childType) {
+  return LOCATION_TYPES.indexOf(parentType) < LOCATION_TYPES.indexOf(childType);
+}
+
+/**
+ * Builds a tree of locations from a flat list.
+ *
+ * @param {Array<Object>} locations - The locations (with `id` and `parentId`), in the order children should keep.
+ * @returns {Array<Object>} The top-level locations, each with its nested locations in `children`.
+ */
+function buildLocationTree(locations) {
+  const nodes = new Map(locations.map(location => [location.id, { ...location, children: [] }]));
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = node.parentId && nodes.get(node.parentId);
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  }
+
+  return roots;
+}
+
+module.exports = {
+  canContain,
+  buildLocationTree
+};
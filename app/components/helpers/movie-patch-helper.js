@@ -0,0 +1,220 @@
+const { Patch: Errors } = require("../../api/errors/movie-errors");
+const { normalizeName } = require("./text-helper");
+
+const SCALAR_FIELDS = ["title", "year", "format", "runtime", "synopsis", "language", "country", "barcode"];
+const NULLABLE_FIELDS = ["runtime", "synopsis", "language", "country", "barcode"];
+const LIST_FIELDS = ["actors", "genres", "directors"];
+const APPEND_MEMBER = "-";
+const CHARACTER_PROPERTY = "character";
+
+/**
+ * Parses a JSON Pointer (RFC 6901) of a JSON Patch operation into a movie target.
+ * Supported pointers are the movie fields (`/title`, `/year`, `/format`, `/runtime`, `/synopsis`, `/language`,
+ * `/country`, `/barcode`), the lists (`/actors`, `/genres`, `/directors`), a list member (`/actors/-`, `/actors/0`, or
+ * `/actors/Keanu Reeves` by name), and an actor's character (`/actors/0/character`).
+ *
+ * @param {string} path - The JSON Pointer of the operation.
+ * @returns {Object|null} The target (`{ field, member, property }`), or null if the pointer is not supported.
+ */
+function parsePatchPath(path) {
+  if (typeof path !== "string" || !path.startsWith("/")) return null;
+
+  const [field, member, property, ...rest] = path
+    .slice(1)
+    .split("/")
+    .map(segment => segment.replace(/~1/g, "/").replace(/~0/g, "~"));
+
+  if (rest.length) return null;
+
+  if (SCALAR_FIELDS.includes(field)) {
+    return member === undefined ? { field } : null;
+  }
+
+  if (!LIST_FIELDS.includes(field)) return null;
+  if (member === undefined) return { field };
+  if (!member.trim()) return null;
+
+  const target = { field, member: /^\d+$/.test(member) ? Number(member) : member };
+
+  if (property === undefined) return target;
+  if (field === "actors" && property === CHARACTER_PROPERTY && member !== APPEND_MEMBER) {
+    return { ...target, property };
+  }
+
+  return null;
+}
+
+/**
+ * Returns the JSON Patch operations allowed for a movie target.
+ *
+ * @param {Object} target - The target returned by `parsePatchPath`.
+ * @returns {string[]} The allowed operations.
+ */
+function getAllowedOperations(target) {
+  if (target.property) return ["add", "replace", "remove", "test"];
+  if (target.member === APPEND_MEMBER) return ["add"];
+  if (target.member !== undefined) {
+    return typeof target.member === "number" ? ["add", "remove", "replace", "test"] : ["remove", "replace", "test"];
+  }
+  if (LIST_FIELDS.includes(target.field)) return ["replace", "test"];
+  if (NULLABLE_FIELDS.includes(target.field)) return ["add", "replace", "remove", "test"];
+
+  return ["add", "replace", "test"];
+}
+
+/**
+ * Applies validated JSON Patch operations to the state of a movie.
+ * Operations are applied in order on a copy of the state; if any of them fails, the original state is untouched
+ * and an error is thrown, so the patch is applied either entirely or not at all.
+ *
+ * @param {Object} movie - The current state: title, year, format, runtime, synopsis, language, country, barcode,
+ *   actors ({ name, character }), genres (names), and directors (names).
+ * @param {Array<Object>} operations - The operations (`{ op, path, value }`), with actors as `{ name, character }`.
+ * @returns {Object} The patched state with the same shape.
+ * @throws {Errors.PatchTestFailed} If a `test` operation does not match.
+ * @throws {Errors.PatchTargetNotFound} If an operation points to a list member that does not exist.
+ * @throws {Errors.InvalidPatchResult} If an operation adds a duplicate or the cast would become empty.
+ */
+function applyMoviePatch(movie, operations) {
+  const state = {
+    title: movie.title,
+    year: movie.year,
+    format: movie.format,
+    runtime: movie.runtime ?? null,
+    synopsis: movie.synopsis ?? null,
+    language: movie.language ?? null,
+    country: movie.country ?? null,
+    barcode: movie.barcode ?? null,
+    actors: movie.actors.map(a => ({ name: a.name, character: a.character ?? null })),
+    genres: [...movie.genres],
+    directors: [...movie.directors]
+  };
+
+  operations.forEach((operation, operationIndex) => {
+    applyOperation(state, operation, { operationIndex, path: operation.path });
+  });
+
+  if (!state.actors.length) {
+    throw new Errors.InvalidPatchResult({ errorDetail: "Movie must have at least 1 actor" });
+  }
+
+  return state;
+}
+
+/**
+ * Applies one operation to the movie state in place.
+ *
+ * @private
+ * @param {Object} state - The movie state being patched.
+ * @param {Object} operation - The operation (`{ op, path, value }`).
+ * @param {Object} paramMap - The operation index and path reported in errors.
+ */
+function applyOperation(state, { op, path, value }, paramMap) {
+  const { field, member, property } = parsePatchPath(path);
+
+  if (member === undefined) {
+    if (op === "test") return assertEqual(state[field], value, paramMap);
+    state[field] = op === "remove" ? null : value;
+    return;
+  }
+
+  const list = state[field];
+
+  if (member === APPEND_MEMBER) {
+    assertNotInList(field, list, value, paramMap);
+    list.push(value);
+    return;
+  }
+
+  if (op === "add" && !property) {
+    if (member > list.length) throw new Errors.PatchTargetNotFound(paramMap);
+    assertNotInList(field, list, value, paramMap);
+    list.splice(member, 0, value);
+    return;
+  }
+
+  const index = findMemberIndex(field, list, member);
+  if (index === -1) throw new Errors.PatchTargetNotFound(paramMap);
+
+  if (property) {
+    if (op === "test") return assertEqual(list[index].character, value, paramMap);
+    list[index] = { ...list[index], character: op === "remove" ? null : value };
+    return;
+  }
+
+  if (op === "test") return assertEqual(list[index], value, paramMap);
+  if (op === "remove") {
+    list.splice(index, 1);
+    return;
+  }
+
+  assertNotInList(field, list.filter((item, i) => i !== index), value, paramMap);
+  list[index] = value;
+}
+
+/**
+ * Finds a list member by its index or by its name, matched like actor names elsewhere (see `normalizeName`).
+ *
+ * @private
+ * @param {string} field - The list field ("actors", "genres", or "directors").
+ * @param {Array} list - The list.
+ * @param {number|string} member - The index or name of the member.
+ * @returns {number} The index of the member, or -1 if it does not exist.
+ */
+function findMemberIndex(field, list, member) {
+  if (typeof member === "number") return member < list.length ? member : -1;
+
+  const key = normalizeName(member);
+  return list.findIndex(item => normalizeName(getName(field, item)) === key);
+}
+
+/**
+ * Ensures that an item is not already in a list (names are compared after `normalizeName`).
+ *
+ * @private
+ * @param {string} field - The list field ("actors", "genres", or "directors").
+ * @param {Array} list - The list.
+ * @param {Object|string} item - The actor, genre name, or director name to add.
+ * @param {Object} paramMap - The operation index and path reported in errors.
+ * @throws {Errors.InvalidPatchResult} If the item is already in the list.
+ */
+function assertNotInList(field, list, item, paramMap) {
+  const key = normalizeName(getName(field, item));
+
+  if (list.some(existing => normalizeName(getName(field, existing)) === key)) {
+    throw new Errors.InvalidPatchResult({ ...paramMap, errorDetail: `"${getName(field, item)}" is already in ${field}` });
+  }
+}
+
+/**
+ * Compares the current value of a `test` operation with the expected one.
+ *
+ * @private
+ * @param {*} actual - The current value.
+ * @param {*} expected - The value of the operation.
+ * @param {Object} paramMap - The operation index and path reported in errors.
+ * @throws {Errors.PatchTestFailed} If the values differ.
+ */
+function assertEqual(actual, expected, paramMap) {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Errors.PatchTestFailed({ ...paramMap, expected, actual });
+  }
+}
+
+/**
+ * Returns the name of an actor, genre, or director list item.
+ *
+ * @private
+ * @param {string} field - The list field ("actors", "genres", or "directors").
+ * @param {Object|string} item - The actor (`{ name, character }`), genre name, or director name.
+ * @returns {string} The name.
+ */
+function getName(field, item) {
+  return field === "actors" ? item.name : item;
+}
+
+module.exports = {
+  parsePatchPath,
+  getAllowedOperations,
+  applyMoviePatch
+};
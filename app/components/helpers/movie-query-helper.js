@@ -0,0 +1,380 @@
+const { List: Errors } = require("../../api/errors/movie-errors");
+const { MovieQueryNodeMap, MovieQueryFieldMap } = require("../../constants/movie-constants");
+
+const TokenTypeMap = {
+  WORD: "word",
+  PHRASE: "phrase",
+  COLON: "colon",
+  OPERATOR: "operator",
+  NEGATION: "negation",
+  OPEN: "open",
+  CLOSE: "close",
+  END: "end"
+};
+
+const KeywordMap = {
+  AND: "AND",
+  OR: "OR",
+  NOT: "NOT"
+};
+
+const QUERY_FIELDS = Object.values(MovieQueryFieldMap);
+const NUMERIC_FIELDS = [MovieQueryFieldMap.YEAR, MovieQueryFieldMap.RUNTIME, MovieQueryFieldMap.RATING];
+const INTEGER_FIELDS = [MovieQueryFieldMap.YEAR, MovieQueryFieldMap.RUNTIME];
+// Longer operators first, so ">=" is not read as ">"
+const COMPARISON_OPERATORS = [">=", "<=", ">", "<", "="];
+const EQUALS_OPERATOR = "=";
+const WORD_END_REGEX = /[\s():"]/;
+
+/**
+ * Parses the `q` search query of the movie list into a syntax tree.
+ *
+ * The grammar, from the loosest binding:
+ * - `a OR b` matches either side; `a b` and `a AND b` match both.
+ * - `-a` and `NOT a` negate a term or a group; parentheses group terms (`(a OR b) c`).
+ * - `field:value` matches a field: `title`, `actor`, and `director` by substring, `genre`, `format`, `language`, and
+ *   `country` exactly (case-insensitive). `year`, `runtime`, and `rating` also take the comparison operators `>=`,
+ *   `<=`, `>`, `<`, and `=` (`year:>=1999`).
+ * - A value without a field is a full-text search term over titles and actor names. A word followed by a colon that is
+ *   not a field name is a search term too, so titles such as `Star Wars: Episode IV` need no quotes.
+ * - Values with spaces or special characters are quoted (`actor:"Keanu Reeves"`); `\"` and `\\` escape inside quotes.
+ *
+ * Keywords are uppercase; a lowercase `or` is a search term.
+ *
+ * @param {string} query - The search query.
+ * @returns {Object} The root node. Nodes are `{ type: "and"|"or", children }`, `{ type: "not", child }`,
+ *   `{ type: "field", field, operator, value }` (value is a number for numeric fields), and `{ type: "text", value }`.
+ * @throws {Errors.InvalidQuery} If the query is malformed, with the position (0-based character offset) of the
+ *   offending token.
+ */
+function parseMovieQuery(query) {
+  const state = { query, tokens: tokenize(query), index: 0 };
+  const node = parseOr(state);
+  const token = peek(state);
+
+  if (token.type !== TokenTypeMap.END) {
+    throw toQueryError(state, token, `Unexpected ${describeToken(token)}`);
+  }
+
+  return node;
+}
+
+/**
+ * Lists the full-text search terms of a parsed search query that select movies, leaving out negated ones. These are
+ * the terms a relevance sort ranks by.
+ *
+ * @param {Object} node - The root node (see `parseMovieQuery`).
+ * @returns {Array<string>} The values of the search terms.
+ */
+function listSearchTerms(node) {
+  switch (node.type) {
+    case MovieQueryNodeMap.AND:
+    case MovieQueryNodeMap.OR:
+      return node.children.flatMap(listSearchTerms);
+    case MovieQueryNodeMap.TEXT:
+      return [node.value];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Splits a search query into tokens. A minus sign is a negation only at the start of a term, so "Spider-Man" stays
+ * one word. A colon is only a token right after a word (a stray one is skipped like a space), and comparison operators
+ * are only recognized right after a colon.
+ *
+ * @private
+ * @param {string} query - The search query.
+ * @returns {Array<Object>} The tokens (`{ type, value, position }`), ending with an end token.
+ * @throws {Errors.InvalidQuery} If a quoted value is not closed.
+ */
+function tokenize(query) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < query.length) {
+    const char = query[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === "(" || char === ")") {
+      tokens.push({ type: char === "(" ? TokenTypeMap.OPEN : TokenTypeMap.CLOSE, value: char, position: i });
+      i++;
+    } else if (char === ":" && !followsWord(tokens, i)) {
+      i++;
+    } else if (char === ":") {
+      tokens.push({ type: TokenTypeMap.COLON, value: char, position: i });
+      i++;
+
+      const operator = COMPARISON_OPERATORS.find(op => query.startsWith(op, i));
+      if (operator) {
+        tokens.push({ type: TokenTypeMap.OPERATOR, value: operator, position: i });
+        i += operator.length;
+      }
+    } else if (char === "-" && (i === 0 || /[\s(]/.test(query[i - 1]))) {
+      tokens.push({ type: TokenTypeMap.NEGATION, value: char, position: i });
+      i++;
+    } else if (char === "\"") {
+      const { value, end } = readPhrase(query, i);
+      tokens.push({ type: TokenTypeMap.PHRASE, value, position: i });
+      i = end;
+    } else {
+      let end = i;
+      while (end < query.length && !WORD_END_REGEX.test(query[end])) end++;
+      tokens.push({ type: TokenTypeMap.WORD, value: query.slice(i, end), position: i });
+      i = end;
+    }
+  }
+
+  tokens.push({ type: TokenTypeMap.END, value: "", position: query.length });
+  return tokens;
+}
+
+/**
+ * Checks whether a position directly follows the last token, and that token is a word.
+ *
+ * @private
+ * @param {Array<Object>} tokens - The tokens read so far.
+ * @param {number} position - The position in the search query.
+ * @returns {boolean} True if the position directly follows a word.
+ */
+function followsWord(tokens, position) {
+  const last = tokens[tokens.length - 1];
+  return last?.type === TokenTypeMap.WORD && last.position + last.value.length === position;
+}
+
+/**
+ * Reads a quoted value, unescaping `\"` and `\\`.
+ *
+ * @private
+ * @param {string} query - The search query.
+ * @param {number} start - The position of the opening quote.
+ * @returns {Object} The unquoted value and the position after the closing quote.
+ * @throws {Errors.InvalidQuery} If the closing quote is missing.
+ */
+function readPhrase(query, start) {
+  let value = "";
+  let i = start + 1;
+
+  while (i < query.length && query[i] !== "\"") {
+    if (query[i] === "\\" && i + 1 < query.length) i++;
+    value += query[i];
+    i++;
+  }
+
+  if (i >= query.length) {
+    throw new Errors.InvalidQuery({ query, position: start, errorDetail: "Quoted value is not closed" });
+  }
+
+  return { value, end: i + 1 };
+}
+
+/**
+ * Parses terms joined by OR.
+ *
+ * @private
+ * @param {Object} state - The parser state.
+ * @returns {Object} The node.
+ */
+function parseOr(state) {
+  const children = [parseAnd(state)];
+
+  while (isKeyword(peek(state), KeywordMap.OR)) {
+    state.index++;
+    children.push(parseAnd(state));
+  }
+
+  return children.length === 1 ? children[0] : { type: MovieQueryNodeMap.OR, children };
+}
+
+/**
+ * Parses terms joined by AND or by juxtaposition, up to an OR, a closing parenthesis, or the end.
+ *
+ * @private
+ * @param {Object} state - The parser state.
+ * @returns {Object} The node.
+ */
+function parseAnd(state) {
+  const children = [parseUnary(state)];
+
+  while (![TokenTypeMap.END, TokenTypeMap.CLOSE].includes(peek(state).type) && !isKeyword(peek(state), KeywordMap.OR)) {
+    if (isKeyword(peek(state), KeywordMap.AND)) state.index++;
+    children.push(parseUnary(state));
+  }
+
+  return children.length === 1 ? children[0] : { type: MovieQueryNodeMap.AND, children };
+}
+
+/**
+ * Parses a term, negated by a leading minus sign or NOT.
+ *
+ * @private
+ * @param {Object} state - The parser state.
+ * @returns {Object} The node.
+ */
+function parseUnary(state) {
+  const token = peek(state);
+
+  if (token.type === TokenTypeMap.NEGATION || isKeyword(token, KeywordMap.NOT)) {
+    state.index++;
+    return { type: MovieQueryNodeMap.NOT, child: parseUnary(state) };
+  }
+
+  return parsePrimary(state);
+}
+
+/**
+ * Parses a group in parentheses, a field term, or a search term.
+ *
+ * @private
+ * @param {Object} state - The parser state.
+ * @returns {Object} The node.
+ * @throws {Errors.InvalidQuery} If no term starts at the current token or a parenthesis is not closed.
+ */
+function parsePrimary(state) {
+  const token = next(state);
+
+  if (token.type === TokenTypeMap.OPEN) {
+    const node = parseOr(state);
+    const close = next(state);
+
+    if (close.type !== TokenTypeMap.CLOSE) {
+      const errorDetail = `Expected ")" to close the "(" at position ${token.position}, found ${describeToken(close)}`;
+      throw toQueryError(state, close, errorDetail);
+    }
+
+    return node;
+  }
+
+  if (token.type === TokenTypeMap.WORD && peek(state).type === TokenTypeMap.COLON) {
+    if (QUERY_FIELDS.includes(token.value.toLowerCase())) return parseField(state, token);
+
+    // Not a field: the word is a search term, and the colon (with any operator after it) is punctuation
+    state.index++;
+    if (peek(state).type === TokenTypeMap.OPERATOR) state.index++;
+  }
+
+  const isKeywordToken = Object.values(KeywordMap).some(keyword => isKeyword(token, keyword));
+  if (token.type === TokenTypeMap.PHRASE || (token.type === TokenTypeMap.WORD && !isKeywordToken)) {
+    if (!token.value.trim()) throw toQueryError(state, token, "Search term cannot be empty");
+    return { type: MovieQueryNodeMap.TEXT, value: token.value };
+  }
+
+  throw toQueryError(state, token, `Expected a search term, found ${describeToken(token)}`);
+}
+
+/**
+ * Parses a field term (`field:value` or `field:>=value`) whose field name has just been read.
+ *
+ * @private
+ * @param {Object} state - The parser state.
+ * @param {Object} fieldToken - The token of the field name, one of the query fields.
+ * @returns {Object} The field node.
+ * @throws {Errors.InvalidQuery} If the operator does not apply to the field, or the value is missing or invalid.
+ */
+function parseField(state, fieldToken) {
+  const field = fieldToken.value.toLowerCase();
+
+  state.index++;
+  const operatorToken = peek(state).type === TokenTypeMap.OPERATOR ? next(state) : null;
+  const operator = operatorToken?.value || EQUALS_OPERATOR;
+
+  if (operator !== EQUALS_OPERATOR && !NUMERIC_FIELDS.includes(field)) {
+    throw toQueryError(state, operatorToken, `Operator ${operator} only applies to ${NUMERIC_FIELDS.join(", ")}`);
+  }
+
+  const valueToken = next(state);
+  if (![TokenTypeMap.WORD, TokenTypeMap.PHRASE].includes(valueToken.type) || !valueToken.value.trim()) {
+    throw toQueryError(state, valueToken, `Expected a value for ${field}, found ${describeToken(valueToken)}`);
+  }
+
+  return { type: MovieQueryNodeMap.FIELD, field, operator, value: toFieldValue(state, field, valueToken) };
+}
+
+/**
+ * Converts the value of a field term to the type of the field.
+ *
+ * @private
+ * @param {Object} state - The parser state.
+ * @param {string} field - The field.
+ * @param {Object} token - The token of the value.
+ * @returns {string|number} The trimmed text, or the number for numeric fields.
+ * @throws {Errors.InvalidQuery} If the value of a numeric field is not a number, or not a whole number for year and
+ *   runtime.
+ */
+function toFieldValue(state, field, token) {
+  const value = token.value.trim();
+  if (!NUMERIC_FIELDS.includes(field)) return value;
+
+  if (INTEGER_FIELDS.includes(field) ? !/^\d+$/.test(value) : !/^\d+(\.\d+)?$/.test(value)) {
+    const expected = INTEGER_FIELDS.includes(field) ? "a whole number" : "a number";
+    throw toQueryError(state, token, `Value of ${field} must be ${expected}, found ${describeToken(token)}`);
+  }
+
+  return Number(value);
+}
+
+/**
+ * Returns the current token without consuming it.
+ *
+ * @private
+ * @param {Object} state - The parser state.
+ * @returns {Object} The token.
+ */
+function peek(state) {
+  return state.tokens[state.index];
+}
+
+/**
+ * Consumes the current token. The end token is never consumed.
+ *
+ * @private
+ * @param {Object} state - The parser state.
+ * @returns {Object} The token.
+ */
+function next(state) {
+  const token = state.tokens[state.index];
+  if (token.type !== TokenTypeMap.END) state.index++;
+  return token;
+}
+
+/**
+ * Checks whether a token is an unquoted keyword.
+ *
+ * @private
+ * @param {Object} token - The token.
+ * @param {string} keyword - The keyword.
+ * @returns {boolean} True if the token is the keyword.
+ */
+function isKeyword(token, keyword) {
+  return token.type === TokenTypeMap.WORD && token.value === keyword;
+}
+
+/**
+ * Describes a token for an error message.
+ *
+ * @private
+ * @param {Object} token - The token.
+ * @returns {string} The description.
+ */
+function describeToken(token) {
+  return token.type === TokenTypeMap.END ? "end of query" : `"${token.value}"`;
+}
+
+/**
+ * Creates the error for a malformed query.
+ *
+ * @private
+ * @param {Object} state - The parser state.
+ * @param {Object} token - The offending token.
+ * @param {string} errorDetail - What is wrong.
+ * @returns {Errors.InvalidQuery} The error.
+ */
+function toQueryError(state, token, errorDetail) {
+  return new Errors.InvalidQuery({ query: state.query, position: token.position, errorDetail });
+}
+
+module.exports = {
+  parseMovieQuery,
+  listSearchTerms
+};
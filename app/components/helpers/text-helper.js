@@ -19,6 +19,37 @@ function toCamelCase(value) {
     .join("");
 }
 
+/**
+ * Normalizes a person name so that spelling variants collide.
+ * Converts the string to lowercase, trims it, and collapses inner whitespace to single spaces.
+ *
+ * @param {string} value - The input name to be normalized.
+ * @returns {string} The normalized name, or an empty string if input is falsy.
+ */
+function normalizeName(value) {
+  return (value || "")
+    .toLowerCase()
+    .trim()
+    .replace(/\s+/g, " ");
+}
+
+/**
+ * Converts a search term to an FTS5 query that matches every word of the term as a prefix, in any column and any
+ * order. Words are runs of letters and digits, as for the index tokenizer, so punctuation and FTS5 operators typed
+ * by the user are ignored.
+ *
+ * @param {string} value - The search term.
+ * @param {Object} [options] - Options.
+ * @param {boolean} [options.matchAny=false] - Whether one of the words is enough (for ranking rather than filtering).
+ * @returns {string|null} The FTS5 query (for example `"mat"* "keanu"*`), or null if the term has no words.
+ */
+function toFullTextQuery(value, { matchAny = false } = {}) {
+  const words = (value || "").match(/[\p{L}\p{M}\p{N}]+/gu);
+  return words ? words.map(word => `"${word}"*`).join(matchAny ? " OR " : " ") : null;
+}
+
 module.exports = {
-  toCamelCase
+  toCamelCase,
+  normalizeName,
+  toFullTextQuery
 };
\ No newline at end of file
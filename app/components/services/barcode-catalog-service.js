@@ -0,0 +1,167 @@
+const fs = require('fs/promises');
+const path = require('path');
+const MovieConstants = require('../../constants/movie-constants');
+const { isValidBarcode, normalizeBarcode } = require('../helpers/barcode-helper');
+
+class BarcodeCatalogService {
+  #cache = null;
+
+  /**
+   * Looks up a barcode in the catalog file.
+   * The catalog is read on first use and read again only when the file changes. A missing file is an empty catalog.
+   *
+   * @async
+   * @param {string} barcode - The barcode (UPC-A codes match their EAN-13 form).
+   * @returns {Promise<Object|null>} The entry (`{ barcode, title, year, format, actors }`), or null if not found.
+   */
+  async getEntry(barcode) {
+    const entryMap = await this.#load();
+    return entryMap.get(normalizeBarcode(barcode)) || null;
+  }
+
+  /**
+   * Returns the entries of the catalog file, parsing the file again if it changed since the last read.
+   *
+   * @async
+   * @private
+   * @returns {Promise<Map<string, Object>>} The entries by normalized barcode.
+   */
+  async #load() {
+    const filePath = this.#getPath();
+
+    let stats;
+    try {
+      stats = await fs.stat(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return new Map();
+      throw error;
+    }
+
+    if (this.#cache?.filePath === filePath && this.#cache.mtimeMs === stats.mtimeMs) {
+      return this.#cache.entryMap;
+    }
+
+    const entryMap = this.#parseCatalog(await fs.readFile(filePath, 'utf8'));
+    this.#cache = { filePath, mtimeMs: stats.mtimeMs, entryMap };
+
+    return entryMap;
+  }
+
+  /**
+   * Parses the catalog CSV. The header names the columns (`barcode`, `title`, `year`, `format`, and optionally
+   * `actors`, separated by semicolons) in any order. Rows with an invalid barcode, an empty or too long title, an
+   * empty format, or a year out of range are skipped; the first row of a barcode wins.
+   *
+   * @private
+   * @param {string} content - The content of the file.
+   * @returns {Map<string, Object>} The entries by normalized barcode.
+   */
+  #parseCatalog(content) {
+    const [header = [], ...rows] = this.#parseCsv(content.replace(/^\uFEFF/, ''));
+    const columns = header.map(column => column.trim().toLowerCase());
+    const entryMap = new Map();
+
+    if (!MovieConstants.BARCODE_CATALOG_COLUMNS.every(column => columns.includes(column))) return entryMap;
+
+    for (const row of rows) {
+      const record = Object.fromEntries(columns.map((column, i) => [column, (row[i] || '').trim()]));
+      if (!isValidBarcode(record.barcode) || !this.#isValidRecord(record)) continue;
+
+      const barcode = normalizeBarcode(record.barcode);
+      if (entryMap.has(barcode)) continue;
+
+      entryMap.set(barcode, {
+        barcode,
+        title: record.title,
+        year: Number(record.year),
+        format: record.format,
+        actors: (record.actors || '')
+          .split(MovieConstants.BARCODE_CATALOG_ACTOR_SEPARATOR)
+          .map(actor => actor.trim())
+          .filter(Boolean)
+      });
+    }
+
+    return entryMap;
+  }
+
+  /**
+   * Checks whether the movie fields of a catalog row could be used to create a movie.
+   *
+   * @private
+   * @param {Object} record - The trimmed fields of the row by column name.
+   * @returns {boolean} True if the title, year, and format are valid.
+   */
+  #isValidRecord({ title, year, format }) {
+    const releaseYear = Number(year);
+
+    if (!title || title.length > 255 || !format) return false;
+
+    return Number.isInteger(releaseYear) && releaseYear >= MovieConstants.MIN_YEAR &&
+      releaseYear <= MovieConstants.MAX_YEAR;
+  }
+
+  /**
+   * Splits CSV content into rows of fields (RFC 4180): fields may be quoted, quoted fields may contain commas,
+   * line breaks, and doubled quotes, and lines may end with LF or CRLF. Blank lines are ignored.
+   *
+   * @private
+   * @param {string} content - The CSV content.
+   * @returns {Array<Array<string>>} The rows.
+   */
+  #parseCsv(content) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let isQuoted = false;
+
+    const endRow = () => {
+      row.push(field);
+      if (row.length > 1 || row[0].trim()) rows.push(row);
+      row = [];
+      field = '';
+    };
+
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+
+      if (isQuoted) {
+        if (char === '"' && content[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          isQuoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        isQuoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n') {
+        endRow();
+      } else if (char !== '\r') {
+        field += char;
+      }
+    }
+
+    if (field || row.length) endRow();
+
+    return rows;
+  }
+
+  /**
+   * Reads the catalog path from the `BARCODE_CATALOG_PATH` environment variable.
+   * Relative paths are resolved against the working directory.
+   *
+   * @private
+   * @returns {string} The absolute path of the catalog file.
+   */
+  #getPath() {
+    return path.resolve(process.env.BARCODE_CATALOG_PATH || MovieConstants.DEFAULT_BARCODE_CATALOG_PATH);
+  }
+
+}
+
+module.exports = new BarcodeCatalogService();
@@ -0,0 +1,91 @@
+const fs = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+const PosterConstants = require('../../constants/poster-constants');
+
+class PosterStorageService {
+  /**
+   * Stores the poster of a movie in every size, replacing the previous poster.
+   * The image is auto-rotated, scaled down to fit each size, and saved as JPEG. Each file is written to a temporary
+   * file first and then renamed, so a poster being served is never read half-written.
+   *
+   * @async
+   * @param {number} movieId - The ID of the movie.
+   * @param {Buffer} buffer - The uploaded image.
+   * @returns {Promise<void>}
+   */
+  async save(movieId, buffer) {
+    const directory = this.#getDirectory();
+    await fs.mkdir(directory, { recursive: true });
+
+    for (const size of PosterConstants.POSTER_SIZES) {
+      const { width, height } = PosterConstants.DimensionMap[size];
+      const image = await sharp(buffer)
+        .rotate()
+        .resize({ width, height, fit: 'inside', withoutEnlargement: true })
+        .jpeg()
+        .toBuffer();
+
+      const filePath = this.getPath(movieId, size);
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, image);
+      await fs.rename(tempPath, filePath);
+    }
+  }
+
+  /**
+   * Checks whether a buffer holds an image that can be stored as a poster.
+   *
+   * @async
+   * @param {Buffer} buffer - The uploaded file.
+   * @returns {Promise<boolean>} True if the image can be decoded.
+   */
+  async isValidImage(buffer) {
+    try {
+      const { width, height } = await sharp(buffer).metadata();
+      return Boolean(width && height);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Removes the poster files of the given movies. Movies without a poster are ignored.
+   *
+   * @async
+   * @param {Array<number>} movieIds - The IDs of the movies.
+   * @returns {Promise<void>}
+   */
+  async remove(movieIds) {
+    const filePaths = movieIds.flatMap(movieId =>
+      PosterConstants.POSTER_SIZES.map(size => this.getPath(movieId, size))
+    );
+
+    await Promise.all(filePaths.map(filePath => fs.rm(filePath, { force: true })));
+  }
+
+  /**
+   * Returns the absolute path of a movie poster file.
+   *
+   * @param {number} movieId - The ID of the movie.
+   * @param {string} size - The poster size ("thumb" or "full").
+   * @returns {string} The absolute path of the file.
+   */
+  getPath(movieId, size) {
+    return path.join(this.#getDirectory(), `${movieId}-${size}${PosterConstants.FILE_EXTENSION}`);
+  }
+
+  /**
+   * Reads the poster directory from the `POSTER_DIR` environment variable.
+   * Relative paths are resolved against the working directory.
+   *
+   * @private
+   * @returns {string} The absolute path of the poster directory.
+   */
+  #getDirectory() {
+    return path.resolve(process.env.POSTER_DIR || PosterConstants.DEFAULT_DIRECTORY);
+  }
+
+}
+
+module.exports = new PosterStorageService();
@@ -0,0 +1,9 @@
+const ActorConstants = {
+  DefaultValueMap: {
+    LIMIT: 20,
+    OFFSET: 0,
+    ORDER: "ASC"
+  }
+};
+
+module.exports = ActorConstants;
@@ -0,0 +1,13 @@
+const FormatConstants = {
+  // Digital copies cannot be lent or stored in a location
+  DEFAULT_FORMATS: [
+    { name: "VHS", isPhysical: true },
+    { name: "DVD", isPhysical: true },
+    { name: "Blu-Ray", isPhysical: true },
+    { name: "Digital", isPhysical: false }
+  ],
+  MAX_FORMAT_NAME_LENGTH: 50,
+  FORMAT_NAME_REGEX: /^[\p{L}\p{N}](?!.*[+&'\- ]{2})[\p{L}\p{N}+&'\- ]*$/u
+};
+
+module.exports = FormatConstants;
@@ -0,0 +1,15 @@
+const LoanConstants = {
+  LOAN_STATUSES: ["active", "overdue", "returned"],
+  MAX_BORROWER_NAME_LENGTH: 255,
+  MovieLoanStatusMap: {
+    AVAILABLE: "available",
+    ON_LOAN: "onLoan",
+    OVERDUE: "overdue"
+  },
+  DefaultValueMap: {
+    LIMIT: 20,
+    OFFSET: 0
+  }
+};
+
+module.exports = LoanConstants;
@@ -0,0 +1,11 @@
+const LocationConstants = {
+  // From the outermost to the innermost; a location can only be placed in a location of an earlier type
+  LOCATION_TYPES: ["room", "shelf", "box", "slot"],
+  MAX_LOCATION_NAME_LENGTH: 100,
+  DefaultValueMap: {
+    LIMIT: 20,
+    OFFSET: 0
+  }
+};
+
+module.exports = LocationConstants;
@@ -2,16 +2,94 @@ const MovieConstants = {
   MAX_FILE_SIZE: 5 * 1024 * 1024, // 5MB
   MIN_YEAR: 1895,
   MAX_YEAR: new Date().getFullYear() + 10, // Allow movies up to 10 years in the future
-  VALID_FORMATS: ["VHS", "DVD", "Blu-Ray", "Digital"],
+  MIN_RUNTIME: 1,
+  MAX_RUNTIME: 1000, // Minutes
+  MAX_SYNOPSIS_LENGTH: 5000,
+  // EAN-8, UPC-A, and EAN-13 barcodes; UPC-A codes are stored as EAN-13 with a leading zero
+  BARCODE_LENGTHS: [8, 12, 13],
+  BARCODE_CATALOG_COLUMNS: ["barcode", "title", "year", "format"],
+  BARCODE_CATALOG_ACTOR_SEPARATOR: ";",
+  DEFAULT_BARCODE_CATALOG_PATH: "data/barcode-catalog.csv",
   DefaultValueMap: {
     LIMIT: 20,
     OFFSET: 0,
     SORT: "title",
-    ORDER: "ASC"
+    ORDER: "ASC",
+    GENRE_MATCH: "any",
+    ACTOR_MATCH: "any"
   },
+  MAX_CURSOR_LENGTH: 4096, // Title cursors carry the collation sort key of the last title
+  MovieFacetMap: {
+    FORMAT: "format",
+    DECADE: "decade",
+    ACTOR: "actor"
+  },
+  MAX_ACTOR_FACET_BUCKETS: 10,
+  MAX_QUERY_LENGTH: 500,
+  // Node types of a parsed `q` search query
+  MovieQueryNodeMap: {
+    AND: "and",
+    OR: "or",
+    NOT: "not",
+    FIELD: "field",
+    TEXT: "text"
+  },
+  // Field qualifiers of a `q` search query (`actor:"Keanu Reeves"`, `year:>=1999`)
+  MovieQueryFieldMap: {
+    TITLE: "title",
+    ACTOR: "actor",
+    DIRECTOR: "director",
+    GENRE: "genre",
+    FORMAT: "format",
+    LANGUAGE: "language",
+    COUNTRY: "country",
+    YEAR: "year",
+    RUNTIME: "runtime",
+    RATING: "rating"
+  },
+  GENRE_MATCH_TYPES: ["any", "all"],
+  ACTOR_MATCH_TYPES: ["any", "all"],
+  // An exact actor count ("2") or a range with optional bounds ("2..4", "2..", "..4")
+  ACTOR_COUNT_RANGE_REGEX: /^(?:(\d+)|(\d+)?\.\.(\d+)?)$/,
+  GENRE_NAME_REGEX: /^[\p{L}\p{N}](?!.*[&'\- ]{2})[\p{L}\p{N}&'\- ]*$/u,
+  MAX_GENRE_NAME_LENGTH: 50,
   ACTOR_NAME_REGEX: /^(?!.*[.'\- ]{2})[\p{L}.'\- ]+$/u,
-  MOVIE_FILE_TEXT_FIELDS: ["Title", "Release Year", "Format", "Stars"]
-
+  STAR_WITH_CHARACTER_REGEX: /^(.+?)\s*\(([^()]*)\)$/,
+  MOVIE_FILE_TEXT_FIELDS: ["Title", "Release Year", "Format", "Stars"],
+  MOVIE_FILE_OPTIONAL_TEXT_FIELDS: ["Genre", "Director", "Runtime", "Synopsis", "Language", "Country", "Barcode"],
+  DEFAULT_TRASH_RETENTION_DAYS: 30,
+  TRASH_PURGE_INTERVAL_MS: 24 * 60 * 60 * 1000, // Once a day
+  MAX_BULK_IDS: 500,
+  BULK_CHANGE_FIELDS: ["title", "year", "format", "addActors", "removeActors", "addGenres", "removeGenres"],
+  BULK_FILTER_FIELDS: ["title", "actor", "search", "genre", "minRating", "watched", "lastWatchedBefore"],
+  BulkOutcomeMap: {
+    UPDATED: "updated",
+    DELETED: "deleted",
+    NOT_FOUND: "notFound",
+    REJECTED: "rejected"
+  },
+  MAX_PATCH_OPERATIONS: 100,
+  PATCH_OPERATIONS: ["add", "remove", "replace", "test"],
+  // A movie is a possible duplicate of a movie in the same format with a similar title and a close year
+  PossibleDuplicateMap: {
+    MIN_TITLE_SIMILARITY: 0.8,
+    MAX_YEAR_DIFFERENCE: 1,
+    MIN_SCORE: 0.75,
+    MAX_RESULTS: 5
+  },
+  PossibleDuplicateWeightMap: {
+    TITLE: 0.6,
+    YEAR: 0.2,
+    ACTORS: 0.2
+  },
+  TITLE_ARTICLES: ["the", "a", "an"],
+  WarningCodeMap: {
+    POSSIBLE_DUPLICATES: "possibleDuplicates"
+  },
+  BulkRejectionReasonMap: {
+    EMPTY_CAST: "castCannotBeEmpty",
+    ON_LOAN: "movieOnLoan"
+  }
 };
 
 module.exports = MovieConstants;
\ No newline at end of file
@@ -0,0 +1,22 @@
+const PosterConstants = {
+  MAX_FILE_SIZE: 10 * 1024 * 1024, // 10MB
+  UPLOAD_FIELD: "poster",
+  ALLOWED_MIME_TYPES: ["image/jpeg", "image/png", "image/webp"],
+  ALLOWED_EXTENSIONS: [".jpg", ".jpeg", ".png", ".webp"],
+  PosterSizeMap: {
+    THUMB: "thumb",
+    FULL: "full"
+  },
+  POSTER_SIZES: ["thumb", "full"],
+  // Posters are scaled down (never up) to fit these bounds
+  DimensionMap: {
+    thumb: { width: 200, height: 300 },
+    full: { width: 1000, height: 1500 }
+  },
+  CONTENT_TYPE: "image/jpeg",
+  FILE_EXTENSION: ".jpg",
+  CACHE_MAX_AGE_SECONDS: 24 * 60 * 60, // One day
+  DEFAULT_DIRECTORY: "data/posters"
+};
+
+module.exports = PosterConstants;
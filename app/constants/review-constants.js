@@ -0,0 +1,11 @@
+const ReviewConstants = {
+  MIN_RATING: 1,
+  MAX_RATING: 10,
+  MAX_TEXT_LENGTH: 5000,
+  DefaultValueMap: {
+    LIMIT: 20,
+    OFFSET: 0
+  }
+};
+
+module.exports = ReviewConstants;
@@ -0,0 +1,14 @@
+const RevisionConstants = {
+  RevisionActionMap: {
+    CREATE: "create",
+    UPDATE: "update",
+    REVERT: "revert"
+  },
+  REVISION_ACTIONS: ["create", "update", "revert"],
+  DefaultValueMap: {
+    LIMIT: 20,
+    OFFSET: 0
+  }
+};
+
+module.exports = RevisionConstants;
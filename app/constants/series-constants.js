@@ -0,0 +1,11 @@
+const SeriesConstants = {
+  MAX_SERIES_NAME_LENGTH: 255,
+  MIN_POSITION: 1,
+  MAX_POSITION: 1000,
+  DefaultValueMap: {
+    LIMIT: 20,
+    OFFSET: 0
+  }
+};
+
+module.exports = SeriesConstants;
@@ -0,0 +1,10 @@
+const ViewConstants = {
+  MAX_NOTE_LENGTH: 1000,
+  DefaultValueMap: {
+    LIMIT: 20,
+    OFFSET: 0,
+    RECENT_LIMIT: 10
+  }
+};
+
+module.exports = ViewConstants;
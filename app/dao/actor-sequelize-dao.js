@@ -0,0 +1,336 @@
+const { Op } = require("sequelize");
+const { MovieModel, ActorModel, MovieActorModel, sequelize } = require('../models');
+const movieDao = require("./movie-sequelize-dao");
+
+const TableNameMap = {
+  MOVIES: "movies",
+};
+
+const FILMOGRAPHY_ATTRIBUTES = ["id", "title", "year", "format"];
+
+/**
+ * Sequelize implementation of Actor DAO
+ * Handles all database operations using Sequelize ORM
+ */
+class ActorSequelizeDao {
+  /**
+   * Lists actors that appear in at least one movie of the user, with optional search and pagination.
+   * Uses the normalized search field for case-insensitive matching.
+   *
+   * @async
+   * @param {Object} [options] - The query options.
+   * @param {number} options.userId - The ID of the user whose collection the actors appear in.
+   * @param {number} [options.limit] - The maximum number of actors to return.
+   * @param {number} [options.offset] - The number of actors to skip.
+   * @param {string} [options.order] - The sort order by name ("ASC" or "DESC").
+   * @param {string} [options.search] - Filter by actor name (case-insensitive partial match).
+   * @returns {Promise<Object>} Object containing itemList (array of actors) and total (total count matching filters).
+   */
+  async list({ userId, limit, offset, order, search } = {}) {
+    const where = this.#buildActorWhere(search);
+    const include = this.#buildOwnedMoviesInclude(userId);
+
+    const total = await ActorModel.count({
+      where,
+      include,
+      distinct: true
+    });
+
+    const actors = await ActorModel.findAll({
+      where,
+      include,
+      limit,
+      offset,
+      order: [["name", order], ["id", "ASC"]],
+      subQuery: false,
+      group: ["actor.id"]
+    });
+
+    return {
+      itemList: actors.map(a => a.get({ plain: true })),
+      total
+    };
+  }
+
+  /**
+   * Retrieves an actor by its ID together with the filmography from the user's collection.
+   * The filmography is sorted by release year (oldest first) and lists the character played in each movie.
+   *
+   * @async
+   * @param {number} id - The ID of the actor to retrieve.
+   * @param {number} userId - The ID of the user whose movies form the filmography.
+   * @returns {Promise<Object|null>} The actor with its movies, or null if the actor does not appear in the user's collection.
+   */
+  async getById(id, userId) {
+    const actor = await ActorModel.findByPk(id, {
+      include: [{
+        model: MovieModel,
+        as: TableNameMap.MOVIES,
+        attributes: FILMOGRAPHY_ATTRIBUTES,
+        where: { userId },
+        through: { attributes: ["character"] },
+        required: true
+      }],
+      order: [
+        [{ model: MovieModel, as: TableNameMap.MOVIES }, "year", "ASC"],
+        [{ model: MovieModel, as: TableNameMap.MOVIES }, "id", "ASC"]
+      ]
+    });
+
+    if (!actor) return null;
+
+    const { movies, ...actorData } = actor.get({ plain: true });
+    return {
+      ...actorData,
+      movies: movies.map(({ movie_actors: link, ...movie }) => ({
+        ...movie,
+        character: link?.character ?? null
+      }))
+    };
+  }
+
+  /**
+   * Retrieves an actor by its exact name.
+   *
+   * @async
+   * @param {string} name - The name of the actor.
+   * @returns {Promise<Object|null>} The actor, or null if not found.
+   */
+  async getByName(name) {
+    const actor = await ActorModel.findOne({ where: { name: name.trim() } });
+    return actor ? actor.get({ plain: true }) : null;
+  }
+
+  /**
+   * Renames an actor in the user's collection.
+   * Actors are shared by all users, so the actor row is renamed in place only if it appears in no other user's movies
+   * and no other actor has the new name. Otherwise the user's movies are re-pointed to the actor with the new name
+   * (created if needed), and the old actor is deleted once no movie refers to it.
+   * Every movie of the user whose cast changes gets a revision and a new version.
+   * Automatically normalizes the name for search purposes.
+   * Uses a transaction to ensure atomicity - if any operation fails, all changes are rolled back.
+   *
+   * @async
+   * @param {Object} dtoIn - The input data for updating an actor.
+   * @param {number} dtoIn.id - The ID of the actor to update.
+   * @param {string} dtoIn.name - The new name of the actor.
+   * @param {number} dtoIn.userId - The ID of the user whose movies are updated.
+   * @returns {Promise<Object|null>} The renamed actor (with a new ID if the row was not renamed in place), or null if
+   *   not found.
+   */
+  async update({ id, name, userId }) {
+    return sequelize.transaction(async (transaction) => {
+      const actor = await ActorModel.findByPk(id, { transaction });
+      if (!actor) return null;
+
+      const ownMovieIds = this.#buildOwnMovieIdsLiteral(userId);
+      const ownLinks = await MovieActorModel.findAll({
+        attributes: ["movieId"],
+        where: { actorId: id, movieId: { [Op.in]: ownMovieIds } },
+        transaction
+      });
+      const foreignLinkCount = await MovieActorModel.count({
+        where: { actorId: id, movieId: { [Op.notIn]: ownMovieIds } },
+        transaction
+      });
+      const namesake = await ActorModel.findOne({ where: { name }, transaction });
+      const movieIds = ownLinks.map(link => link.movieId);
+
+      return movieDao.recordRelatedChange({ movieIds, userId, transaction }, async () => {
+        if (!foreignLinkCount && (!namesake || namesake.id === id)) {
+          await actor.update({ name, searchName: this.#normalizeField(name) }, { transaction });
+          return (await ActorModel.findByPk(id, { transaction })).get({ plain: true });
+        }
+
+        const target = namesake || await ActorModel.create(
+          { name, searchName: this.#normalizeField(name) },
+          { transaction }
+        );
+        await MovieActorModel.update(
+          { actorId: target.id },
+          { where: { actorId: id, movieId: { [Op.in]: ownMovieIds } }, transaction }
+        );
+        await this.#destroyUnlinked([id], transaction);
+
+        return (await ActorModel.findByPk(target.id, { transaction })).get({ plain: true });
+      });
+    });
+  }
+
+  /**
+   * Retrieves the actors with the given IDs that appear in at least one movie of the user.
+   *
+   * @async
+   * @param {Array<number>} ids - The IDs of the actors to retrieve.
+   * @param {number} userId - The ID of the user whose collection the actors appear in.
+   * @returns {Promise<Array<Object>>} Array of found actors (missing or foreign actors are left out).
+   */
+  async listByIds(ids, userId) {
+    const actors = await ActorModel.findAll({
+      where: { id: ids },
+      include: this.#buildOwnedMoviesInclude(userId),
+      subQuery: false,
+      group: ["actor.id"]
+    });
+
+    return actors.map(a => a.get({ plain: true }));
+  }
+
+  /**
+   * Lists all actors of the user's collection together with their normalized search names.
+   * Used to find actors that are likely spelling variants of each other.
+   *
+   * @async
+   * @param {number} userId - The ID of the user whose collection the actors appear in.
+   * @returns {Promise<Array<Object>>} Array of actors with id, name, and searchName.
+   */
+  async listWithSearchName(userId) {
+    const actors = await ActorModel.findAll({
+      attributes: ["id", "name", "searchName"],
+      include: this.#buildOwnedMoviesInclude(userId),
+      order: [["id", "ASC"]],
+      subQuery: false,
+      group: ["actor.id"]
+    });
+
+    return actors.map(a => a.get({ plain: true }));
+  }
+
+  /**
+   * Merges source actors into the target actor within the user's collection.
+   * Re-points the links of the source actors on the user's movies to the target, drops links that would duplicate
+   * an existing link of the same movie, and deletes the source actors that no movie of any user refers to anymore.
+   * Uses a transaction to ensure atomicity - if any operation fails, all changes are rolled back.
+   *
+   * @async
+   * @param {number} targetId - The ID of the actor that is kept.
+   * @param {Array<number>} sourceIds - The IDs of the actors merged into the target.
+   * @param {number} userId - The ID of the user whose movies are relinked.
+   * @returns {Promise<Object>} Object containing relinked (moved links) and dropped (duplicate links removed) counts.
+   */
+  async merge(targetId, sourceIds, userId) {
+    return sequelize.transaction(async (transaction) => {
+      const ownMovieIds = { [Op.in]: this.#buildOwnMovieIdsLiteral(userId) };
+      const targetLinks = await MovieActorModel.findAll({
+        where: { actorId: targetId, movieId: ownMovieIds },
+        transaction
+      });
+      const linkedMovieIds = new Set(targetLinks.map(l => l.movieId));
+
+      const sourceLinks = await MovieActorModel.findAll({
+        where: { actorId: sourceIds, movieId: ownMovieIds },
+        order: [["movieId", "ASC"], ["actorId", "ASC"]],
+        transaction
+      });
+
+      const rows = [];
+      for (const link of sourceLinks) {
+        if (linkedMovieIds.has(link.movieId)) continue;
+
+        linkedMovieIds.add(link.movieId);
+        rows.push({ ...link.get({ plain: true }), actorId: targetId });
+      }
+
+      await MovieActorModel.destroy({ where: { actorId: sourceIds, movieId: ownMovieIds }, transaction });
+
+      if (rows.length) {
+        await MovieActorModel.bulkCreate(rows, { transaction });
+      }
+
+      await this.#destroyUnlinked(sourceIds, transaction);
+
+      return {
+        relinked: rows.length,
+        dropped: sourceLinks.length - rows.length
+      };
+    });
+  }
+
+  // ============================================================================
+  // Private methods for query building
+  // ============================================================================
+
+  /**
+   * Builds the Sequelize where clause for filtering actors by name.
+   *
+   * @private
+   * @param {string} [search] - The actor name to filter by (case-insensitive partial match).
+   * @returns {Object} Sequelize where clause object, or empty object if no filter provided.
+   */
+  #buildActorWhere(search) {
+    if (!search) return {};
+
+    return {
+      searchName: {
+        [Op.like]: `%${this.#normalizeField(search.trim())}%`
+      }
+    };
+  }
+
+  /**
+   * Builds the include clause restricting actors to those linked to at least one movie of the user.
+   *
+   * @private
+   * @param {number} userId - The ID of the user whose movies are used.
+   * @returns {Array<Object>} Array containing the include clause configuration for Sequelize.
+   */
+  #buildOwnedMoviesInclude(userId) {
+    return [{
+      model: MovieModel,
+      as: TableNameMap.MOVIES,
+      attributes: [],
+      where: { userId },
+      through: { attributes: [] },
+      required: true
+    }];
+  }
+
+  /**
+   * Builds the subquery of the IDs of the user's movies, trashed movies included.
+   *
+   * @private
+   * @param {number} userId - The ID of the user.
+   * @returns {Object} Sequelize literal usable with `Op.in` and `Op.notIn`.
+   */
+  #buildOwnMovieIdsLiteral(userId) {
+    return sequelize.literal(`(SELECT movies.id FROM movies WHERE movies.userId = ${sequelize.escape(userId)})`);
+  }
+
+  /**
+   * Deletes the actors that no movie refers to anymore.
+   *
+   * @async
+   * @private
+   * @param {Array<number>} actorIds - The IDs of the actors to check.
+   * @param {Object} transaction - The transaction.
+   * @returns {Promise<void>}
+   */
+  async #destroyUnlinked(actorIds, transaction) {
+    await ActorModel.destroy({
+      where: {
+        id: actorIds,
+        [Op.and]: sequelize.literal("NOT EXISTS (SELECT 1 FROM movie_actors WHERE movie_actors.actorId = actors.id)")
+      },
+      transaction
+    });
+  }
+
+  // ============================================================================
+  // Common private methods
+  // ============================================================================
+
+  /**
+   * Normalizes a string field for case-insensitive searching.
+   * Converts to lowercase and handles null/undefined values.
+   *
+   * @private
+   * @param {string} [field] - Field value to normalize.
+   * @returns {string} Normalized lowercase string, or empty string if input is falsy.
+   */
+  #normalizeField(field) {
+    return (field || '').toLowerCase();
+  }
+
+}
+
+module.exports = new ActorSequelizeDao();
@@ -0,0 +1,113 @@
+const { MovieModel, FormatModel } = require('../models');
+const { normalizeName } = require("../components/helpers/text-helper");
+
+/**
+ * Sequelize implementation of Format DAO
+ * Handles all database operations using Sequelize ORM
+ */
+class FormatSequelizeDao {
+  /**
+   * Lists all media formats sorted by name.
+   *
+   * @async
+   * @returns {Promise<Array<Object>>} Array of formats ({ id, name, isPhysical }).
+   */
+  async list() {
+    const formats = await FormatModel.findAll({
+      order: [["name", "ASC"], ["id", "ASC"]]
+    });
+
+    return formats.map(f => f.get({ plain: true }));
+  }
+
+  /**
+   * Retrieves a format by its ID.
+   *
+   * @async
+   * @param {number} id - The ID of the format to retrieve.
+   * @returns {Promise<Object|null>} The format, or null if not found.
+   */
+  async getById(id) {
+    const format = await FormatModel.findByPk(id);
+    return format ? format.get({ plain: true }) : null;
+  }
+
+  /**
+   * Retrieves a format by its name.
+   * Names are matched case-insensitively, so "dvd" finds the "DVD" format.
+   *
+   * @async
+   * @param {string} name - The name of the format.
+   * @returns {Promise<Object|null>} The format, or null if not found.
+   */
+  async getByName(name) {
+    const format = await FormatModel.findOne({ where: { searchName: normalizeName(name) } });
+    return format ? format.get({ plain: true }) : null;
+  }
+
+  /**
+   * Creates a new format.
+   * Automatically normalizes the name for search purposes.
+   *
+   * @async
+   * @param {Object} dtoIn - The input data for creating a format.
+   * @param {string} dtoIn.name - The name of the format.
+   * @param {boolean} [dtoIn.isPhysical=true] - Whether movies in the format are physical copies.
+   * @returns {Promise<Object>} The created format.
+   */
+  async create({ name, isPhysical }) {
+    const format = await FormatModel.create({ name, searchName: normalizeName(name), isPhysical });
+
+    const created = await FormatModel.findByPk(format.id);
+    return created.get({ plain: true });
+  }
+
+  /**
+   * Renames a format or changes whether it is physical.
+   * Movies refer to their format by name; the foreign key cascades the new name to all of them.
+   *
+   * @async
+   * @param {Object} dtoIn - The input data for updating a format.
+   * @param {number} dtoIn.id - The ID of the format to update.
+   * @param {string} [dtoIn.name] - The new name of the format.
+   * @param {boolean} [dtoIn.isPhysical] - Whether movies in the format are physical copies.
+   * @returns {Promise<Object|null>} The updated format, or null if not found.
+   */
+  async update({ id, name, isPhysical }) {
+    const format = await FormatModel.findByPk(id);
+    if (!format) return null;
+
+    await format.update({
+      ...(name !== undefined && { name, searchName: normalizeName(name) }),
+      ...(isPhysical !== undefined && { isPhysical })
+    });
+
+    const updated = await FormatModel.findByPk(id);
+    return updated ? updated.get({ plain: true }) : null;
+  }
+
+  /**
+   * Deletes a format.
+   *
+   * @async
+   * @param {number} id - The ID of the format to delete.
+   * @returns {Promise<boolean>} True if the format was deleted, false if not found.
+   */
+  async delete(id) {
+    const deletedCount = await FormatModel.destroy({ where: { id } });
+    return deletedCount > 0;
+  }
+
+  /**
+   * Counts the movies of all users in a format, including movies in the trash (they can still be restored).
+   *
+   * @async
+   * @param {string} name - The name of the format.
+   * @returns {Promise<number>} The number of movies in the format.
+   */
+  async countMovies(name) {
+    return MovieModel.count({ where: { format: name }, paranoid: false });
+  }
+}
+
+module.exports = new FormatSequelizeDao();
@@ -0,0 +1,44 @@
+const { MovieModel, GenreModel, sequelize } = require('../models');
+
+const TableNameMap = {
+  MOVIES: "movies",
+};
+
+/**
+ * Sequelize implementation of Genre DAO
+ * Handles all database operations using Sequelize ORM
+ */
+class GenreSequelizeDao {
+  /**
+   * Lists the genres used in the user's collection together with the number of the user's movies in each genre.
+   * Genres without any of the user's movies are left out.
+   *
+   * @async
+   * @param {number} userId - The ID of the user whose movies are counted.
+   * @returns {Promise<Array<Object>>} Array of genres ({ id, name, movieCount }) sorted by name.
+   */
+  async listWithMovieCounts(userId) {
+    const genres = await GenreModel.findAll({
+      attributes: [
+        "id",
+        "name",
+        [sequelize.fn("COUNT", sequelize.col(`${TableNameMap.MOVIES}.id`)), "movieCount"]
+      ],
+      include: [{
+        model: MovieModel,
+        as: TableNameMap.MOVIES,
+        attributes: [],
+        where: { userId },
+        through: { attributes: [] },
+        required: true
+      }],
+      group: ["genre.id"],
+      order: [["name", "ASC"], ["id", "ASC"]],
+      raw: true
+    });
+
+    return genres.map(g => ({ ...g, movieCount: Number(g.movieCount) }));
+  }
+}
+
+module.exports = new GenreSequelizeDao();
@@ -0,0 +1,147 @@
+const { Op } = require("sequelize");
+const { LoanModel, MovieModel } = require('../models');
+const { today } = require("../components/helpers/date-helper");
+
+const TableNameMap = {
+  MOVIE: "movie",
+};
+
+const MOVIE_ATTRIBUTES = ["id", "title", "year", "format"];
+
+/**
+ * Sequelize implementation of Loan DAO
+ * Handles all database operations using Sequelize ORM
+ */
+class LoanSequelizeDao {
+  /**
+   * Creates a new loan of a movie copy.
+   *
+   * @async
+   * @param {Object} dtoIn - The input data for creating a loan.
+   * @param {number} dtoIn.movieId - The ID of the lent movie.
+   * @param {number} dtoIn.userId - The ID of the user who owns the movie.
+   * @param {string} dtoIn.borrowerName - The name of the borrower.
+   * @param {string} dtoIn.lentAt - The date the copy was lent (YYYY-MM-DD).
+   * @param {string} dtoIn.dueAt - The date the copy should be returned (YYYY-MM-DD).
+   * @returns {Promise<Object|null>} The created loan with its movie.
+   */
+  async create(dtoIn) {
+    const loan = await LoanModel.create(dtoIn);
+
+    return this.getById(loan.id, dtoIn.userId);
+  }
+
+  /**
+   * Retrieves a loan by its ID, including the lent movie.
+   * Only loans of the given user are returned.
+   *
+   * @async
+   * @param {number} id - The ID of the loan to retrieve.
+   * @param {number} userId - The ID of the user who owns the lent movie.
+   * @returns {Promise<Object|null>} The loan, or null if not found.
+   */
+  async getById(id, userId) {
+    const loan = await LoanModel.findOne({
+      where: { id, userId },
+      ...this.#buildQueryWithMovie()
+    });
+
+    return loan ? loan.get({ plain: true }) : null;
+  }
+
+  /**
+   * Retrieves the active (not yet returned) loan of a movie.
+   *
+   * @async
+   * @param {number} movieId - The ID of the movie.
+   * @returns {Promise<Object|null>} The active loan, or null if the copy is not on loan.
+   */
+  async getActiveByMovie(movieId) {
+    const loan = await LoanModel.findOne({ where: { movieId, returnedAt: null } });
+
+    return loan ? loan.get({ plain: true }) : null;
+  }
+
+  /**
+   * Lists the loans of a user's movies, optionally filtered by status.
+   * Loans are sorted by due date (earliest first).
+   *
+   * @async
+   * @param {Object} options - The query options.
+   * @param {number} options.userId - The ID of the user who owns the lent movies.
+   * @param {string} [options.status] - "active" (not returned), "overdue" (not returned and past due), or "returned".
+   * @param {number} [options.limit] - The maximum number of loans to return.
+   * @param {number} [options.offset] - The number of loans to skip.
+   * @returns {Promise<Object>} Object containing itemList (array of loans) and total (total count matching filters).
+   */
+  async list({ userId, status, limit, offset }) {
+    const { rows, count } = await LoanModel.findAndCountAll({
+      where: { userId, ...this.#buildStatusWhere(status) },
+      limit,
+      offset,
+      order: [["dueAt", "ASC"], ["id", "ASC"]],
+      ...this.#buildQueryWithMovie()
+    });
+
+    return {
+      itemList: rows.map(l => l.get({ plain: true })),
+      total: count
+    };
+  }
+
+  /**
+   * Marks a loan as returned.
+   *
+   * @async
+   * @param {number} id - The ID of the loan.
+   * @param {number} userId - The ID of the user who owns the lent movie.
+   * @param {string} returnedAt - The date the copy was returned (YYYY-MM-DD).
+   * @returns {Promise<Object|null>} The updated loan, or null if not found.
+   */
+  async markReturned(id, userId, returnedAt) {
+    const loan = await LoanModel.findOne({ where: { id, userId } });
+    if (!loan) return null;
+
+    await loan.update({ returnedAt });
+
+    return this.getById(id, userId);
+  }
+
+  /**
+   * Builds the where conditions for a loan status.
+   *
+   * @private
+   * @param {string} [status] - The loan status ("active", "overdue", or "returned").
+   * @returns {Object} Sequelize where conditions (empty when no status is given).
+   */
+  #buildStatusWhere(status) {
+    switch (status) {
+      case "active":
+        return { returnedAt: null };
+      case "overdue":
+        return { returnedAt: null, dueAt: { [Op.lt]: today() } };
+      case "returned":
+        return { returnedAt: { [Op.ne]: null } };
+      default:
+        return {};
+    }
+  }
+
+  /**
+   * Builds the standard Sequelize query options with the lent movie included.
+   *
+   * @private
+   * @returns {Object} Sequelize query options object with include clause for the movie.
+   */
+  #buildQueryWithMovie() {
+    return {
+      include: [{
+        model: MovieModel,
+        as: TableNameMap.MOVIE,
+        attributes: MOVIE_ATTRIBUTES
+      }]
+    };
+  }
+}
+
+module.exports = new LoanSequelizeDao();
@@ -0,0 +1,246 @@
+const { Op } = require("sequelize");
+const { MovieModel, LocationModel, sequelize } = require('../models');
+
+const TableNameMap = {
+  LOCATION: "location",
+};
+
+const MOVIE_ATTRIBUTES = ["id", "title", "year", "format"];
+const LOCATION_ATTRIBUTES = ["id", "name", "type"];
+
+// Correlated subquery over the movies stored directly in the current location row (the trash is not counted)
+const MOVIE_COUNT_SQL =
+  "(SELECT COUNT(*) FROM movies WHERE movies.locationId = location.id AND movies.deletedAt IS NULL)";
+
+/**
+ * Sequelize implementation of Location DAO
+ * Handles all database operations using Sequelize ORM
+ */
+class LocationSequelizeDao {
+  /**
+   * Lists all locations of a user sorted by name, each with the number of movies stored directly in it.
+   *
+   * @async
+   * @param {number} userId - The ID of the user who owns the locations.
+   * @returns {Promise<Array<Object>>} Array of locations ({ id, name, type, parentId, movieCount, ... }).
+   */
+  async list(userId) {
+    const locations = await LocationModel.findAll({
+      attributes: { include: [[sequelize.literal(MOVIE_COUNT_SQL), "movieCount"]] },
+      where: { userId },
+      order: [["name", "ASC"], ["id", "ASC"]]
+    });
+
+    return locations.map(l => l.get({ plain: true }));
+  }
+
+  /**
+   * Retrieves a location by its ID.
+   * Only locations of the given user are returned.
+   *
+   * @async
+   * @param {number} id - The ID of the location to retrieve.
+   * @param {number} userId - The ID of the user who owns the location.
+   * @returns {Promise<Object|null>} The location, or null if not found.
+   */
+  async getById(id, userId) {
+    const location = await LocationModel.findOne({ where: { id, userId } });
+    return location ? location.get({ plain: true }) : null;
+  }
+
+  /**
+   * Lists the locations placed directly in a location, sorted by name.
+   *
+   * @async
+   * @param {number} parentId - The ID of the parent location.
+   * @returns {Promise<Array<Object>>} Array of child locations.
+   */
+  async listChildren(parentId) {
+    const children = await LocationModel.findAll({
+      where: { parentId },
+      order: [["name", "ASC"], ["id", "ASC"]]
+    });
+
+    return children.map(l => l.get({ plain: true }));
+  }
+
+  /**
+   * Retrieves the path of a location: the location and the locations containing it, from the outermost one
+   * (e.g., room, shelf, box, slot).
+   *
+   * @async
+   * @param {number} id - The ID of the location.
+   * @returns {Promise<Array<Object>>} Array of locations ({ id, name, type }), empty if the location does not exist.
+   */
+  async getPath(id) {
+    const path = [];
+
+    let location = await LocationModel.findByPk(id, { attributes: [...LOCATION_ATTRIBUTES, "parentId"] });
+    while (location) {
+      const { parentId, ...entry } = location.get({ plain: true });
+      path.unshift(entry);
+      location = parentId
+        ? await LocationModel.findByPk(parentId, { attributes: [...LOCATION_ATTRIBUTES, "parentId"] })
+        : null;
+    }
+
+    return path;
+  }
+
+  /**
+   * Retrieves the location a movie is stored in, with its path.
+   *
+   * @async
+   * @param {Object} movie - The movie (with `locationId`).
+   * @returns {Promise<Object|null>} The location ({ id, name, type, path }), or null if the movie has no location.
+   */
+  async getMovieLocation(movie) {
+    if (!movie.locationId) return null;
+
+    const path = await this.getPath(movie.locationId);
+    if (!path.length) return null;
+
+    return { ...path[path.length - 1], path };
+  }
+
+  /**
+   * Creates a new location.
+   *
+   * @async
+   * @param {Object} dtoIn - The input data for creating a location.
+   * @param {string} dtoIn.name - The name of the location.
+   * @param {string} dtoIn.type - The type of the location ("room", "shelf", "box", or "slot").
+   * @param {number|null} dtoIn.parentId - The ID of the location containing it, or null for a top-level location.
+   * @param {number} dtoIn.userId - The ID of the user who owns the location.
+   * @returns {Promise<Object>} The created location.
+   */
+  async create(dtoIn) {
+    const location = await LocationModel.create(dtoIn);
+
+    return this.getById(location.id, dtoIn.userId);
+  }
+
+  /**
+   * Updates a location. Changing the parent moves the location together with everything inside it (nested
+   * locations and movies), as they keep referring to the moved location.
+   *
+   * @async
+   * @param {Object} dtoIn - The input data for updating a location.
+   * @param {number} dtoIn.id - The ID of the location to update.
+   * @param {number} dtoIn.userId - The ID of the user who owns the location.
+   * @param {string} [dtoIn.name] - The new name of the location.
+   * @param {string} [dtoIn.type] - The new type of the location.
+   * @param {number|null} [dtoIn.parentId] - The ID of the new parent location, or null to make it a top-level location.
+   * @returns {Promise<Object|null>} The updated location, or null if not found.
+   */
+  async update({ id, userId, ...locationFields }) {
+    const location = await LocationModel.findOne({ where: { id, userId } });
+    if (!location) return null;
+
+    await location.update(locationFields);
+
+    return this.getById(id, userId);
+  }
+
+  /**
+   * Deletes a location.
+   *
+   * @async
+   * @param {number} id - The ID of the location to delete.
+   * @param {number} userId - The ID of the user who owns the location.
+   * @returns {Promise<boolean>} True if the location was deleted, false if not found.
+   */
+  async delete(id, userId) {
+    const deletedCount = await LocationModel.destroy({ where: { id, userId } });
+    return deletedCount > 0;
+  }
+
+  /**
+   * Counts the locations placed directly in a location.
+   *
+   * @async
+   * @param {number} id - The ID of the location.
+   * @returns {Promise<number>} The number of child locations.
+   */
+  async countChildren(id) {
+    return LocationModel.count({ where: { parentId: id } });
+  }
+
+  /**
+   * Counts the movies stored directly in a location, including movies in the trash (they can still be restored).
+   *
+   * @async
+   * @param {number} id - The ID of the location.
+   * @returns {Promise<number>} The number of movies in the location.
+   */
+  async countMovies(id) {
+    return MovieModel.count({ where: { locationId: id }, paranoid: false });
+  }
+
+  /**
+   * Lists the movies stored in a location or in any location nested in it, sorted by title.
+   * Every movie includes the location it is stored in directly. Movies in the trash are left out.
+   *
+   * @async
+   * @param {Object} options - The query options.
+   * @param {number} options.id - The ID of the location.
+   * @param {number} options.userId - The ID of the user who owns the movies.
+   * @param {number} [options.limit] - The maximum number of movies to return.
+   * @param {number} [options.offset] - The number of movies to skip.
+   * @returns {Promise<Object>} Object containing itemList (array of movies) and total (total count of movies).
+   */
+  async listMovies({ id, userId, limit, offset }) {
+    const { rows, count } = await MovieModel.findAndCountAll({
+      attributes: MOVIE_ATTRIBUTES,
+      where: {
+        userId,
+        locationId: { [Op.in]: sequelize.literal(`(${this.#buildSubtreeSql(id)})`) }
+      },
+      include: [{
+        model: LocationModel,
+        as: TableNameMap.LOCATION,
+        attributes: LOCATION_ATTRIBUTES
+      }],
+      limit,
+      offset,
+      order: [["title", "ASC"], ["id", "ASC"]]
+    });
+
+    return {
+      itemList: rows.map(m => m.get({ plain: true })),
+      total: count
+    };
+  }
+
+  /**
+   * Stores a movie in a location, or takes it out of its location.
+   * The location is not part of the movie's revision history, so the version of the movie is kept.
+   *
+   * @async
+   * @param {number} movieId - The ID of the movie.
+   * @param {number} userId - The ID of the user who owns the movie.
+   * @param {number|null} locationId - The ID of the location, or null to clear the location of the movie.
+   * @returns {Promise<boolean>} True if the movie was updated, false if not found.
+   */
+  async setMovieLocation(movieId, userId, locationId) {
+    const [updatedCount] = await MovieModel.update({ locationId }, { where: { id: movieId, userId } });
+    return updatedCount > 0;
+  }
+
+  /**
+   * Builds the SQL selecting the IDs of a location and of all locations nested in it.
+   *
+   * @private
+   * @param {number} id - The ID of the location.
+   * @returns {string} A recursive SQL query returning one `id` column.
+   */
+  #buildSubtreeSql(id) {
+    return `WITH RECURSIVE subtree(id) AS (
+      SELECT id FROM locations WHERE id = ${sequelize.escape(id)}
+      UNION ALL
+      SELECT locations.id FROM locations JOIN subtree ON locations.parentId = subtree.id
+    ) SELECT id FROM subtree`;
+  }
+}
+
+module.exports = new LocationSequelizeDao();
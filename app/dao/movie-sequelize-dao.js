@@ -1,188 +1,647 @@
 const { Op } = require("sequelize");
-const { MovieModel, ActorModel, sequelize } = require('../models');
+const {
+  MovieModel, ActorModel, MovieActorModel, GenreModel, MovieGenreModel, DirectorModel, MovieDirectorModel, LoanModel,
+  MovieRevisionModel, FormatModel, sequelize
+} = require('../models');
+const { MovieLoanStatusMap } = require("../constants/loan-constants");
+const { Common: Errors } = require("../api/errors/movie-errors");
+const {
+  BulkOutcomeMap, BulkRejectionReasonMap, MovieFacetMap, MAX_ACTOR_FACET_BUCKETS, MovieQueryNodeMap, MovieQueryFieldMap
+} = require("../constants/movie-constants");
+const { RevisionActionMap } = require("../constants/revision-constants");
+const { today } = require("../components/helpers/date-helper");
+const { applyMoviePatch } = require("../components/helpers/movie-patch-helper");
+const { toFullTextQuery } = require("../components/helpers/text-helper");
+const { toTitleSortKey } = require("../components/helpers/collation-helper");
+const { listSearchTerms } = require("../components/helpers/movie-query-helper");
+const { MOVIE_SEARCH_TABLE } = require("../models/movie-search-index");
 
 const TableNameMap = {
   ACTORS: "actors",
+  CURRENT_LOAN: "currentLoan",
+  DIRECTORS: "directors",
+  GENRES: "genres",
   MOVIES: "movies",
 };
 
+const LINK_ATTRIBUTES = ["billingOrder", "character"];
+const REVISION_FIELDS = ["title", "year", "format", "runtime", "synopsis", "language", "country", "barcode"];
+const CURRENT_LOAN_ATTRIBUTES = ["id", "borrowerName", "lentAt", "dueAt"];
+
+// Correlated subqueries over the reviews, viewings, and cast of the current movie row
+const AVERAGE_RATING_SQL = "(SELECT ROUND(AVG(reviews.rating), 2) FROM reviews WHERE reviews.movieId = movie.id)";
+const REVIEW_COUNT_SQL = "(SELECT COUNT(*) FROM reviews WHERE reviews.movieId = movie.id)";
+const VIEW_COUNT_SQL = "(SELECT COUNT(*) FROM views WHERE views.movieId = movie.id)";
+const LAST_WATCHED_AT_SQL = "(SELECT MAX(views.watchedAt) FROM views WHERE views.movieId = movie.id)";
+const ACTOR_COUNT_SQL = "(SELECT COUNT(*) FROM movie_actors WHERE movie_actors.movieId = movie.id)";
+
+// Full-text search over the title and actor names; the bm25 weights rank a title match above an actor match. The index
+// is shared by all users, so bm25 scores (and relevance cursors) also depend on other users' movies
+const SEARCH_MATCH_SQL = `SELECT rowid FROM ${MOVIE_SEARCH_TABLE} WHERE ${MOVIE_SEARCH_TABLE} MATCH`;
+const SEARCH_RANK_SQL = `SELECT bm25(${MOVIE_SEARCH_TABLE}, 10.0, 1.0) FROM ${MOVIE_SEARCH_TABLE}
+  WHERE rowid = movie.id AND ${MOVIE_SEARCH_TABLE} MATCH`;
+
+// Movies linked to an actor, director, or genre by its search name, for the field terms of a search query. As
+// subqueries, they select no movie (rather than NULL) when no name matches, so negated terms stay true.
+const LinkedNameSqlMap = {
+  [MovieQueryFieldMap.ACTOR]: `SELECT movie_actors.movieId FROM movie_actors
+    JOIN actors ON actors.id = movie_actors.actorId WHERE actors.search_name`,
+  [MovieQueryFieldMap.DIRECTOR]: `SELECT movie_directors.movieId FROM movie_directors
+    JOIN directors ON directors.id = movie_directors.directorId WHERE directors.search_name`,
+  [MovieQueryFieldMap.GENRE]: `SELECT movie_genres.movieId FROM movie_genres
+    JOIN genres ON genres.id = movie_genres.genreId WHERE genres.search_name`
+};
+
+// Sequelize operators of the comparison operators of a search query
+const QueryOperatorMap = {
+  "=": Op.eq,
+  ">": Op.gt,
+  ">=": Op.gte,
+  "<": Op.lt,
+  "<=": Op.lte
+};
+
+// Sort values of the list sort fields; nullable ones are sorted last in both directions
+const SortExpressionMap = {
+  id: { sql: "movie.id", isNullable: false },
+  title: { sql: "movie.title_sort_key", isNullable: false },
+  year: { sql: "movie.year", isNullable: false },
+  runtime: { sql: "movie.runtime", isNullable: true },
+  rating: { sql: AVERAGE_RATING_SQL, isNullable: true }
+};
+
 /**
  * Sequelize implementation of Movie DAO
  * Handles all database operations using Sequelize ORM
  */
 class MovieSequelizeDao {
   /**
-   * Creates a new movie record and associates it with actors.
-   * Uses a transaction to ensure atomicity - if actor association fails, movie creation is rolled back.
-   * Automatically normalizes the title for search purposes.
+   * Creates a new movie record and associates it with actors, genres, and directors.
+   * Uses a transaction to ensure atomicity - if an association fails, movie creation is rolled back.
+   * Automatically normalizes the title for search purposes and records the first revision of the movie.
    *
    * @async
    * @param {Object} dtoIn - The input data for creating a movie.
    * @param {string} dtoIn.title - The title of the movie.
    * @param {number} dtoIn.year - The release year of the movie.
    * @param {string} dtoIn.format - The format of the movie (e.g., "DVD", "Blu-Ray").
-   * @param {Array<string>} [dtoIn.actors] - List of actor names to associate with the movie.
-   * @returns {Promise<Object|null>} The created movie with its associated actors, or null if creation fails.
+   * @param {number} dtoIn.userId - The ID of the user who owns the movie.
+   * @param {Array<Object>} [dtoIn.actors] - Cast of the movie in billing order.
+   * @param {string} dtoIn.actors[].name - The name of the actor.
+   * @param {string|null} [dtoIn.actors[].character] - The character played by the actor.
+   * @param {Array<string>} [dtoIn.genres] - List of genre names to associate with the movie.
+   * @param {Array<string>} [dtoIn.directors] - List of director names to associate with the movie.
+   * @param {number|null} [dtoIn.runtime] - The runtime of the movie in minutes.
+   * @param {string|null} [dtoIn.synopsis] - A short synopsis of the movie.
+   * @param {string|null} [dtoIn.language] - The original language of the movie (ISO 639-1 code).
+   * @param {string|null} [dtoIn.country] - The country of origin of the movie (ISO 3166-1 alpha-2 code).
+   * @param {string|null} [dtoIn.barcode] - The normalized UPC/EAN barcode of the copy.
+   * @returns {Promise<Object|null>} The created movie with its associated actors, genres, and directors, or null if
+   *   creation fails.
    */
   async create(dtoIn) {
     return sequelize.transaction(async (transaction) => {
-      const { actors, ...movieFields } = dtoIn;
+      const { actors, genres, directors, ...movieFields } = dtoIn;
       movieFields.searchTitle = this.#normalizeField(movieFields.title);
+      movieFields.titleSortKey = toTitleSortKey(movieFields.title);
 
       const movie = await MovieModel.create(movieFields, { transaction });
 
       await this.#updateActorList(movie, actors, { transaction });
+      await this.#updateGenreList(movie, genres, { transaction });
+      await this.#updateDirectorList(movie, directors, { transaction });
 
       const movieWithActors = await MovieModel.findByPk(
         movie.id,
-        this.#buildQueryWithActors({ transaction })
+        this.#buildQueryWithRelations({ transaction })
       );
+      if (!movieWithActors) return null;
 
-      return movieWithActors ? movieWithActors.get({ plain: true }) : null;
+      const createdMovie = this.#toPlainMovie(movieWithActors);
+      await this.#recordRevision(movie, {
+        userId: movie.userId,
+        action: RevisionActionMap.CREATE,
+        after: this.#buildSnapshot(createdMovie)
+      }, { transaction });
+
+      return createdMovie;
     });
   }
 
   /**
-   * Retrieves a movie by its ID, including associated actors.
+   * Retrieves a movie by its ID, including associated actors in billing order and genres.
+   * Only movies owned by the given user are returned. Trashed movies are ignored unless requested.
    *
    * @async
    * @param {number} id - The ID of the movie to retrieve.
-   * @returns {Promise<Object|null>} The movie with its associated actors, or null if not found.
+   * @param {number} userId - The ID of the user who owns the movie.
+   * @param {Object} [options] - Additional options.
+   * @param {boolean} [options.includeTrashed=false] - Whether a movie in the trash can be returned.
+   * @returns {Promise<Object|null>} The movie with its associated actors and genres, or null if not found.
    */
-  async getById(id) {
-    const movie = await MovieModel.findByPk(id, this.#buildQueryWithActors());
+  async getById(id, userId, { includeTrashed = false } = {}) {
+    const movie = await MovieModel.findOne(this.#buildQueryWithRelations({
+      where: { id, userId },
+      paranoid: !includeTrashed
+    }));
 
-    return movie ? movie.get({ plain: true }) : null;
+    return movie ? this.#toPlainMovie(movie) : null;
   }
 
   /**
    * Retrieves a list of movies by its title, year, and format, including associated actors.
-   * Used for duplicate checking during movie creation.
+   * Used for duplicate checking during movie creation, so only one user's collection is searched.
    *
    * @async
    * @param {string} title - The title of the movie to retrieve.
    * @param {number} year - The release year of the movie.
    * @param {string} format - The format of the movie (e.g., "DVD", "Blu-Ray").
+   * @param {number} userId - The ID of the user whose collection is searched.
    * @returns {Promise<Array<Object>|null>} Array of movies with their associated actors, or null if none found.
    */
-  async listByTitleYearAndFormat(title, year, format) {
+  async listByTitleYearAndFormat(title, year, format, userId) {
     const movies = await MovieModel.findAll({
       where: {
         title: title.trim(),
         year: year,
-        format: format.trim()
+        format: format.trim(),
+        userId
       },
-      ...this.#buildQueryWithActors()
+      ...this.#buildQueryWithRelations()
+    });
+
+    return movies?.length ? movies.map(m => this.#toPlainMovie(m)) : null;
+  }
+
+  /**
+   * Lists the movies of a user that could be near-duplicates of new movies: movies in one of the formats, released
+   * within a range of years, with the names of their actors. Used for the possible duplicate check, which compares
+   * titles in memory.
+   *
+   * @async
+   * @param {number} userId - The ID of the user whose collection is searched.
+   * @param {Object} range - The movies to load.
+   * @param {number} range.minYear - The earliest release year.
+   * @param {number} range.maxYear - The latest release year.
+   * @param {Array<string>} range.formats - The format names.
+   * @returns {Promise<Array<Object>>} The movies (`{ id, title, year, format, actors }`, actors as names), by ID.
+   */
+  async listDuplicateCandidates(userId, { minYear, maxYear, formats }) {
+    const movies = await MovieModel.findAll({
+      attributes: ["id", "title", "year", "format"],
+      where: { userId, year: { [Op.between]: [minYear, maxYear] }, format: formats },
+      include: [{ model: ActorModel, as: TableNameMap.ACTORS, attributes: ["name"], through: { attributes: [] } }],
+      order: [["id", "ASC"]]
     });
 
-    return movies?.length ? movies.map(m => m.get({ plain: true })) : null;
+    return movies.map(movie => ({
+      id: movie.id,
+      title: movie.title,
+      year: movie.year,
+      format: movie.format,
+      actors: movie.actors.map(actor => actor.name)
+    }));
+  }
+
+  /**
+   * Lists the movies of a user with the given barcode, including associated actors, genres, and directors.
+   * Several copies can share a barcode, so every match is returned, ordered by ID.
+   *
+   * @async
+   * @param {string} barcode - The normalized barcode.
+   * @param {number} userId - The ID of the user whose collection is searched.
+   * @returns {Promise<Array<Object>>} The matching movies (empty if none found).
+   */
+  async listByBarcode(barcode, userId) {
+    const movies = await MovieModel.findAll(this.#buildQueryWithRelations({
+      where: { barcode, userId },
+      order: [["id", "ASC"]]
+    }));
+
+    return movies.map(m => this.#toPlainMovie(m));
   }
 
   /**
-   * Lists movies with optional filters, sorting, and pagination.
-   * Supports case-insensitive search using normalized search fields.
-   * For title sorting, uses in-memory sorting with locale-aware collation.
+   * Lists movies of a single user with optional filters, sorting, and pagination.
+   * Supports case-insensitive title filtering using normalized search fields, and full-text search over titles and
+   * actor names with relevance ordering.
+   * Sorting and pagination happen in SQL: titles are sorted by their collation sort key, and rating and viewing
+   * filters and sorting are computed from the reviews and viewings of each movie. Besides the offset, pages can follow
+   * the last movie of the previous page (keyset pagination), which stays fast and stable while movies are added.
+   * Trashed movies are left out unless requested.
    *
    * @async
    * @param {Object} [options] - The query options.
+   * @param {number} options.userId - The ID of the user whose movies are listed.
    * @param {number} [options.limit] - The maximum number of movies to return.
-   * @param {number} [options.offset] - The number of movies to skip.
-   * @param {string} [options.sort] - The field to sort by ("id", "year", or "title").
-   * @param {string} [options.order] - The sort order ("ASC" or "DESC").
+   * @param {number} [options.offset] - The number of movies to skip (ignored when `after` is given).
+   * @param {Object} [options.after] - The position to continue after, as returned in `nextAfter`.
+   * @param {string|number|null} options.after.value - The sort value of the last movie of the previous page.
+   * @param {number} options.after.id - The ID of the last movie of the previous page.
+   * @param {string} [options.sort] - The field to sort by ("id", "year", "title", "rating", "runtime", or "relevance").
+   *   Unrated movies and movies without a runtime are sorted last; "relevance" puts the best search match first.
+   *   Ties are broken by ID.
+   * @param {string} [options.order] - The sort order ("ASC" or "DESC"), ignored for relevance.
    * @param {string} [options.title] - Filter by movie title (case-insensitive partial match).
    * @param {string} [options.actor] - Filter by actor name (case-insensitive partial match).
-   * @param {string} [options.search] - Search term for movies or actors (searches both title and actor names).
-   * @returns {Promise<Object>} Object containing itemList (array of movies) and total (total count matching filters).
+   * @param {Array<string>} [options.actors] - Filter by actor names (case-insensitive exact match).
+   * @param {string} [options.actorMatch] - Whether a movie needs "any" or "all" of the actors.
+   * @param {number} [options.minActorCount] - Only movies with at least this many actors.
+   * @param {number} [options.maxActorCount] - Only movies with at most this many actors.
+   * @param {string} [options.director] - Filter by director name (case-insensitive partial match).
+   * @param {string} [options.search] - Full-text search term: every word must start a word of the title or of an
+   *   actor name.
+   * @param {Object} [options.query] - The parsed `q` search query (see `parseMovieQuery`).
+   * @param {Array<string>} [options.genres] - Filter by genre names.
+   * @param {string} [options.genreMatch] - Whether a movie needs "any" or "all" of the genres.
+   * @param {number} [options.minRating] - Only movies with at least this average rating.
+   * @param {boolean} [options.watched] - Only movies that were (true) or were never (false) watched.
+   * @param {string} [options.lastWatchedBefore] - Only movies last watched before this date (YYYY-MM-DD).
+   * @param {number} [options.yearFrom] - Only movies released in or after this year.
+   * @param {number} [options.yearTo] - Only movies released in or before this year.
+   * @param {Array<string>} [options.formats] - Only movies in one of these formats.
+   * @param {string} [options.language] - Only movies in this original language (ISO 639-1 code).
+   * @param {string} [options.country] - Only movies from this country (ISO 3166-1 alpha-2 code).
+   * @param {number} [options.minRuntime] - Only movies with at least this runtime in minutes.
+   * @param {number} [options.maxRuntime] - Only movies with at most this runtime in minutes.
+   * @param {number} [options.seriesId] - Only movies of this series.
+   * @param {boolean} [options.includeTrashed=false] - Whether movies in the trash are listed too.
+   * @param {Array<string>} [options.facets] - The facets ("format", "decade", "actor") to count the matching movies by.
+   * @returns {Promise<Object>} Object containing itemList (array of movies), total (total count matching filters),
+   *   nextAfter (the position after the last movie, or null if there is no next page), and facets (the buckets of each
+   *   requested facet, if any).
    */
-  async list({ limit, offset, sort, order, title, actor, search } = {}) {
-    const where = await this.#buildMovieWhere(title, search);
-    const include = this.#buildActorInclude(actor);
+  async list({
+    userId, limit, offset, after, sort, order, includeTrashed = false, facets, ...filters
+  } = {}) {
+    const where = await this.#buildMovieWhere({ userId, ...filters });
+    const include = [
+      this.#buildActorInclude(),
+      this.#buildGenreInclude(),
+      this.#buildDirectorInclude(),
+      this.#buildCurrentLoanInclude()
+    ];
+    const searchTerms = [filters.search, ...(filters.query ? listSearchTerms(filters.query) : [])].filter(Boolean);
+    const sortSpec = this.#buildSortSpec(sort, order, searchTerms.join(" "));
+    const attributes = this.#buildAggregateAttributes();
+    attributes.include.push([sortSpec.expression, "sortValue"]);
+    const paranoid = !includeTrashed;
 
     const total = await MovieModel.count({
       where,
       include,
+      paranoid,
       distinct: true
     });
+    const facetMap = facets?.length ? await this.#countFacets(facets, { where, paranoid }) : undefined;
 
-    let movies;
-    if (sort === "title") {
-      movies = await MovieModel.findAll({
-        where,
-        distinct: true,
-        include
-      });
-      movies = this.#sortByTitle(movies, order);
-      movies = this.#applyPagination(movies, limit, offset);
-    } else {
-      movies = await MovieModel.findAll({
-        limit,
-        offset,
-        where,
-        order: [[sort, order]],
-        distinct: true,
-        include
-      });
-    }
+    // One extra movie tells whether there is a next page
+    const movies = await MovieModel.findAll({
+      attributes,
+      limit: limit && limit + 1,
+      offset: after ? undefined : offset,
+      where: after ? { [Op.and]: [where, this.#buildAfterCondition(sortSpec, after)] } : where,
+      order: this.#buildOrder(sortSpec),
+      paranoid,
+      distinct: true,
+      include
+    });
+
+    const page = movies.slice(0, limit).map(m => this.#toPlainMovie(m));
+    const last = page.at(-1);
 
     return {
-      itemList: movies.map(m => m.get({ plain: true })),
-      total
+      itemList: page.map(({ sortValue, ...movie }) => movie),
+      total,
+      nextAfter: limit && movies.length > limit ? { value: last.sortValue, id: last.id } : null,
+      facets: facetMap
     };
   }
 
   /**
-   * Updates a movie record and its associated actors.
+   * Updates a movie record and its associated actors and genres.
    * Uses a transaction to ensure atomicity - if any operation fails, all changes are rolled back.
+   * Only movies owned by the given user can be updated. When anything changed, a revision with the field-level diff
+   * is recorded and the version of the movie is incremented. Instead of the fields, the change can be given as JSON Patch
+   * operations, which are applied to the current state of the movie in the same transaction.
    *
    * @async
    * @param {Object} dtoIn - The input data for updating a movie.
    * @param {number} dtoIn.id - The ID of the movie to update.
-   * @param {Array<string>} [dtoIn.actors] - List of actor names to associate with the movie.
+   * @param {number} dtoIn.userId - The ID of the user who owns the movie.
+   * @param {Array<number>} [dtoIn.expectedVersions] - The update only applies if the movie has one of these versions.
+   * @param {Array<Object>} [dtoIn.actors] - Cast of the movie in billing order (replaces the current cast).
+   * @param {Array<string>} [dtoIn.genres] - Genre names of the movie (replaces the current genres).
+   * @param {Array<string>} [dtoIn.directors] - Director names of the movie (replaces the current directors).
+   * @param {Array<Object>} [dtoIn.operations] - Validated JSON Patch operations (`{ op, path, value }`) to apply
+   *   instead of the other fields.
    * @param {Object} dtoIn.movieFields - Other movie fields to update.
-   * @returns {Promise<Object|null>} The updated movie with its associated actors, or null if not found.
+   * @returns {Promise<Object|null>} The updated movie with its associated actors and genres, or null if not found
+   *   (or if its version is not expected).
+   * @throws {Patch.PatchTestFailed|Patch.PatchTargetNotFound|Patch.InvalidPatchResult} If the operations cannot be
+   *   applied; nothing is changed then.
+   * @throws {Errors.MovieOnLoan} If a copy that is on loan would be converted to a format that is not physical.
    */
   async update(dtoIn) {
     return sequelize.transaction(async (transaction) => {
-      const { id, actors, ...movieFields } = dtoIn;
+      return this.#applyUpdate(dtoIn, { action: RevisionActionMap.UPDATE }, transaction);
+    });
+  }
+
+  /**
+   * Reverts a movie to the state stored in one of its revisions.
+   * The tracked fields, cast, genres, and directors are restored in one transaction and recorded as a new revision.
+   * Fields missing from older snapshots are left unchanged.
+   *
+   * @async
+   * @param {Object} dtoIn - The input data for reverting a movie.
+   * @param {number} dtoIn.id - The ID of the movie to revert.
+   * @param {number} dtoIn.userId - The ID of the user who owns the movie.
+   * @param {number} dtoIn.revision - The revision number to revert to.
+   * @returns {Promise<Object|null>} The reverted movie, or null if the movie or the revision does not exist.
+   * @throws {Errors.MovieOnLoan} If a copy that is on loan would be converted to a format that is not physical.
+   */
+  async revert({ id, userId, revision }) {
+    return sequelize.transaction(async (transaction) => {
+      const revisionRow = await MovieRevisionModel.findOne({
+        where: { movieId: id, revision },
+        transaction
+      });
+      if (!revisionRow) return null;
 
-      const movie = await MovieModel.findByPk(id, { transaction });
+      const { actors, genres, directors } = revisionRow.snapshot;
+      const movieFields = Object.fromEntries(
+        REVISION_FIELDS
+          .filter(field => revisionRow.snapshot[field] !== undefined)
+          .map(field => [field, revisionRow.snapshot[field]])
+      );
+
+      return this.#applyUpdate(
+        { id, userId, ...movieFields, actors, genres, directors },
+        { action: RevisionActionMap.REVERT, revertedFrom: revision },
+        transaction
+      );
+    });
+  }
 
-      if (!movie) return null;
+  /**
+   * Runs a change of rows shared with other movies, such as renaming an actor, and records it in the history of the
+   * user's movies it alters. Each altered movie gets an update revision and a version increment; trashed movies
+   * included.
+   *
+   * @async
+   * @param {Object} options - The movies the change may alter.
+   * @param {Array<number>} options.movieIds - The IDs of the movies the change may alter.
+   * @param {number} options.userId - The ID of the user who owns the movies and makes the change.
+   * @param {Object} options.transaction - The Sequelize transaction the change runs in.
+   * @param {Function} change - Async function applying the change.
+   * @returns {Promise<*>} The result of the change.
+   */
+  async recordRelatedChange({ movieIds, userId, transaction }, change) {
+    const findMovies = () => MovieModel.findAll(this.#buildQueryWithRelations({
+      where: { id: movieIds, userId },
+      paranoid: false,
+      transaction
+    }));
 
-      if (movieFields.title) {
-        movieFields.searchTitle = this.#normalizeField(movieFields.title);
+    const before = new Map(
+      (await findMovies()).map(movie => [movie.id, this.#buildSnapshot(this.#toPlainMovie(movie))])
+    );
+    const result = await change();
+
+    for (const movie of await findMovies()) {
+      const isChanged = await this.#recordRevision(movie, {
+        userId,
+        action: RevisionActionMap.UPDATE,
+        before: before.get(movie.id),
+        after: this.#buildSnapshot(this.#toPlainMovie(movie))
+      }, { transaction });
+
+      if (isChanged) {
+        await MovieModel.increment("version", { where: { id: movie.id }, transaction });
       }
+    }
 
-      await this.#updateActorList(movie, actors, { transaction });
+    return result;
+  }
 
-      await movie.update(movieFields, { transaction });
+  /**
+   * Counts the movies of a user matching list filters, as selected by the `filter` of a bulk operation.
+   *
+   * @async
+   * @param {number} userId - The ID of the user whose movies are counted.
+   * @param {Object} filter - The list filters (see `list`).
+   * @returns {Promise<number>} The number of matching movies.
+   */
+  async countByFilter(userId, filter) {
+    return MovieModel.count({ where: await this.#buildMovieWhere({ userId, ...filter }) });
+  }
 
-      const movieWithActors = await MovieModel.findByPk(
-        id,
-        this.#buildQueryWithActors({ transaction })
-      );
+  /**
+   * Applies one partial change to many movies of a user in a single transaction.
+   * The movies are given by their IDs or selected with the same filters as `list`. Every movie gets its own revision
+   * and version increment. A movie is rejected (and left unchanged) if the change would leave it without any actor
+   * or convert a copy that is on loan to a format that is not physical (the same rule as `update`).
+   *
+   * @async
+   * @param {Object} dtoIn - The input data for the bulk update.
+   * @param {number} dtoIn.userId - The ID of the user who owns the movies.
+   * @param {Array<number>} [dtoIn.ids] - The IDs of the movies to update.
+   * @param {Object} [dtoIn.filter] - List filters selecting the movies to update (used when no IDs are given).
+   * @param {Object} dtoIn.changes - The change to apply.
+   * @param {string} [dtoIn.changes.title] - The new title.
+   * @param {number} [dtoIn.changes.year] - The new release year.
+   * @param {string} [dtoIn.changes.format] - The new format.
+   * @param {Array<Object>} [dtoIn.changes.addActors] - Actors ({ name, character }) appended to the cast.
+   * @param {Array<string>} [dtoIn.changes.removeActors] - Names of actors removed from the cast (case-insensitive).
+   * @param {Array<string>} [dtoIn.changes.addGenres] - Genre names added to the movies.
+   * @param {Array<string>} [dtoIn.changes.removeGenres] - Genre names removed from the movies (case-insensitive).
+   * @returns {Promise<Array<Object>>} Outcome per movie: `{ id, outcome, version }` for updated movies,
+   *   `{ id, outcome, reason }` for rejected ones, and `{ id, outcome }` for IDs that were not found.
+   */
+  async bulkUpdate({ userId, ids, filter, changes }) {
+    const targetIds = ids || await this.#findMovieIdsByFilter(userId, filter);
+
+    return sequelize.transaction(async (transaction) => {
+      const itemList = [];
+
+      for (const id of targetIds) {
+        const movie = await MovieModel.findOne(this.#buildQueryWithRelations({ where: { id, userId }, transaction }));
+        if (!movie) {
+          itemList.push({ id, outcome: BulkOutcomeMap.NOT_FOUND });
+          continue;
+        }
+
+        const plainMovie = this.#toPlainMovie(movie);
+        const { updateDtoIn, reason } = await this.#isLentCopyConversion(plainMovie, changes.format, transaction)
+          ? { reason: BulkRejectionReasonMap.ON_LOAN }
+          : this.#buildBulkUpdate(plainMovie, changes);
+        if (reason) {
+          itemList.push({ id, outcome: BulkOutcomeMap.REJECTED, reason });
+          continue;
+        }
+
+        const updatedMovie = await this.#applyUpdate(
+          { id, userId, ...updateDtoIn },
+          { action: RevisionActionMap.UPDATE },
+          transaction
+        );
+        itemList.push({ id, outcome: BulkOutcomeMap.UPDATED, version: updatedMovie.version });
+      }
+
+      return itemList;
+    });
+  }
+
+  /**
+   * Moves many movies of a user to the trash in a single transaction.
+   * The movies are given by their IDs or selected with the same filters as `list`.
+   *
+   * @async
+   * @param {Object} dtoIn - The input data for the bulk delete.
+   * @param {number} dtoIn.userId - The ID of the user who owns the movies.
+   * @param {Array<number>} [dtoIn.ids] - The IDs of the movies to delete.
+   * @param {Object} [dtoIn.filter] - List filters selecting the movies to delete (used when no IDs are given).
+   * @returns {Promise<Array<Object>>} Outcome per movie (`{ id, outcome }`), either deleted or not found.
+   */
+  async bulkDelete({ userId, ids, filter }) {
+    const targetIds = ids || await this.#findMovieIdsByFilter(userId, filter);
+
+    return sequelize.transaction(async (transaction) => {
+      const existing = await MovieModel.findAll({
+        attributes: ["id"],
+        where: { id: targetIds, userId },
+        transaction
+      });
+      const existingIds = new Set(existing.map(m => m.id));
+
+      if (existingIds.size) {
+        await MovieModel.destroy({ where: { id: [...existingIds], userId }, transaction });
+      }
 
-      return movieWithActors ? movieWithActors.get({ plain: true }) : null;
+      return targetIds.map(id => ({
+        id,
+        outcome: existingIds.has(id) ? BulkOutcomeMap.DELETED : BulkOutcomeMap.NOT_FOUND
+      }));
     });
   }
 
   /**
-   * Deletes a movie by its ID.
+   * Moves a movie to the trash (soft delete).
+   * Only movies owned by the given user can be deleted. Actor and genre links are kept so the movie can be restored.
    *
    * @async
    * @param {number} id - The ID of the movie to delete.
+   * @param {number} userId - The ID of the user who owns the movie.
+   * @param {Object} [options] - Additional options.
+   * @param {Array<number>} [options.expectedVersions] - The movie is only deleted if it has one of these versions.
    * @returns {Promise<boolean>} True if the movie was deleted, false otherwise.
    */
-  async delete(id) {
+  async delete(id, userId, { expectedVersions } = {}) {
     const deletedCount = await MovieModel.destroy({
-      where: { id }
+      where: this.#buildVersionedWhere({ id, userId }, expectedVersions)
     });
     return deletedCount > 0;
   }
 
   /**
-   * Creates multiple movies and associates them with actors in a transaction.
-   * Automatically filters out duplicates before creation.
+   * Lists the movies of a user that are in the trash, most recently deleted first.
+   *
+   * @async
+   * @param {Object} options - The query options.
+   * @param {number} options.userId - The ID of the user whose trash is listed.
+   * @param {number} [options.limit] - The maximum number of movies to return.
+   * @param {number} [options.offset] - The number of movies to skip.
+   * @returns {Promise<Object>} Object containing itemList (array of movies) and total (number of trashed movies).
+   */
+  async listTrashed({ userId, limit, offset }) {
+    const where = { userId, deletedAt: { [Op.ne]: null } };
+
+    const total = await MovieModel.count({ where, paranoid: false });
+
+    const movies = await MovieModel.findAll({
+      ...this.#buildQueryWithRelations(),
+      where,
+      limit,
+      offset,
+      order: [["deletedAt", "DESC"], ["id", "DESC"]],
+      paranoid: false
+    });
+
+    return {
+      itemList: movies.map(m => this.#toPlainMovie(m)),
+      total
+    };
+  }
+
+  /**
+   * Restores a movie from the trash.
+   *
+   * @async
+   * @param {number} id - The ID of the movie to restore.
+   * @param {number} userId - The ID of the user who owns the movie.
+   * @returns {Promise<Object|null>} The restored movie, or null if the user has no such movie in the trash.
+   */
+  async restore(id, userId) {
+    const movie = await MovieModel.findOne({
+      where: { id, userId, deletedAt: { [Op.ne]: null } },
+      paranoid: false
+    });
+
+    if (!movie) return null;
+
+    await movie.restore();
+
+    return this.getById(id, userId);
+  }
+
+  /**
+   * Permanently deletes trashed movies that were deleted before the given date.
+   * Reviews, viewings, loans, and actor, genre, and director links of the purged movies are removed by cascade.
+   *
+   * @async
+   * @param {Object} options - The purge options.
+   * @param {Date} options.deletedBefore - Movies trashed before this moment are purged.
+   * @param {number} [options.userId] - Restricts the purge to one user's trash (all users when omitted).
+   * @returns {Promise<Array<number>>} The IDs of the purged movies.
+   */
+  async purgeTrashed({ deletedBefore, userId }) {
+    const where = { deletedAt: { [Op.lt]: deletedBefore } };
+    if (userId !== undefined) where.userId = userId;
+
+    return sequelize.transaction(async (transaction) => {
+      const movies = await MovieModel.findAll({ attributes: ["id"], where, paranoid: false, transaction });
+      const ids = movies.map(movie => movie.id);
+
+      if (ids.length) {
+        await MovieModel.destroy({ where: { id: ids }, force: true, transaction });
+      }
+
+      return ids;
+    });
+  }
+
+  /**
+   * Records that the poster of a movie was replaced.
+   * The poster is not part of the movie revisions, so the version of the movie is not changed.
+   *
+   * @async
+   * @param {number} id - The ID of the movie.
+   * @param {number} userId - The ID of the user who owns the movie.
+   * @param {Date} posterUpdatedAt - The moment the poster was stored.
+   * @returns {Promise<Object|null>} The updated movie, or null if it does not exist.
+   */
+  async setPosterUpdatedAt(id, userId, posterUpdatedAt) {
+    const [updatedCount] = await MovieModel.update({ posterUpdatedAt }, { where: { id, userId } });
+    if (!updatedCount) return null;
+
+    return this.getById(id, userId);
+  }
+
+  /**
+   * Creates multiple movies for one user and associates them with actors and genres in a transaction.
+   * Automatically filters out duplicates within the user's collection before creation.
+   * Every created movie gets its creation revision with the imported state.
    * Uses bulk operations for better performance.
    *
    * @async
@@ -190,25 +649,32 @@ class MovieSequelizeDao {
    * @param {string} movieList[].title - The title of the movie.
    * @param {number} movieList[].year - The release year of the movie.
    * @param {string} movieList[].format - The format of the movie.
-   * @param {Array<string>} [movieList[].actors] - List of actor names to associate.
-   * @returns {Promise<Object>} Object containing itemList (created movies), total (total movies in DB), and skipped (number of duplicates filtered).
+   * @param {Array<Object>} [movieList[].actors] - Cast of the movie in billing order ({ name, character }).
+   * @param {Array<string>} [movieList[].genres] - List of genre names to associate.
+   * @param {Array<string>} [movieList[].directors] - List of director names to associate.
+   * @param {number} userId - The ID of the user who owns the created movies.
+   * @returns {Promise<Object>} Object containing itemList (created movies), total (total movies of the user), and skipped (number of duplicates filtered).
    */
-  async createMany(movieList) {
+  async createMany(movieList, userId) {
     return sequelize.transaction(async (transaction) => {
-      const uniqueMovies = await this.#filterDuplicates(movieList);
+      const uniqueMovies = await this.#filterDuplicates(movieList, userId);
 
       if (!uniqueMovies.length) {
-        return this.#buildEmptyResult(movieList.length, transaction);
+        return this.#buildEmptyResult(movieList.length, userId, transaction);
       }
 
       const actorMap = await this.#buildActorMap(uniqueMovies, transaction);
-      const movies = await this.#createMovies(uniqueMovies, transaction);
+      const movies = await this.#createMovies(uniqueMovies, userId, transaction);
       await this.#linkMoviesToActors(movies, uniqueMovies, actorMap, transaction);
+      await this.#linkMoviesToGenres(movies, uniqueMovies, transaction);
+      await this.#linkMoviesToDirectors(movies, uniqueMovies, transaction);
+      await this.#recordCreateRevisions(movies, userId, transaction);
 
       return this.#buildResult(
         movies,
         movieList.length,
         uniqueMovies.length,
+        userId,
         transaction
       );
     });
@@ -220,7 +686,8 @@ class MovieSequelizeDao {
 
   /**
    * Filters out duplicate movies from the list.
-   * A movie is considered a duplicate if it has the same title, year, format, and exact set of actors.
+   * A movie is considered a duplicate if the same user already owns a movie with the same title, year, format,
+   * and exact set of actors.
    * Optimizes database queries by grouping movies by title+year+format before checking.
    *
    * @async
@@ -229,17 +696,18 @@ class MovieSequelizeDao {
    * @param {string} movieList[].title - Movie title.
    * @param {number} movieList[].year - Release year.
    * @param {string} movieList[].format - Movie format.
-   * @param {Array<string>} movieList[].actors - List of actor names.
+   * @param {Array<Object>} movieList[].actors - Cast of the movie ({ name, character }).
+   * @param {number} userId - The ID of the user whose collection is checked.
    * @returns {Promise<Array<Object>>} Filtered array containing only unique movies (duplicates removed).
    */
-  async #filterDuplicates(movieList) {
+  async #filterDuplicates(movieList, userId) {
     if (!movieList?.length) return [];
 
     const normalizeActorName = (name) => name.trim().toLowerCase();
     const buildKey = (m) => `${m.title}|${m.year}|${m.format}`;
 
     const inputByKey = this.#groupMoviesByKey(movieList, buildKey);
-    const existingByKey = await this.#loadExistingByKey(inputByKey);
+    const existingByKey = await this.#loadExistingByKey(inputByKey, userId);
 
     const result = [];
     for (const movie of movieList) {
@@ -251,7 +719,7 @@ class MovieSequelizeDao {
         continue;
       }
 
-      const inputActorSet = this.#toActorSet(movie.actors, normalizeActorName);
+      const inputActorSet = this.#toActorSet(movie.actors?.map(a => a.name), normalizeActorName);
       const isDuplicate = this.#hasDuplicateActors(existing, inputActorSet, normalizeActorName);
 
       if (!isDuplicate) result.push(movie);
@@ -284,20 +752,21 @@ class MovieSequelizeDao {
   }
 
   /**
-   * Loads existing movies from the database grouped by their title+year+format key.
+   * Loads existing movies of a user from the database grouped by their title+year+format key.
    * Used to efficiently check for duplicates during bulk import.
    *
    * @async
    * @private
    * @param {Map<string, Array>} inputByKey - Map of keys (title|year|format) to arrays of input movies.
+   * @param {number} userId - The ID of the user whose movies are loaded.
    * @returns {Promise<Map<string, Array<Object>>>} Map of keys to arrays of existing movies from the database.
    */
-  async #loadExistingByKey(inputByKey) {
+  async #loadExistingByKey(inputByKey, userId) {
     const existingByKey = new Map();
 
     for (const key of inputByKey.keys()) {
       const [title, year, format] = key.split("|");
-      const existing = await this.listByTitleYearAndFormat(title, Number(year), format);
+      const existing = await this.listByTitleYearAndFormat(title, Number(year), format, userId);
       if (existing?.length) existingByKey.set(key, existing);
     }
 
@@ -386,7 +855,7 @@ class MovieSequelizeDao {
    * @returns {Promise<Map<string, Object>>} Map where keys are actor names and values are Sequelize actor instances.
    */
   async #buildActorMap(uniqueMovies, transaction) {
-    const actorNames = uniqueMovies.flatMap(m => m.actors || []);
+    const actorNames = uniqueMovies.flatMap(m => (m.actors || []).map(a => a.name));
     return this.#resolveActorsByNames(actorNames, { transaction });
   }
 
@@ -397,13 +866,16 @@ class MovieSequelizeDao {
    * @async
    * @private
    * @param {Array<Object>} uniqueMovies - Array of unique movies to create (after duplicate filtering).
+   * @param {number} userId - The ID of the user who owns the created movies.
    * @param {Object} transaction - Sequelize transaction object.
    * @returns {Promise<Array<Object>>} Array of created Sequelize movie instances with IDs.
    */
-  async #createMovies(uniqueMovies, transaction) {
-    const moviesToCreate = uniqueMovies.map(({ actors, ...movie }) => ({
+  async #createMovies(uniqueMovies, userId, transaction) {
+    const moviesToCreate = uniqueMovies.map(({ actors, genres, directors, ...movie }) => ({
       ...movie,
-      searchTitle: this.#normalizeField(movie.title)
+      userId,
+      searchTitle: this.#normalizeField(movie.title),
+      titleSortKey: toTitleSortKey(movie.title)
     }));
 
     return MovieModel.bulkCreate(moviesToCreate, {
@@ -412,39 +884,127 @@ class MovieSequelizeDao {
     });
   }
 
+  /**
+   * Records the creation revision of each created movie, with its state after the cast, genres, and directors are
+   * linked.
+   *
+   * @async
+   * @private
+   * @param {Array<Object>} movies - Array of created Sequelize movie instances.
+   * @param {number} userId - The ID of the user who imported the movies.
+   * @param {Object} transaction - Sequelize transaction object.
+   * @returns {Promise<void>}
+   */
+  async #recordCreateRevisions(movies, userId, transaction) {
+    const createdMovies = await MovieModel.findAll(this.#buildQueryWithRelations({
+      where: { id: movies.map(m => m.id) },
+      transaction
+    }));
+
+    await MovieRevisionModel.bulkCreate(createdMovies.map(movie => ({
+      movieId: movie.id,
+      userId,
+      revision: 1,
+      action: RevisionActionMap.CREATE,
+      revertedFrom: null,
+      changes: null,
+      snapshot: this.#buildSnapshot(this.#toPlainMovie(movie))
+    })), { transaction });
+  }
+
   /**
    * Creates associations between movies and actors using bulk insert.
-   * Links each created movie to its corresponding actors from the source data.
+   * Links each created movie to its corresponding actors from the source data, keeping the billing order.
    *
    * @async
    * @private
    * @param {Array<Object>} movies - Array of created Sequelize movie instances.
-   * @param {Array<Object>} uniqueMovies - Array of source movie data (used to get actor names).
+   * @param {Array<Object>} uniqueMovies - Array of source movie data (used to get the cast).
    * @param {Map<string, Object>} actorMap - Map of actor names to Sequelize actor instances.
    * @param {Object} transaction - Sequelize transaction object.
    * @returns {Promise<void>}
    */
   async #linkMoviesToActors(movies, uniqueMovies, actorMap, transaction) {
-    const MovieActorModel = sequelize.models.movie_actors;
     const rows = [];
 
     for (let i = 0; i < movies.length; i++) {
-      const movieId = movies[i].id;
-      const actorNames = new Set((uniqueMovies[i].actors || []).map(a => a.trim()));
+      rows.push(...this.#buildActorLinks(movies[i].id, uniqueMovies[i].actors, actorMap));
+    }
+
+    if (rows.length) {
+      await MovieActorModel.bulkCreate(rows, {
+        transaction,
+        ignoreDuplicates: true
+      });
+    }
+  }
+
+  /**
+   * Creates associations between movies and genres using bulk insert.
+   * Resolves all genre names from the source data and creates new genres if needed.
+   *
+   * @async
+   * @private
+   * @param {Array<Object>} movies - Array of created Sequelize movie instances.
+   * @param {Array<Object>} uniqueMovies - Array of source movie data (used to get genre names).
+   * @param {Object} transaction - Sequelize transaction object.
+   * @returns {Promise<void>}
+   */
+  async #linkMoviesToGenres(movies, uniqueMovies, transaction) {
+    const genreMap = await this.#resolveGenresByNames(
+      uniqueMovies.flatMap(m => m.genres || []),
+      { transaction }
+    );
+    const rows = [];
 
-      for (const name of actorNames) {
-        const actor = actorMap.get(name);
-        if (!actor) continue;
+    for (let i = 0; i < movies.length; i++) {
+      const genreIds = new Set(
+        (uniqueMovies[i].genres || []).map(name => genreMap.get(this.#normalizeField(name.trim())).id)
+      );
 
-        rows.push({
-          movieId,
-          actorId: actor.id
-        });
+      for (const genreId of genreIds) {
+        rows.push({ movieId: movies[i].id, genreId });
       }
     }
 
     if (rows.length) {
-      await MovieActorModel.bulkCreate(rows, {
+      await MovieGenreModel.bulkCreate(rows, {
+        transaction,
+        ignoreDuplicates: true
+      });
+    }
+  }
+
+  /**
+   * Creates associations between movies and directors using bulk insert.
+   * Resolves all director names from the source data and creates new directors if needed.
+   *
+   * @async
+   * @private
+   * @param {Array<Object>} movies - Array of created Sequelize movie instances.
+   * @param {Array<Object>} uniqueMovies - Array of source movie data (used to get director names).
+   * @param {Object} transaction - Sequelize transaction object.
+   * @returns {Promise<void>}
+   */
+  async #linkMoviesToDirectors(movies, uniqueMovies, transaction) {
+    const directorMap = await this.#resolveDirectorsByNames(
+      uniqueMovies.flatMap(m => m.directors || []),
+      { transaction }
+    );
+    const rows = [];
+
+    for (let i = 0; i < movies.length; i++) {
+      const directorIds = new Set(
+        (uniqueMovies[i].directors || []).map(name => directorMap.get(this.#normalizeField(name.trim())).id)
+      );
+
+      for (const directorId of directorIds) {
+        rows.push({ movieId: movies[i].id, directorId });
+      }
+    }
+
+    if (rows.length) {
+      await MovieDirectorModel.bulkCreate(rows, {
         transaction,
         ignoreDuplicates: true
       });
@@ -457,11 +1017,12 @@ class MovieSequelizeDao {
    * @async
    * @private
    * @param {number} inputLength - Total number of movies in the input list.
+   * @param {number} userId - The ID of the user whose movies are counted.
    * @param {Object} transaction - Sequelize transaction object.
    * @returns {Promise<Object>} Result object with empty itemList, total count, and skipped count.
    */
-  async #buildEmptyResult(inputLength, transaction) {
-    const total = await MovieModel.count({ transaction });
+  async #buildEmptyResult(inputLength, userId, transaction) {
+    const total = await MovieModel.count({ where: { userId }, transaction });
     return {
       itemList: [],
       total,
@@ -478,15 +1039,16 @@ class MovieSequelizeDao {
    * @param {Array<Object>} movies - Array of created Sequelize movie instances.
    * @param {number} inputLength - Total number of movies in the original input list.
    * @param {number} uniqueLength - Number of unique movies after duplicate filtering.
+   * @param {number} userId - The ID of the user whose movies are counted.
    * @param {Object} transaction - Sequelize transaction object.
    * @returns {Promise<Object>} Result object with itemList (movies without search fields), total count, and skipped count.
    */
-  async #buildResult(movies, inputLength, uniqueLength, transaction) {
-    const total = await MovieModel.count({ transaction });
+  async #buildResult(movies, inputLength, uniqueLength, userId, transaction) {
+    const total = await MovieModel.count({ where: { userId }, transaction });
 
     return {
       itemList: movies.map(m => {
-        const { searchTitle, ...rest } = m.get({ plain: true });
+        const { searchTitle, titleSortKey, titleSortKeyVersion, ...rest } = m.get({ plain: true });
         return rest;
       }),
       total,
@@ -495,66 +1057,440 @@ class MovieSequelizeDao {
   }
 
   // ============================================================================
-  // Private methods for actor management
+  // Private methods for bulk operations
   // ============================================================================
 
   /**
-   * Updates the list of actors associated with a movie.
-   * Resolves actor names to instances (creates new actors if needed) and associates them.
+   * Finds the IDs of a user's movies matching list filters, in ID order.
    *
    * @async
    * @private
-   * @param {Object} movie - The Sequelize movie instance.
-   * @param {Array<string>} [actors] - List of actor names to associate. If empty or undefined, no changes are made.
-   * @param {Object} [options] - Additional options.
-   * @param {Object} [options.transaction] - The Sequelize transaction object.
-   * @returns {Promise<void>}
+   * @param {number} userId - The ID of the user whose movies are searched.
+   * @param {Object} filter - The list filters (see `list`).
+   * @returns {Promise<Array<number>>} The IDs of the matching movies.
    */
-  async #updateActorList(movie, actors, { transaction } = {}) {
-    if (!actors?.length) return;
-
-    const actorMap = await this.#resolveActorsByNames(actors, { transaction });
-
-    const actorInstances = [...actorMap.values()];
+  async #findMovieIdsByFilter(userId, filter) {
+    const movies = await MovieModel.findAll({
+      attributes: ["id"],
+      where: await this.#buildMovieWhere({ userId, ...filter }),
+      order: [["id", "ASC"]]
+    });
 
-    if (actorInstances.length) {
-      await movie.setActors(actorInstances, { transaction });
-    }
+    return movies.map(m => m.id);
   }
 
   /**
-   * Resolves actor names to their corresponding instances, creating new actors if necessary.
+   * Checks whether movies in a format are physical copies, which can be lent and stored in a location.
    *
    * @async
    * @private
-   * @param {Array<string>} actorNames - List of actor names to resolve.
-   * @param {Object} [options] - Additional options.
-   * @param {Object} [options.transaction] - The transaction object.
-   * @returns {Promise<Map<string, Object>>} A map of actor names to their instances.
+   * @param {string} name - The name of the format.
+   * @param {Object} [transaction] - Sequelize transaction object.
+   * @returns {Promise<boolean>} True if the format exists and is physical.
    */
-  async #resolveActorsByNames(actorNames, { transaction } = {}) {
-    const uniqueNames = [...new Set(
-      (actorNames || []).map(a => a.trim())
-    )];
+  async #isPhysicalFormat(name, transaction) {
+    const format = await FormatModel.findOne({ attributes: ["isPhysical"], where: { name }, transaction });
+    return Boolean(format?.isPhysical);
+  }
 
-    if (!uniqueNames.length) {
-      return new Map();
-    }
+  /**
+   * Checks whether a change of format would convert a copy that is on loan to a format that is not physical.
+   * Every kind of update (fields, JSON Patch, revert, and bulk update) follows this rule.
+   *
+   * @async
+   * @private
+   * @param {Object} movie - Plain movie object with the current loan.
+   * @param {string} [format] - The new format; undefined if the format does not change.
+   * @param {Object} transaction - Sequelize transaction object.
+   * @returns {Promise<boolean>} True if the change must be refused.
+   */
+  async #isLentCopyConversion(movie, format, transaction) {
+    if (format === undefined || format === movie.format || !movie.currentLoan) return false;
+    return !(await this.#isPhysicalFormat(format, transaction));
+  }
 
-    const existingActors = await ActorModel.findAll({
-      where: { name: uniqueNames },
-      transaction
-    });
+  /**
+   * Builds the update of one movie from a bulk change.
+   * Actors and genres are added to and removed from the current ones; added actors go to the end of the cast.
+   *
+   * @private
+   * @param {Object} movie - Plain movie object with actors and genres.
+   * @param {Object} changes - The bulk change (see `bulkUpdate`).
+   * @returns {Object} `{ updateDtoIn }` with the fields to update, or `{ reason }` if the movie must be rejected.
+   */
+  #buildBulkUpdate(movie, changes) {
+    const { title, year, format, addActors, removeActors, addGenres, removeGenres } = changes;
+    const updateDtoIn = {};
 
-    const actorMap = new Map(
-      existingActors.map(a => [a.name, a])
-    );
+    if (title !== undefined) updateDtoIn.title = title;
+    if (year !== undefined) updateDtoIn.year = year;
 
-    const newActorNames = uniqueNames.filter(
-      name => !actorMap.has(name)
-    );
+    if (format !== undefined) updateDtoIn.format = format;
 
-    if (newActorNames.length) {
+    if (addActors?.length || removeActors?.length) {
+      const actors = this.#mergeNames(
+        movie.actors.map(a => ({ name: a.name, character: a.character })),
+        addActors,
+        removeActors,
+        a => a.name
+      );
+      if (!actors.length) {
+        return { reason: BulkRejectionReasonMap.EMPTY_CAST };
+      }
+      updateDtoIn.actors = actors;
+    }
+
+    if (addGenres?.length || removeGenres?.length) {
+      updateDtoIn.genres = this.#mergeNames(movie.genres.map(g => g.name), addGenres, removeGenres, g => g);
+    }
+
+    return { updateDtoIn };
+  }
+
+  /**
+   * Removes and appends items of a named list, comparing names case-insensitively.
+   * Items that are already in the list are not added again.
+   *
+   * @private
+   * @param {Array} current - The current items.
+   * @param {Array} [added] - Items to append.
+   * @param {Array<string>} [removedNames] - Names of items to remove.
+   * @param {Function} getName - Returns the name of an item.
+   * @returns {Array} The resulting items.
+   */
+  #mergeNames(current, added, removedNames, getName) {
+    const removed = new Set((removedNames || []).map(name => this.#normalizeField(name)));
+    const result = current.filter(item => !removed.has(this.#normalizeField(getName(item))));
+    const names = new Set(result.map(item => this.#normalizeField(getName(item))));
+
+    for (const item of added || []) {
+      const key = this.#normalizeField(getName(item));
+      if (names.has(key)) continue;
+
+      names.add(key);
+      result.push(item);
+    }
+
+    return result;
+  }
+
+  // ============================================================================
+  // Private methods for update and revisions
+  // ============================================================================
+
+  /**
+   * Applies changes to a movie and its actors and genres within a transaction and records the revision.
+   *
+   * @async
+   * @private
+   * @param {Object} dtoIn - The movie fields or JSON Patch operations to apply (see `update`).
+   * @param {Object} revisionInfo - Information about the recorded revision.
+   * @param {string} revisionInfo.action - The revision action ("update" or "revert").
+   * @param {number} [revisionInfo.revertedFrom] - The revision number the movie is reverted to.
+   * @param {Object} transaction - Sequelize transaction object.
+   * @returns {Promise<Object|null>} The updated movie, or null if not found (or if its version is not expected).
+   * @throws {Errors.MovieOnLoan} If a copy that is on loan would be converted to a format that is not physical.
+   */
+  async #applyUpdate(dtoIn, { action, revertedFrom }, transaction) {
+    const { id, userId, expectedVersions, operations, ...changes } = dtoIn;
+
+    const movie = await MovieModel.findOne(this.#buildQueryWithRelations({
+      where: this.#buildVersionedWhere({ id, userId }, expectedVersions),
+      transaction
+    }));
+
+    if (!movie) return null;
+
+    const plainMovie = this.#toPlainMovie(movie);
+    const before = this.#buildSnapshot(plainMovie);
+    const { actors, genres, directors, ...movieFields } = operations ? applyMoviePatch(before, operations) : changes;
+
+    if (await this.#isLentCopyConversion(plainMovie, movieFields.format, transaction)) {
+      throw new Errors.MovieOnLoan({ movieId: id, loanId: plainMovie.currentLoan.id, format: movieFields.format });
+    }
+
+    if (movieFields.title) {
+      movieFields.searchTitle = this.#normalizeField(movieFields.title);
+      movieFields.titleSortKey = toTitleSortKey(movieFields.title);
+    }
+
+    await this.#updateActorList(movie, actors, { transaction });
+    await this.#updateGenreList(movie, genres, { transaction });
+    await this.#updateDirectorList(movie, directors, { transaction });
+
+    await movie.update(movieFields, { transaction });
+
+    const movieWithActors = await MovieModel.findByPk(
+      id,
+      this.#buildQueryWithRelations({ transaction })
+    );
+    if (!movieWithActors) return null;
+
+    const updatedMovie = this.#toPlainMovie(movieWithActors);
+    const isChanged = await this.#recordRevision(movie, {
+      userId,
+      action,
+      revertedFrom,
+      before,
+      after: this.#buildSnapshot(updatedMovie)
+    }, { transaction });
+
+    if (isChanged) {
+      await MovieModel.increment("version", { where: { id }, transaction });
+      updatedMovie.version += 1;
+    }
+
+    return updatedMovie;
+  }
+
+  /**
+   * Adds the expected versions of a movie to a where clause.
+   *
+   * @private
+   * @param {Object} where - The where clause identifying the movie.
+   * @param {Array<number>} [expectedVersions] - The accepted versions; any version is accepted if undefined.
+   * @returns {Object} The where clause, restricted to the expected versions if given.
+   */
+  #buildVersionedWhere(where, expectedVersions) {
+    return expectedVersions ? { ...where, version: expectedVersions } : where;
+  }
+
+  /**
+   * Records a revision of a movie with the diff between its previous and new state.
+   * Nothing is recorded when the state did not change.
+   *
+   * @async
+   * @private
+   * @param {Object} movie - The Sequelize movie instance.
+   * @param {Object} revision - The revision to record.
+   * @param {number} revision.userId - The ID of the user who made the change.
+   * @param {string} revision.action - The revision action ("create", "update", or "revert").
+   * @param {number} [revision.revertedFrom] - The revision number the movie is reverted to.
+   * @param {Object} [revision.before] - The snapshot before the change (omitted on creation).
+   * @param {Object} revision.after - The snapshot after the change.
+   * @param {Object} [options] - Additional options.
+   * @param {Object} [options.transaction] - The Sequelize transaction object.
+   * @returns {Promise<boolean>} True if a revision was recorded, false if nothing changed.
+   */
+  async #recordRevision(movie, { userId, action, revertedFrom, before, after }, { transaction } = {}) {
+    const changes = before ? this.#diffSnapshots(before, after) : null;
+    if (before && !changes) return false;
+
+    const lastRevision = await MovieRevisionModel.max("revision", { where: { movieId: movie.id }, transaction }) || 0;
+
+    await MovieRevisionModel.create({
+      movieId: movie.id,
+      userId,
+      revision: lastRevision + 1,
+      action,
+      revertedFrom: revertedFrom ?? null,
+      changes,
+      snapshot: after
+    }, { transaction });
+
+    return true;
+  }
+
+  /**
+   * Builds the revision snapshot of a movie: its tracked fields, cast in billing order, genre names, and director
+   * names.
+   *
+   * @private
+   * @param {Object} movie - Plain movie object with actors, genres, and directors.
+   * @returns {Object} Snapshot with title, year, format, runtime, synopsis, language, country, barcode,
+   *   actors ({ name, character }), genres (names), and directors (names).
+   */
+  #buildSnapshot(movie) {
+    return {
+      title: movie.title,
+      year: movie.year,
+      format: movie.format,
+      runtime: movie.runtime ?? null,
+      synopsis: movie.synopsis ?? null,
+      language: movie.language ?? null,
+      country: movie.country ?? null,
+      barcode: movie.barcode ?? null,
+      actors: (movie.actors || []).map(a => ({ name: a.name, character: a.character ?? null })),
+      genres: (movie.genres || []).map(g => g.name),
+      directors: (movie.directors || []).map(d => d.name)
+    };
+  }
+
+  /**
+   * Computes the field-level diff between two movie snapshots.
+   * Fields are reported as `{ from, to }`. The cast is compared by actor name and reports added and removed actors,
+   * plus actors whose character or billing order changed. Genres and directors are compared case-insensitively.
+   *
+   * @private
+   * @param {Object} before - The snapshot before the change.
+   * @param {Object} after - The snapshot after the change.
+   * @returns {Object|null} The diff, or null if both snapshots are equal.
+   */
+  #diffSnapshots(before, after) {
+    const changes = {};
+
+    for (const field of REVISION_FIELDS) {
+      if ((before[field] ?? null) !== (after[field] ?? null)) {
+        changes[field] = { from: before[field], to: after[field] };
+      }
+    }
+
+    const actorChanges = this.#diffActors(before.actors, after.actors);
+    if (actorChanges) changes.actors = actorChanges;
+
+    const genreChanges = this.#diffNames(before.genres, after.genres);
+    if (genreChanges) changes.genres = genreChanges;
+
+    const directorChanges = this.#diffNames(before.directors, after.directors);
+    if (directorChanges) changes.directors = directorChanges;
+
+    return Object.keys(changes).length ? changes : null;
+  }
+
+  /**
+   * Computes the diff between two lists of names (genres or directors), compared case-insensitively.
+   *
+   * @private
+   * @param {Array<string>} before - The names before the change.
+   * @param {Array<string>} after - The names after the change.
+   * @returns {Object|null} Object with added and removed names, or null if both lists contain the same names.
+   */
+  #diffNames(before, after) {
+    const beforeKeys = new Set(before.map(name => this.#normalizeField(name)));
+    const afterKeys = new Set(after.map(name => this.#normalizeField(name)));
+    const added = after.filter(name => !beforeKeys.has(this.#normalizeField(name)));
+    const removed = before.filter(name => !afterKeys.has(this.#normalizeField(name)));
+
+    return added.length || removed.length ? { added, removed } : null;
+  }
+
+  /**
+   * Computes the diff between two casts, matching actors by name.
+   *
+   * @private
+   * @param {Array<Object>} before - The cast before the change ({ name, character }) in billing order.
+   * @param {Array<Object>} after - The cast after the change ({ name, character }) in billing order.
+   * @returns {Object|null} Object with added, removed, and changed actors, or null if the casts are equal.
+   */
+  #diffActors(before, after) {
+    const beforeByName = new Map(before.map((actor, index) => [actor.name, { ...actor, billingOrder: index + 1 }]));
+    const afterByName = new Map(after.map((actor, index) => [actor.name, { ...actor, billingOrder: index + 1 }]));
+
+    const added = after.filter(a => !beforeByName.has(a.name));
+    const removed = before.filter(a => !afterByName.has(a.name));
+    const changed = [];
+
+    for (const [name, current] of afterByName) {
+      const previous = beforeByName.get(name);
+      if (!previous) continue;
+
+      const change = { name };
+      if (previous.character !== current.character) {
+        change.character = { from: previous.character, to: current.character };
+      }
+      if (previous.billingOrder !== current.billingOrder) {
+        change.billingOrder = { from: previous.billingOrder, to: current.billingOrder };
+      }
+      if (Object.keys(change).length > 1) changed.push(change);
+    }
+
+    if (!added.length && !removed.length && !changed.length) return null;
+
+    return { added, removed, changed };
+  }
+
+  // ============================================================================
+  // Private methods for actor management
+  // ============================================================================
+
+  /**
+   * Replaces the cast of a movie.
+   * Resolves actor names to instances (creates new actors if needed) and links them in billing order.
+   *
+   * @async
+   * @private
+   * @param {Object} movie - The Sequelize movie instance.
+   * @param {Array<Object>} [actors] - Cast entries ({ name, character }) to associate. If empty or undefined, no changes are made.
+   * @param {Object} [options] - Additional options.
+   * @param {Object} [options.transaction] - The Sequelize transaction object.
+   * @returns {Promise<void>}
+   */
+  async #updateActorList(movie, actors, { transaction } = {}) {
+    if (!actors?.length) return;
+
+    const actorMap = await this.#resolveActorsByNames(actors.map(a => a.name), { transaction });
+
+    const rows = this.#buildActorLinks(movie.id, actors, actorMap);
+
+    if (rows.length) {
+      await MovieActorModel.destroy({ where: { movieId: movie.id }, transaction });
+      await MovieActorModel.bulkCreate(rows, { transaction });
+    }
+  }
+
+  /**
+   * Builds movie-actor link rows for a cast.
+   * The billing order follows the order of the cast; repeated actors keep only their first position.
+   *
+   * @private
+   * @param {number} movieId - The ID of the movie.
+   * @param {Array<Object>} [actors] - Cast entries ({ name, character }) in billing order.
+   * @param {Map<string, Object>} actorMap - Map of actor names to Sequelize actor instances.
+   * @returns {Array<Object>} Link rows with movieId, actorId, billingOrder, and character.
+   */
+  #buildActorLinks(movieId, actors, actorMap) {
+    const rows = [];
+    const linkedActorIds = new Set();
+
+    for (const { name, character } of actors || []) {
+      const actor = actorMap.get(name.trim());
+      if (!actor || linkedActorIds.has(actor.id)) continue;
+
+      linkedActorIds.add(actor.id);
+      rows.push({
+        movieId,
+        actorId: actor.id,
+        billingOrder: rows.length + 1,
+        character: character || null
+      });
+    }
+
+    return rows;
+  }
+
+  /**
+   * Resolves actor names to their corresponding instances, creating new actors if necessary.
+   *
+   * @async
+   * @private
+   * @param {Array<string>} actorNames - List of actor names to resolve.
+   * @param {Object} [options] - Additional options.
+   * @param {Object} [options.transaction] - The transaction object.
+   * @returns {Promise<Map<string, Object>>} A map of actor names to their instances.
+   */
+  async #resolveActorsByNames(actorNames, { transaction } = {}) {
+    const uniqueNames = [...new Set(
+      (actorNames || []).map(a => a.trim())
+    )];
+
+    if (!uniqueNames.length) {
+      return new Map();
+    }
+
+    const existingActors = await ActorModel.findAll({
+      where: { name: uniqueNames },
+      transaction
+    });
+
+    const actorMap = new Map(
+      existingActors.map(a => [a.name, a])
+    );
+
+    const newActorNames = uniqueNames.filter(
+      name => !actorMap.has(name)
+    );
+
+    if (newActorNames.length) {
       const actorsToCreate = newActorNames.map(name => ({
         name,
         searchName: this.#normalizeField(name)
@@ -574,185 +1510,842 @@ class MovieSequelizeDao {
   }
 
   // ============================================================================
-  // Private methods for query building
+  // Private methods for genre management
   // ============================================================================
 
   /**
-   * Builds the Sequelize where clause for filtering movies by title or search term.
-   * Supports searching in both movie titles and actor names (when search parameter is used).
-   * Uses normalized search fields for case-insensitive matching.
+   * Replaces the genres associated with a movie.
+   * Resolves genre names to instances (creates new genres if needed) and associates them.
    *
    * @async
    * @private
-   * @param {string} [title] - The movie title to filter by (case-insensitive partial match).
-   * @param {string} [search] - The search term to filter by (searches both titles and actor names).
-   * @returns {Promise<Object>} Sequelize where clause object, or empty object if no filters provided.
+   * @param {Object} movie - The Sequelize movie instance.
+   * @param {Array<string>} [genres] - List of genre names. If undefined, no changes are made; an empty list removes all genres.
+   * @param {Object} [options] - Additional options.
+   * @param {Object} [options.transaction] - The Sequelize transaction object.
+   * @returns {Promise<void>}
    */
-  async #buildMovieWhere(title, search) {
-    if (!title && !search) return {};
+  async #updateGenreList(movie, genres, { transaction } = {}) {
+    if (!genres) return;
+
+    const genreMap = await this.#resolveGenresByNames(genres, { transaction });
 
+    await movie.setGenres([...genreMap.values()], { transaction });
+  }
+
+  /**
+   * Resolves genre names to their corresponding instances, creating new genres if necessary.
+   * Genres are matched case-insensitively; a new genre keeps the spelling it was first created with.
+   *
+   * @async
+   * @private
+   * @param {Array<string>} genreNames - List of genre names to resolve.
+   * @param {Object} [options] - Additional options.
+   * @param {Object} [options.transaction] - The transaction object.
+   * @returns {Promise<Map<string, Object>>} A map of normalized genre names to their instances.
+   */
+  async #resolveGenresByNames(genreNames, { transaction } = {}) {
+    const namesByKey = new Map();
+    for (const name of genreNames || []) {
+      const trimmed = name.trim();
+      const key = this.#normalizeField(trimmed);
+      if (!namesByKey.has(key)) namesByKey.set(key, trimmed);
+    }
+
+    if (!namesByKey.size) {
+      return new Map();
+    }
+
+    const existingGenres = await GenreModel.unscoped().findAll({
+      where: { searchName: [...namesByKey.keys()] },
+      transaction
+    });
+
+    const genreMap = new Map(
+      existingGenres.map(g => [g.searchName, g])
+    );
+
+    const genresToCreate = [...namesByKey.entries()]
+      .filter(([key]) => !genreMap.has(key))
+      .map(([searchName, name]) => ({ name, searchName }));
+
+    if (genresToCreate.length) {
+      const createdGenres = await GenreModel.bulkCreate(
+        genresToCreate,
+        { transaction, returning: true }
+      );
+
+      for (const genre of createdGenres) {
+        genreMap.set(genre.searchName, genre);
+      }
+    }
+
+    return genreMap;
+  }
+
+  // ============================================================================
+  // Private methods for director management
+  // ============================================================================
+
+  /**
+   * Replaces the directors associated with a movie.
+   * Resolves director names to instances (creates new directors if needed) and associates them.
+   *
+   * @async
+   * @private
+   * @param {Object} movie - The Sequelize movie instance.
+   * @param {Array<string>} [directors] - List of director names. If undefined, no changes are made; an empty list
+   *   removes all directors.
+   * @param {Object} [options] - Additional options.
+   * @param {Object} [options.transaction] - The Sequelize transaction object.
+   * @returns {Promise<void>}
+   */
+  async #updateDirectorList(movie, directors, { transaction } = {}) {
+    if (!directors) return;
+
+    const directorMap = await this.#resolveDirectorsByNames(directors, { transaction });
+
+    await movie.setDirectors([...directorMap.values()], { transaction });
+  }
+
+  /**
+   * Resolves director names to their corresponding instances, creating new directors if necessary.
+   * Directors are matched case-insensitively; a new director keeps the spelling it was first created with.
+   *
+   * @async
+   * @private
+   * @param {Array<string>} directorNames - List of director names to resolve.
+   * @param {Object} [options] - Additional options.
+   * @param {Object} [options.transaction] - The transaction object.
+   * @returns {Promise<Map<string, Object>>} A map of normalized director names to their instances.
+   */
+  async #resolveDirectorsByNames(directorNames, { transaction } = {}) {
+    const namesByKey = new Map();
+    for (const name of directorNames || []) {
+      const trimmed = name.trim();
+      const key = this.#normalizeField(trimmed);
+      if (!namesByKey.has(key)) namesByKey.set(key, trimmed);
+    }
+
+    if (!namesByKey.size) {
+      return new Map();
+    }
+
+    const existingDirectors = await DirectorModel.unscoped().findAll({
+      where: { searchName: [...namesByKey.keys()] },
+      transaction
+    });
+
+    const directorMap = new Map(
+      existingDirectors.map(d => [d.searchName, d])
+    );
+
+    const directorsToCreate = [...namesByKey.entries()]
+      .filter(([key]) => !directorMap.has(key))
+      .map(([searchName, name]) => ({ name, searchName }));
+
+    if (directorsToCreate.length) {
+      const createdDirectors = await DirectorModel.bulkCreate(
+        directorsToCreate,
+        { transaction, returning: true }
+      );
+
+      for (const director of createdDirectors) {
+        directorMap.set(director.searchName, director);
+      }
+    }
+
+    return directorMap;
+  }
+
+  // ============================================================================
+  // Private methods for query building
+  // ============================================================================
+
+  /**
+   * Builds the Sequelize where clause for filtering movies of a user.
+   * Every provided filter narrows the result (filters are combined with AND). Actor filters select movies by their
+   * cast without limiting the actors loaded with them.
+   *
+   * @async
+   * @private
+   * @param {Object} filters - The list filters.
+   * @param {number} filters.userId - The ID of the user whose movies are filtered.
+   * @param {string} [filters.title] - The movie title to filter by (case-insensitive partial match).
+   * @param {string} [filters.search] - The full-text search term (searches both titles and actor names).
+   * @param {Object} [filters.query] - The parsed `q` search query.
+   * @param {string} [filters.actor] - The actor name to filter by (case-insensitive partial match).
+   * @param {Array<string>} [filters.actors] - Actor names to filter by (case-insensitive exact match).
+   * @param {string} [filters.actorMatch] - Whether a movie needs "any" or "all" of the actors.
+   * @param {number} [filters.minActorCount] - The minimum number of actors.
+   * @param {number} [filters.maxActorCount] - The maximum number of actors.
+   * @param {string} [filters.director] - The director name to filter by (case-insensitive partial match).
+   * @param {Array<string>} [filters.genres] - Genre names to filter by.
+   * @param {string} [filters.genreMatch] - Whether a movie needs "any" or "all" of the genres.
+   * @param {number} [filters.minRating] - The minimum average rating (unrated movies are excluded).
+   * @param {boolean} [filters.watched] - Whether the movie has (true) or has not (false) been watched.
+   * @param {string} [filters.lastWatchedBefore] - The date the last viewing must precede (unwatched movies are excluded).
+   * @param {number} [filters.yearFrom] - The earliest release year.
+   * @param {number} [filters.yearTo] - The latest release year.
+   * @param {Array<string>} [filters.formats] - The formats to filter by.
+   * @param {string} [filters.language] - The original language (ISO 639-1 code) to filter by.
+   * @param {string} [filters.country] - The country of origin (ISO 3166-1 alpha-2 code) to filter by.
+   * @param {number} [filters.minRuntime] - The minimum runtime in minutes (movies without a runtime are excluded).
+   * @param {number} [filters.maxRuntime] - The maximum runtime in minutes (movies without a runtime are excluded).
+   * @param {number} [filters.seriesId] - The ID of the series to filter by.
+   * @returns {Promise<Object>} Sequelize where clause object, always scoped to the user.
+   */
+  async #buildMovieWhere({
+    userId, title, search, query, actor, actors, actorMatch, minActorCount, maxActorCount, director, genres, genreMatch,
+    minRating, watched, lastWatchedBefore, yearFrom, yearTo, formats, language, country, minRuntime, maxRuntime, seriesId
+  }) {
+    const where = { userId };
     const conditions = [];
 
-    if (title || search) {
-      const searchValue = (title || search).trim().toLowerCase();
-      const searchPattern = `%${searchValue}%`;
+    if (title) {
+      where.searchTitle = { [Op.like]: `%${title.trim().toLowerCase()}%` };
+    }
 
-      conditions.push({
-        searchTitle: {
-          [Op.like]: searchPattern
-        }
-      });
+    if (search) conditions.push(this.#buildSearchCondition(search));
+    if (query) conditions.push(this.#buildQueryCondition(query));
+
+    if (actor) {
+      const ids = await this.#findMovieIdsByActor(userId, actor);
+      conditions.push({ id: { [Op.in]: ids } });
     }
 
-    if (search) {
-      const ids = await this.#findMovieIdsByActor(search);
-      if (ids.length) {
-        conditions.push({ id: { [Op.in]: ids } });
+    if (actors?.length) {
+      const ids = await this.#findMovieIdsByActors(userId, actors, actorMatch);
+      conditions.push({ id: { [Op.in]: ids } });
+    }
+
+    if (minActorCount !== undefined || maxActorCount !== undefined) {
+      conditions.push(sequelize.where(sequelize.literal(ACTOR_COUNT_SQL), {
+        ...(minActorCount !== undefined && { [Op.gte]: minActorCount }),
+        ...(maxActorCount !== undefined && { [Op.lte]: maxActorCount })
+      }));
+    }
+
+    if (director) {
+      const ids = await this.#findMovieIdsByDirector(userId, director);
+      conditions.push({ id: { [Op.in]: ids } });
+    }
+
+    if (formats?.length) where.format = formats;
+    if (language) where.language = language;
+    if (country) where.country = country;
+
+    if (yearFrom !== undefined || yearTo !== undefined) {
+      where.year = {
+        ...(yearFrom !== undefined && { [Op.gte]: yearFrom }),
+        ...(yearTo !== undefined && { [Op.lte]: yearTo })
+      };
+    }
+    if (seriesId) where.seriesId = seriesId;
+
+    if (minRuntime !== undefined || maxRuntime !== undefined) {
+      where.runtime = {
+        ...(minRuntime !== undefined && { [Op.gte]: minRuntime }),
+        ...(maxRuntime !== undefined && { [Op.lte]: maxRuntime })
+      };
+    }
+
+    if (genres?.length) {
+      const ids = await this.#findMovieIdsByGenres(userId, genres, genreMatch);
+      conditions.push({ id: { [Op.in]: ids } });
+    }
+
+    if (minRating !== undefined) {
+      conditions.push(sequelize.where(sequelize.literal(AVERAGE_RATING_SQL), { [Op.gte]: minRating }));
+    }
+
+    if (watched !== undefined) {
+      conditions.push(sequelize.where(sequelize.literal(VIEW_COUNT_SQL), { [watched ? Op.gt : Op.eq]: 0 }));
+    }
+
+    if (lastWatchedBefore) {
+      conditions.push(sequelize.where(sequelize.literal(LAST_WATCHED_AT_SQL), { [Op.lt]: lastWatchedBefore }));
+    }
+
+    if (conditions.length) where[Op.and] = conditions;
+    return where;
+  }
+
+  /**
+   * Builds the condition for the full-text search of movies.
+   * Every word of the term must be the prefix of a word of the title or of an actor name, so "mat kea" finds
+   * "The Matrix" with Keanu Reeves. A term without any word matches nothing, so its negation matches every movie.
+   *
+   * @private
+   * @param {string} search - The search term.
+   * @returns {Object} Sequelize condition on the movie ID, or a condition that is always false.
+   */
+  #buildSearchCondition(search) {
+    const query = toFullTextQuery(search);
+    if (!query) return sequelize.literal("0");
+
+    return { id: { [Op.in]: sequelize.literal(`(${SEARCH_MATCH_SQL} ${sequelize.escape(query)})`) } };
+  }
+
+  /**
+   * Compiles a parsed `q` search query into a Sequelize condition.
+   * Groups become AND, OR, and NOT conditions; field terms become conditions and subqueries on the movie, and search
+   * terms the full-text search. No condition is ever unknown (NULL), so a negated term matches exactly the movies the
+   * term does not match.
+   *
+   * @private
+   * @param {Object} node - A node of the query syntax tree.
+   * @returns {Object} Sequelize condition.
+   */
+  #buildQueryCondition(node) {
+    switch (node.type) {
+      case MovieQueryNodeMap.AND:
+      case MovieQueryNodeMap.OR: {
+        const conditions = node.children.map(child => this.#buildQueryCondition(child));
+        return { [node.type === MovieQueryNodeMap.AND ? Op.and : Op.or]: conditions };
       }
+      case MovieQueryNodeMap.NOT:
+        // Sequelize ignores Op.not around a bare sequelize.where() condition, so the condition is wrapped
+        return { [Op.not]: { [Op.and]: [this.#buildQueryCondition(node.child)] } };
+      case MovieQueryNodeMap.TEXT:
+        return this.#buildSearchCondition(node.value);
+      default:
+        return this.#buildQueryFieldCondition(node);
     }
+  }
+
+  /**
+   * Builds the condition of a field term of a search query.
+   * Title, actor, and director match by substring; genre, format, language, and country exactly, ignoring case.
+   * A movie without a value (such as an unrated movie) does not match, so it matches the negated term.
+   *
+   * @private
+   * @param {Object} term - The field node (`{ field, operator, value }`).
+   * @returns {Object} Sequelize condition.
+   */
+  #buildQueryFieldCondition({ field, operator, value }) {
+    const comparison = { [QueryOperatorMap[operator]]: value };
+
+    switch (field) {
+      case MovieQueryFieldMap.TITLE:
+        return { searchTitle: { [Op.like]: `%${this.#normalizeField(value)}%` } };
+      case MovieQueryFieldMap.ACTOR:
+      case MovieQueryFieldMap.DIRECTOR:
+        return this.#buildLinkedNameCondition(field, "LIKE", `%${this.#normalizeField(value)}%`);
+      case MovieQueryFieldMap.GENRE:
+        return this.#buildLinkedNameCondition(field, "=", this.#normalizeField(value));
+      case MovieQueryFieldMap.FORMAT:
+        return sequelize.where(sequelize.fn("LOWER", sequelize.col("movie.format")), this.#normalizeField(value));
+      case MovieQueryFieldMap.LANGUAGE:
+        return this.#buildKnownValueCondition(sequelize.col("movie.language"), value.toLowerCase());
+      case MovieQueryFieldMap.COUNTRY:
+        return this.#buildKnownValueCondition(sequelize.col("movie.country"), value.toUpperCase());
+      case MovieQueryFieldMap.RUNTIME:
+        return this.#buildKnownValueCondition(sequelize.col("movie.runtime"), comparison);
+      case MovieQueryFieldMap.RATING:
+        return this.#buildKnownValueCondition(sequelize.literal(AVERAGE_RATING_SQL), comparison);
+      default:
+        return { [field]: comparison };
+    }
+  }
 
-    if (!conditions.length) return {};
-    return { [Op.or]: conditions };
+  /**
+   * Builds the condition of an actor, director, or genre term of a search query: the movie is linked to a name that
+   * matches. The outer query keeps the movies of the user.
+   *
+   * @private
+   * @param {string} field - The field of the term (`actor`, `director`, or `genre`).
+   * @param {string} operator - The SQL operator comparing the search name (`LIKE` or `=`).
+   * @param {string} value - The normalized name or LIKE pattern.
+   * @returns {Object} Sequelize condition on the movie ID.
+   */
+  #buildLinkedNameCondition(field, operator, value) {
+    const subquery = `${LinkedNameSqlMap[field]} ${operator} ${sequelize.escape(value)}`;
+    return { id: { [Op.in]: sequelize.literal(`(${subquery})`) } };
+  }
+
+  /**
+   * Builds a condition on a nullable value that is false, not unknown, when the value is null.
+   * In SQL, `NOT (runtime > 100)` is unknown for a movie without a runtime and drops it; with the value required to be
+   * known, the negation keeps it.
+   *
+   * @private
+   * @param {Object} expression - The Sequelize column or literal of the value.
+   * @param {*} comparison - The value to equal, or the Sequelize comparison.
+   * @returns {Object} Sequelize condition.
+   */
+  #buildKnownValueCondition(expression, comparison) {
+    return {
+      [Op.and]: [
+        sequelize.where(expression, { [Op.ne]: null }),
+        sequelize.where(expression, comparison)
+      ]
+    };
   }
 
   /**
-   * Builds the Sequelize include clause for filtering movies by actor.
-   * If actor parameter is provided, adds a WHERE condition for case-insensitive search.
+   * Builds the Sequelize include clause for loading the cast of movies.
+   * The whole cast is always loaded; actor filters are part of the where clause.
    *
    * @private
-   * @param {string} [actor] - The actor name to filter by (case-insensitive partial match).
-   * @returns {Array<Object>} Array containing the include clause configuration for Sequelize.
+   * @returns {Object} The include clause configuration for Sequelize.
    */
-  #buildActorInclude(actor) {
-    const include = {
+  #buildActorInclude() {
+    return {
       model: ActorModel,
       as: TableNameMap.ACTORS,
-      through: { attributes: [] },
+      through: { attributes: LINK_ATTRIBUTES },
       required: false
     };
+  }
 
-    if (actor) {
-      const searchName = actor.trim().toLowerCase();
-      include.where = {
-        searchName: {
-          [Op.like]: `%${searchName}%`
+  /**
+   * Finds movie IDs of a user with an actor matching the given name.
+   * Uses normalized search field (searchName) for case-insensitive matching.
+   *
+   * @async
+   * @private
+   * @param {number} userId - The ID of the user whose movies are searched.
+   * @param {string} actor - The actor name to search for (case-insensitive partial match).
+   * @returns {Promise<Array<number>>} Array of unique movie IDs with a matching actor.
+   */
+  async #findMovieIdsByActor(userId, actor) {
+    const searchPattern = `%${this.#normalizeField(actor.trim())}%`;
+
+    const rows = await MovieActorModel.findAll({
+      attributes: ["movieId"],
+      include: [
+        {
+          model: ActorModel,
+          attributes: [],
+          where: { searchName: { [Op.like]: searchPattern } },
+          required: true
+        },
+        {
+          model: MovieModel,
+          attributes: [],
+          where: { userId },
+          required: true
         }
-      };
-      include.required = true;
-    }
+      ],
+      group: ["movieId"],
+      raw: true
+    });
 
-    return [include];
+    return rows.map(r => r.movieId);
   }
 
   /**
-   * Finds movie IDs by searching for actors matching the search term.
-   * Uses normalized search field (searchName) for case-insensitive matching.
+   * Finds movie IDs of a user whose cast includes the given actors.
+   * With "all" matching, a movie must have every actor; otherwise one of them is enough.
    *
    * @async
    * @private
-   * @param {string} search - The search term for actor names (case-insensitive partial match).
-   * @returns {Promise<Array<number>>} Array of unique movie IDs that have actors matching the search term.
+   * @param {number} userId - The ID of the user whose movies are searched.
+   * @param {Array<string>} actors - Actor names (matched case-insensitively).
+   * @param {string} [actorMatch="any"] - Whether a movie needs "any" or "all" of the actors.
+   * @returns {Promise<Array<number>>} Array of unique movie IDs matching the actors.
    */
-  async #findMovieIdsByActor(search) {
-    if (!search) return [];
+  async #findMovieIdsByActors(userId, actors, actorMatch) {
+    const searchNames = [...new Set(actors.map(a => this.#normalizeField(a.trim())))];
+
+    const rows = await MovieActorModel.findAll({
+      attributes: ["movieId"],
+      include: [
+        {
+          model: ActorModel,
+          attributes: [],
+          where: { searchName: searchNames },
+          required: true
+        },
+        {
+          model: MovieModel,
+          attributes: [],
+          where: { userId },
+          required: true
+        }
+      ],
+      group: ["movieId"],
+      having: actorMatch === "all"
+        ? sequelize.where(sequelize.fn("COUNT", sequelize.col("movie_actors.actorId")), searchNames.length)
+        : undefined,
+      raw: true
+    });
 
-    const normalizedSearch = search.trim().toLowerCase();
-    const searchPattern = `%${normalizedSearch}%`;
+    return rows.map(r => r.movieId);
+  }
 
-    const rows = await MovieModel.findAll({
-      attributes: [
-        [sequelize.fn("DISTINCT", sequelize.col("movie.id")), "id"]
+  /**
+   * Finds movie IDs of a user directed by a director matching the given name.
+   * Uses normalized search field (searchName) for case-insensitive matching.
+   *
+   * @async
+   * @private
+   * @param {number} userId - The ID of the user whose movies are searched.
+   * @param {string} director - The director name to search for (case-insensitive partial match).
+   * @returns {Promise<Array<number>>} Array of unique movie IDs with a matching director.
+   */
+  async #findMovieIdsByDirector(userId, director) {
+    const searchPattern = `%${this.#normalizeField(director.trim())}%`;
+
+    const rows = await MovieDirectorModel.findAll({
+      attributes: ["movieId"],
+      include: [
+        {
+          model: DirectorModel,
+          attributes: [],
+          where: { searchName: { [Op.like]: searchPattern } },
+          required: true
+        },
+        {
+          model: MovieModel,
+          attributes: [],
+          where: { userId },
+          required: true
+        }
       ],
-      include: [{
-        model: ActorModel,
-        as: TableNameMap.ACTORS,
-        attributes: [],
-        where: {
-          searchName: { [Op.like]: searchPattern }
+      group: ["movieId"],
+      raw: true
+    });
+
+    return rows.map(r => r.movieId);
+  }
+
+  /**
+   * Finds movie IDs of a user that are linked to the given genres.
+   * With "all" matching, a movie must have every genre; otherwise one of them is enough.
+   *
+   * @async
+   * @private
+   * @param {number} userId - The ID of the user whose movies are searched.
+   * @param {Array<string>} genres - Genre names (matched case-insensitively).
+   * @param {string} [genreMatch="any"] - Whether a movie needs "any" or "all" of the genres.
+   * @returns {Promise<Array<number>>} Array of unique movie IDs matching the genres.
+   */
+  async #findMovieIdsByGenres(userId, genres, genreMatch) {
+    const searchNames = [...new Set(genres.map(g => this.#normalizeField(g.trim())))];
+
+    const rows = await MovieGenreModel.findAll({
+      attributes: ["movieId"],
+      include: [
+        {
+          model: GenreModel,
+          attributes: [],
+          where: { searchName: searchNames },
+          required: true
         },
-        through: { attributes: [] },
-        required: true
-      }],
+        {
+          model: MovieModel,
+          attributes: [],
+          where: { userId },
+          required: true
+        }
+      ],
+      group: ["movieId"],
+      having: genreMatch === "all"
+        ? sequelize.where(sequelize.fn("COUNT", sequelize.col("movie_genres.genreId")), searchNames.length)
+        : undefined,
       raw: true
     });
 
-    return rows.map(r => r.id);
+    return rows.map(r => r.movieId);
+  }
+
+  /**
+   * Builds the Sequelize include clause for loading the genres of movies.
+   *
+   * @private
+   * @returns {Object} The include clause configuration for Sequelize.
+   */
+  #buildGenreInclude() {
+    return {
+      model: GenreModel,
+      as: TableNameMap.GENRES,
+      through: { attributes: [] },
+      required: false
+    };
+  }
+
+  /**
+   * Builds the Sequelize include clause for loading the directors of movies.
+   *
+   * @private
+   * @returns {Object} The include clause configuration for Sequelize.
+   */
+  #buildDirectorInclude() {
+    return {
+      model: DirectorModel,
+      as: TableNameMap.DIRECTORS,
+      through: { attributes: [] },
+      required: false
+    };
   }
 
   /**
-   * Builds the standard Sequelize query options with actors included.
-   * Used to ensure actors are always loaded when fetching movies.
+   * Builds the Sequelize include clause for loading the active loan of movies.
+   *
+   * @private
+   * @returns {Object} The include clause configuration for Sequelize.
+   */
+  #buildCurrentLoanInclude() {
+    return {
+      model: LoanModel,
+      as: TableNameMap.CURRENT_LOAN,
+      attributes: CURRENT_LOAN_ATTRIBUTES,
+      required: false
+    };
+  }
+
+  /**
+   * Builds the standard Sequelize query options with actors, genres, directors, the current loan, and review and
+   * viewing aggregates included.
+   * Used to ensure the relations are always loaded when fetching movies.
    *
    * @private
    * @param {Object} [options={}] - Additional query options (e.g., transaction, attributes).
-   * @returns {Object} Sequelize query options object with include clause for actors.
+   * @returns {Object} Sequelize query options object with include clause for actors, genres, and directors.
    */
-  #buildQueryWithActors(options = {}) {
+  #buildQueryWithRelations(options = {}) {
     return {
-      include: [{
-        model: ActorModel,
-        as: TableNameMap.ACTORS,
-        through: { attributes: [] }
-      }],
+      attributes: this.#buildAggregateAttributes(),
+      include: [
+        {
+          model: ActorModel,
+          as: TableNameMap.ACTORS,
+          through: { attributes: LINK_ATTRIBUTES }
+        },
+        this.#buildGenreInclude(),
+        this.#buildDirectorInclude(),
+        this.#buildCurrentLoanInclude()
+      ],
       ...options
     };
   }
 
-  // ============================================================================
-  // Common private methods
-  // ============================================================================
+  /**
+   * Builds the attributes that add review and viewing aggregates to every movie row.
+   *
+   * @private
+   * @returns {Object} Sequelize attributes option including `averageRating`, `reviewCount`, `viewCount`,
+   *   and `lastWatchedAt`.
+   */
+  #buildAggregateAttributes() {
+    return {
+      include: [
+        [sequelize.literal(AVERAGE_RATING_SQL), "averageRating"],
+        [sequelize.literal(REVIEW_COUNT_SQL), "reviewCount"],
+        [sequelize.literal(VIEW_COUNT_SQL), "viewCount"],
+        [sequelize.literal(LAST_WATCHED_AT_SQL), "lastWatchedAt"]
+      ]
+    };
+  }
 
   /**
-   * Normalizes a string field for case-insensitive searching.
-   * Converts to lowercase and handles null/undefined values.
+   * Counts the movies matching the list filters by facet, with one grouped query per facet over the same conditions
+   * as the list. Every movie has one format and one decade, so those buckets add up to the filtered total; the actor
+   * facet counts the movies of every cast member (not only of the actors matching an actor filter) and keeps the
+   * actors with the most movies.
    *
+   * @async
    * @private
-   * @param {string} [field] - Field value to normalize.
-   * @returns {string} Normalized lowercase string, or empty string if input is falsy.
+   * @param {Array<string>} facets - The facets to count ("format", "decade", "actor").
+   * @param {Object} filters - The conditions of the list.
+   * @param {Object} filters.where - The where clause of the list.
+   * @param {boolean} filters.paranoid - Whether trashed movies are left out.
+   * @returns {Promise<Object>} The buckets (`{ value, count }`, actors also with `id`) by facet. Formats and actors
+   *   are sorted by count, then by name; decades (such as 1990) in ascending order.
    */
-  #normalizeField(field) {
-    return (field || '').toLowerCase();
+  async #countFacets(facets, { where, paranoid }) {
+    const movieCount = sequelize.fn("COUNT", sequelize.fn("DISTINCT", sequelize.col("movie.id")));
+    const decade = sequelize.literal("(movie.year / 10) * 10");
+
+    const queryMap = {
+      [MovieFacetMap.FORMAT]: {
+        attributes: [["format", "value"], [movieCount, "count"]],
+        group: ["movie.format"],
+        order: [[movieCount, "DESC"], ["format", "ASC"]]
+      },
+      [MovieFacetMap.DECADE]: {
+        attributes: [[decade, "value"], [movieCount, "count"]],
+        group: [decade],
+        order: [[decade, "ASC"]]
+      },
+      [MovieFacetMap.ACTOR]: {
+        attributes: [[sequelize.col("actors.id"), "id"], [sequelize.col("actors.name"), "value"], [movieCount, "count"]],
+        include: [{
+          model: ActorModel,
+          as: TableNameMap.ACTORS,
+          attributes: [],
+          through: { attributes: [] },
+          required: true
+        }],
+        group: ["actors.id"],
+        order: [[movieCount, "DESC"], [sequelize.col("actors.name"), "ASC"]],
+        limit: MAX_ACTOR_FACET_BUCKETS
+      }
+    };
+
+    const facetMap = {};
+    for (const facet of facets) {
+      facetMap[facet] = await MovieModel.findAll({
+        ...queryMap[facet],
+        where,
+        paranoid,
+        subQuery: false,
+        raw: true
+      });
+    }
+
+    return facetMap;
   }
 
   /**
-   * Sorts movies by title using locale-aware collation.
-   * Handles multiple languages including Ukrainian, English, and others.
-   * Uses Intl.Collator with case-first ordering (uppercase before lowercase).
+   * Resolves the sort of a movie list to the SQL expression of the sort value.
+   * Sorting by title uses the collation sort key, sorting by rating the average rating, and sorting by relevance the
+   * BM25 rank of the search words (best match first, whatever the order). Any of the words ranks a movie, and movies
+   * matching none of them (selected by a field term of an OR) come last. Without a search term, relevance falls back
+   * to the ID.
    *
    * @private
-   * @param {Array<Object>} movies - Array of Sequelize movie instances.
-   * @param {string} [order='ASC'] - Sort order ("ASC" or "DESC").
-   * @returns {Array<Object>} New sorted array of movies (original array is not modified).
+   * @param {string} sort - The field to sort by ("id", "year", "title", "rating", "runtime", or "relevance").
+   * @param {string} order - The sort order ("ASC" or "DESC").
+   * @param {string} [search] - The full-text search terms (of `search` and `q`), required to sort by relevance.
+   * @returns {Object} The sort value expression, the direction, whether the value may be null (sorted last), and
+   *   whether the sort is by ID alone.
    */
-  #sortByTitle(movies, order) {
-    const collator = new Intl.Collator("und", {
-      sensitivity: 'variant',
-      caseFirst: 'upper',
-      numeric: true
-    });
+  #buildSortSpec(sort, order, search) {
+    if (sort === "relevance") {
+      const query = toFullTextQuery(search, { matchAny: true });
+      if (!query) return this.#buildSortSpec("id", "ASC");
+
+      return {
+        expression: sequelize.literal(`(${SEARCH_RANK_SQL} ${sequelize.escape(query)})`),
+        direction: "ASC",
+        isNullable: true,
+        isById: false
+      };
+    }
 
-    return [...movies].sort((a, b) => {
-      const titleA = (a.title || '').trim();
-      const titleB = (b.title || '').trim();
-      const comparison = collator.compare(titleA, titleB);
-      return order === 'DESC' ? -comparison : comparison;
-    });
+    const { sql, isNullable } = SortExpressionMap[sort] || SortExpressionMap.id;
+
+    return {
+      expression: sequelize.literal(sql),
+      direction: order,
+      isNullable,
+      isById: sql === SortExpressionMap.id.sql
+    };
+  }
+
+  /**
+   * Builds the order clause for listing movies sorted in SQL.
+   * Movies are ordered by their selected sort value (`sortValue`), with movies without a value last; ties are broken
+   * by ID.
+   *
+   * @private
+   * @param {Object} sortSpec - The resolved sort (see `#buildSortSpec`).
+   * @returns {Array<Array>} Sequelize order clause.
+   */
+  #buildOrder({ direction, isNullable, isById }) {
+    if (isById) return [["id", direction]];
+
+    return [
+      [sequelize.literal("sortValue"), isNullable ? `${direction} NULLS LAST` : direction],
+      ["id", "ASC"]
+    ];
   }
 
   /**
-   * Applies pagination to an array by slicing it.
-   * Used for in-memory pagination when sorting is done in JavaScript.
+   * Builds the condition selecting the movies that come after a position in the sort order (keyset pagination).
+   * Movies with the same sort value come after it when their ID is higher; movies without a value come after every
+   * movie with one.
    *
    * @private
-   * @param {Array} items - Array of items to paginate.
-   * @param {number} limit - Maximum number of items to return.
-   * @param {number} offset - Number of items to skip from the beginning.
-   * @returns {Array} New array containing the paginated items (original array is not modified).
+   * @param {Object} sortSpec - The resolved sort (see `#buildSortSpec`).
+   * @param {Object} after - The sort value and ID of the last movie of the previous page.
+   * @returns {Object} Sequelize condition.
    */
-  #applyPagination(items, limit, offset) {
-    const start = offset;
-    const end = start + limit;
-    return items.slice(start, end);
+  #buildAfterCondition({ expression, direction, isNullable, isById }, after) {
+    const comparison = direction === "DESC" ? Op.lt : Op.gt;
+    if (isById) return { id: { [comparison]: after.id } };
+
+    const laterTie = { id: { [Op.gt]: after.id } };
+    if (after.value === null) {
+      return { [Op.and]: [sequelize.where(expression, { [Op.is]: null }), laterTie] };
+    }
+
+    return {
+      [Op.or]: [
+        sequelize.where(expression, { [comparison]: after.value }),
+        { [Op.and]: [sequelize.where(expression, { [Op.eq]: after.value }), laterTie] },
+        ...(isNullable ? [sequelize.where(expression, { [Op.is]: null })] : [])
+      ]
+    };
+  }
+
+  /**
+   * Converts a Sequelize movie instance to a plain object.
+   * Flattens the movie-actor link attributes into each actor and sorts the cast by billing order.
+   * Sorts genres and directors by name and derives the loan status from the current loan.
+   *
+   * @private
+   * @param {Object} movie - The Sequelize movie instance (optionally with actors and genres included).
+   * @returns {Object} Plain movie object.
+   */
+  #toPlainMovie(movie) {
+    const plain = movie.get({ plain: true });
+
+    if (plain.currentLoan !== undefined) {
+      plain.loanStatus = this.#getLoanStatus(plain.currentLoan);
+    }
+
+    if (plain.genres) {
+      plain.genres = plain.genres.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    if (plain.directors) {
+      plain.directors = plain.directors.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    if (!plain.actors) return plain;
+
+    plain.actors = plain.actors
+      .map(({ movie_actors: link, ...actor }) => ({
+        ...actor,
+        billingOrder: link?.billingOrder,
+        character: link?.character ?? null
+      }))
+      .sort((a, b) => a.billingOrder - b.billingOrder);
+
+    return plain;
+  }
+
+  /**
+   * Derives the loan status of a movie copy from its active loan.
+   *
+   * @private
+   * @param {Object|null} currentLoan - The active loan of the movie, or null if the copy is not on loan.
+   * @returns {string} "available", "onLoan", or "overdue" (on loan and past the due date).
+   */
+  #getLoanStatus(currentLoan) {
+    if (!currentLoan) return MovieLoanStatusMap.AVAILABLE;
+
+    return currentLoan.dueAt < today() ? MovieLoanStatusMap.OVERDUE : MovieLoanStatusMap.ON_LOAN;
+  }
+
+  // ============================================================================
+  // Common private methods
+  // ============================================================================
+
+  /**
+   * Normalizes a string field for case-insensitive searching.
+   * Converts to lowercase and handles null/undefined values.
+   *
+   * @private
+   * @param {string} [field] - Field value to normalize.
+   * @returns {string} Normalized lowercase string, or empty string if input is falsy.
+   */
+  #normalizeField(field) {
+    return (field || '').toLowerCase();
   }
 
 }
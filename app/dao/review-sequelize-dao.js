@@ -0,0 +1,132 @@
+const { ReviewModel, UserModel } = require('../models');
+
+const TableNameMap = {
+  AUTHOR: "author",
+};
+
+const AUTHOR_ATTRIBUTES = ["id", "name"];
+
+/**
+ * Sequelize implementation of Review DAO
+ * Handles all database operations using Sequelize ORM
+ */
+class ReviewSequelizeDao {
+  /**
+   * Creates a new review of a movie.
+   *
+   * @async
+   * @param {Object} dtoIn - The input data for creating a review.
+   * @param {number} dtoIn.movieId - The ID of the reviewed movie.
+   * @param {number} dtoIn.userId - The ID of the user who writes the review.
+   * @param {number} dtoIn.rating - The rating of the movie (1–10).
+   * @param {string|null} [dtoIn.text] - The text of the review.
+   * @returns {Promise<Object|null>} The created review with its author.
+   */
+  async create(dtoIn) {
+    const review = await ReviewModel.create(dtoIn);
+
+    return this.getById(review.id);
+  }
+
+  /**
+   * Retrieves a review by its ID, including the author.
+   *
+   * @async
+   * @param {number} id - The ID of the review to retrieve.
+   * @returns {Promise<Object|null>} The review, or null if not found.
+   */
+  async getById(id) {
+    const review = await ReviewModel.findByPk(id, this.#buildQueryWithAuthor());
+
+    return review ? review.get({ plain: true }) : null;
+  }
+
+  /**
+   * Retrieves the review a user wrote for a movie.
+   *
+   * @async
+   * @param {number} movieId - The ID of the reviewed movie.
+   * @param {number} userId - The ID of the author.
+   * @returns {Promise<Object|null>} The review, or null if the user has not reviewed the movie.
+   */
+  async getByMovieAndUser(movieId, userId) {
+    const review = await ReviewModel.findOne({ where: { movieId, userId } });
+
+    return review ? review.get({ plain: true }) : null;
+  }
+
+  /**
+   * Lists the reviews of a movie, newest first.
+   *
+   * @async
+   * @param {Object} options - The query options.
+   * @param {number} options.movieId - The ID of the reviewed movie.
+   * @param {number} [options.limit] - The maximum number of reviews to return.
+   * @param {number} [options.offset] - The number of reviews to skip.
+   * @returns {Promise<Object>} Object containing itemList (array of reviews) and total (number of reviews of the movie).
+   */
+  async listByMovie({ movieId, limit, offset }) {
+    const { rows, count } = await ReviewModel.findAndCountAll({
+      where: { movieId },
+      limit,
+      offset,
+      order: [["createdAt", "DESC"], ["id", "DESC"]],
+      ...this.#buildQueryWithAuthor()
+    });
+
+    return {
+      itemList: rows.map(r => r.get({ plain: true })),
+      total: count
+    };
+  }
+
+  /**
+   * Updates the rating and/or text of a review.
+   *
+   * @async
+   * @param {Object} dtoIn - The input data for updating a review.
+   * @param {number} dtoIn.id - The ID of the review to update.
+   * @param {number} [dtoIn.rating] - The new rating (1–10).
+   * @param {string|null} [dtoIn.text] - The new text of the review.
+   * @returns {Promise<Object|null>} The updated review, or null if not found.
+   */
+  async update(dtoIn) {
+    const { id, ...reviewFields } = dtoIn;
+
+    const review = await ReviewModel.findByPk(id);
+    if (!review) return null;
+
+    await review.update(reviewFields);
+
+    return this.getById(id);
+  }
+
+  /**
+   * Deletes a review by its ID.
+   *
+   * @async
+   * @param {number} id - The ID of the review to delete.
+   * @returns {Promise<number>} The number of deleted reviews (0 or 1).
+   */
+  async delete(id) {
+    return ReviewModel.destroy({ where: { id } });
+  }
+
+  /**
+   * Builds the standard Sequelize query options with the review author included.
+   *
+   * @private
+   * @returns {Object} Sequelize query options object with include clause for the author.
+   */
+  #buildQueryWithAuthor() {
+    return {
+      include: [{
+        model: UserModel,
+        as: TableNameMap.AUTHOR,
+        attributes: AUTHOR_ATTRIBUTES
+      }]
+    };
+  }
+}
+
+module.exports = new ReviewSequelizeDao();
@@ -0,0 +1,74 @@
+const { MovieRevisionModel, UserModel } = require('../models');
+
+const TableNameMap = {
+  AUTHOR: "author",
+};
+
+const AUTHOR_ATTRIBUTES = ["id", "name"];
+
+/**
+ * Sequelize implementation of Revision DAO
+ * Handles all database operations using Sequelize ORM.
+ * Revisions are recorded by the movie DAO as part of its create, update, and revert transactions.
+ */
+class RevisionSequelizeDao {
+  /**
+   * Retrieves a revision of a movie by its number, including the author.
+   *
+   * @async
+   * @param {number} movieId - The ID of the movie.
+   * @param {number} revision - The revision number.
+   * @returns {Promise<Object|null>} The revision, or null if not found.
+   */
+  async getByMovieAndRevision(movieId, revision) {
+    const revisionRow = await MovieRevisionModel.findOne({
+      where: { movieId, revision },
+      ...this.#buildQueryWithAuthor()
+    });
+
+    return revisionRow ? revisionRow.get({ plain: true }) : null;
+  }
+
+  /**
+   * Lists the revisions of a movie, newest first.
+   *
+   * @async
+   * @param {Object} options - The query options.
+   * @param {number} options.movieId - The ID of the movie.
+   * @param {number} [options.limit] - The maximum number of revisions to return.
+   * @param {number} [options.offset] - The number of revisions to skip.
+   * @returns {Promise<Object>} Object containing itemList (array of revisions) and total (number of revisions of the movie).
+   */
+  async listByMovie({ movieId, limit, offset }) {
+    const { rows, count } = await MovieRevisionModel.findAndCountAll({
+      where: { movieId },
+      limit,
+      offset,
+      order: [["revision", "DESC"]],
+      ...this.#buildQueryWithAuthor()
+    });
+
+    return {
+      itemList: rows.map(r => r.get({ plain: true })),
+      total: count
+    };
+  }
+
+  /**
+   * Builds the standard Sequelize query options with the revision author included.
+   *
+   * @private
+   * @returns {Object} Sequelize query options object with include clause for the author.
+   */
+  #buildQueryWithAuthor() {
+    return {
+      include: [{
+        model: UserModel,
+        as: TableNameMap.AUTHOR,
+        attributes: AUTHOR_ATTRIBUTES
+      }]
+    };
+  }
+}
+
+module.exports = new RevisionSequelizeDao();
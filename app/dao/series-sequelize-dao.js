@@ -0,0 +1,264 @@
+const { Op } = require("sequelize");
+const { MovieModel, SeriesModel, sequelize } = require('../models');
+const { normalizeName } = require("../components/helpers/text-helper");
+
+const MOVIE_ATTRIBUTES = ["id", "title", "year", "format", "seriesPosition"];
+
+// Correlated subquery over the movies of the current series row (movies in the trash are not counted)
+const MOVIE_COUNT_SQL =
+  "(SELECT COUNT(*) FROM movies WHERE movies.seriesId = series.id AND movies.deletedAt IS NULL)";
+
+/**
+ * Sequelize implementation of Series DAO
+ * Handles all database operations using Sequelize ORM
+ */
+class SeriesSequelizeDao {
+  /**
+   * Lists the series of a user sorted by name, with the number of movies in each series.
+   *
+   * @async
+   * @param {Object} options - The query options.
+   * @param {number} options.userId - The ID of the user who owns the series.
+   * @param {number} [options.limit] - The maximum number of series to return.
+   * @param {number} [options.offset] - The number of series to skip.
+   * @returns {Promise<Object>} Object containing itemList (array of series) and total (total count of series).
+   */
+  async list({ userId, limit, offset }) {
+    const { rows, count } = await SeriesModel.findAndCountAll({
+      attributes: { include: [[sequelize.literal(MOVIE_COUNT_SQL), "movieCount"]] },
+      where: { userId },
+      limit,
+      offset,
+      order: [["name", "ASC"], ["id", "ASC"]]
+    });
+
+    return {
+      itemList: rows.map(s => s.get({ plain: true })),
+      total: count
+    };
+  }
+
+  /**
+   * Retrieves a series by its ID.
+   * Only series of the given user are returned.
+   *
+   * @async
+   * @param {number} id - The ID of the series to retrieve.
+   * @param {number} userId - The ID of the user who owns the series.
+   * @returns {Promise<Object|null>} The series, or null if not found.
+   */
+  async getById(id, userId) {
+    const series = await SeriesModel.findOne({ where: { id, userId } });
+    return series ? series.get({ plain: true }) : null;
+  }
+
+  /**
+   * Retrieves a series of a user by its name.
+   * Names are matched case-insensitively, so "star wars" finds the "Star Wars" series.
+   *
+   * @async
+   * @param {string} name - The name of the series.
+   * @param {number} userId - The ID of the user who owns the series.
+   * @returns {Promise<Object|null>} The series, or null if not found.
+   */
+  async getByName(name, userId) {
+    const series = await SeriesModel.findOne({ where: { searchName: normalizeName(name), userId } });
+    return series ? series.get({ plain: true }) : null;
+  }
+
+  /**
+   * Creates a new series.
+   * Automatically normalizes the name for search purposes.
+   *
+   * @async
+   * @param {Object} dtoIn - The input data for creating a series.
+   * @param {string} dtoIn.name - The name of the series.
+   * @param {number} dtoIn.userId - The ID of the user who owns the series.
+   * @returns {Promise<Object>} The created series.
+   */
+  async create({ name, userId }) {
+    const series = await SeriesModel.create({ name, searchName: normalizeName(name), userId });
+
+    return this.getById(series.id, userId);
+  }
+
+  /**
+   * Renames a series.
+   *
+   * @async
+   * @param {Object} dtoIn - The input data for updating a series.
+   * @param {number} dtoIn.id - The ID of the series to update.
+   * @param {number} dtoIn.userId - The ID of the user who owns the series.
+   * @param {string} dtoIn.name - The new name of the series.
+   * @returns {Promise<Object|null>} The updated series, or null if not found.
+   */
+  async update({ id, userId, name }) {
+    const series = await SeriesModel.findOne({ where: { id, userId } });
+    if (!series) return null;
+
+    await series.update({ name, searchName: normalizeName(name) });
+
+    return this.getById(id, userId);
+  }
+
+  /**
+   * Deletes a series. Its movies (including movies in the trash) stay in the collection without a series.
+   *
+   * @async
+   * @param {number} id - The ID of the series to delete.
+   * @param {number} userId - The ID of the user who owns the series.
+   * @returns {Promise<boolean>} True if the series was deleted, false if not found.
+   */
+  async delete(id, userId) {
+    return sequelize.transaction(async (transaction) => {
+      const series = await SeriesModel.findOne({ where: { id, userId }, transaction });
+      if (!series) return false;
+
+      await MovieModel.update(
+        { seriesId: null, seriesPosition: null },
+        { where: { seriesId: id }, paranoid: false, transaction }
+      );
+      await series.destroy({ transaction });
+
+      return true;
+    });
+  }
+
+  /**
+   * Lists the movies of a series in watch order (by position). Movies in the trash are left out.
+   *
+   * @async
+   * @param {number} seriesId - The ID of the series.
+   * @returns {Promise<Array<Object>>} Array of movies ({ id, title, year, format, position }).
+   */
+  async listMovies(seriesId) {
+    const movies = await MovieModel.findAll({
+      attributes: MOVIE_ATTRIBUTES,
+      where: { seriesId },
+      order: [["seriesPosition", "ASC"]]
+    });
+
+    return movies.map(m => this.#toSeriesMovie(m));
+  }
+
+  /**
+   * Retrieves the movie holding a position in a series, including a movie in the trash (it keeps its position so
+   * that it can be restored).
+   *
+   * @async
+   * @param {number} seriesId - The ID of the series.
+   * @param {number} position - The position in the series.
+   * @returns {Promise<Object|null>} The movie ({ id, title, year, format, position }), or null if the position is free.
+   */
+  async getMovieAtPosition(seriesId, position) {
+    const movie = await MovieModel.findOne({
+      attributes: MOVIE_ATTRIBUTES,
+      where: { seriesId, seriesPosition: position },
+      paranoid: false
+    });
+
+    return movie ? this.#toSeriesMovie(movie) : null;
+  }
+
+  /**
+   * Places a movie at a position in a series, moving it out of the series it was part of before.
+   * The series membership is not part of the movie's revision history, so the version of the movie is kept.
+   *
+   * @async
+   * @param {number} movieId - The ID of the movie.
+   * @param {number} userId - The ID of the user who owns the movie.
+   * @param {number} seriesId - The ID of the series.
+   * @param {number} position - The position of the movie in the series.
+   * @returns {Promise<boolean>} True if the movie was placed, false if not found.
+   */
+  async setMoviePosition(movieId, userId, seriesId, position) {
+    const [updatedCount] = await MovieModel.update(
+      { seriesId, seriesPosition: position },
+      { where: { id: movieId, userId } }
+    );
+
+    return updatedCount > 0;
+  }
+
+  /**
+   * Removes a movie from its series.
+   *
+   * @async
+   * @param {number} movieId - The ID of the movie.
+   * @param {number} userId - The ID of the user who owns the movie.
+   * @returns {Promise<boolean>} True if the movie was removed, false if not found.
+   */
+  async removeMovie(movieId, userId) {
+    const [updatedCount] = await MovieModel.update(
+      { seriesId: null, seriesPosition: null },
+      { where: { id: movieId, userId } }
+    );
+
+    return updatedCount > 0;
+  }
+
+  /**
+   * Retrieves the series context of a movie: its series, its position, and the movies watched right before and
+   * after it. Movies in the trash are skipped, so the neighbours are the closest movies still in the collection.
+   *
+   * @async
+   * @param {Object} movie - The movie (with `seriesId` and `seriesPosition`).
+   * @returns {Promise<Object|null>} The context ({ id, name, position, previous, next }), or null if the movie is not
+   *   part of a series.
+   */
+  async getMovieContext(movie) {
+    if (!movie.seriesId) return null;
+
+    const series = await SeriesModel.findByPk(movie.seriesId);
+    if (!series) return null;
+
+    const [previous, next] = await Promise.all([
+      this.#findNeighbour(movie.seriesId, movie.seriesPosition, "previous"),
+      this.#findNeighbour(movie.seriesId, movie.seriesPosition, "next")
+    ]);
+
+    return {
+      id: series.id,
+      name: series.name,
+      position: movie.seriesPosition,
+      previous,
+      next
+    };
+  }
+
+  /**
+   * Finds the closest movie before or after a position in a series.
+   *
+   * @async
+   * @private
+   * @param {number} seriesId - The ID of the series.
+   * @param {number} position - The position to start from.
+   * @param {string} direction - "previous" or "next".
+   * @returns {Promise<Object|null>} The movie ({ id, title, year, format, position }), or null if there is none.
+   */
+  async #findNeighbour(seriesId, position, direction) {
+    const isPrevious = direction === "previous";
+
+    const movie = await MovieModel.findOne({
+      attributes: MOVIE_ATTRIBUTES,
+      where: { seriesId, seriesPosition: { [isPrevious ? Op.lt : Op.gt]: position } },
+      order: [["seriesPosition", isPrevious ? "DESC" : "ASC"]]
+    });
+
+    return movie ? this.#toSeriesMovie(movie) : null;
+  }
+
+  /**
+   * Converts a Sequelize movie instance to a series entry.
+   *
+   * @private
+   * @param {Object} movie - The Sequelize movie instance (with the series attributes).
+   * @returns {Object} Plain series entry ({ id, title, year, format, position }).
+   */
+  #toSeriesMovie(movie) {
+    const { seriesPosition, ...plain } = movie.get({ plain: true });
+    return { ...plain, position: seriesPosition };
+  }
+}
+
+module.exports = new SeriesSequelizeDao();
@@ -24,6 +24,16 @@ class UserSequelizeDao {
     const user = await UserModel.findOne({ where: { email } });
     return user ? user.get({ plain: true }) : null;
   }
+
+  /**
+   * Find user by ID
+   * @param {number} id - User ID
+   * @returns {Promise<Object|null>} User as plain object or null
+   */
+  async getById(id) {
+    const user = await UserModel.findByPk(id);
+    return user ? user.get({ plain: true }) : null;
+  }
   
 }
 
@@ -0,0 +1,92 @@
+const { ViewModel, MovieModel, sequelize } = require('../models');
+
+const TableNameMap = {
+  MOVIE: "movie",
+};
+
+const MOVIE_ATTRIBUTES = ["id", "title", "year", "format"];
+
+/**
+ * Sequelize implementation of View DAO
+ * Handles all database operations using Sequelize ORM
+ */
+class ViewSequelizeDao {
+  /**
+   * Records one viewing of a movie.
+   * Every viewing is stored as its own row, so rewatches are counted separately.
+   *
+   * @async
+   * @param {Object} dtoIn - The input data for recording a viewing.
+   * @param {number} dtoIn.movieId - The ID of the watched movie.
+   * @param {number} dtoIn.userId - The ID of the user who watched the movie.
+   * @param {string} dtoIn.watchedAt - The date of the viewing (YYYY-MM-DD).
+   * @param {string|null} [dtoIn.note] - An optional note about the viewing.
+   * @returns {Promise<Object>} The created viewing.
+   */
+  async create(dtoIn) {
+    const view = await ViewModel.create(dtoIn);
+
+    return view.get({ plain: true });
+  }
+
+  /**
+   * Lists the viewings of a movie, most recent first.
+   *
+   * @async
+   * @param {Object} options - The query options.
+   * @param {number} options.movieId - The ID of the watched movie.
+   * @param {number} [options.limit] - The maximum number of viewings to return.
+   * @param {number} [options.offset] - The number of viewings to skip.
+   * @returns {Promise<Object>} Object containing itemList (array of viewings) and total (number of viewings of the movie).
+   */
+  async listByMovie({ movieId, limit, offset }) {
+    const { rows, count } = await ViewModel.findAndCountAll({
+      where: { movieId },
+      limit,
+      offset,
+      order: [["watchedAt", "DESC"], ["id", "DESC"]]
+    });
+
+    return {
+      itemList: rows.map(v => v.get({ plain: true })),
+      total: count
+    };
+  }
+
+  /**
+   * Lists the movies a user watched most recently, each movie once.
+   *
+   * @async
+   * @param {Object} options - The query options.
+   * @param {number} options.userId - The ID of the user whose viewings are listed.
+   * @param {number} [options.limit] - The maximum number of movies to return.
+   * @returns {Promise<Array<Object>>} Array of movies with `lastWatchedAt` and `viewCount`, most recently watched first.
+   */
+  async listRecentMovies({ userId, limit }) {
+    const rows = await ViewModel.findAll({
+      attributes: [
+        "movieId",
+        [sequelize.fn("MAX", sequelize.col("watchedAt")), "lastWatchedAt"],
+        [sequelize.fn("COUNT", sequelize.col("view.id")), "viewCount"]
+      ],
+      where: { userId },
+      include: [{
+        model: MovieModel,
+        as: TableNameMap.MOVIE,
+        attributes: MOVIE_ATTRIBUTES,
+        where: { userId },
+        required: true
+      }],
+      group: ["movieId"],
+      order: [[sequelize.literal("lastWatchedAt"), "DESC"], ["movieId", "DESC"]],
+      limit
+    });
+
+    return rows.map(row => {
+      const { movie, lastWatchedAt, viewCount } = row.get({ plain: true });
+      return { ...movie, lastWatchedAt, viewCount: Number(viewCount) };
+    });
+  }
+}
+
+module.exports = new ViewSequelizeDao();
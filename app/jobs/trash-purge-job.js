@@ -0,0 +1,26 @@
+const { PurgeTrashAbl } = require('../abl/movie');
+const MovieConstants = require('../constants/movie-constants');
+
+/**
+ * Starts the scheduled purge of movies that stayed in the trash longer than the retention period.
+ * Runs once immediately and then every `TRASH_PURGE_INTERVAL_MS`; the timer does not keep the process alive.
+ *
+ * @returns {NodeJS.Timeout} The interval timer of the job.
+ */
+function startTrashPurgeJob() {
+  const run = async () => {
+    try {
+      const { meta } = await PurgeTrashAbl.purgeTrash();
+      if (meta.purged) {
+        console.log(`Purged ${meta.purged} movie(s) from the trash`);
+      }
+    } catch (err) {
+      console.error('Trash purge failed:', err);
+    }
+  };
+
+  run();
+  return setInterval(run, MovieConstants.TRASH_PURGE_INTERVAL_MS).unref();
+}
+
+module.exports = { startTrashPurgeJob };
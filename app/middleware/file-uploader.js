@@ -1,38 +1,80 @@
 const multer = require('multer');
 const { Import } = require('../api/errors/movie-errors');
+const { Update: PosterErrors } = require('../api/errors/poster-errors');
 const MovieConstants = require('../constants/movie-constants');
+const PosterConstants = require('../constants/poster-constants');
 
 const storage = multer.memoryStorage();
 
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: MovieConstants.MAX_FILE_SIZE
-  },
-  fileFilter: (req, file, cb) => {
-    /**
-     * Custom file filter to validate uploaded files.
-     * Only allows files with specific MIME types and extensions.
-     */
-    const allowedMimeTypes = ['text/plain'];
-    const allowedExtensions = ['.txt'];
-
-    const isValidMimeType = allowedMimeTypes.includes(file.mimetype);
-    const isValidExtension = allowedExtensions.some(ext =>
-      file.originalname.toLowerCase().endsWith(ext)
-    );
-
-    if (!isValidMimeType || !isValidExtension) {
-      return cb(new Import.InvalidFileType({
-        fileName: file.originalname,
-        mimeType: file.mimetype,
-        expectedMimeTypes: allowedMimeTypes,
-        expectedExtensions: allowedExtensions
-      }), false);
+/**
+ * Creates a Multer instance that keeps uploaded files in memory.
+ * Only allows files with specific MIME types and extensions.
+ *
+ * @param {Object} options - The upload options.
+ * @param {number} options.maxFileSize - The maximum file size in bytes.
+ * @param {string[]} options.allowedMimeTypes - The accepted MIME types.
+ * @param {string[]} options.allowedExtensions - The accepted file extensions (lowercase, with the dot).
+ * @param {Function} options.InvalidFileTypeError - The error class thrown for a file that is not accepted.
+ * @returns {Object} The Multer instance.
+ */
+function createUploader({ maxFileSize, allowedMimeTypes, allowedExtensions, InvalidFileTypeError }) {
+  return multer({
+    storage: storage,
+    limits: {
+      fileSize: maxFileSize
+    },
+    fileFilter: (req, file, cb) => {
+      const isValidMimeType = allowedMimeTypes.includes(file.mimetype);
+      const isValidExtension = allowedExtensions.some(ext =>
+        file.originalname.toLowerCase().endsWith(ext)
+      );
+
+      if (!isValidMimeType || !isValidExtension) {
+        return cb(new InvalidFileTypeError({
+          fileName: file.originalname,
+          mimeType: file.mimetype,
+          expectedMimeTypes: allowedMimeTypes,
+          expectedExtensions: allowedExtensions
+        }), false);
+      }
+
+      cb(null, true);
     }
+  });
+}
+
+const upload = createUploader({
+  maxFileSize: MovieConstants.MAX_FILE_SIZE,
+  allowedMimeTypes: ['text/plain'],
+  allowedExtensions: ['.txt'],
+  InvalidFileTypeError: Import.InvalidFileType
+});
 
-    cb(null, true);
-  }
+const posterUploader = createUploader({
+  maxFileSize: PosterConstants.MAX_FILE_SIZE,
+  allowedMimeTypes: PosterConstants.ALLOWED_MIME_TYPES,
+  allowedExtensions: PosterConstants.ALLOWED_EXTENSIONS,
+  InvalidFileTypeError: PosterErrors.InvalidPosterType
 });
 
-module.exports = { upload };
\ No newline at end of file
+/**
+ * Middleware that accepts a single poster image in the `poster` field.
+ * Multer errors are converted to poster errors here, so the error handler does not report them as movies file errors.
+ *
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} res - The HTTP response object.
+ * @param {Function} next - The next middleware function.
+ */
+function uploadPoster(req, res, next) {
+  posterUploader.single(PosterConstants.UPLOAD_FIELD)(req, res, (err) => {
+    if (!(err instanceof multer.MulterError)) return next(err);
+
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return next(new PosterErrors.PosterTooLarge({ maxFileSize: PosterConstants.MAX_FILE_SIZE }));
+    }
+
+    next(new PosterErrors.PosterUploadFailed({ reason: err.code }));
+  });
+}
+
+module.exports = { upload, uploadPoster };
@@ -0,0 +1,15 @@
+const JSON_PATCH_CONTENT_TYPE = 'application/json-patch+json';
+
+/**
+ * JSON Patch middleware
+ * Skips to the next matching route unless the request body is a JSON Patch document (RFC 6902),
+ * otherwise wraps the parsed operations as `req.body.operations` for validation
+ */
+function acceptJsonPatch(req, res, next) {
+  if (!req.is(JSON_PATCH_CONTENT_TYPE)) return next('route');
+
+  req.body = { operations: req.body };
+  next();
+}
+
+module.exports = { acceptJsonPatch, JSON_PATCH_CONTENT_TYPE };
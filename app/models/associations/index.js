@@ -1,8 +1,21 @@
 const MovieModel = require('../movie-model');
 const ActorModel = require('../actor-model');
+const UserModel = require('../user-model');
+const MovieActorModel = require('../movie-actor-model');
+const GenreModel = require('../genre-model');
+const MovieGenreModel = require('../movie-genre-model');
+const ReviewModel = require('../review-model');
+const ViewModel = require('../view-model');
+const LoanModel = require('../loan-model');
+const MovieRevisionModel = require('../movie-revision-model');
+const FormatModel = require('../format-model');
+const DirectorModel = require('../director-model');
+const MovieDirectorModel = require('../movie-director-model');
+const SeriesModel = require('../series-model');
+const LocationModel = require('../location-model');
 
 MovieModel.belongsToMany(ActorModel, {
-  through: 'movie_actors',
+  through: MovieActorModel,
   foreignKey: 'movieId',
   otherKey: 'actorId',
   as: 'actors',
@@ -11,10 +24,218 @@ MovieModel.belongsToMany(ActorModel, {
 
 ActorModel.belongsToMany(MovieModel, {
   through: {
-    model: "movie_actors",
+    model: MovieActorModel,
     unique: true
   },
   foreignKey: 'actorId',
   otherKey: 'movieId',
   as: 'movies'
-});
\ No newline at end of file
+});
+
+MovieActorModel.belongsTo(MovieModel, { foreignKey: 'movieId' });
+MovieActorModel.belongsTo(ActorModel, { foreignKey: 'actorId' });
+
+MovieModel.belongsToMany(GenreModel, {
+  through: MovieGenreModel,
+  foreignKey: 'movieId',
+  otherKey: 'genreId',
+  as: 'genres',
+  onDelete: "CASCADE"
+});
+
+GenreModel.belongsToMany(MovieModel, {
+  through: {
+    model: MovieGenreModel,
+    unique: true
+  },
+  foreignKey: 'genreId',
+  otherKey: 'movieId',
+  as: 'movies'
+});
+
+MovieGenreModel.belongsTo(MovieModel, { foreignKey: 'movieId' });
+MovieGenreModel.belongsTo(GenreModel, { foreignKey: 'genreId' });
+
+MovieModel.belongsToMany(DirectorModel, {
+  through: MovieDirectorModel,
+  foreignKey: 'movieId',
+  otherKey: 'directorId',
+  as: 'directors',
+  onDelete: "CASCADE"
+});
+
+DirectorModel.belongsToMany(MovieModel, {
+  through: {
+    model: MovieDirectorModel,
+    unique: true
+  },
+  foreignKey: 'directorId',
+  otherKey: 'movieId',
+  as: 'movies'
+});
+
+MovieDirectorModel.belongsTo(MovieModel, { foreignKey: 'movieId' });
+MovieDirectorModel.belongsTo(DirectorModel, { foreignKey: 'directorId' });
+
+UserModel.hasMany(MovieModel, {
+  foreignKey: { name: 'userId', allowNull: false },
+  as: 'movies',
+  onDelete: "CASCADE"
+});
+
+MovieModel.belongsTo(UserModel, {
+  foreignKey: { name: 'userId', allowNull: false },
+  as: 'owner'
+});
+
+MovieModel.hasMany(ReviewModel, {
+  foreignKey: { name: 'movieId', allowNull: false },
+  as: 'reviews',
+  onDelete: "CASCADE"
+});
+
+ReviewModel.belongsTo(MovieModel, {
+  foreignKey: { name: 'movieId', allowNull: false },
+  as: 'movie'
+});
+
+UserModel.hasMany(ReviewModel, {
+  foreignKey: { name: 'userId', allowNull: false },
+  as: 'reviews',
+  onDelete: "CASCADE"
+});
+
+ReviewModel.belongsTo(UserModel, {
+  foreignKey: { name: 'userId', allowNull: false },
+  as: 'author'
+});
+
+MovieModel.hasMany(ViewModel, {
+  foreignKey: { name: 'movieId', allowNull: false },
+  as: 'views',
+  onDelete: "CASCADE"
+});
+
+ViewModel.belongsTo(MovieModel, {
+  foreignKey: { name: 'movieId', allowNull: false },
+  as: 'movie'
+});
+
+UserModel.hasMany(ViewModel, {
+  foreignKey: { name: 'userId', allowNull: false },
+  as: 'views',
+  onDelete: "CASCADE"
+});
+
+ViewModel.belongsTo(UserModel, {
+  foreignKey: { name: 'userId', allowNull: false },
+  as: 'viewer'
+});
+
+MovieModel.hasMany(LoanModel, {
+  foreignKey: { name: 'movieId', allowNull: false },
+  as: 'loans',
+  onDelete: "CASCADE"
+});
+
+MovieModel.hasOne(LoanModel, {
+  foreignKey: { name: 'movieId', allowNull: false },
+  as: 'currentLoan',
+  scope: { returnedAt: null }
+});
+
+LoanModel.belongsTo(MovieModel, {
+  foreignKey: { name: 'movieId', allowNull: false },
+  as: 'movie'
+});
+
+UserModel.hasMany(LoanModel, {
+  foreignKey: { name: 'userId', allowNull: false },
+  as: 'loans',
+  onDelete: "CASCADE"
+});
+
+MovieModel.hasMany(MovieRevisionModel, {
+  foreignKey: { name: 'movieId', allowNull: false },
+  as: 'revisions',
+  onDelete: "CASCADE"
+});
+
+MovieRevisionModel.belongsTo(MovieModel, {
+  foreignKey: { name: 'movieId', allowNull: false },
+  as: 'movie'
+});
+
+UserModel.hasMany(MovieRevisionModel, {
+  foreignKey: { name: 'userId', allowNull: false },
+  as: 'revisions',
+  onDelete: "CASCADE"
+});
+
+MovieRevisionModel.belongsTo(UserModel, {
+  foreignKey: { name: 'userId', allowNull: false },
+  as: 'author'
+});
+
+FormatModel.hasMany(MovieModel, {
+  foreignKey: { name: 'format', allowNull: false },
+  sourceKey: 'name',
+  as: 'movies',
+  onUpdate: "CASCADE",
+  onDelete: "RESTRICT"
+});
+
+UserModel.hasMany(SeriesModel, {
+  foreignKey: { name: 'userId', allowNull: false },
+  as: 'series',
+  onDelete: "CASCADE"
+});
+
+SeriesModel.belongsTo(UserModel, {
+  foreignKey: { name: 'userId', allowNull: false },
+  as: 'owner'
+});
+
+SeriesModel.hasMany(MovieModel, {
+  foreignKey: { name: 'seriesId', allowNull: true },
+  as: 'movies',
+  onDelete: "SET NULL"
+});
+
+MovieModel.belongsTo(SeriesModel, {
+  foreignKey: { name: 'seriesId', allowNull: true },
+  as: 'series'
+});
+
+UserModel.hasMany(LocationModel, {
+  foreignKey: { name: 'userId', allowNull: false },
+  as: 'locations',
+  onDelete: "CASCADE"
+});
+
+LocationModel.belongsTo(UserModel, {
+  foreignKey: { name: 'userId', allowNull: false },
+  as: 'owner'
+});
+
+LocationModel.hasMany(LocationModel, {
+  foreignKey: { name: 'parentId', allowNull: true },
+  as: 'children',
+  onDelete: "CASCADE"
+});
+
+LocationModel.belongsTo(LocationModel, {
+  foreignKey: { name: 'parentId', allowNull: true },
+  as: 'parent'
+});
+
+LocationModel.hasMany(MovieModel, {
+  foreignKey: { name: 'locationId', allowNull: true },
+  as: 'movies',
+  onDelete: "SET NULL"
+});
+
+MovieModel.belongsTo(LocationModel, {
+  foreignKey: { name: 'locationId', allowNull: true },
+  as: 'location'
+});
@@ -0,0 +1,40 @@
+const { Model, DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+class DirectorModel extends Model {
+}
+
+DirectorModel.init({
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  searchName: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+    field: 'search_name'
+  }
+}, {
+  sequelize,
+  modelName: "director",
+  tableName: "directors",
+  underscored: false,
+  defaultScope: {
+    attributes: { exclude: ['searchName'] }
+  },
+  indexes: [
+    {
+      fields: ['search_name'],
+      name: 'idx_directors_search_name',
+      unique: true
+    }
+  ]
+});
+
+module.exports = DirectorModel;
@@ -0,0 +1,63 @@
+const { Model, DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+const FormatConstants = require("../constants/format-constants");
+const { normalizeName } = require("../components/helpers/text-helper");
+
+class FormatModel extends Model {
+}
+
+FormatModel.init({
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  searchName: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+    field: 'search_name'
+  },
+  isPhysical: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    field: 'is_physical'
+  }
+}, {
+  sequelize,
+  modelName: "format",
+  tableName: "formats",
+  underscored: false,
+  defaultScope: {
+    attributes: { exclude: ['searchName'] }
+  },
+  indexes: [
+    {
+      fields: ['search_name'],
+      name: 'idx_formats_search_name',
+      unique: true
+    }
+  ]
+});
+
+/**
+ * Seeds the default formats into an empty formats table, so that a new database accepts the usual media formats.
+ * Formats removed later are not re-created.
+ */
+FormatModel.afterSync(async () => {
+  if (await FormatModel.count()) return;
+
+  await FormatModel.bulkCreate(FormatConstants.DEFAULT_FORMATS.map(({ name, isPhysical }) => ({
+    name,
+    searchName: normalizeName(name),
+    isPhysical
+  })));
+});
+
+module.exports = FormatModel;
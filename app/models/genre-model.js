@@ -0,0 +1,40 @@
+const { Model, DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+class GenreModel extends Model {
+}
+
+GenreModel.init({
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  searchName: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+    field: 'search_name'
+  }
+}, {
+  sequelize,
+  modelName: "genre",
+  tableName: "genres",
+  underscored: false,
+  defaultScope: {
+    attributes: { exclude: ['searchName'] }
+  },
+  indexes: [
+    {
+      fields: ['search_name'],
+      name: 'idx_genres_search_name',
+      unique: true
+    }
+  ]
+});
+
+module.exports = GenreModel;
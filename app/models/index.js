@@ -3,12 +3,37 @@ const sequelize = require('../config/database');
 const MovieModel = require('./movie-model');
 const ActorModel = require('./actor-model');
 const UserModel = require('./user-model');
+const MovieActorModel = require('./movie-actor-model');
+const GenreModel = require('./genre-model');
+const MovieGenreModel = require('./movie-genre-model');
+const ReviewModel = require('./review-model');
+const ViewModel = require('./view-model');
+const LoanModel = require('./loan-model');
+const MovieRevisionModel = require('./movie-revision-model');
+const FormatModel = require('./format-model');
+const DirectorModel = require('./director-model');
+const MovieDirectorModel = require('./movie-director-model');
+const SeriesModel = require('./series-model');
+const LocationModel = require('./location-model');
 
 require('./associations');
+require('./movie-search-index');
 
 module.exports = {
   sequelize,
   MovieModel,
   ActorModel,
-  UserModel
+  UserModel,
+  MovieActorModel,
+  GenreModel,
+  MovieGenreModel,
+  ReviewModel,
+  ViewModel,
+  LoanModel,
+  MovieRevisionModel,
+  FormatModel,
+  DirectorModel,
+  MovieDirectorModel,
+  SeriesModel,
+  LocationModel
 };
\ No newline at end of file
@@ -0,0 +1,57 @@
+const { Model, DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+class LoanModel extends Model {
+}
+
+LoanModel.init({
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  movieId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  borrowerName: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  lentAt: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  dueAt: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  returnedAt: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  }
+}, {
+  sequelize,
+  modelName: "loan",
+  tableName: "loans",
+  underscored: false,
+  indexes: [
+    {
+      // A copy can be on only one active loan at a time
+      fields: ['movieId'],
+      name: 'idx_loans_active_movie_id',
+      unique: true,
+      where: { returnedAt: null }
+    },
+    {
+      fields: ['userId', 'dueAt'],
+      name: 'idx_loans_user_id_due_at'
+    }
+  ]
+});
+
+module.exports = LoanModel;
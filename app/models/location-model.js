@@ -0,0 +1,50 @@
+const { Model, DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+const LocationConstants = require("../constants/location-constants");
+
+class LocationModel extends Model {
+}
+
+LocationModel.init({
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  type: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      isIn: [LocationConstants.LOCATION_TYPES]
+    }
+  },
+  parentId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  }
+}, {
+  sequelize,
+  modelName: "location",
+  tableName: "locations",
+  underscored: false,
+  indexes: [
+    {
+      fields: ['userId'],
+      name: 'idx_locations_user_id'
+    },
+    {
+      fields: ['parentId'],
+      name: 'idx_locations_parent_id'
+    }
+  ]
+});
+
+module.exports = LocationModel;
@@ -0,0 +1,38 @@
+const { Model, DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+class MovieActorModel extends Model {
+}
+
+MovieActorModel.init({
+  movieId: {
+    type: DataTypes.INTEGER,
+    primaryKey: true
+  },
+  actorId: {
+    type: DataTypes.INTEGER,
+    primaryKey: true
+  },
+  billingOrder: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  character: {
+    type: DataTypes.STRING,
+    allowNull: true
+  }
+}, {
+  sequelize,
+  modelName: "movie_actors",
+  tableName: "movie_actors",
+  underscored: false,
+  indexes: [
+    {
+      fields: ['movieId', 'billingOrder'],
+      name: 'idx_movie_actors_billing_order'
+    }
+  ]
+});
+
+module.exports = MovieActorModel;
@@ -0,0 +1,29 @@
+const { Model, DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+class MovieDirectorModel extends Model {
+}
+
+MovieDirectorModel.init({
+  movieId: {
+    type: DataTypes.INTEGER,
+    primaryKey: true
+  },
+  directorId: {
+    type: DataTypes.INTEGER,
+    primaryKey: true
+  }
+}, {
+  sequelize,
+  modelName: "movie_directors",
+  tableName: "movie_directors",
+  underscored: false,
+  indexes: [
+    {
+      fields: ['directorId'],
+      name: 'idx_movie_directors_director_id'
+    }
+  ]
+});
+
+module.exports = MovieDirectorModel;
@@ -0,0 +1,29 @@
+const { Model, DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+class MovieGenreModel extends Model {
+}
+
+MovieGenreModel.init({
+  movieId: {
+    type: DataTypes.INTEGER,
+    primaryKey: true
+  },
+  genreId: {
+    type: DataTypes.INTEGER,
+    primaryKey: true
+  }
+}, {
+  sequelize,
+  modelName: "movie_genres",
+  tableName: "movie_genres",
+  underscored: false,
+  indexes: [
+    {
+      fields: ['genreId'],
+      name: 'idx_movie_genres_genre_id'
+    }
+  ]
+});
+
+module.exports = MovieGenreModel;
@@ -1,6 +1,8 @@
-const { Model, DataTypes } = require("sequelize");
+const { Model, DataTypes, Op } = require("sequelize");
 const sequelize = require("../config/database");
 const MovieConstants = require("../constants/movie-constants");
+const SeriesConstants = require("../constants/series-constants");
+const { TITLE_SORT_KEY_VERSION, toTitleSortKey } = require("../components/helpers/collation-helper");
 
 class MovieModel extends Model {
 }
@@ -25,23 +27,86 @@ MovieModel.init({
   },
   format: {
     type: DataTypes.STRING,
-    allowNull: false,
+    allowNull: false
+  },
+  runtime: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
     validate: {
-      isIn: [MovieConstants.VALID_FORMATS]
-    },
+      min: MovieConstants.MIN_RUNTIME,
+      max: MovieConstants.MAX_RUNTIME
+    }
+  },
+  synopsis: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  language: {
+    type: DataTypes.STRING(2),
+    allowNull: true
+  },
+  country: {
+    type: DataTypes.STRING(2),
+    allowNull: true
+  },
+  barcode: {
+    type: DataTypes.STRING(13),
+    allowNull: true
+  },
+  seriesId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  seriesPosition: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: SeriesConstants.MIN_POSITION,
+      max: SeriesConstants.MAX_POSITION
+    }
+  },
+  locationId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  posterUpdatedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
   },
   searchTitle: {
     type: DataTypes.STRING,
     allowNull: false,
     field: 'search_title'
+  },
+  titleSortKey: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    field: 'title_sort_key'
+  },
+  // The collation version the key was built with; every key is built with the current one
+  titleSortKeyVersion: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    defaultValue: TITLE_SORT_KEY_VERSION,
+    field: 'title_sort_key_version'
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  version: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
   }
 }, {
   sequelize,
   modelName: "movie",
   tableName: "movies",
   underscored: false,
+  paranoid: true,
   defaultScope: {
-    attributes: { exclude: ['searchTitle'] }
+    attributes: { exclude: ['searchTitle', 'titleSortKey', 'titleSortKeyVersion'] }
   },
   indexes: [
     {
@@ -56,11 +121,68 @@ MovieModel.init({
       fields: ['search_title'],
       name: 'idx_movies_search_title'
     },
+    {
+      fields: ['userId', 'title_sort_key', 'id'],
+      name: 'idx_movies_user_id_title_sort_key'
+    },
     {
       fields: ['title', 'year', 'format'],
       name: 'idx_movies_title_year_format'
+    },
+    {
+      fields: ['userId'],
+      name: 'idx_movies_user_id'
+    },
+    {
+      // Not unique: a collection may hold several copies of the same release
+      fields: ['userId', 'barcode'],
+      name: 'idx_movies_user_id_barcode'
+    },
+    {
+      // A position in a series is held by one movie (movies in the trash keep theirs)
+      fields: ['seriesId', 'seriesPosition'],
+      name: 'idx_movies_series_id_position',
+      unique: true
+    },
+    {
+      fields: ['locationId'],
+      name: 'idx_movies_location_id'
+    },
+    {
+      fields: ['deletedAt'],
+      name: 'idx_movies_deleted_at'
     }
   ]
 });
 
+/**
+ * Recomputes the title sort keys that are missing or were built with an older collation version, including those of
+ * movies in the trash, so that sorting by title keeps one order after the collation changes. Runs on every sync; when
+ * all keys are current, it only runs the query that finds none.
+ */
+MovieModel.afterSync(async () => {
+  const movieList = await MovieModel.unscoped().findAll({
+    attributes: ["id", "title"],
+    where: {
+      [Op.or]: [
+        { titleSortKey: null },
+        { titleSortKey: "" },
+        { titleSortKeyVersion: null },
+        { titleSortKeyVersion: { [Op.ne]: TITLE_SORT_KEY_VERSION } }
+      ]
+    },
+    paranoid: false
+  });
+  if (!movieList.length) return;
+
+  await sequelize.transaction(async (transaction) => {
+    for (const movie of movieList) {
+      await MovieModel.update(
+        { titleSortKey: toTitleSortKey(movie.title), titleSortKeyVersion: TITLE_SORT_KEY_VERSION },
+        { where: { id: movie.id }, paranoid: false, silent: true, transaction }
+      );
+    }
+  });
+});
+
 module.exports = MovieModel;
\ No newline at end of file
@@ -0,0 +1,60 @@
+const { Model, DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+const { REVISION_ACTIONS } = require("../constants/revision-constants");
+
+class MovieRevisionModel extends Model {
+}
+
+MovieRevisionModel.init({
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  movieId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  revision: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  action: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      isIn: [REVISION_ACTIONS]
+    }
+  },
+  revertedFrom: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  changes: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  snapshot: {
+    type: DataTypes.JSON,
+    allowNull: false
+  }
+}, {
+  sequelize,
+  modelName: "movieRevision",
+  tableName: "movie_revisions",
+  underscored: false,
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['movieId', 'revision'],
+      name: 'idx_movie_revisions_movie_id_revision',
+      unique: true
+    }
+  ]
+});
+
+module.exports = MovieRevisionModel;
@@ -0,0 +1,71 @@
+const sequelize = require("../config/database");
+
+const MOVIE_SEARCH_TABLE = "movie_search";
+
+// The actor names of a movie as one searchable text
+const movieActorNamesSql = (movieId) => `(
+  SELECT COALESCE(group_concat(actors.name, ' '), '')
+  FROM movie_actors JOIN actors ON actors.id = movie_actors.actorId
+  WHERE movie_actors.movieId = ${movieId}
+)`;
+
+// Keep the index in step with the movies, their cast, and actor renames. The row ID of the index is the movie ID.
+const TRIGGER_SQL_LIST = [
+  `CREATE TRIGGER IF NOT EXISTS movie_search_movie_insert AFTER INSERT ON movies BEGIN
+    INSERT INTO ${MOVIE_SEARCH_TABLE} (rowid, title, actors) VALUES (NEW.id, NEW.title, ${movieActorNamesSql("NEW.id")});
+  END`,
+  `CREATE TRIGGER IF NOT EXISTS movie_search_movie_update AFTER UPDATE OF title ON movies BEGIN
+    UPDATE ${MOVIE_SEARCH_TABLE} SET title = NEW.title WHERE rowid = NEW.id;
+  END`,
+  `CREATE TRIGGER IF NOT EXISTS movie_search_movie_delete AFTER DELETE ON movies BEGIN
+    DELETE FROM ${MOVIE_SEARCH_TABLE} WHERE rowid = OLD.id;
+  END`,
+  `CREATE TRIGGER IF NOT EXISTS movie_search_cast_insert AFTER INSERT ON movie_actors BEGIN
+    UPDATE ${MOVIE_SEARCH_TABLE} SET actors = ${movieActorNamesSql("NEW.movieId")} WHERE rowid = NEW.movieId;
+  END`,
+  `CREATE TRIGGER IF NOT EXISTS movie_search_cast_update AFTER UPDATE ON movie_actors BEGIN
+    UPDATE ${MOVIE_SEARCH_TABLE} SET actors = ${movieActorNamesSql("OLD.movieId")} WHERE rowid = OLD.movieId;
+    UPDATE ${MOVIE_SEARCH_TABLE} SET actors = ${movieActorNamesSql("NEW.movieId")} WHERE rowid = NEW.movieId;
+  END`,
+  `CREATE TRIGGER IF NOT EXISTS movie_search_cast_delete AFTER DELETE ON movie_actors BEGIN
+    UPDATE ${MOVIE_SEARCH_TABLE} SET actors = ${movieActorNamesSql("OLD.movieId")} WHERE rowid = OLD.movieId;
+  END`,
+  `CREATE TRIGGER IF NOT EXISTS movie_search_actor_update AFTER UPDATE OF name ON actors BEGIN
+    UPDATE ${MOVIE_SEARCH_TABLE} SET actors = ${movieActorNamesSql(`${MOVIE_SEARCH_TABLE}.rowid`)}
+    WHERE rowid IN (SELECT movieId FROM movie_actors WHERE actorId = NEW.id);
+  END`
+];
+
+/**
+ * Creates the full-text search index of movie titles and actor names (an FTS5 table) after the models are synced,
+ * and the triggers that keep it in sync with every write to movies, casts, and actors. The tokenizer folds case and
+ * diacritics, so "leon" finds "Léon". An index created over an existing database is filled from its movies; a
+ * forced sync, which drops the movies, empties it.
+ *
+ * The index holds the movies of all users; queries keep one user's movies by joining on the row ID. Its bm25 statistics
+ * cover every user's movies, so relevance scores are not isolated per user.
+ */
+sequelize.addHook("afterBulkSync", async (options) => {
+  const [tableList] = await sequelize.query(
+    "SELECT name FROM sqlite_master WHERE type = 'table' AND name = :name",
+    { replacements: { name: MOVIE_SEARCH_TABLE } }
+  );
+
+  if (tableList.length && options.force) {
+    await sequelize.query(`DELETE FROM ${MOVIE_SEARCH_TABLE}`);
+  }
+
+  if (!tableList.length) {
+    await sequelize.query(`CREATE VIRTUAL TABLE ${MOVIE_SEARCH_TABLE} USING fts5(
+      title, actors, tokenize = 'unicode61 remove_diacritics 2'
+    )`);
+    await sequelize.query(`INSERT INTO ${MOVIE_SEARCH_TABLE} (rowid, title, actors)
+      SELECT movies.id, movies.title, ${movieActorNamesSql("movies.id")} FROM movies`);
+  }
+
+  for (const triggerSql of TRIGGER_SQL_LIST) {
+    await sequelize.query(triggerSql);
+  }
+});
+
+module.exports = { MOVIE_SEARCH_TABLE };
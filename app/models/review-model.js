@@ -0,0 +1,52 @@
+const { Model, DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+const ReviewConstants = require("../constants/review-constants");
+
+class ReviewModel extends Model {
+}
+
+ReviewModel.init({
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  movieId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  rating: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: ReviewConstants.MIN_RATING,
+      max: ReviewConstants.MAX_RATING
+    }
+  },
+  text: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  sequelize,
+  modelName: "review",
+  tableName: "reviews",
+  underscored: false,
+  indexes: [
+    {
+      fields: ['movieId', 'userId'],
+      name: 'idx_reviews_movie_id_user_id',
+      unique: true
+    },
+    {
+      fields: ['userId'],
+      name: 'idx_reviews_user_id'
+    }
+  ]
+});
+
+module.exports = ReviewModel;
@@ -0,0 +1,44 @@
+const { Model, DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+class SeriesModel extends Model {
+}
+
+SeriesModel.init({
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  searchName: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'search_name'
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  }
+}, {
+  sequelize,
+  modelName: "series",
+  tableName: "series",
+  underscored: false,
+  defaultScope: {
+    attributes: { exclude: ['searchName'] }
+  },
+  indexes: [
+    {
+      // Series names are unique within one user's collection
+      fields: ['userId', 'search_name'],
+      name: 'idx_series_user_id_search_name',
+      unique: true
+    }
+  ]
+});
+
+module.exports = SeriesModel;
@@ -0,0 +1,46 @@
+const { Model, DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+class ViewModel extends Model {
+}
+
+ViewModel.init({
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  movieId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  watchedAt: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  note: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  sequelize,
+  modelName: "view",
+  tableName: "views",
+  underscored: false,
+  indexes: [
+    {
+      fields: ['movieId', 'watchedAt'],
+      name: 'idx_views_movie_id_watched_at'
+    },
+    {
+      fields: ['userId', 'watchedAt'],
+      name: 'idx_views_user_id_watched_at'
+    }
+  ]
+});
+
+module.exports = ViewModel;
@@ -4,6 +4,8 @@ const { sequelize } = require('./app/models');
 const apiRoutes = require('./app/api/routes');
 const errorHandler = require('./app/middleware/error-handler');
 const { NotFound } = require('./app/api/errors/common-errors');
+const { startTrashPurgeJob } = require('./app/jobs/trash-purge-job');
+const { JSON_PATCH_CONTENT_TYPE } = require('./app/middleware/json-patch');
 
 /**
  * Validates the required environment variables for the application.
@@ -28,7 +30,7 @@ function validateEnvironment() {
 
 const app = express();
 
-app.use(express.json());
+app.use(express.json({ type: ['application/json', JSON_PATCH_CONTENT_TYPE] }));
 app.use(express.urlencoded({ extended: true }));
 
 app.use('/api/v1/', apiRoutes);
@@ -49,6 +51,8 @@ async function start() {
     process.exit(1);
   }
 
+  startTrashPurgeJob();
+
   const PORT = process.env.APP_PORT || process.env.PORT || 3000;
   return app.listen(Number(PORT), () => {
     console.log(`App is running on port ${PORT}`);
@@ -0,0 +1,59 @@
+require("../../helpers/test-db");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { CreateAbl: MovieCreateAbl } = require("../../../app/abl/movie");
+const { GetAbl: ActorGetAbl } = require("../../../app/abl/actor");
+const createTestUser = require("../../helpers/test-user");
+
+test("actor/get: happy path returns actor with filmography sorted by year", async () => {
+  const { id: userId } = await createTestUser();
+
+  const matrix = await MovieCreateAbl.create({
+    userId,
+    title: "The Matrix",
+    year: 1999,
+    format: "DVD",
+    actors: ["Keanu Reeves"],
+  });
+  await MovieCreateAbl.create({
+    userId,
+    title: "Speed",
+    year: 1994,
+    format: "VHS",
+    actors: ["Keanu Reeves"],
+  });
+
+  const actorId = matrix.data?.actors[0]?.id;
+  const res = await ActorGetAbl.get({ id: actorId, userId });
+
+  assert.equal(res.status, 1);
+  assert.equal(res.data?.name, "Keanu Reeves");
+  assert.deepEqual(
+    res.data?.movies.map((m) => m.title),
+    ["Speed", "The Matrix"]
+  );
+});
+
+test("actor/get: actor outside of the user's collection returns actorDoesNotExist (404)", async () => {
+  const { id: userId } = await createTestUser();
+  const { id: otherUserId } = await createTestUser();
+
+  const created = await MovieCreateAbl.create({
+    userId: otherUserId,
+    title: "The Matrix",
+    year: 1999,
+    format: "DVD",
+    actors: ["Keanu Reeves"],
+  });
+
+  await assert.rejects(
+    () => ActorGetAbl.get({ id: created.data?.actors[0]?.id, userId }),
+    (err) => {
+      assert.equal(err.code, "actorDoesNotExist");
+      assert.equal(err.statusCode, 404);
+      return true;
+    }
+  );
+});
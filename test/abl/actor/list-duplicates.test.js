@@ -0,0 +1,54 @@
+require("../../helpers/test-db");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { CreateAbl: MovieCreateAbl } = require("../../../app/abl/movie");
+const { ListDuplicatesAbl: ActorListDuplicatesAbl } = require("../../../app/abl/actor");
+const createTestUser = require("../../helpers/test-user");
+
+test("actor/listDuplicates: groups actors whose normalized names collide", async () => {
+  const { id: userId } = await createTestUser();
+
+  await MovieCreateAbl.create({
+    userId,
+    title: "Big",
+    year: 1988,
+    format: "VHS",
+    actors: ["Tom Hanks", "Elizabeth Perkins"],
+  });
+  await MovieCreateAbl.create({
+    userId,
+    title: "Forrest Gump",
+    year: 1994,
+    format: "DVD",
+    actors: ["tom hanks", "Tom  Hanks"],
+  });
+
+  const res = await ActorListDuplicatesAbl.listDuplicates({ userId });
+
+  assert.equal(res.status, 1);
+  assert.equal(res.meta?.total, 1);
+  assert.equal(res.data[0]?.normalizedName, "tom hanks");
+  assert.deepEqual(
+    res.data[0]?.actors.map((a) => a.name),
+    ["Tom Hanks", "tom hanks", "Tom  Hanks"]
+  );
+});
+
+test("actor/listDuplicates: returns empty list when names do not collide", async () => {
+  const { id: userId } = await createTestUser();
+
+  await MovieCreateAbl.create({
+    userId,
+    title: "Big",
+    year: 1988,
+    format: "VHS",
+    actors: ["Tom Hanks", "Elizabeth Perkins"],
+  });
+
+  const res = await ActorListDuplicatesAbl.listDuplicates({ userId });
+
+  assert.equal(res.status, 1);
+  assert.deepEqual(res.data, []);
+});
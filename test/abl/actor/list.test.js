@@ -0,0 +1,63 @@
+require("../../helpers/test-db");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { CreateAbl: MovieCreateAbl } = require("../../../app/abl/movie");
+const { ListAbl: ActorListAbl } = require("../../../app/abl/actor");
+const createTestUser = require("../../helpers/test-user");
+
+async function seedMovies(userId) {
+  await MovieCreateAbl.create({
+    userId,
+    title: "The Matrix",
+    year: 1999,
+    format: "DVD",
+    actors: ["Keanu Reeves", "Carrie-Anne Moss"],
+  });
+  await MovieCreateAbl.create({
+    userId,
+    title: "Speed",
+    year: 1994,
+    format: "VHS",
+    actors: ["Keanu Reeves", "Sandra Bullock"],
+  });
+}
+
+test("actor/list: returns each actor of the collection once, sorted by name", async () => {
+  const { id: userId } = await createTestUser();
+  await seedMovies(userId);
+
+  const res = await ActorListAbl.list({ userId, limit: 10, offset: 0 });
+
+  assert.equal(res.status, 1);
+  assert.equal(res.meta?.total, 3);
+  assert.deepEqual(
+    res.data.map((a) => a.name),
+    ["Carrie-Anne Moss", "Keanu Reeves", "Sandra Bullock"]
+  );
+});
+
+test("actor/list: search filters by name (case-insensitive) and paginates", async () => {
+  const { id: userId } = await createTestUser();
+  await seedMovies(userId);
+
+  const res = await ActorListAbl.list({ userId, limit: 1, offset: 0, order: "DESC", search: "A" });
+
+  assert.equal(res.status, 1);
+  assert.equal(res.meta?.total, 3);
+  assert.equal(res.data.length, 1);
+  assert.equal(res.data[0]?.name, "Sandra Bullock");
+});
+
+test("actor/list: actors of another user's collection are not returned", async () => {
+  const { id: userId } = await createTestUser();
+  const { id: otherUserId } = await createTestUser();
+  await seedMovies(otherUserId);
+
+  const res = await ActorListAbl.list({ userId, limit: 10, offset: 0 });
+
+  assert.equal(res.status, 1);
+  assert.equal(res.meta?.total, 0);
+  assert.deepEqual(res.data, []);
+});
@@ -0,0 +1,145 @@
+require("../../helpers/test-db");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { CreateAbl: MovieCreateAbl, GetAbl: MovieGetAbl } = require("../../../app/abl/movie");
+const { MergeAbl: ActorMergeAbl, GetAbl: ActorGetAbl } = require("../../../app/abl/actor");
+const createTestUser = require("../../helpers/test-user");
+
+function actorIdByName(movie, name) {
+  return movie.data?.actors.find((a) => a.name === name)?.id;
+}
+
+test("actor/merge: happy path re-points movies and deletes source actors", async () => {
+  const { id: userId } = await createTestUser();
+
+  const bigMovie = await MovieCreateAbl.create({
+    userId,
+    title: "Big",
+    year: 1988,
+    format: "VHS",
+    actors: ["Tom Hanks"],
+  });
+  const forrest = await MovieCreateAbl.create({
+    userId,
+    title: "Forrest Gump",
+    year: 1994,
+    format: "DVD",
+    actors: ["tom hanks", "Robin Wright"],
+  });
+
+  const targetId = actorIdByName(bigMovie, "Tom Hanks");
+  const sourceId = actorIdByName(forrest, "tom hanks");
+
+  const res = await ActorMergeAbl.merge({ id: targetId, userId, sourceIds: [sourceId] });
+
+  assert.equal(res.status, 1);
+  assert.equal(res.meta?.merged, 1);
+  assert.equal(res.meta?.relinked, 1);
+  assert.deepEqual(res.data?.movies.map((m) => m.title), ["Big", "Forrest Gump"]);
+
+  const movie = await MovieGetAbl.get({ id: forrest.data?.id, userId });
+  assert.deepEqual(movie.data?.actors.map((a) => a.name).sort(), ["Robin Wright", "Tom Hanks"]);
+
+  await assert.rejects(
+    () => ActorGetAbl.get({ id: sourceId, userId }),
+    (err) => {
+      assert.equal(err.code, "actorDoesNotExist");
+      return true;
+    }
+  );
+});
+
+test("actor/merge: links that would duplicate are dropped", async () => {
+  const { id: userId } = await createTestUser();
+
+  const movie = await MovieCreateAbl.create({
+    userId,
+    title: "Cast Away",
+    year: 2000,
+    format: "DVD",
+    actors: ["Tom Hanks", "tom hanks"],
+  });
+
+  const res = await ActorMergeAbl.merge({
+    id: actorIdByName(movie, "Tom Hanks"),
+    userId,
+    sourceIds: [actorIdByName(movie, "tom hanks")],
+  });
+
+  assert.equal(res.meta?.relinked, 0);
+  assert.equal(res.meta?.dropped, 1);
+
+  const got = await MovieGetAbl.get({ id: movie.data?.id, userId });
+  assert.deepEqual(got.data?.actors.map((a) => a.name), ["Tom Hanks"]);
+});
+
+test("actor/merge: target among sources returns targetActorAmongSources (400)", async () => {
+  const { id: userId } = await createTestUser();
+
+  await assert.rejects(
+    () => ActorMergeAbl.merge({ id: 1, userId, sourceIds: [1, 2] }),
+    (err) => {
+      assert.equal(err.code, "targetActorAmongSources");
+      assert.equal(err.statusCode, 400);
+      return true;
+    }
+  );
+});
+
+test("actor/merge: unknown source actor returns actorDoesNotExist (404) and changes nothing", async () => {
+  const { id: userId } = await createTestUser();
+
+  const movie = await MovieCreateAbl.create({
+    userId,
+    title: "Big",
+    year: 1988,
+    format: "VHS",
+    actors: ["Tom Hanks", "tom hanks"],
+  });
+
+  await assert.rejects(
+    () => ActorMergeAbl.merge({
+      id: actorIdByName(movie, "Tom Hanks"),
+      userId,
+      sourceIds: [actorIdByName(movie, "tom hanks"), 999999],
+    }),
+    (err) => {
+      assert.equal(err.code, "actorDoesNotExist");
+      assert.equal(err.statusCode, 404);
+      assert.deepEqual(err.paramMap.actorIds, [999999]);
+      return true;
+    }
+  );
+
+  const got = await MovieGetAbl.get({ id: movie.data?.id, userId });
+  assert.equal(got.data?.actors.length, 2);
+});
+
+test("actor/merge: only relinks the movies of the user and keeps actors other users still have", async () => {
+  const { id: userId } = await createTestUser();
+  const { id: otherUserId } = await createTestUser();
+
+  const big = await MovieCreateAbl.create({
+    userId, title: "Big", year: 1988, format: "VHS", actors: ["Tom Hanks"],
+  });
+  const forrest = await MovieCreateAbl.create({
+    userId, title: "Forrest Gump", year: 1994, format: "DVD", actors: ["tom hanks"],
+  });
+  const other = await MovieCreateAbl.create({
+    userId: otherUserId, title: "Splash", year: 1984, format: "VHS", actors: ["tom hanks"],
+  });
+
+  const targetId = actorIdByName(big, "Tom Hanks");
+  const sourceId = actorIdByName(forrest, "tom hanks");
+
+  const res = await ActorMergeAbl.merge({ id: targetId, userId, sourceIds: [sourceId] });
+  assert.equal(res.meta?.relinked, 1);
+
+  const otherMovie = await MovieGetAbl.get({ id: other.data?.id, userId: otherUserId });
+  assert.deepEqual(otherMovie.data?.actors.map((a) => [a.id, a.name]), [[sourceId, "tom hanks"]]);
+
+  const source = await ActorGetAbl.get({ id: sourceId, userId: otherUserId });
+  assert.deepEqual(source.data?.movies.map((m) => m.title), ["Splash"]);
+});
@@ -0,0 +1,149 @@
+require("../../helpers/test-db");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  CreateAbl: MovieCreateAbl,
+  GetAbl: MovieGetAbl,
+  UpdateAbl: MovieUpdateAbl,
+} = require("../../../app/abl/movie");
+const { UpdateAbl: ActorUpdateAbl, ListAbl: ActorListAbl } = require("../../../app/abl/actor");
+const { ListAbl: RevisionListAbl } = require("../../../app/abl/revision");
+const createTestUser = require("../../helpers/test-user");
+
+test("actor/update: happy path renames actor and keeps it searchable", async () => {
+  const { id: userId } = await createTestUser();
+
+  const created = await MovieCreateAbl.create({
+    userId,
+    title: "The Matrix",
+    year: 1999,
+    format: "DVD",
+    actors: ["Keanu Reves"],
+  });
+  const actorId = created.data?.actors[0]?.id;
+
+  const res = await ActorUpdateAbl.update({ id: actorId, userId, name: "Keanu Reeves" });
+  assert.equal(res.status, 1);
+  assert.equal(res.data?.name, "Keanu Reeves");
+
+  const movie = await MovieGetAbl.get({ id: created.data?.id, userId });
+  assert.equal(movie.data?.actors[0]?.name, "Keanu Reeves");
+
+  const list = await ActorListAbl.list({ userId, search: "reeves" });
+  assert.equal(list.meta?.total, 1);
+});
+
+test("actor/update: name of another actor returns actorAlreadyExists (409)", async () => {
+  const { id: userId } = await createTestUser();
+
+  const created = await MovieCreateAbl.create({
+    userId,
+    title: "The Matrix",
+    year: 1999,
+    format: "DVD",
+    actors: ["Keanu Reeves", "Carrie-Anne Moss"],
+  });
+  const actorId = created.data?.actors.find((a) => a.name === "Carrie-Anne Moss")?.id;
+
+  await assert.rejects(
+    () => ActorUpdateAbl.update({ id: actorId, userId, name: "Keanu Reeves" }),
+    (err) => {
+      assert.equal(err.code, "actorAlreadyExists");
+      assert.equal(err.statusCode, 409);
+      return true;
+    }
+  );
+});
+
+test("actor/update: non-existent id returns actorDoesNotExist (404)", async () => {
+  const { id: userId } = await createTestUser();
+
+  await assert.rejects(
+    () => ActorUpdateAbl.update({ id: 999999, userId, name: "Keanu Reeves" }),
+    (err) => {
+      assert.equal(err.code, "actorDoesNotExist");
+      assert.equal(err.statusCode, 404);
+      return true;
+    }
+  );
+});
+
+test("actor/update: renaming a shared actor leaves the movies of other users unchanged", async () => {
+  const { id: userId } = await createTestUser();
+  const { id: otherUserId } = await createTestUser();
+
+  const own = await MovieCreateAbl.create({
+    userId, title: "The Matrix", year: 1999, format: "DVD", actors: ["Keanu Reves"],
+  });
+  const other = await MovieCreateAbl.create({
+    userId: otherUserId, title: "Speed", year: 1994, format: "VHS", actors: ["Keanu Reves"],
+  });
+  const actorId = own.data?.actors[0]?.id;
+  assert.equal(other.data?.actors[0]?.id, actorId);
+
+  const res = await ActorUpdateAbl.update({ id: actorId, userId, name: "Keanu Reeves" });
+  assert.equal(res.data?.name, "Keanu Reeves");
+  assert.notEqual(res.data?.id, actorId);
+
+  const ownMovie = await MovieGetAbl.get({ id: own.data?.id, userId });
+  const otherMovie = await MovieGetAbl.get({ id: other.data?.id, userId: otherUserId });
+  assert.deepEqual(ownMovie.data?.actors.map((a) => a.name), ["Keanu Reeves"]);
+  assert.deepEqual(otherMovie.data?.actors.map((a) => [a.id, a.name]), [[actorId, "Keanu Reves"]]);
+
+  const otherList = await ActorListAbl.list({ userId: otherUserId, search: "reeves" });
+  assert.equal(otherList.meta?.total, 0);
+});
+
+test("actor/update: a rename is recorded as a revision and a new version of the user's movies", async () => {
+  const { id: userId } = await createTestUser();
+  const { data: movie } = await MovieCreateAbl.create({
+    userId, title: "The Matrix", year: 1999, format: "DVD", actors: ["Keanu Reves", "Carrie-Anne Moss"],
+  });
+
+  await ActorUpdateAbl.update({ id: movie.actors[0].id, userId, name: "Keanu Reeves" });
+
+  const renamed = await MovieGetAbl.get({ id: movie.id, userId });
+  assert.equal(renamed.data?.version, 2);
+
+  const revisions = await RevisionListAbl.list({ movieId: movie.id, userId });
+  assert.deepEqual(revisions.data.map(r => [r.revision, r.action]), [[2, "update"], [1, "create"]]);
+  assert.deepEqual(revisions.data[0].changes, {
+    actors: {
+      added: [{ name: "Keanu Reeves", character: null }],
+      removed: [{ name: "Keanu Reves", character: null }],
+      changed: [],
+    },
+  });
+
+  await assert.rejects(
+    () => MovieUpdateAbl.update({ id: movie.id, userId, title: "Matrix", expectedVersions: [1] }),
+    (err) => {
+      assert.equal(err.code, "movieVersionMismatch");
+      return true;
+    }
+  );
+
+  await MovieUpdateAbl.update({ id: movie.id, userId, title: "Matrix", expectedVersions: [2] });
+  const afterEdit = await RevisionListAbl.list({ movieId: movie.id, userId });
+  assert.deepEqual(afterEdit.data[0].changes, { title: { from: "The Matrix", to: "Matrix" } });
+});
+
+test("actor/update: renaming a shared actor records revisions only for the user's movies", async () => {
+  const { id: userId } = await createTestUser();
+  const { id: otherUserId } = await createTestUser();
+  const { data: own } = await MovieCreateAbl.create({
+    userId, title: "The Matrix", year: 1999, format: "DVD", actors: ["Keanu Reves"],
+  });
+  const { data: other } = await MovieCreateAbl.create({
+    userId: otherUserId, title: "Speed", year: 1994, format: "VHS", actors: ["Keanu Reves"],
+  });
+
+  await ActorUpdateAbl.update({ id: own.actors[0].id, userId, name: "Keanu Reeves" });
+
+  assert.equal((await MovieGetAbl.get({ id: own.id, userId })).data?.version, 2);
+  assert.equal((await RevisionListAbl.list({ movieId: own.id, userId })).meta?.total, 2);
+  assert.equal((await MovieGetAbl.get({ id: other.id, userId: otherUserId })).data?.version, 1);
+  assert.equal((await RevisionListAbl.list({ movieId: other.id, userId: otherUserId })).meta?.total, 1);
+});
@@ -0,0 +1,59 @@
+require("../../helpers/test-db");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { CreateAbl: FormatCreateAbl, ListAbl: FormatListAbl } = require("../../../app/abl/format");
+const { ImportAbl: MovieImportAbl } = require("../../../app/abl/movie");
+const createTestUser = require("../../helpers/test-user");
+
+test("format/create: default formats are seeded and new formats can be used by movies", async () => {
+  const { id: userId } = await createTestUser({ email: "admin@example.com" });
+
+  const defaults = await FormatListAbl.list();
+  assert.deepEqual(defaults.data.map(f => f.name), ["Blu-Ray", "DVD", "Digital", "VHS"]);
+
+  const res = await FormatCreateAbl.create({ userId, name: "4K UHD" });
+  assert.equal(res.status, 1);
+  assert.equal(res.data?.name, "4K UHD");
+
+  const content = [
+    "Title: The Matrix",
+    "Release Year: 1999",
+    "Format: 4K UHD",
+    "Stars: Keanu Reeves",
+    "",
+  ].join("\n");
+
+  const imported = await MovieImportAbl.import({ userId, file: { buffer: Buffer.from(content, "utf-8") } });
+  assert.equal(imported.data[0]?.format, "4K UHD");
+});
+
+test("format/create: name already taken (case-insensitive) returns formatAlreadyExists (409)", async () => {
+  const { id: userId } = await createTestUser({ email: "admin@example.com" });
+
+  await assert.rejects(
+    () => FormatCreateAbl.create({ userId, name: "dvd" }),
+    (err) => {
+      assert.equal(err.code, "formatAlreadyExists");
+      assert.equal(err.statusCode, 409);
+      return true;
+    }
+  );
+});
+
+test("format/create: user who is not an administrator returns adminRequired (403)", async () => {
+  const { id: userId } = await createTestUser();
+
+  await assert.rejects(
+    () => FormatCreateAbl.create({ userId, name: "4K UHD" }),
+    (err) => {
+      assert.equal(err.code, "adminRequired");
+      assert.equal(err.statusCode, 403);
+      return true;
+    }
+  );
+
+  const formats = await FormatListAbl.list();
+  assert.ok(!formats.data.some(f => f.name === "4K UHD"));
+});
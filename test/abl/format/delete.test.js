@@ -0,0 +1,72 @@
+require("../../helpers/test-db");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { CreateAbl: MovieCreateAbl, DeleteAbl: MovieDeleteAbl } = require("../../../app/abl/movie");
+const {
+  CreateAbl: FormatCreateAbl,
+  DeleteAbl: FormatDeleteAbl,
+  GetAbl: FormatGetAbl,
+} = require("../../../app/abl/format");
+const createTestUser = require("../../helpers/test-user");
+
+test("format/delete: unused format is deleted", async () => {
+  const { id: adminId } = await createTestUser({ email: "admin@example.com" });
+  const created = await FormatCreateAbl.create({ userId: adminId, name: "LaserDisc" });
+
+  const res = await FormatDeleteAbl.delete({ userId: adminId, id: created.data.id });
+  assert.equal(res.status, 1);
+
+  await assert.rejects(
+    () => FormatGetAbl.get({ id: created.data.id }),
+    (err) => {
+      assert.equal(err.code, "formatDoesNotExist");
+      assert.equal(err.statusCode, 404);
+      return true;
+    }
+  );
+});
+
+test("format/delete: format used by a movie (even in the trash) returns formatInUse (409)", async () => {
+  const { id: userId } = await createTestUser();
+  const { id: adminId } = await createTestUser({ email: "admin@example.com" });
+  const format = await FormatCreateAbl.create({ userId: adminId, name: "LaserDisc" });
+
+  const movie = await MovieCreateAbl.create({
+    userId,
+    title: "The Abyss",
+    year: 1989,
+    format: "LaserDisc",
+    actors: ["Ed Harris"],
+  });
+  await MovieDeleteAbl.delete({ id: movie.data.id, userId });
+
+  await assert.rejects(
+    () => FormatDeleteAbl.delete({ userId: adminId, id: format.data.id }),
+    (err) => {
+      assert.equal(err.code, "formatInUse");
+      assert.equal(err.statusCode, 409);
+      assert.equal(err.paramMap.movieCount, 1);
+      return true;
+    }
+  );
+});
+
+test("format/delete: user who is not an administrator returns adminRequired (403)", async () => {
+  const { id: adminId } = await createTestUser({ email: "admin@example.com" });
+  const { id: userId } = await createTestUser();
+  const created = await FormatCreateAbl.create({ userId: adminId, name: "LaserDisc" });
+
+  await assert.rejects(
+    () => FormatDeleteAbl.delete({ userId, id: created.data.id }),
+    (err) => {
+      assert.equal(err.code, "adminRequired");
+      assert.equal(err.statusCode, 403);
+      return true;
+    }
+  );
+
+  const format = await FormatGetAbl.get({ id: created.data.id });
+  assert.equal(format.data?.name, "LaserDisc");
+});
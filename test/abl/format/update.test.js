@@ -0,0 +1,65 @@
+require("../../helpers/test-db");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { CreateAbl: MovieCreateAbl, GetAbl: MovieGetAbl } = require("../../../app/abl/movie");
+const { UpdateAbl: FormatUpdateAbl, ListAbl: FormatListAbl } = require("../../../app/abl/format");
+const createTestUser = require("../../helpers/test-user");
+
+async function getFormatId(name) {
+  const formats = await FormatListAbl.list();
+  return formats.data.find(f => f.name === name).id;
+}
+
+test("format/update: renaming a format renames it on its movies", async () => {
+  const { id: userId } = await createTestUser();
+  const { id: adminId } = await createTestUser({ email: "admin@example.com" });
+
+  const created = await MovieCreateAbl.create({
+    userId,
+    title: "The Matrix",
+    year: 1999,
+    format: "Blu-Ray",
+    actors: ["Keanu Reeves"],
+  });
+
+  const res = await FormatUpdateAbl.update({ userId: adminId, id: await getFormatId("Blu-Ray"), name: "Blu-ray Disc" });
+  assert.equal(res.data?.name, "Blu-ray Disc");
+
+  const movie = await MovieGetAbl.get({ id: created.data.id, userId });
+  assert.equal(movie.data?.format, "Blu-ray Disc");
+});
+
+test("format/update: name of another format returns formatAlreadyExists (409)", async () => {
+  const { id: userId } = await createTestUser({ email: "admin@example.com" });
+  const id = await getFormatId("VHS");
+
+  await assert.rejects(
+    () => FormatUpdateAbl.update({ userId, id, name: "DVD" }),
+    (err) => {
+      assert.equal(err.code, "formatAlreadyExists");
+      return true;
+    }
+  );
+});
+
+test("format/update: user who is not an administrator returns adminRequired (403) and movies keep the format", async () => {
+  const { id: userId } = await createTestUser();
+  const created = await MovieCreateAbl.create({
+    userId, title: "The Matrix", year: 1999, format: "Blu-Ray", actors: ["Keanu Reeves"],
+  });
+  const id = await getFormatId("Blu-Ray");
+
+  await assert.rejects(
+    () => FormatUpdateAbl.update({ userId, id, name: "Blu-ray Disc" }),
+    (err) => {
+      assert.equal(err.code, "adminRequired");
+      assert.equal(err.statusCode, 403);
+      return true;
+    }
+  );
+
+  const movie = await MovieGetAbl.get({ id: created.data.id, userId });
+  assert.equal(movie.data?.format, "Blu-Ray");
+});
@@ -0,0 +1,48 @@
+require("../../helpers/test-db");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { CreateAbl: MovieCreateAbl } = require("../../../app/abl/movie");
+const { ListAbl: GenreListAbl } = require("../../../app/abl/genre");
+const createTestUser = require("../../helpers/test-user");
+
+test("genre/list: returns per-genre movie counts sorted by name", async () => {
+  const { id: userId } = await createTestUser();
+
+  await MovieCreateAbl.create({
+    userId, title: "The Matrix", year: 1999, format: "DVD", actors: ["Keanu Reeves"], genres: ["Sci-Fi", "Action"],
+  });
+  await MovieCreateAbl.create({
+    userId, title: "John Wick", year: 2014, format: "Blu-Ray", actors: ["Keanu Reeves"], genres: ["action"],
+  });
+
+  const res = await GenreListAbl.list({ userId });
+
+  assert.equal(res.status, 1);
+  assert.equal(res.meta?.total, 2);
+  assert.deepEqual(
+    res.data.map(({ name, movieCount }) => ({ name, movieCount })),
+    [
+      { name: "Action", movieCount: 2 },
+      { name: "Sci-Fi", movieCount: 1 },
+    ]
+  );
+});
+
+test("genre/list: counts only the user's own movies", async () => {
+  const { id: userId } = await createTestUser();
+  const { id: otherUserId } = await createTestUser();
+
+  await MovieCreateAbl.create({
+    userId: otherUserId, title: "Speed", year: 1994, format: "VHS", actors: ["Sandra Bullock"], genres: ["Thriller"],
+  });
+  await MovieCreateAbl.create({
+    userId, title: "The Matrix", year: 1999, format: "DVD", actors: ["Keanu Reeves"], genres: ["Sci-Fi"],
+  });
+
+  const res = await GenreListAbl.list({ userId });
+
+  assert.deepEqual(res.data.map((g) => g.name), ["Sci-Fi"]);
+  assert.equal(res.data[0]?.movieCount, 1);
+});
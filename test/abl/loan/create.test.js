@@ -0,0 +1,92 @@
+require("../../helpers/test-db");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { CreateAbl: MovieCreateAbl, GetAbl: MovieGetAbl } = require("../../../app/abl/movie");
+const { CreateAbl: LoanCreateAbl } = require("../../../app/abl/loan");
+const { CreateAbl: FormatCreateAbl, UpdateAbl: FormatUpdateAbl } = require("../../../app/abl/format");
+const createTestUser = require("../../helpers/test-user");
+
+async function createMovie(userId, format = "DVD") {
+  const res = await MovieCreateAbl.create({
+    userId,
+    title: "The Matrix",
+    year: 1999,
+    format,
+    actors: ["Keanu Reeves"],
+  });
+  return res.data;
+}
+
+test("loan/create: lends a physical copy and shows it on the movie", async () => {
+  const { id: userId } = await createTestUser();
+  const movie = await createMovie(userId);
+
+  const res = await LoanCreateAbl.create({
+    movieId: movie.id, userId, borrowerName: "Bob", lentAt: "2024-01-01", dueAt: "2099-01-01",
+  });
+
+  assert.equal(res.status, 1);
+  assert.equal(res.data?.borrowerName, "Bob");
+  assert.equal(res.data?.returnedAt, null);
+  assert.equal(res.data?.movie?.id, movie.id);
+
+  const movieRes = await MovieGetAbl.get({ id: movie.id, userId });
+  assert.equal(movieRes.data?.loanStatus, "onLoan");
+  assert.equal(movieRes.data?.currentLoan?.id, res.data.id);
+});
+
+test("loan/create: Digital movies throw movieNotLoanable", async () => {
+  const { id: userId } = await createTestUser();
+  const movie = await createMovie(userId, "Digital");
+
+  await assert.rejects(
+    () => LoanCreateAbl.create({
+      movieId: movie.id, userId, borrowerName: "Bob", lentAt: "2024-01-01", dueAt: "2024-02-01",
+    }),
+    (err) => {
+      assert.equal(err.code, "movieNotLoanable");
+      return true;
+    }
+  );
+});
+
+test("loan/create: the isPhysical flag of the format decides whether a movie can be lent", async () => {
+  const { id: userId } = await createTestUser();
+  const { id: adminId } = await createTestUser({ email: "admin@example.com" });
+  const format = await FormatCreateAbl.create({ userId: adminId, name: "Streaming", isPhysical: false });
+  const movie = await createMovie(userId, "Streaming");
+  const lend = () => LoanCreateAbl.create({
+    movieId: movie.id, userId, borrowerName: "Bob", lentAt: "2024-01-01", dueAt: "2024-02-01",
+  });
+
+  await assert.rejects(lend, (err) => {
+    assert.equal(err.code, "movieNotLoanable");
+    return true;
+  });
+
+  await FormatUpdateAbl.update({ userId: adminId, id: format.data.id, isPhysical: true });
+  const res = await lend();
+  assert.equal(res.data?.movie?.id, movie.id);
+});
+
+test("loan/create: copy already on loan throws movieAlreadyOnLoan", async () => {
+  const { id: userId } = await createTestUser();
+  const movie = await createMovie(userId);
+
+  await LoanCreateAbl.create({
+    movieId: movie.id, userId, borrowerName: "Bob", lentAt: "2024-01-01", dueAt: "2024-02-01",
+  });
+
+  await assert.rejects(
+    () => LoanCreateAbl.create({
+      movieId: movie.id, userId, borrowerName: "Ann", lentAt: "2024-01-05", dueAt: "2024-02-05",
+    }),
+    (err) => {
+      assert.equal(err.code, "movieAlreadyOnLoan");
+      assert.equal(err.statusCode, 409);
+      return true;
+    }
+  );
+});
@@ -0,0 +1,35 @@
+require("../../helpers/test-db");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { CreateAbl: MovieCreateAbl, ListAbl: MovieListAbl } = require("../../../app/abl/movie");
+const { CreateAbl: LoanCreateAbl, ListAbl: LoanListAbl } = require("../../../app/abl/loan");
+const createTestUser = require("../../helpers/test-user");
+
+test("loan/list: status=overdue returns only unreturned loans past their due date", async () => {
+  const { id: userId } = await createTestUser();
+  const { data: matrix } = await MovieCreateAbl.create({
+    userId, title: "The Matrix", year: 1999, format: "DVD", actors: ["Keanu Reeves"],
+  });
+  const { data: speed } = await MovieCreateAbl.create({
+    userId, title: "Speed", year: 1994, format: "VHS", actors: ["Sandra Bullock"],
+  });
+
+  await LoanCreateAbl.create({
+    movieId: matrix.id, userId, borrowerName: "Bob", lentAt: "2024-01-01", dueAt: "2024-02-01",
+  });
+  await LoanCreateAbl.create({
+    movieId: speed.id, userId, borrowerName: "Ann", lentAt: "2024-01-01", dueAt: "2099-01-01",
+  });
+
+  const overdue = await LoanListAbl.list({ userId, status: "overdue" });
+  assert.equal(overdue.meta?.total, 1);
+  assert.equal(overdue.data[0]?.movie?.title, "The Matrix");
+
+  const active = await LoanListAbl.list({ userId, status: "active" });
+  assert.equal(active.meta?.total, 2);
+
+  const movies = await MovieListAbl.list({ userId, sort: "id", order: "ASC" });
+  assert.deepEqual(movies.data.map((m) => m.loanStatus), ["overdue", "onLoan"]);
+});
@@ -0,0 +1,65 @@
+require("../../helpers/test-db");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { CreateAbl: MovieCreateAbl, GetAbl: MovieGetAbl } = require("../../../app/abl/movie");
+const { CreateAbl: LoanCreateAbl, ReturnAbl: LoanReturnAbl } = require("../../../app/abl/loan");
+const createTestUser = require("../../helpers/test-user");
+
+async function lendMovie(userId) {
+  const { data: movie } = await MovieCreateAbl.create({
+    userId, title: "Speed", year: 1994, format: "VHS", actors: ["Sandra Bullock"],
+  });
+  const { data: loan } = await LoanCreateAbl.create({
+    movieId: movie.id, userId, borrowerName: "Bob", lentAt: "2024-01-01", dueAt: "2024-02-01",
+  });
+  return { movie, loan };
+}
+
+test("loan/return: marks the loan returned and frees the copy", async () => {
+  const { id: userId } = await createTestUser();
+  const { movie, loan } = await lendMovie(userId);
+
+  const res = await LoanReturnAbl.return({ id: loan.id, userId, returnedAt: "2024-01-20" });
+  assert.equal(res.data?.returnedAt, "2024-01-20");
+
+  const movieRes = await MovieGetAbl.get({ id: movie.id, userId });
+  assert.equal(movieRes.data?.loanStatus, "available");
+  assert.equal(movieRes.data?.currentLoan, null);
+
+  const newLoan = await LoanCreateAbl.create({
+    movieId: movie.id, userId, borrowerName: "Ann", lentAt: "2024-02-01", dueAt: "2024-03-01",
+  });
+  assert.equal(newLoan.status, 1);
+});
+
+test("loan/return: second return throws loanAlreadyReturned", async () => {
+  const { id: userId } = await createTestUser();
+  const { loan } = await lendMovie(userId);
+
+  await LoanReturnAbl.return({ id: loan.id, userId, returnedAt: "2024-01-20" });
+
+  await assert.rejects(
+    () => LoanReturnAbl.return({ id: loan.id, userId }),
+    (err) => {
+      assert.equal(err.code, "loanAlreadyReturned");
+      return true;
+    }
+  );
+});
+
+test("loan/return: another user's loan throws loanDoesNotExist", async () => {
+  const { id: ownerId } = await createTestUser();
+  const { id: userId } = await createTestUser();
+  const { loan } = await lendMovie(ownerId);
+
+  await assert.rejects(
+    () => LoanReturnAbl.return({ id: loan.id, userId }),
+    (err) => {
+      assert.equal(err.code, "loanDoesNotExist");
+      assert.equal(err.statusCode, 404);
+      return true;
+    }
+  );
+});
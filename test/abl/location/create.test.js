@@ -0,0 +1,50 @@
+require("../../helpers/test-db");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { CreateAbl: LocationCreateAbl, ListAbl: LocationListAbl } = require("../../../app/abl/location");
+const createTestUser = require("../../helpers/test-user");
+
+test("location/create: nested locations are listed as a tree", async () => {
+  const { id: userId } = await createTestUser();
+
+  const room = await LocationCreateAbl.create({ userId, name: "Living room", type: "room" });
+  const shelf = await LocationCreateAbl.create({ userId, name: "Shelf 2", type: "shelf", parentId: room.data.id });
+  await LocationCreateAbl.create({ userId, name: "Box A", type: "box", parentId: shelf.data.id });
+  await LocationCreateAbl.create({ userId, name: "Attic", type: "room" });
+
+  const res = await LocationListAbl.list({ userId });
+  assert.deepEqual(res.data.map((l) => l.name), ["Attic", "Living room"]);
+  assert.deepEqual(res.data[1].children.map((l) => l.name), ["Shelf 2"]);
+  assert.deepEqual(res.data[1].children[0].children.map((l) => [l.name, l.type]), [["Box A", "box"]]);
+});
+
+test("location/create: a location cannot be placed in a location of the same or an inner type", async () => {
+  const { id: userId } = await createTestUser();
+  const box = await LocationCreateAbl.create({ userId, name: "Box A", type: "box" });
+
+  await assert.rejects(
+    () => LocationCreateAbl.create({ userId, name: "Shelf 1", type: "shelf", parentId: box.data.id }),
+    (err) => {
+      assert.equal(err.code, "invalidLocationNesting");
+      assert.equal(err.statusCode, 422);
+      return true;
+    }
+  );
+});
+
+test("location/create: parent location of another user returns parentLocationDoesNotExist (404)", async () => {
+  const { id: ownerId } = await createTestUser();
+  const { id: otherUserId } = await createTestUser();
+  const room = await LocationCreateAbl.create({ userId: ownerId, name: "Living room", type: "room" });
+
+  await assert.rejects(
+    () => LocationCreateAbl.create({ userId: otherUserId, name: "Shelf 1", type: "shelf", parentId: room.data.id }),
+    (err) => {
+      assert.equal(err.code, "parentLocationDoesNotExist");
+      assert.equal(err.statusCode, 404);
+      return true;
+    }
+  );
+});
@@ -0,0 +1,55 @@
+require("../../helpers/test-db");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { CreateAbl: MovieCreateAbl, DeleteAbl: MovieDeleteAbl } = require("../../../app/abl/movie");
+const {
+  CreateAbl: LocationCreateAbl,
+  DeleteAbl: LocationDeleteAbl,
+  GetAbl: LocationGetAbl,
+  SetMovieAbl: LocationSetMovieAbl,
+} = require("../../../app/abl/location");
+const createTestUser = require("../../helpers/test-user");
+
+test("location/delete: empty location is deleted", async () => {
+  const { id: userId } = await createTestUser();
+  const room = await LocationCreateAbl.create({ userId, name: "Attic", type: "room" });
+
+  const res = await LocationDeleteAbl.delete({ userId, id: room.data.id });
+  assert.equal(res.status, 1);
+
+  await assert.rejects(
+    () => LocationGetAbl.get({ userId, id: room.data.id }),
+    (err) => {
+      assert.equal(err.code, "locationDoesNotExist");
+      assert.equal(err.statusCode, 404);
+      return true;
+    }
+  );
+});
+
+test("location/delete: location with nested locations or movies (even in the trash) returns locationNotEmpty (409)", async () => {
+  const { id: userId } = await createTestUser();
+  const room = await LocationCreateAbl.create({ userId, name: "Living room", type: "room" });
+  await LocationCreateAbl.create({ userId, name: "Shelf 1", type: "shelf", parentId: room.data.id });
+  const box = await LocationCreateAbl.create({ userId, name: "Box A", type: "box" });
+  const movie = await MovieCreateAbl.create({
+    userId, title: "The Matrix", year: 1999, format: "DVD", actors: ["Keanu Reeves"],
+  });
+  await LocationSetMovieAbl.setMovie({ userId, movieId: movie.data.id, locationId: box.data.id });
+  await MovieDeleteAbl.delete({ id: movie.data.id, userId });
+
+  for (const [id, childCount, movieCount] of [[room.data.id, 1, 0], [box.data.id, 0, 1]]) {
+    await assert.rejects(
+      () => LocationDeleteAbl.delete({ userId, id }),
+      (err) => {
+        assert.equal(err.code, "locationNotEmpty");
+        assert.equal(err.statusCode, 409);
+        assert.equal(err.paramMap?.childCount, childCount);
+        assert.equal(err.paramMap?.movieCount, movieCount);
+        return true;
+      }
+    );
+  }
+});
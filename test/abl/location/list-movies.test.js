@@ -0,0 +1,39 @@
+require("../../helpers/test-db");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { CreateAbl: MovieCreateAbl } = require("../../../app/abl/movie");
+const {
+  CreateAbl: LocationCreateAbl,
+  ListMoviesAbl: LocationListMoviesAbl,
+  SetMovieAbl: LocationSetMovieAbl,
+} = require("../../../app/abl/location");
+const createTestUser = require("../../helpers/test-user");
+
+async function createMovie(userId, title, format = "DVD") {
+  const res = await MovieCreateAbl.create({ userId, title, year: 1999, format, actors: ["Keanu Reeves"] });
+  return res.data;
+}
+
+test("location/listMovies: lists the movies of the location and of all nested locations", async () => {
+  const { id: userId } = await createTestUser();
+  const room = await LocationCreateAbl.create({ userId, name: "Living room", type: "room" });
+  const shelf = await LocationCreateAbl.create({ userId, name: "Shelf 1", type: "shelf", parentId: room.data.id });
+  const box = await LocationCreateAbl.create({ userId, name: "Box A", type: "box", parentId: shelf.data.id });
+  const otherRoom = await LocationCreateAbl.create({ userId, name: "Attic", type: "room" });
+
+  const speed = await createMovie(userId, "Speed", "VHS");
+  const matrix = await createMovie(userId, "The Matrix");
+  const wick = await createMovie(userId, "John Wick");
+  await LocationSetMovieAbl.setMovie({ userId, movieId: speed.id, locationId: room.data.id });
+  await LocationSetMovieAbl.setMovie({ userId, movieId: matrix.id, locationId: box.data.id });
+  await LocationSetMovieAbl.setMovie({ userId, movieId: wick.id, locationId: otherRoom.data.id });
+
+  const res = await LocationListMoviesAbl.listMovies({ userId, id: room.data.id });
+  assert.equal(res.meta.total, 2);
+  assert.deepEqual(res.data.map((m) => [m.title, m.location.name]), [["Speed", "Living room"], ["The Matrix", "Box A"]]);
+
+  const inShelf = await LocationListMoviesAbl.listMovies({ userId, id: shelf.data.id });
+  assert.deepEqual(inShelf.data.map((m) => m.title), ["The Matrix"]);
+});
@@ -0,0 +1,31 @@
+require("../../helpers/test-db");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { CreateAbl: MovieCreateAbl } = require("../../../app/abl/movie");
+const {
+  CreateAbl: LocationCreateAbl,
+  SetMovieAbl: LocationSetMovieAbl,
+} = require("../../../app/abl/location");
+const createTestUser = require("../../helpers/test-user");
+
+async function createMovie(userId, title, format = "DVD") {
+  const res = await MovieCreateAbl.create({ userId, title, year: 1999, format, actors: ["Keanu Reeves"] });
+  return res.data;
+}
+
+test("location/set-movie: digital movies cannot be stored", async () => {
+  const { id: userId } = await createTestUser();
+  const room = await LocationCreateAbl.create({ userId, name: "Living room", type: "room" });
+  const movie = await createMovie(userId, "The Matrix", "Digital");
+
+  await assert.rejects(
+    () => LocationSetMovieAbl.setMovie({ userId, movieId: movie.id, locationId: room.data.id }),
+    (err) => {
+      assert.equal(err.code, "movieNotPhysical");
+      assert.equal(err.statusCode, 400);
+      return true;
+    }
+  );
+});
@@ -0,0 +1,56 @@
+require("../../helpers/test-db");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { CreateAbl: MovieCreateAbl, GetAbl: MovieGetAbl } = require("../../../app/abl/movie");
+const {
+  CreateAbl: LocationCreateAbl,
+  ListMoviesAbl: LocationListMoviesAbl,
+  SetMovieAbl: LocationSetMovieAbl,
+  UpdateAbl: LocationUpdateAbl,
+} = require("../../../app/abl/location");
+const createTestUser = require("../../helpers/test-user");
+
+async function createMovie(userId, title, format = "DVD") {
+  const res = await MovieCreateAbl.create({ userId, title, year: 1999, format, actors: ["Keanu Reeves"] });
+  return res.data;
+}
+
+test("location/update: moving a box moves every movie in it", async () => {
+  const { id: userId } = await createTestUser();
+  const livingRoom = await LocationCreateAbl.create({ userId, name: "Living room", type: "room" });
+  const attic = await LocationCreateAbl.create({ userId, name: "Attic", type: "room" });
+  const box = await LocationCreateAbl.create({ userId, name: "Box A", type: "box", parentId: livingRoom.data.id });
+  const slot = await LocationCreateAbl.create({ userId, name: "Slot 3", type: "slot", parentId: box.data.id });
+
+  const matrix = await createMovie(userId, "The Matrix");
+  const speed = await createMovie(userId, "Speed");
+  await LocationSetMovieAbl.setMovie({ userId, movieId: matrix.id, locationId: box.data.id });
+  await LocationSetMovieAbl.setMovie({ userId, movieId: speed.id, locationId: slot.data.id });
+
+  await LocationUpdateAbl.update({ userId, id: box.data.id, parentId: attic.data.id });
+
+  const inAttic = await LocationListMoviesAbl.listMovies({ userId, id: attic.data.id });
+  const inLivingRoom = await LocationListMoviesAbl.listMovies({ userId, id: livingRoom.data.id });
+  assert.deepEqual(inAttic.data.map((m) => m.title), ["Speed", "The Matrix"]);
+  assert.equal(inLivingRoom.meta.total, 0);
+
+  const fetched = await MovieGetAbl.get({ userId, id: speed.id });
+  assert.deepEqual(fetched.data.location?.path.map((l) => l.name), ["Attic", "Box A", "Slot 3"]);
+});
+
+test("location/update: a location cannot be moved into one of its nested locations", async () => {
+  const { id: userId } = await createTestUser();
+  const shelf = await LocationCreateAbl.create({ userId, name: "Shelf 1", type: "shelf" });
+  const box = await LocationCreateAbl.create({ userId, name: "Box A", type: "box", parentId: shelf.data.id });
+
+  await assert.rejects(
+    () => LocationUpdateAbl.update({ userId, id: shelf.data.id, parentId: box.data.id }),
+    (err) => {
+      assert.equal(err.code, "invalidLocationNesting");
+      assert.equal(err.statusCode, 422);
+      return true;
+    }
+  );
+});
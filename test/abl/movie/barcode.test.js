@@ -0,0 +1,123 @@
+require("../../helpers/test-db");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+
+const {
+  CreateAbl: MovieCreateAbl,
+  GetByBarcodeAbl: MovieGetByBarcodeAbl,
+  CreateFromBarcodeAbl: MovieCreateFromBarcodeAbl,
+  UpdateAbl: MovieUpdateAbl
+} = require("../../../app/abl/movie");
+const { isValidBarcode, normalizeBarcode } = require("../../../app/components/helpers/barcode-helper");
+const assertRejectsWith = require("../../helpers/assert-rejects-with");
+const createTestUser = require("../../helpers/test-user");
+
+test.before(() => {
+  fs.writeFileSync(process.env.BARCODE_CATALOG_PATH, [
+    "barcode,title,year,format,actors",
+    "5901234123457,The Matrix,1999,blu-ray,Keanu Reeves; Carrie-Anne Moss",
+    "0036000291452,\"Crouching Tiger, Hidden Dragon\",2000,DVD,",
+    "4006381333931,Metropolis,1927,LaserDisc,Brigitte Helm",
+    "4006381333932,Invalid Checksum,2001,DVD,Someone",
+  ].join("\r\n"));
+});
+
+test.after(() => {
+  fs.rmSync(process.env.BARCODE_CATALOG_PATH, { force: true });
+});
+
+test("movie/barcode: checksum accepts EAN-8, UPC-A, and EAN-13 and rejects a wrong check digit", () => {
+  assert.equal(isValidBarcode("96385074"), true);
+  assert.equal(isValidBarcode("036000291452"), true);
+  assert.equal(isValidBarcode("590-1234-12345-7"), true);
+  assert.equal(isValidBarcode("5901234123458"), false);
+  assert.equal(isValidBarcode("12345"), false);
+  assert.equal(normalizeBarcode("036000291452"), "0036000291452");
+});
+
+test("movie/barcode: by-barcode lists every copy of the user with the barcode", async () => {
+  const { id: userId } = await createTestUser();
+  const { id: otherUserId } = await createTestUser();
+  const movie = { title: "The Matrix", year: 1999, actors: ["Keanu Reeves"], barcode: "5901234123457" };
+
+  await MovieCreateAbl.create({ ...movie, userId, format: "DVD" });
+  await MovieCreateAbl.create({ ...movie, userId, format: "Blu-Ray" });
+  await MovieCreateAbl.create({ ...movie, userId: otherUserId, format: "DVD" });
+
+  const res = await MovieGetByBarcodeAbl.getByBarcode({ code: "5901234123457", userId });
+
+  assert.equal(res.status, 1);
+  assert.deepEqual(res.data.map((m) => m.format), ["DVD", "Blu-Ray"]);
+  assert.equal(res.data[0].barcode, "5901234123457");
+
+  await assertRejectsWith(
+    () => MovieGetByBarcodeAbl.getByBarcode({ code: "96385074", userId }),
+    { code: "movieDoesNotExist", statusCode: 404 }
+  );
+});
+
+test("movie/barcode: barcode can be set with a JSON Patch operation", async () => {
+  const { id: userId } = await createTestUser();
+  const created = await MovieCreateAbl.create({
+    userId, title: "Heat", year: 1995, format: "DVD", actors: ["Al Pacino"],
+  });
+
+  const res = await MovieUpdateAbl.update({
+    id: created.data.id,
+    userId,
+    operations: [{ op: "add", path: "/barcode", value: "0036000291452" }],
+  });
+
+  assert.equal(res.data.barcode, "0036000291452");
+  assert.equal(res.data.version, 2);
+});
+
+test("movie/from-barcode: pre-fills the movie from the catalog and resolves the format", async () => {
+  const { id: userId } = await createTestUser();
+
+  const res = await MovieCreateFromBarcodeAbl.createFromBarcode({ barcode: "5901234123457", userId });
+
+  assert.equal(res.status, 1);
+  assert.equal(res.data.title, "The Matrix");
+  assert.equal(res.data.year, 1999);
+  assert.equal(res.data.format, "Blu-Ray");
+  assert.equal(res.data.barcode, "5901234123457");
+  assert.deepEqual(res.data.actors.map((a) => a.name), ["Keanu Reeves", "Carrie-Anne Moss"]);
+});
+
+test("movie/from-barcode: runs the duplicate check of a regular creation", async () => {
+  const { id: userId } = await createTestUser();
+
+  await MovieCreateAbl.create({
+    userId, title: "The Matrix", year: 1999, format: "Blu-Ray", actors: ["carrie-anne moss", "Keanu Reeves"],
+  });
+
+  await assertRejectsWith(
+    () => MovieCreateFromBarcodeAbl.createFromBarcode({ barcode: "5901234123457", userId }),
+    { code: "movieAlreadyExists", statusCode: 409 }
+  );
+});
+
+test("movie/from-barcode: rejects unknown barcodes, unknown formats, and entries without actors", async () => {
+  const { id: userId } = await createTestUser();
+
+  await assertRejectsWith(
+    () => MovieCreateFromBarcodeAbl.createFromBarcode({ barcode: "4006381333932", userId }),
+    { code: "barcodeNotInCatalog", statusCode: 404 }
+  );
+  await assertRejectsWith(
+    () => MovieCreateFromBarcodeAbl.createFromBarcode({ barcode: "4006381333931", userId }),
+    { code: "catalogFormatDoesNotExist", statusCode: 422 }
+  );
+  await assertRejectsWith(
+    () => MovieCreateFromBarcodeAbl.createFromBarcode({ barcode: "0036000291452", userId }),
+    { code: "actorsRequired", statusCode: 422 }
+  );
+
+  const res = await MovieCreateFromBarcodeAbl.createFromBarcode({
+    barcode: "0036000291452", userId, actors: ["Chow Yun-fat"],
+  });
+  assert.equal(res.data.title, "Crouching Tiger, Hidden Dragon");
+});
@@ -0,0 +1,50 @@
+require("../../helpers/test-db");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  CreateAbl: MovieCreateAbl,
+  ListTrashAbl: MovieListTrashAbl,
+  BulkDeleteAbl: MovieBulkDeleteAbl,
+} = require("../../../app/abl/movie");
+const createTestUser = require("../../helpers/test-user");
+
+test("movie/bulkDelete: moves the movies to the trash and reports ids that were not found", async () => {
+  const { id: userId } = await createTestUser();
+  const { id: otherUserId } = await createTestUser();
+  const { data: matrix } = await MovieCreateAbl.create({
+    userId, title: "The Matrix", year: 1999, format: "DVD", actors: ["Keanu Reeves"],
+  });
+  const { data: foreign } = await MovieCreateAbl.create({
+    userId: otherUserId, title: "Speed", year: 1994, format: "VHS", actors: ["Sandra Bullock"],
+  });
+
+  const res = await MovieBulkDeleteAbl.bulkDelete({ userId, ids: [matrix.id, foreign.id] });
+
+  assert.deepEqual(res.data, [
+    { id: matrix.id, outcome: "deleted" },
+    { id: foreign.id, outcome: "notFound" },
+  ]);
+  assert.deepEqual(res.meta, { total: 2, deleted: 1, notFound: 1 });
+
+  const trash = await MovieListTrashAbl.listTrash({ userId });
+  assert.deepEqual(trash.data.map(m => m.id), [matrix.id]);
+  assert.equal((await MovieListTrashAbl.listTrash({ userId: otherUserId })).meta?.total, 0);
+});
+
+test("movie/bulkDelete: selects movies by filter", async () => {
+  const { id: userId } = await createTestUser();
+  await MovieCreateAbl.create({
+    userId, title: "The Matrix", year: 1999, format: "DVD", actors: ["Keanu Reeves"], genres: ["Sci-Fi"],
+  });
+  await MovieCreateAbl.create({
+    userId, title: "Speed", year: 1994, format: "VHS", actors: ["Sandra Bullock"],
+  });
+
+  const res = await MovieBulkDeleteAbl.bulkDelete({ userId, filter: { genre: ["sci-fi"] } });
+
+  assert.equal(res.meta?.deleted, 1);
+  const trash = await MovieListTrashAbl.listTrash({ userId });
+  assert.deepEqual(trash.data.map(m => m.title), ["The Matrix"]);
+});
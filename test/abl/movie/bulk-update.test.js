@@ -0,0 +1,120 @@
+require("../../helpers/test-db");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  CreateAbl: MovieCreateAbl,
+  GetAbl: MovieGetAbl,
+  BulkUpdateAbl: MovieBulkUpdateAbl,
+  ImportAbl: MovieImportAbl,
+} = require("../../../app/abl/movie");
+const { CreateAbl: LoanCreateAbl } = require("../../../app/abl/loan");
+const { MAX_BULK_IDS } = require("../../../app/constants/movie-constants");
+const createTestUser = require("../../helpers/test-user");
+
+test("movie/bulkUpdate: applies the change to every id and reports per-id outcomes", async () => {
+  const { id: userId } = await createTestUser();
+  const { data: matrix } = await MovieCreateAbl.create({
+    userId, title: "The Matrix", year: 1999, format: "DVD", actors: ["Keanu Reeves"], genres: ["Action"],
+  });
+  const { data: speed } = await MovieCreateAbl.create({
+    userId, title: "Speed", year: 1994, format: "VHS", actors: ["Sandra Bullock", "Keanu Reeves"],
+  });
+
+  const res = await MovieBulkUpdateAbl.bulkUpdate({
+    userId,
+    ids: [matrix.id, speed.id, 999999],
+    changes: { format: "Blu-Ray", addActors: [{ name: "Laurence Fishburne", character: "Morpheus" }], addGenres: ["Sci-Fi"] },
+  });
+
+  assert.deepEqual(res.data, [
+    { id: matrix.id, outcome: "updated", version: 2 },
+    { id: speed.id, outcome: "updated", version: 2 },
+    { id: 999999, outcome: "notFound" },
+  ]);
+  assert.deepEqual(res.meta, { total: 3, updated: 2, notFound: 1, rejected: 0 });
+
+  const { data: movie } = await MovieGetAbl.get({ id: speed.id, userId });
+  assert.equal(movie.format, "Blu-Ray");
+  assert.deepEqual(movie.actors.map(a => [a.name, a.character]), [
+    ["Sandra Bullock", null], ["Keanu Reeves", null], ["Laurence Fishburne", "Morpheus"],
+  ]);
+  assert.deepEqual(movie.genres.map(g => g.name), ["Sci-Fi"]);
+});
+
+test("movie/bulkUpdate: selects movies by filter", async () => {
+  const { id: userId } = await createTestUser();
+  const { data: matrix } = await MovieCreateAbl.create({
+    userId, title: "The Matrix", year: 1999, format: "DVD", actors: ["Keanu Reeves"],
+  });
+  const { data: speed } = await MovieCreateAbl.create({
+    userId, title: "Speed", year: 1994, format: "VHS", actors: ["Sandra Bullock"],
+  });
+
+  const res = await MovieBulkUpdateAbl.bulkUpdate({
+    userId, filter: { actor: "keanu" }, changes: { removeActors: ["keanu reeves"], addActors: ["Hugo Weaving"] },
+  });
+
+  assert.deepEqual(res.data.map(item => [item.id, item.outcome]), [[matrix.id, "updated"]]);
+
+  const { data: movie } = await MovieGetAbl.get({ id: matrix.id, userId });
+  assert.deepEqual(movie.actors.map(a => a.name), ["Hugo Weaving"]);
+  assert.equal((await MovieGetAbl.get({ id: speed.id, userId })).data.version, 1);
+});
+
+test("movie/bulkUpdate: rejects an empty cast and lent copies converted to Digital, keeping them unchanged", async () => {
+  const { id: userId } = await createTestUser();
+  const { data: matrix } = await MovieCreateAbl.create({
+    userId, title: "The Matrix", year: 1999, format: "DVD", actors: ["Keanu Reeves"],
+  });
+  const { data: speed } = await MovieCreateAbl.create({
+    userId, title: "Speed", year: 1994, format: "VHS", actors: ["Sandra Bullock", "Keanu Reeves"],
+  });
+  await LoanCreateAbl.create({ movieId: speed.id, userId, borrowerName: "Bob", lentAt: "2024-01-01", dueAt: "2024-02-01" });
+
+  const castRes = await MovieBulkUpdateAbl.bulkUpdate({
+    userId, ids: [matrix.id, speed.id], changes: { removeActors: ["Keanu Reeves"] },
+  });
+  assert.deepEqual(castRes.data.map(item => [item.id, item.outcome, item.reason]), [
+    [matrix.id, "rejected", "castCannotBeEmpty"],
+    [speed.id, "updated", undefined],
+  ]);
+
+  const formatRes = await MovieBulkUpdateAbl.bulkUpdate({
+    userId, ids: [matrix.id, speed.id], changes: { format: "Digital" },
+  });
+  assert.deepEqual(formatRes.data.map(item => [item.id, item.outcome, item.reason]), [
+    [matrix.id, "updated", undefined],
+    [speed.id, "rejected", "movieOnLoan"],
+  ]);
+
+  const { data: movie } = await MovieGetAbl.get({ id: speed.id, userId });
+  assert.equal(movie.format, "VHS");
+});
+
+test("movie/bulkUpdate: filter selecting more movies than the ID limit returns tooManyMovies", async () => {
+  const { id: userId } = await createTestUser();
+  const content = Array.from({ length: MAX_BULK_IDS + 1 }, (_, i) => [
+    `Title: Movie ${i + 1}`,
+    "Release Year: 2000",
+    "Format: DVD",
+    "Stars: Keanu Reeves",
+    "",
+  ].join("\n")).join("\n");
+  await MovieImportAbl.import({ userId, file: { buffer: Buffer.from(content, "utf-8") } });
+
+  await assert.rejects(
+    () => MovieBulkUpdateAbl.bulkUpdate({ userId, filter: { actor: "keanu" }, changes: { format: "VHS" } }),
+    (err) => {
+      assert.equal(err.code, "tooManyMovies");
+      assert.equal(err.paramMap.movieCount, MAX_BULK_IDS + 1);
+      return true;
+    }
+  );
+
+  const res = await MovieBulkUpdateAbl.bulkUpdate({
+    userId, filter: { title: "Movie 1" }, changes: { format: "VHS" },
+  });
+  assert.equal(res.meta.updated, 111);
+});
@@ -25,6 +25,10 @@ test("movie/create: using factory with mocked DAO", async () => {
     listByTitleYearAndFormat: async (title, year, format) => {
       // Simulate no duplicates found
       return null;
+    },
+    listDuplicateCandidates: async () => {
+      // Simulate no possible duplicates found
+      return [];
     }
   };
 
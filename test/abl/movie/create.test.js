@@ -5,9 +5,13 @@ const assert = require("node:assert/strict");
 
 const { CreateAbl: MovieCreateAbl } = require("../../../app/abl/movie");
 const assertRejectsWith = require("../../helpers/assert-rejects-with");
+const createTestUser = require("../../helpers/test-user");
 
 test("movie/create: happy path returns created movie", async () => {
+  const { id: userId } = await createTestUser();
+
   const res = await MovieCreateAbl.create({
+    userId,
     title: "The Matrix",
     year: 1999,
     format: "DVD",
@@ -19,8 +23,34 @@ test("movie/create: happy path returns created movie", async () => {
   assert.equal(res.data?.title, "The Matrix");
 });
 
+test("movie/create: stores runtime, directors, synopsis, language, and country", async () => {
+  const { id: userId } = await createTestUser();
+
+  const res = await MovieCreateAbl.create({
+    userId,
+    title: "The Matrix",
+    year: 1999,
+    format: "DVD",
+    actors: ["Keanu Reeves"],
+    directors: ["Lilly Wachowski", "Lana Wachowski"],
+    runtime: 136,
+    synopsis: "A hacker learns the truth about his reality.",
+    language: "en",
+    country: "US",
+  });
+
+  assert.equal(res.data?.runtime, 136);
+  assert.equal(res.data?.synopsis, "A hacker learns the truth about his reality.");
+  assert.equal(res.data?.language, "en");
+  assert.equal(res.data?.country, "US");
+  assert.deepEqual(res.data?.directors.map((d) => d.name), ["Lana Wachowski", "Lilly Wachowski"]);
+});
+
 test("movie/create: duplicate (same title/year/format + same actors set) throws movieAlreadyExists (409)", async () => {
+  const { id: userId } = await createTestUser();
+
   await MovieCreateAbl.create({
+    userId,
     title: "А-тест",
     year: 2011,
     format: "Blu-Ray",
@@ -30,6 +60,7 @@ test("movie/create: duplicate (same title/year/format + same actors set) throws
   await assertRejectsWith(
     () =>
       MovieCreateAbl.create({
+        userId,
         title: "А-тест",
         year: 2011,
         format: "Blu-Ray",
@@ -41,7 +72,10 @@ test("movie/create: duplicate (same title/year/format + same actors set) throws
 });
 
 test("movie/create: not a duplicate when at least one field differs (format differs)", async () => {
+  const { id: userId } = await createTestUser();
+
   await MovieCreateAbl.create({
+    userId,
     title: "А-тест",
     year: 2011,
     format: "DVD",
@@ -49,6 +83,7 @@ test("movie/create: not a duplicate when at least one field differs (format diff
   });
 
   const res = await MovieCreateAbl.create({
+    userId,
     title: "А-тест",
     year: 2011,
     format: "Blu-Ray",
@@ -59,3 +94,68 @@ test("movie/create: not a duplicate when at least one field differs (format diff
   assert.ok(res.data?.id);
  });
 
+
+test("movie/create: same movie in another user's collection is not a duplicate", async () => {
+  const { id: otherUserId } = await createTestUser();
+  const { id: userId } = await createTestUser();
+
+  await MovieCreateAbl.create({
+    userId: otherUserId,
+    title: "The Matrix",
+    year: 1999,
+    format: "DVD",
+    actors: ["Keanu Reeves"],
+  });
+
+  const res = await MovieCreateAbl.create({
+    userId,
+    title: "The Matrix",
+    year: 1999,
+    format: "DVD",
+    actors: ["Keanu Reeves"],
+  });
+
+  assert.equal(res.status, 1);
+  assert.equal(res.data?.userId, userId);
+});
+
+test("movie/create: similar title and close year throws possibleDuplicatesFound (409) unless forced", async () => {
+  const { id: userId } = await createTestUser();
+
+  const existing = await MovieCreateAbl.create({
+    userId,
+    title: "The Matrix",
+    year: 1999,
+    format: "DVD",
+    actors: ["Keanu Reeves", "Carrie-Anne Moss"],
+  });
+
+  const movie = { userId, title: "Matrix, The", year: 2000, format: "DVD", actors: ["keanu reeves"] };
+
+  await assert.rejects(() => MovieCreateAbl.create(movie), (err) => {
+    assert.equal(err.code, "possibleDuplicatesFound");
+    assert.equal(err.statusCode, 409);
+    assert.deepEqual(err.paramMap.possibleDuplicates.map((m) => m.id), [existing.data.id]);
+    return true;
+  });
+
+  const res = await MovieCreateAbl.create({ ...movie, force: true });
+  assert.equal(res.status, 1);
+  assert.equal(res.data?.title, "Matrix, The");
+});
+
+test("movie/create: similar title in another format or a distant year is not a possible duplicate", async () => {
+  const { id: userId } = await createTestUser();
+
+  await MovieCreateAbl.create({ userId, title: "The Matrix", year: 1999, format: "DVD", actors: ["Keanu Reeves"] });
+
+  const otherFormat = await MovieCreateAbl.create({
+    userId, title: "Matrix", year: 1999, format: "Blu-Ray", actors: ["Keanu Reeves"],
+  });
+  const otherYear = await MovieCreateAbl.create({
+    userId, title: "Matrix", year: 2003, format: "DVD", actors: ["Keanu Reeves"],
+  });
+
+  assert.equal(otherFormat.status, 1);
+  assert.equal(otherYear.status, 1);
+});
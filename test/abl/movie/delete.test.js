@@ -7,10 +7,15 @@ const {
   CreateAbl: MovieCreateAbl,
   DeleteAbl: MovieDeleteAbl,
   GetAbl: MovieGetAbl,
+  UpdateAbl: MovieUpdateAbl,
 } = require("../../../app/abl/movie");
+const createTestUser = require("../../helpers/test-user");
 
 test("movie/delete: happy path deletes movie", async () => {
+  const { id: userId } = await createTestUser();
+
   const created = await MovieCreateAbl.create({
+    userId,
     title: "The Matrix",
     year: 1999,
     format: "DVD",
@@ -20,11 +25,11 @@ test("movie/delete: happy path deletes movie", async () => {
   const id = created.data?.id;
   assert.ok(id);
 
-  const deleted = await MovieDeleteAbl.delete({ id });
+  const deleted = await MovieDeleteAbl.delete({ id, userId });
   assert.equal(deleted.status, 1);
 
   await assert.rejects(
-    () => MovieGetAbl.get({ id }),
+    () => MovieGetAbl.get({ id, userId }),
     (err) => {
       assert.equal(err.code, "movieDoesNotExist");
       assert.equal(err.statusCode, 404);
@@ -34,8 +39,10 @@ test("movie/delete: happy path deletes movie", async () => {
 });
 
 test("movie/delete: non-existent id returns movieDoesNotExist (404)", async () => {
+  const { id: userId } = await createTestUser();
+
   await assert.rejects(
-    () => MovieDeleteAbl.delete({ id: 999999 }),
+    () => MovieDeleteAbl.delete({ id: 999999, userId }),
     (err) => {
       assert.equal(err.code, "movieDoesNotExist");
       assert.equal(err.statusCode, 404);
@@ -44,3 +51,24 @@ test("movie/delete: non-existent id returns movieDoesNotExist (404)", async () =
   );
 });
 
+
+test("movie/delete: stale expected version throws movieVersionMismatch and keeps the movie", async () => {
+  const { id: userId } = await createTestUser();
+  const { data: movie } = await MovieCreateAbl.create({
+    userId, title: "Speed", year: 1994, format: "VHS", actors: ["Sandra Bullock"],
+  });
+  await MovieUpdateAbl.update({ id: movie.id, userId, year: 1995 });
+
+  await assert.rejects(
+    () => MovieDeleteAbl.delete({ id: movie.id, userId, expectedVersions: [1] }),
+    (err) => {
+      assert.equal(err.code, "movieVersionMismatch");
+      assert.equal(err.statusCode, 412);
+      assert.equal(err.paramMap?.currentVersion, 2);
+      return true;
+    }
+  );
+
+  const deleted = await MovieDeleteAbl.delete({ id: movie.id, userId, expectedVersions: [2] });
+  assert.equal(deleted.status, 1);
+});
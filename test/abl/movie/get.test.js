@@ -3,10 +3,15 @@ require("../../helpers/test-db");
 const test = require("node:test");
 const assert = require("node:assert/strict");
 
-const { CreateAbl: MovieCreateAbl, GetAbl: MovieGetAbl } = require("../../../app/abl/movie");
+const { CreateAbl: MovieCreateAbl, GetAbl: MovieGetAbl, DeleteAbl: MovieDeleteAbl } = require("../../../app/abl/movie");
+const { CreateAbl: SeriesCreateAbl, SetMovieAbl: SeriesSetMovieAbl } = require("../../../app/abl/series");
+const createTestUser = require("../../helpers/test-user");
 
 test("movie/get: happy path returns movie by id", async () => {
+  const { id: userId } = await createTestUser();
+
   const created = await MovieCreateAbl.create({
+    userId,
     title: "The Matrix",
     year: 1999,
     format: "DVD",
@@ -16,15 +21,40 @@ test("movie/get: happy path returns movie by id", async () => {
   const id = created.data?.id;
   assert.ok(id);
 
-  const res = await MovieGetAbl.get({ id });
+  const res = await MovieGetAbl.get({ id, userId });
   assert.equal(res.status, 1);
   assert.equal(res.data?.id, id);
   assert.equal(res.data?.title, "The Matrix");
 });
 
 test("movie/get: non-existent id returns movieDoesNotExist (404)", async () => {
+  const { id: userId } = await createTestUser();
+
+  await assert.rejects(
+    () => MovieGetAbl.get({ id: 999999, userId }),
+    (err) => {
+      assert.equal(err.code, "movieDoesNotExist");
+      assert.equal(err.statusCode, 404);
+      return true;
+    }
+  );
+});
+
+
+test("movie/get: movie of another user returns movieDoesNotExist (404)", async () => {
+  const { id: ownerId } = await createTestUser();
+  const { id: otherUserId } = await createTestUser();
+
+  const created = await MovieCreateAbl.create({
+    userId: ownerId,
+    title: "The Matrix",
+    year: 1999,
+    format: "DVD",
+    actors: ["Keanu Reeves"],
+  });
+
   await assert.rejects(
-    () => MovieGetAbl.get({ id: 999999 }),
+    () => MovieGetAbl.get({ id: created.data?.id, userId: otherUserId }),
     (err) => {
       assert.equal(err.code, "movieDoesNotExist");
       assert.equal(err.statusCode, 404);
@@ -33,3 +63,57 @@ test("movie/get: non-existent id returns movieDoesNotExist (404)", async () => {
   );
 });
 
+test("movie/get: returns cast in billing order with characters", async () => {
+  const { id: userId } = await createTestUser();
+
+  const created = await MovieCreateAbl.create({
+    userId,
+    title: "The Matrix",
+    year: 1999,
+    format: "DVD",
+    actors: [
+      { name: "Keanu Reeves", character: "Neo" },
+      "Laurence Fishburne",
+      { name: "Carrie-Anne Moss", character: "Trinity" },
+    ],
+  });
+
+  const res = await MovieGetAbl.get({ id: created.data?.id, userId });
+
+  assert.deepEqual(
+    res.data?.actors.map(({ name, character, billingOrder }) => ({ name, character, billingOrder })),
+    [
+      { name: "Keanu Reeves", character: "Neo", billingOrder: 1 },
+      { name: "Laurence Fishburne", character: null, billingOrder: 2 },
+      { name: "Carrie-Anne Moss", character: "Trinity", billingOrder: 3 },
+    ]
+  );
+});
+
+test("movie/get: includes the series context with the previous and next movies, skipping the trash", async () => {
+  const { id: userId } = await createTestUser();
+  const series = await SeriesCreateAbl.create({ userId, name: "The Matrix" });
+
+  const ids = [];
+  for (const [position, title, year] of [[1, "The Matrix", 1999], [2, "The Matrix Reloaded", 2003],
+    [3, "The Matrix Revolutions", 2003], [4, "The Matrix Resurrections", 2021]]) {
+    const created = await MovieCreateAbl.create({ userId, title, year, format: "DVD", actors: ["Keanu Reeves"] });
+    await SeriesSetMovieAbl.setMovie({ userId, id: series.data.id, movieId: created.data.id, position });
+    ids.push(created.data.id);
+  }
+  await MovieDeleteAbl.delete({ id: ids[2], userId });
+
+  const res = await MovieGetAbl.get({ id: ids[1], userId });
+  assert.equal(res.data.series?.id, series.data.id);
+  assert.equal(res.data.series?.name, "The Matrix");
+  assert.equal(res.data.series?.position, 2);
+  assert.equal(res.data.series?.previous?.title, "The Matrix");
+  assert.equal(res.data.series?.next?.title, "The Matrix Resurrections");
+
+  const first = await MovieGetAbl.get({ id: ids[0], userId });
+  assert.equal(first.data.series?.previous, null);
+
+  const standalone = await MovieCreateAbl.create({ userId, title: "Speed", year: 1994, format: "VHS", actors: ["Keanu Reeves"] });
+  const other = await MovieGetAbl.get({ id: standalone.data.id, userId });
+  assert.equal(other.data.series, null);
+});
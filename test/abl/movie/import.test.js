@@ -3,9 +3,14 @@ require("../../helpers/test-db");
 const test = require("node:test");
 const assert = require("node:assert/strict");
 
-const { ImportAbl: MovieImportAbl } = require("../../../app/abl/movie");
+const {
+  ImportAbl: MovieImportAbl, GetAbl: MovieGetAbl, CreateAbl: MovieCreateAbl
+} = require("../../../app/abl/movie");
+const createTestUser = require("../../helpers/test-user");
 
 test("movie/import: happy path imports one movie", async () => {
+  const { id: userId } = await createTestUser();
+
   const content = [
     "Title: The Matrix",
     "Release Year: 1999",
@@ -15,6 +20,7 @@ test("movie/import: happy path imports one movie", async () => {
   ].join("\n");
 
   const res = await MovieImportAbl.import({
+    userId,
     file: { buffer: Buffer.from(content, "utf-8") },
   });
 
@@ -23,7 +29,166 @@ test("movie/import: happy path imports one movie", async () => {
   assert.ok(Array.isArray(res.data));
 });
 
+test("movie/import: stars keep billing order and optional characters", async () => {
+  const { id: userId } = await createTestUser();
+
+  const content = [
+    "Title: The Matrix",
+    "Release Year: 1999",
+    "Format: DVD",
+    "Stars: Keanu Reeves (Neo), Laurence Fishburne, Carrie-Anne Moss (Trinity)",
+    "",
+  ].join("\n");
+
+  const res = await MovieImportAbl.import({
+    userId,
+    file: { buffer: Buffer.from(content, "utf-8") },
+  });
+  const movie = await MovieGetAbl.get({ id: res.data[0]?.id, userId });
+
+  assert.deepEqual(
+    movie.data?.actors.map(({ name, character, billingOrder }) => ({ name, character, billingOrder })),
+    [
+      { name: "Keanu Reeves", character: "Neo", billingOrder: 1 },
+      { name: "Laurence Fishburne", character: null, billingOrder: 2 },
+      { name: "Carrie-Anne Moss", character: "Trinity", billingOrder: 3 },
+    ]
+  );
+});
+
+test("movie/import: optional Genre line links genres", async () => {
+  const { id: userId } = await createTestUser();
+
+  const content = [
+    "Title: The Matrix",
+    "Release Year: 1999",
+    "Format: DVD",
+    "Stars: Keanu Reeves",
+    "Genre: Sci-Fi, Action",
+    "",
+  ].join("\n");
+
+  const res = await MovieImportAbl.import({
+    userId,
+    file: { buffer: Buffer.from(content, "utf-8") },
+  });
+  const movie = await MovieGetAbl.get({ id: res.data[0]?.id, userId });
+
+  assert.deepEqual(movie.data?.genres.map((g) => g.name), ["Action", "Sci-Fi"]);
+});
+
+test("movie/import: optional Director, Runtime, Synopsis, Language, and Country lines are stored", async () => {
+  const { id: userId } = await createTestUser();
+
+  const content = [
+    "Title: The Matrix",
+    "Release Year: 1999",
+    "Format: DVD",
+    "Stars: Keanu Reeves",
+    "Director: Lana Wachowski, Lilly Wachowski",
+    "Runtime: 136",
+    "Synopsis: A hacker learns the truth about his reality.",
+    "Language: EN",
+    "Country: us",
+    "",
+  ].join("\n");
+
+  const res = await MovieImportAbl.import({
+    userId,
+    file: { buffer: Buffer.from(content, "utf-8") },
+  });
+  const movie = await MovieGetAbl.get({ id: res.data[0]?.id, userId });
+
+  assert.deepEqual(movie.data?.directors.map((d) => d.name), ["Lana Wachowski", "Lilly Wachowski"]);
+  assert.equal(movie.data?.runtime, 136);
+  assert.equal(movie.data?.synopsis, "A hacker learns the truth about his reality.");
+  assert.equal(movie.data?.language, "en");
+  assert.equal(movie.data?.country, "US");
+});
+
+test("movie/import: possible duplicates are imported with a warning, exact duplicates are skipped", async () => {
+  const { id: userId } = await createTestUser();
+
+  const existing = await MovieCreateAbl.create({
+    userId, title: "The Matrix", year: 1999, format: "DVD", actors: ["Keanu Reeves"],
+  });
+
+  const content = [
+    "Title: Matrix, The",
+    "Release Year: 1999",
+    "Format: DVD",
+    "Stars: Keanu Reeves",
+    "",
+    "Title: The Matrix",
+    "Release Year: 1999",
+    "Format: DVD",
+    "Stars: Keanu Reeves",
+    "",
+    "Title: Heat",
+    "Release Year: 1995",
+    "Format: DVD",
+    "Stars: Al Pacino",
+    "",
+  ].join("\n");
+
+  const res = await MovieImportAbl.import({
+    userId,
+    file: { buffer: Buffer.from(content, "utf-8") },
+  });
+
+  assert.equal(res.meta.imported, 2);
+  assert.equal(res.meta.duplicates, 1);
+  assert.equal(res.meta.warnings.length, 1);
+  assert.equal(res.meta.warnings[0].code, "possibleDuplicates");
+  assert.equal(res.meta.warnings[0].title, "Matrix, The");
+  assert.deepEqual(res.meta.warnings[0].possibleDuplicates.map((m) => m.id), [existing.data.id]);
+});
+
+test("movie/import: invalid runtime throws invalidInputData", async () => {
+  const { id: userId } = await createTestUser();
+
+  const content = [
+    "Title: The Matrix",
+    "Release Year: 1999",
+    "Format: DVD",
+    "Stars: Keanu Reeves",
+    "Runtime: 2h 16m",
+    "",
+  ].join("\n");
+
+  await assert.rejects(
+    () => MovieImportAbl.import({ userId, file: { buffer: Buffer.from(content, "utf-8") } }),
+    (err) => {
+      assert.equal(err.code, "invalidInputData");
+      return true;
+    }
+  );
+});
+
+test("movie/import: unknown language code throws invalidFileContent", async () => {
+  const { id: userId } = await createTestUser();
+
+  const content = [
+    "Title: The Matrix",
+    "Release Year: 1999",
+    "Format: DVD",
+    "Stars: Keanu Reeves",
+    "Language: English",
+    "",
+  ].join("\n");
+
+  await assert.rejects(
+    () => MovieImportAbl.import({ userId, file: { buffer: Buffer.from(content, "utf-8") } }),
+    (err) => {
+      assert.equal(err.code, "invalidFileContent");
+      return true;
+    }
+  );
+});
+
 test("movie/import: missing required fields throws moviesMissingRequiredFields", async () => {
+  const { id: userId } = await createTestUser();
+
   const content = [
     "Title: The Matrix",
     "Release Year: 1999",
@@ -33,7 +198,7 @@ test("movie/import: missing required fields throws moviesMissingRequiredFields",
   ].join("\n");
 
   await assert.rejects(
-    () => MovieImportAbl.import({ file: { buffer: Buffer.from(content, "utf-8") } }),
+    () => MovieImportAbl.import({ userId, file: { buffer: Buffer.from(content, "utf-8") } }),
     (err) => {
       assert.equal(err.code, "moviesMissingRequiredFields");
       return true;
@@ -42,6 +207,8 @@ test("movie/import: missing required fields throws moviesMissingRequiredFields",
 });
 
 test("movie/import: wrong number of fields throws invalidFileContent", async () => {
+  const { id: userId } = await createTestUser();
+
   const content = [
     "Title: The Matrix",
     "Release Year: 1999",
@@ -51,7 +218,7 @@ test("movie/import: wrong number of fields throws invalidFileContent", async ()
   ].join("\n");
 
   await assert.rejects(
-    () => MovieImportAbl.import({ file: { buffer: Buffer.from(content, "utf-8") } }),
+    () => MovieImportAbl.import({ userId, file: { buffer: Buffer.from(content, "utf-8") } }),
     (err) => {
       assert.equal(err.code, "invalidFileContent");
       return true;
@@ -60,6 +227,8 @@ test("movie/import: wrong number of fields throws invalidFileContent", async ()
 });
 
 test("movie/import: invalid year throws invalidInputData", async () => {
+  const { id: userId } = await createTestUser();
+
   const content = [
     "Title: The Matrix",
     "Release Year: 1500",
@@ -69,7 +238,7 @@ test("movie/import: invalid year throws invalidInputData", async () => {
   ].join("\n");
 
   await assert.rejects(
-    () => MovieImportAbl.import({ file: { buffer: Buffer.from(content, "utf-8") } }),
+    () => MovieImportAbl.import({ userId, file: { buffer: Buffer.from(content, "utf-8") } }),
     (err) => {
       assert.equal(err.code, "invalidInputData");
       return true;
@@ -78,6 +247,8 @@ test("movie/import: invalid year throws invalidInputData", async () => {
 });
 
 test("movie/import: invalid format throws invalidFileContent", async () => {
+  const { id: userId } = await createTestUser();
+
   const content = [
     "Title: The Matrix",
     "Release Year: 1999",
@@ -87,7 +258,7 @@ test("movie/import: invalid format throws invalidFileContent", async () => {
   ].join("\n");
 
   await assert.rejects(
-    () => MovieImportAbl.import({ file: { buffer: Buffer.from(content, "utf-8") } }),
+    () => MovieImportAbl.import({ userId, file: { buffer: Buffer.from(content, "utf-8") } }),
     (err) => {
       assert.equal(err.code, "invalidFileContent");
       return true;
@@ -96,6 +267,8 @@ test("movie/import: invalid format throws invalidFileContent", async () => {
 });
 
 test("movie/import: empty stars throws invalidFileContent", async () => {
+  const { id: userId } = await createTestUser();
+
   const content = [
     "Title: The Matrix",
     "Release Year: 1999",
@@ -105,7 +278,7 @@ test("movie/import: empty stars throws invalidFileContent", async () => {
   ].join("\n");
 
   await assert.rejects(
-    () => MovieImportAbl.import({ file: { buffer: Buffer.from(content, "utf-8") } }),
+    () => MovieImportAbl.import({ userId, file: { buffer: Buffer.from(content, "utf-8") } }),
     (err) => {
       assert.equal(err.code, "invalidFileContent");
       return true;
@@ -114,6 +287,8 @@ test("movie/import: empty stars throws invalidFileContent", async () => {
 });
 
 test("movie/import: actor contains invalid characters throws invalidFileContent", async () => {
+  const { id: userId } = await createTestUser();
+
   const content = [
     "Title: The Matrix",
     "Release Year: 1999",
@@ -123,7 +298,7 @@ test("movie/import: actor contains invalid characters throws invalidFileContent"
   ].join("\n");
 
   await assert.rejects(
-    () => MovieImportAbl.import({ file: { buffer: Buffer.from(content, "utf-8") } }),
+    () => MovieImportAbl.import({ userId, file: { buffer: Buffer.from(content, "utf-8") } }),
     (err) => {
       assert.equal(err.code, "invalidFileContent");
       return true;
@@ -132,6 +307,8 @@ test("movie/import: actor contains invalid characters throws invalidFileContent"
 });
 
 test("movie/import: actor name too long throws invalidFileContent", async () => {
+  const { id: userId } = await createTestUser();
+
   const longName = "A".repeat(256);
   const content = [
     "Title: The Matrix",
@@ -142,7 +319,7 @@ test("movie/import: actor name too long throws invalidFileContent", async () =>
   ].join("\n");
 
   await assert.rejects(
-    () => MovieImportAbl.import({ file: { buffer: Buffer.from(content, "utf-8") } }),
+    () => MovieImportAbl.import({ userId, file: { buffer: Buffer.from(content, "utf-8") } }),
     (err) => {
       assert.equal(err.code, "invalidFileContent");
       return true;
@@ -151,6 +328,8 @@ test("movie/import: actor name too long throws invalidFileContent", async () =>
 });
 
 test("movie/import: empty title throws invalidFileContent", async () => {
+  const { id: userId } = await createTestUser();
+
   const content = [
     "Title:   ",
     "Release Year: 1999",
@@ -160,7 +339,7 @@ test("movie/import: empty title throws invalidFileContent", async () => {
   ].join("\n");
 
   await assert.rejects(
-    () => MovieImportAbl.import({ file: { buffer: Buffer.from(content, "utf-8") } }),
+    () => MovieImportAbl.import({ userId, file: { buffer: Buffer.from(content, "utf-8") } }),
     (err) => {
       assert.equal(err.code, "invalidFileContent");
       return true;
@@ -169,6 +348,8 @@ test("movie/import: empty title throws invalidFileContent", async () => {
 });
 
 test("movie/import: title too long throws invalidFileContent", async () => {
+  const { id: userId } = await createTestUser();
+
   const longTitle = "T".repeat(256);
   const content = [
     `Title: ${longTitle}`,
@@ -179,7 +360,7 @@ test("movie/import: title too long throws invalidFileContent", async () => {
   ].join("\n");
 
   await assert.rejects(
-    () => MovieImportAbl.import({ file: { buffer: Buffer.from(content, "utf-8") } }),
+    () => MovieImportAbl.import({ userId, file: { buffer: Buffer.from(content, "utf-8") } }),
     (err) => {
       assert.equal(err.code, "invalidFileContent");
       return true;
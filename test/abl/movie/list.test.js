@@ -1,24 +1,37 @@
-require("../../helpers/test-db");
+const { sequelize } = require("../../helpers/test-db");
 
 const test = require("node:test");
 const assert = require("node:assert/strict");
 
-const { CreateAbl: MovieCreateAbl, ListAbl: MovieListAbl } = require("../../../app/abl/movie");
-
-async function seedMovies() {
+const {
+  CreateAbl: MovieCreateAbl, ListAbl: MovieListAbl, UpdateAbl: MovieUpdateAbl, DeleteAbl: MovieDeleteAbl,
+  PurgeTrashAbl: MoviePurgeTrashAbl
+} = require("../../../app/abl/movie");
+const { UpdateAbl: ActorUpdateAbl } = require("../../../app/abl/actor");
+const { MovieModel } = require("../../../app/models");
+const { CreateAbl: ReviewCreateAbl } = require("../../../app/abl/review");
+const { CreateAbl: ViewCreateAbl } = require("../../../app/abl/view");
+const { CreateAbl: SeriesCreateAbl, SetMovieAbl: SeriesSetMovieAbl } = require("../../../app/abl/series");
+const assertRejectsWith = require("../../helpers/assert-rejects-with");
+const createTestUser = require("../../helpers/test-user");
+
+async function seedMovies(userId) {
   const m1 = await MovieCreateAbl.create({
+    userId,
     title: "The Matrix",
     year: 1999,
     format: "DVD",
     actors: ["Keanu Reeves", "Carrie-Anne Moss"],
   });
   const m2 = await MovieCreateAbl.create({
+    userId,
     title: "John Wick",
     year: 2014,
     format: "Blu-Ray",
     actors: ["Keanu Reeves"],
   });
   const m3 = await MovieCreateAbl.create({
+    userId,
     title: "Speed",
     year: 1994,
     format: "VHS",
@@ -29,29 +42,36 @@ async function seedMovies() {
 }
 
 test("movie/list: returns created items + meta.total", async () => {
+  const { id: userId } = await createTestUser();
+
   await MovieCreateAbl.create({
+    userId,
     title: "The Matrix",
     year: 1999,
     format: "DVD",
     actors: ["Keanu Reeves"],
   });
   await MovieCreateAbl.create({
+    userId,
     title: "John Wick",
     year: 2014,
     format: "Blu-Ray",
     actors: ["Keanu Reeves"],
   });
 
-  const res = await MovieListAbl.list({ limit: 10, offset: 0, sort: "id", order: "ASC" });
+  const res = await MovieListAbl.list({ userId, limit: 10, offset: 0, sort: "id", order: "ASC" });
   assert.equal(res.status, 1);
   assert.ok(Array.isArray(res.data));
   assert.equal(res.meta?.total, 2);
 });
 
 test("movie/list: actor filter returns only matching movies", async () => {
-  await seedMovies();
+  const { id: userId } = await createTestUser();
+
+  await seedMovies(userId);
 
   const res = await MovieListAbl.list({
+    userId,
     limit: 10,
     offset: 0,
     sort: "id",
@@ -65,12 +85,16 @@ test("movie/list: actor filter returns only matching movies", async () => {
     res.data.map((m) => m.title),
     ["The Matrix", "John Wick"]
   );
+  assert.deepEqual(res.data[0].actors.map((a) => a.name), ["Keanu Reeves", "Carrie-Anne Moss"]);
 });
 
 test("movie/list: title filter matches movie title (case-insensitive)", async () => {
-  await seedMovies();
+  const { id: userId } = await createTestUser();
+
+  await seedMovies(userId);
 
   const res = await MovieListAbl.list({
+    userId,
     limit: 10,
     offset: 0,
     sort: "id",
@@ -84,9 +108,12 @@ test("movie/list: title filter matches movie title (case-insensitive)", async ()
 });
 
 test("movie/list: search matches by actor name too", async () => {
-  await seedMovies();
+  const { id: userId } = await createTestUser();
+
+  await seedMovies(userId);
 
   const res = await MovieListAbl.list({
+    userId,
     limit: 10,
     offset: 0,
     sort: "id",
@@ -99,10 +126,66 @@ test("movie/list: search matches by actor name too", async () => {
   assert.equal(res.data[0]?.title, "Speed");
 });
 
+test("movie/list: search matches word prefixes of every word across title and cast", async () => {
+  const { id: userId } = await createTestUser();
+
+  await seedMovies(userId);
+
+  const search = (term) => MovieListAbl.list({ userId, sort: "id", order: "ASC", search: term });
+
+  assert.deepEqual((await search("mat")).data.map((m) => m.title), ["The Matrix"]);
+  assert.deepEqual((await search("kea")).data.map((m) => m.title), ["The Matrix", "John Wick"]);
+  assert.deepEqual((await search("wick keanu")).data.map((m) => m.title), ["John Wick"]);
+  assert.deepEqual((await search("matrix sandra")).data, []);
+  assert.deepEqual((await search("atrix")).data, []);
+  assert.deepEqual((await search("*")).data, []);
+});
+
+test("movie/list: sort=relevance ranks title matches above cast matches", async () => {
+  const { id: userId } = await createTestUser();
+
+  await MovieCreateAbl.create({ userId, title: "Heat", year: 1995, format: "DVD", actors: ["Robert De Niro"] });
+  await MovieCreateAbl.create({ userId, title: "Bobby", year: 2006, format: "DVD", actors: ["Anthony Hopkins"] });
+  await MovieCreateAbl.create({ userId, title: "Robert the Bruce", year: 2019, format: "DVD", actors: ["Angus Macfadyen"] });
+
+  const res = await MovieListAbl.list({ userId, sort: "relevance", search: "robert" });
+
+  assert.equal(res.meta?.total, 2);
+  assert.deepEqual(res.data.map((m) => m.title), ["Robert the Bruce", "Heat"]);
+});
+
+test("movie/list: search index follows title changes, actor renames, and deletions", async () => {
+  const { id: userId } = await createTestUser();
+  const created = await MovieCreateAbl.create({
+    userId, title: "Heat", year: 1995, format: "DVD", actors: ["Al Pacino"],
+  });
+  const search = async (term) => (await MovieListAbl.list({ userId, search: term, includeTrashed: true })).meta.total;
+
+  await MovieUpdateAbl.update({
+    id: created.data.id, userId, operations: [{ op: "replace", path: "/title", value: "Heat Wave" }],
+  });
+  assert.equal(await search("wave"), 1);
+
+  await ActorUpdateAbl.update({ id: created.data.actors[0].id, userId, name: "Robert De Niro" });
+  assert.equal(await search("niro"), 1);
+  assert.equal(await search("pacino"), 0);
+
+  await MovieDeleteAbl.delete({ id: created.data.id, userId });
+  assert.equal(await search("heat"), 1);
+
+  await MovieModel.update({ deletedAt: new Date(0) }, { where: { id: created.data.id }, paranoid: false });
+  await MoviePurgeTrashAbl.purgeTrash({ userId });
+  const [indexRows] = await sequelize.query("SELECT rowid FROM movie_search");
+  assert.deepEqual(indexRows, []);
+});
+
 test("movie/list: order by year DESC works", async () => {
-  await seedMovies();
+  const { id: userId } = await createTestUser();
+
+  await seedMovies(userId);
 
   const res = await MovieListAbl.list({
+    userId,
     limit: 10,
     offset: 0,
     sort: "year",
@@ -117,19 +200,24 @@ test("movie/list: order by year DESC works", async () => {
 });
 
 test("movie/list: sort by title ASC is case-insensitive + trims", async () => {
+  const { id: userId } = await createTestUser();
+
   await MovieCreateAbl.create({
+    userId,
     title: "  zebra",
     year: 2001,
     format: "DVD",
     actors: ["A"],
   });
   await MovieCreateAbl.create({
+    userId,
     title: "Alpha",
     year: 2002,
     format: "DVD",
     actors: ["A"],
   });
   await MovieCreateAbl.create({
+    userId,
     title: "beta",
     year: 2003,
     format: "DVD",
@@ -137,6 +225,7 @@ test("movie/list: sort by title ASC is case-insensitive + trims", async () => {
   });
 
   const res = await MovieListAbl.list({
+    userId,
     limit: 10,
     offset: 0,
     sort: "title",
@@ -150,10 +239,32 @@ test("movie/list: sort by title ASC is case-insensitive + trims", async () => {
   );
 });
 
+test("movie/list: title sort keys that are missing or outdated are recomputed on sync, also in the trash", async () => {
+  const { id: userId } = await createTestUser();
+  const titles = ["Alpha", "beta", "Gamma", "zebra"];
+  const ids = [];
+  for (const title of titles) {
+    ids.push((await MovieCreateAbl.create({ userId, title, year: 2001, format: "DVD", actors: ["A"] })).data.id);
+  }
+  await MovieDeleteAbl.delete({ id: ids[2], userId });
+
+  await MovieModel.update({ titleSortKey: "\u{10FFFF}", titleSortKeyVersion: null }, { where: { id: ids[0] } });
+  await MovieModel.update({ titleSortKey: "", titleSortKeyVersion: 0 }, { where: { id: ids[1] }, paranoid: false });
+  await MovieModel.update({ titleSortKey: "!", titleSortKeyVersion: 0 }, { where: { id: ids[2] }, paranoid: false });
+  await MovieModel.sync();
+
+  const res = await MovieListAbl.list({ userId, sort: "title", includeTrashed: true });
+  assert.deepEqual(res.data.map((m) => m.title), titles);
+  assert.equal(res.data[0].titleSortKeyVersion, undefined);
+});
+
 test("movie/list: pagination limit/offset works (id ASC)", async () => {
-  const { m1, m2, m3 } = await seedMovies();
+  const { id: userId } = await createTestUser();
+
+  const { m1, m2, m3 } = await seedMovies(userId);
 
   const res = await MovieListAbl.list({
+    userId,
     limit: 1,
     offset: 1,
     sort: "id",
@@ -167,19 +278,108 @@ test("movie/list: pagination limit/offset works (id ASC)", async () => {
   assert.ok(m1.data?.id < m2.data?.id && m2.data?.id < m3.data?.id);
 });
 
+test("movie/list: sort by title pages in SQL in collation order, by offset or by cursor", async () => {
+  const { id: userId } = await createTestUser();
+  const titles = [
+    "Alien 10", "alien 2", "Éclair", "eclair", "Zorro", "Їжак", "Іван", "Ґудзик", "Straße", "Strasse", "Œuvre", "Ovum",
+  ];
+
+  for (const title of titles) {
+    await MovieCreateAbl.create({ userId, title, year: 2000, format: "DVD", actors: ["A"], force: true });
+  }
+
+  const collator = new Intl.Collator("und", { sensitivity: "variant", caseFirst: "upper", numeric: true });
+  const expected = [...titles].sort(collator.compare).reverse();
+
+  const pageList = [];
+  let cursor;
+  do {
+    const res = await MovieListAbl.list({ userId, sort: "title", order: "DESC", limit: 5, cursor });
+    pageList.push(res.data.map((m) => m.title));
+    cursor = res.meta.nextCursor;
+  } while (cursor);
+
+  assert.deepEqual(pageList.map((page) => page.length), [5, 5, 2]);
+  assert.deepEqual(pageList.flat(), expected);
+
+  const res = await MovieListAbl.list({ userId, sort: "title", order: "DESC", limit: 5, offset: 5 });
+  assert.deepEqual(res.data.map((m) => m.title), pageList[1]);
+  assert.equal(res.data[0].titleSortKey, undefined);
+});
+
+test("movie/list: cursor pages through ties and unrated movies", async () => {
+  const { id: userId } = await createTestUser();
+  const { m1, m2, m3 } = await seedMovies(userId);
+  const m4 = await MovieCreateAbl.create({ userId, title: "Heat", year: 1995, format: "DVD", actors: ["Al Pacino"] });
+
+  await ReviewCreateAbl.create({ movieId: m1.data.id, userId, rating: 8 });
+  await ReviewCreateAbl.create({ movieId: m3.data.id, userId, rating: 8 });
+
+  const idList = [];
+  let cursor;
+  do {
+    const res = await MovieListAbl.list({ userId, sort: "rating", order: "DESC", limit: 1, cursor });
+    idList.push(...res.data.map((m) => m.id));
+    cursor = res.meta.nextCursor;
+  } while (cursor);
+
+  assert.deepEqual(idList, [m1.data.id, m3.data.id, m2.data.id, m4.data.id]);
+});
+
+test("movie/list: rejects cursors that are malformed or issued for another sort", async () => {
+  const { id: userId } = await createTestUser();
+  await seedMovies(userId);
+
+  const { meta } = await MovieListAbl.list({ userId, sort: "title", limit: 1 });
+
+  await assertRejectsWith(
+    () => MovieListAbl.list({ userId, sort: "year", limit: 1, cursor: meta.nextCursor }),
+    { code: "invalidCursor", statusCode: 400 }
+  );
+  await assertRejectsWith(
+    () => MovieListAbl.list({ userId, sort: "title", limit: 1, cursor: "not-a-cursor" }),
+    { code: "invalidCursor", statusCode: 400 }
+  );
+});
+
+test("movie/list: facets count the filtered movies by format, decade, and actor", async () => {
+  const { id: userId } = await createTestUser();
+  await seedMovies(userId);
+  await MovieCreateAbl.create({
+    userId, title: "Constantine", year: 2005, format: "DVD", actors: ["Keanu Reeves", "Rachel Weisz"],
+  });
+
+  const res = await MovieListAbl.list({ userId, actor: "keanu", limit: 1, facets: ["format", "decade", "actor"] });
+
+  assert.equal(res.meta.total, 3);
+  assert.deepEqual(res.meta.facets.format, [{ value: "DVD", count: 2 }, { value: "Blu-Ray", count: 1 }]);
+  assert.deepEqual(res.meta.facets.decade, [{ value: 1990, count: 1 }, { value: 2000, count: 1 }, { value: 2010, count: 1 }]);
+  assert.deepEqual(res.meta.facets.actor.map(({ value, count }) => [value, count]), [
+    ["Keanu Reeves", 3], ["Carrie-Anne Moss", 1], ["Rachel Weisz", 1],
+  ]);
+
+  const plain = await MovieListAbl.list({ userId });
+  assert.equal(plain.meta.facets, undefined);
+});
+
 test("movie/list: sort by title ASC works with Ukrainian characters", async () => {
+  const { id: userId } = await createTestUser();
+
   const titles = ["А-тест", "а-тест", "Б-тест", "б-тест", "Ґ-тест", "ґ-тест", "Я-тест", "я-тест"];
 
   for (const title of titles) {
     await MovieCreateAbl.create({
+      userId,
       title,
       year: 2011,
       format: "DVD",
       actors: ["Актор"],
+      force: true,
     });
   }
 
   const res = await MovieListAbl.list({
+    userId,
     limit: 50,
     offset: 0,
     sort: "title",
@@ -205,26 +405,35 @@ test("movie/list: sort by title ASC works with Ukrainian characters", async () =
 });
 
 test("movie/list: Ukrainian title filter is case-insensitive (matches А/а)", async () => {
+  const { id: userId } = await createTestUser();
+
   await MovieCreateAbl.create({
+    userId,
     title: "А-тест",
     year: 2011,
     format: "DVD",
     actors: ["Актор"],
+    force: true,
   });
   await MovieCreateAbl.create({
+    userId,
     title: "а-тест",
     year: 2011,
     format: "DVD",
     actors: ["Актор"],
+    force: true,
   });
   await MovieCreateAbl.create({
+    userId,
     title: "Б-тест",
     year: 2011,
     format: "DVD",
     actors: ["Актор"],
+    force: true,
   });
 
   const res = await MovieListAbl.list({
+    userId,
     limit: 10,
     offset: 0,
     sort: "id",
@@ -238,13 +447,17 @@ test("movie/list: Ukrainian title filter is case-insensitive (matches А/а)", a
 });
 
 test("movie/list: Ukrainian actor filter is case-insensitive", async () => {
+  const { id: userId } = await createTestUser();
+
   await MovieCreateAbl.create({
+    userId,
     title: "Фільм 1",
     year: 2011,
     format: "DVD",
     actors: ["Іван Петренко"],
   });
   await MovieCreateAbl.create({
+    userId,
     title: "Фільм 2",
     year: 2011,
     format: "DVD",
@@ -252,6 +465,7 @@ test("movie/list: Ukrainian actor filter is case-insensitive", async () => {
   });
 
   const res = await MovieListAbl.list({
+    userId,
     limit: 10,
     offset: 0,
     sort: "id",
@@ -264,13 +478,17 @@ test("movie/list: Ukrainian actor filter is case-insensitive", async () => {
 });
 
 test("movie/list: Ukrainian search matches by actor name too", async () => {
+  const { id: userId } = await createTestUser();
+
   await MovieCreateAbl.create({
+    userId,
     title: "Не містить ключового слова",
     year: 2011,
     format: "DVD",
     actors: ["Іван Петренко"],
   });
   await MovieCreateAbl.create({
+    userId,
     title: "Інший фільм",
     year: 2011,
     format: "DVD",
@@ -278,6 +496,7 @@ test("movie/list: Ukrainian search matches by actor name too", async () => {
   });
 
   const res = await MovieListAbl.list({
+    userId,
     limit: 10,
     offset: 0,
     sort: "id",
@@ -290,3 +509,190 @@ test("movie/list: Ukrainian search matches by actor name too", async () => {
   assert.equal(res.data[0]?.title, "Не містить ключового слова");
 });
 
+
+test("movie/list: returns only movies of the requesting user", async () => {
+  const { id: userId } = await createTestUser();
+  const { id: otherUserId } = await createTestUser();
+
+  await seedMovies(userId);
+  await MovieCreateAbl.create({
+    userId: otherUserId,
+    title: "The Matrix Reloaded",
+    year: 2003,
+    format: "DVD",
+    actors: ["Keanu Reeves"],
+  });
+
+  const res = await MovieListAbl.list({
+    userId: otherUserId,
+    limit: 10,
+    offset: 0,
+    sort: "id",
+    order: "ASC",
+    search: "keanu",
+  });
+
+  assert.equal(res.status, 1);
+  assert.equal(res.meta?.total, 1);
+  assert.equal(res.data[0]?.title, "The Matrix Reloaded");
+});
+
+test("movie/list: genre filter matches any of the genres by default", async () => {
+  const { id: userId } = await createTestUser();
+
+  await MovieCreateAbl.create({
+    userId, title: "The Matrix", year: 1999, format: "DVD", actors: ["Keanu Reeves"], genres: ["Sci-Fi", "Action"],
+  });
+  await MovieCreateAbl.create({
+    userId, title: "John Wick", year: 2014, format: "Blu-Ray", actors: ["Keanu Reeves"], genres: ["Action"],
+  });
+  await MovieCreateAbl.create({
+    userId, title: "Speed", year: 1994, format: "VHS", actors: ["Sandra Bullock"], genres: ["Thriller"],
+  });
+
+  const res = await MovieListAbl.list({ userId, genre: ["sci-fi", "Thriller"], sort: "id", order: "ASC" });
+
+  assert.equal(res.meta?.total, 2);
+  assert.deepEqual(res.data.map((m) => m.title), ["The Matrix", "Speed"]);
+});
+
+test("movie/list: genreMatch=all requires every genre", async () => {
+  const { id: userId } = await createTestUser();
+
+  await MovieCreateAbl.create({
+    userId, title: "The Matrix", year: 1999, format: "DVD", actors: ["Keanu Reeves"], genres: ["Sci-Fi", "Action"],
+  });
+  await MovieCreateAbl.create({
+    userId, title: "John Wick", year: 2014, format: "Blu-Ray", actors: ["Keanu Reeves"], genres: ["Action"],
+  });
+
+  const res = await MovieListAbl.list({ userId, genre: ["Action", "Sci-Fi"], genreMatch: "all" });
+
+  assert.equal(res.meta?.total, 1);
+  assert.equal(res.data[0]?.title, "The Matrix");
+  assert.deepEqual(res.data[0]?.genres.map((g) => g.name), ["Action", "Sci-Fi"]);
+});
+
+test("movie/list: year range and format list narrow the list", async () => {
+  const { id: userId } = await createTestUser();
+
+  await seedMovies(userId);
+
+  const byYear = await MovieListAbl.list({ userId, yearFrom: 1995, yearTo: 2014 });
+  const byFormat = await MovieListAbl.list({ userId, format: ["VHS", "Blu-Ray"] });
+  const combined = await MovieListAbl.list({ userId, yearTo: 1999, format: ["VHS", "DVD"], title: "matrix" });
+
+  assert.deepEqual(byYear.data.map((m) => m.title), ["John Wick", "The Matrix"]);
+  assert.deepEqual(byFormat.data.map((m) => m.title), ["John Wick", "Speed"]);
+  assert.deepEqual(combined.data.map((m) => m.title), ["The Matrix"]);
+});
+
+test("movie/list: actors filter matches any or all of the actors and keeps the whole cast", async () => {
+  const { id: userId } = await createTestUser();
+
+  await seedMovies(userId);
+
+  const any = await MovieListAbl.list({ userId, actors: ["carrie-anne moss", "Sandra Bullock"] });
+  const all = await MovieListAbl.list({ userId, actors: ["Keanu Reeves", "Carrie-Anne Moss"], actorMatch: "all" });
+  const withTitle = await MovieListAbl.list({ userId, actors: ["Keanu Reeves"], title: "wick" });
+
+  assert.deepEqual(any.data.map((m) => m.title), ["Speed", "The Matrix"]);
+  assert.deepEqual(all.data.map((m) => m.title), ["The Matrix"]);
+  assert.deepEqual(all.data[0].actors.map((a) => a.name), ["Keanu Reeves", "Carrie-Anne Moss"]);
+  assert.deepEqual(withTitle.data.map((m) => m.title), ["John Wick"]);
+});
+
+test("movie/list: hasActorCount keeps movies with a cast size in range", async () => {
+  const { id: userId } = await createTestUser();
+
+  await seedMovies(userId);
+
+  const exact = await MovieListAbl.list({ userId, hasActorCount: { min: 2, max: 2 } });
+  const atMost = await MovieListAbl.list({ userId, hasActorCount: { max: 1 }, actor: "keanu" });
+
+  assert.deepEqual(exact.data.map((m) => m.title), ["The Matrix"]);
+  assert.deepEqual(atMost.data.map((m) => m.title), ["John Wick"]);
+});
+
+test("movie/list: director, language, country, and runtime filters narrow the list", async () => {
+  const { id: userId } = await createTestUser();
+
+  await MovieCreateAbl.create({
+    userId, title: "The Matrix", year: 1999, format: "DVD", actors: ["Keanu Reeves"],
+    directors: ["Lana Wachowski"], runtime: 136, language: "en", country: "US",
+  });
+  await MovieCreateAbl.create({
+    userId, title: "Amélie", year: 2001, format: "DVD", actors: ["Audrey Tautou"],
+    directors: ["Jean-Pierre Jeunet"], runtime: 122, language: "fr", country: "FR",
+  });
+  await MovieCreateAbl.create({
+    userId, title: "Speed", year: 1994, format: "VHS", actors: ["Sandra Bullock"],
+  });
+
+  const byDirector = await MovieListAbl.list({ userId, director: "wachowski" });
+  const byLocale = await MovieListAbl.list({ userId, language: "fr", country: "FR" });
+  const byRuntime = await MovieListAbl.list({ userId, minRuntime: 125, maxRuntime: 140 });
+
+  assert.deepEqual(byDirector.data.map((m) => m.title), ["The Matrix"]);
+  assert.deepEqual(byDirector.data[0]?.directors.map((d) => d.name), ["Lana Wachowski"]);
+  assert.deepEqual(byLocale.data.map((m) => m.title), ["Amélie"]);
+  assert.deepEqual(byRuntime.data.map((m) => m.title), ["The Matrix"]);
+});
+
+test("movie/list: series filter keeps only the movies of the series", async () => {
+  const { id: userId } = await createTestUser();
+  const { m1, m2 } = await seedMovies(userId);
+  const series = await SeriesCreateAbl.create({ userId, name: "Keanu Classics" });
+
+  await SeriesSetMovieAbl.setMovie({ userId, id: series.data.id, movieId: m2.data.id, position: 1 });
+  await SeriesSetMovieAbl.setMovie({ userId, id: series.data.id, movieId: m1.data.id, position: 2 });
+
+  const res = await MovieListAbl.list({ userId, series: series.data.id });
+  assert.equal(res.meta.total, 2);
+  assert.deepEqual(res.data.map((m) => m.title), ["John Wick", "The Matrix"]);
+});
+
+test("movie/list: sort=rating orders by average rating with unrated movies last", async () => {
+  const { id: userId } = await createTestUser();
+  const { m1, m2, m3 } = await seedMovies(userId);
+
+  await ReviewCreateAbl.create({ movieId: m1.data.id, userId, rating: 6 });
+  await ReviewCreateAbl.create({ movieId: m3.data.id, userId, rating: 9 });
+
+  const res = await MovieListAbl.list({ userId, sort: "rating", order: "DESC" });
+
+  assert.deepEqual(res.data.map((m) => m.id), [m3.data.id, m1.data.id, m2.data.id]);
+  assert.deepEqual(res.data.map((m) => m.reviewCount), [1, 1, 0]);
+});
+
+test("movie/list: minRating keeps only movies rated at least that high", async () => {
+  const { id: userId } = await createTestUser();
+  const { m1, m3 } = await seedMovies(userId);
+
+  await ReviewCreateAbl.create({ movieId: m1.data.id, userId, rating: 6 });
+  await ReviewCreateAbl.create({ movieId: m3.data.id, userId, rating: 9 });
+
+  const res = await MovieListAbl.list({ userId, minRating: 7 });
+
+  assert.equal(res.meta?.total, 1);
+  assert.equal(res.data[0]?.title, "Speed");
+  assert.equal(res.data[0]?.averageRating, 9);
+});
+
+test("movie/list: watched and lastWatchedBefore filter by the viewing log", async () => {
+  const { id: userId } = await createTestUser();
+  const { m1, m2 } = await seedMovies(userId);
+
+  await ViewCreateAbl.create({ movieId: m1.data.id, userId, watchedAt: "2019-05-01" });
+  await ViewCreateAbl.create({ movieId: m2.data.id, userId, watchedAt: "2018-01-01" });
+  await ViewCreateAbl.create({ movieId: m2.data.id, userId, watchedAt: "2023-01-01" });
+
+  const unwatched = await MovieListAbl.list({ userId, watched: false });
+  assert.deepEqual(unwatched.data.map((m) => m.title), ["Speed"]);
+
+  const watched = await MovieListAbl.list({ userId, watched: true });
+  assert.equal(watched.meta?.total, 2);
+
+  const stale = await MovieListAbl.list({ userId, lastWatchedBefore: "2020-01-01" });
+  assert.deepEqual(stale.data.map((m) => m.title), ["The Matrix"]);
+});
@@ -0,0 +1,144 @@
+require("../../helpers/test-db");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  CreateAbl: MovieCreateAbl,
+  UpdateAbl: MovieUpdateAbl,
+  GetAbl: MovieGetAbl,
+} = require("../../../app/abl/movie");
+const createTestUser = require("../../helpers/test-user");
+
+async function createMatrix(userId) {
+  const created = await MovieCreateAbl.create({
+    userId,
+    title: "The Matrix",
+    year: 1999,
+    format: "DVD",
+    actors: [{ name: "Keanu Reeves", character: "Neo" }, "Carrie-Anne Moss"],
+    genres: ["Sci-Fi"],
+  });
+
+  return created.data.id;
+}
+
+test("movie/patch: adds and removes actors by name and index", async () => {
+  const { id: userId } = await createTestUser();
+  const id = await createMatrix(userId);
+
+  const updated = await MovieUpdateAbl.update({
+    id,
+    userId,
+    operations: [
+      { op: "add", path: "/actors/-", value: { name: "Laurence Fishburne", character: "Morpheus" } },
+      { op: "remove", path: "/actors/carrie-anne  moss " },
+      { op: "add", path: "/actors/1", value: { name: "Hugo Weaving", character: null } },
+      { op: "replace", path: "/actors/Keanu Reeves/character", value: "Thomas Anderson" },
+      { op: "add", path: "/genres/-", value: "Action" },
+    ],
+  });
+
+  assert.equal(updated.data.version, 2);
+  assert.deepEqual(
+    updated.data.actors.map(a => [a.name, a.character]),
+    [["Keanu Reeves", "Thomas Anderson"], ["Hugo Weaving", null], ["Laurence Fishburne", "Morpheus"]]
+  );
+  assert.deepEqual(updated.data.genres.map(g => g.name).sort(), ["Action", "Sci-Fi"]);
+});
+
+test("movie/patch: a failed test operation rolls back the whole patch", async () => {
+  const { id: userId } = await createTestUser();
+  const id = await createMatrix(userId);
+
+  await assert.rejects(
+    () => MovieUpdateAbl.update({
+      id,
+      userId,
+      operations: [
+        { op: "replace", path: "/title", value: "The Matrix Reloaded" },
+        { op: "remove", path: "/actors/0" },
+        { op: "test", path: "/year", value: 2003 },
+      ],
+    }),
+    (err) => {
+      assert.equal(err.code, "patchTestFailed");
+      assert.equal(err.statusCode, 409);
+      assert.equal(err.paramMap.operationIndex, 2);
+      return true;
+    }
+  );
+
+  const got = await MovieGetAbl.get({ id, userId });
+  assert.equal(got.data.title, "The Matrix");
+  assert.equal(got.data.version, 1);
+  assert.equal(got.data.actors.length, 2);
+});
+
+test("movie/patch: missing targets and empty casts are rejected", async () => {
+  const { id: userId } = await createTestUser();
+  const id = await createMatrix(userId);
+
+  await assert.rejects(
+    () => MovieUpdateAbl.update({ id, userId, operations: [{ op: "remove", path: "/actors/Hugo Weaving" }] }),
+    (err) => {
+      assert.equal(err.code, "patchTargetNotFound");
+      assert.equal(err.paramMap.path, "/actors/Hugo Weaving");
+      return true;
+    }
+  );
+
+  await assert.rejects(
+    () => MovieUpdateAbl.update({
+      id,
+      userId,
+      operations: [{ op: "remove", path: "/actors/0" }, { op: "remove", path: "/actors/0" }],
+    }),
+    (err) => {
+      assert.equal(err.code, "invalidPatchResult");
+      return true;
+    }
+  );
+
+  await assert.rejects(
+    () => MovieUpdateAbl.update({
+      id,
+      userId,
+      operations: [{ op: "add", path: "/actors/-", value: { name: "keanu reeves", character: null } }],
+    }),
+    (err) => {
+      assert.equal(err.code, "invalidPatchResult");
+      return true;
+    }
+  );
+});
+
+test("movie/patch: sets and removes runtime and directors", async () => {
+  const { id: userId } = await createTestUser();
+  const id = await createMatrix(userId);
+
+  const patched = await MovieUpdateAbl.update({
+    id,
+    userId,
+    operations: [
+      { op: "add", path: "/runtime", value: 136 },
+      { op: "add", path: "/directors/-", value: "Lana Wachowski" },
+      { op: "add", path: "/directors/-", value: "Lilly Wachowski" },
+    ],
+  });
+
+  assert.equal(patched.data.runtime, 136);
+  assert.deepEqual(patched.data.directors.map(d => d.name), ["Lana Wachowski", "Lilly Wachowski"]);
+
+  const cleared = await MovieUpdateAbl.update({
+    id,
+    userId,
+    operations: [
+      { op: "remove", path: "/runtime" },
+      { op: "remove", path: "/directors/lilly wachowski" },
+    ],
+  });
+
+  assert.equal(cleared.data.runtime, null);
+  assert.deepEqual(cleared.data.directors.map(d => d.name), ["Lana Wachowski"]);
+});
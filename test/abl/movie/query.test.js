@@ -0,0 +1,146 @@
+require("../../helpers/test-db");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { CreateAbl: MovieCreateAbl, ListAbl: MovieListAbl } = require("../../../app/abl/movie");
+const { CreateAbl: ReviewCreateAbl } = require("../../../app/abl/review");
+const { parseMovieQuery } = require("../../../app/components/helpers/movie-query-helper");
+const assertRejectsWith = require("../../helpers/assert-rejects-with");
+const createTestUser = require("../../helpers/test-user");
+
+async function seedMovies(userId) {
+  const matrix = await MovieCreateAbl.create({
+    userId, title: "The Matrix", year: 1999, format: "DVD", actors: ["Keanu Reeves", "Carrie-Anne Moss"],
+    genres: ["Sci-Fi"], runtime: 136,
+  });
+  await MovieCreateAbl.create({
+    userId, title: "John Wick", year: 2014, format: "DVD", actors: ["Keanu Reeves"], genres: ["Action"],
+  });
+  await MovieCreateAbl.create({
+    userId, title: "Speed", year: 1994, format: "VHS", actors: ["Keanu Reeves", "Sandra Bullock"], genres: ["Action"],
+  });
+
+  await ReviewCreateAbl.create({ userId, movieId: matrix.data.id, rating: 9 });
+}
+
+async function listTitles(userId, q) {
+  const res = await MovieListAbl.list({ userId, q, sort: "id" });
+  return res.data.map((m) => m.title);
+}
+
+test("movie/query: parses qualifiers, operators, quoting, negation, and OR into a typed tree", () => {
+  assert.deepEqual(parseMovieQuery('actor:"Keanu Reeves" year:>=1999 -title:matrix OR Spider-Man'), {
+    type: "or",
+    children: [
+      {
+        type: "and",
+        children: [
+          { type: "field", field: "actor", operator: "=", value: "Keanu Reeves" },
+          { type: "field", field: "year", operator: ">=", value: 1999 },
+          { type: "not", child: { type: "field", field: "title", operator: "=", value: "matrix" } },
+        ],
+      },
+      { type: "text", value: "Spider-Man" },
+    ],
+  });
+});
+
+test("movie/query: parse errors report the position of the bad token", () => {
+  const positionOf = (q) => {
+    try {
+      parseMovieQuery(q);
+    } catch (err) {
+      assert.equal(err.code, "invalidQuery");
+      return err.paramMap.position;
+    }
+    assert.fail(`Expected "${q}" to be rejected`);
+  };
+
+  assert.equal(positionOf("year:>=abc"), 7);
+  assert.equal(positionOf("matrix title:)"), 13);
+  assert.equal(positionOf("title:>matrix"), 6);
+  assert.equal(positionOf('actor:"Keanu'), 6);
+  assert.equal(positionOf("(matrix OR speed"), 16);
+  assert.equal(positionOf("matrix AND"), 10);
+});
+
+test("movie/query: q combines field terms, negation, and full-text terms", async () => {
+  const { id: userId } = await createTestUser();
+  await seedMovies(userId);
+
+  assert.deepEqual(
+    await listTitles(userId, 'actor:"Keanu Reeves" year:>=1999 format:dvd -title:matrix'),
+    ["John Wick"]
+  );
+  assert.deepEqual(await listTitles(userId, "genre:action -(year:<1995 OR rating:>8)"), ["John Wick"]);
+  assert.deepEqual(await listTitles(userId, "matrix OR actor:sandra"), ["The Matrix", "Speed"]);
+  assert.deepEqual(await listTitles(userId, "NOT rating:>=5 runtime:>100"), []);
+  assert.deepEqual(await listTitles(userId, "(genre:sci-fi OR format:VHS) keanu"), ["The Matrix", "Speed"]);
+});
+
+test("movie/query: q is combined with the other list filters", async () => {
+  const { id: userId } = await createTestUser();
+  await seedMovies(userId);
+
+  const res = await MovieListAbl.list({ userId, q: "actor:keanu OR genre:action", format: ["DVD"], sort: "id" });
+
+  assert.equal(res.meta.total, 2);
+  assert.deepEqual(res.data.map((m) => m.title), ["The Matrix", "John Wick"]);
+  assert.deepEqual(res.data[0].actors.map((a) => a.name), ["Keanu Reeves", "Carrie-Anne Moss"]);
+
+  await assertRejectsWith(
+    () => MovieListAbl.list({ userId, q: "year:" }),
+    { code: "invalidQuery", statusCode: 400 }
+  );
+});
+
+test("movie/query: negated terms that match no movie keep every movie", async () => {
+  const { id: userId } = await createTestUser();
+  await seedMovies(userId);
+  const allTitles = ["The Matrix", "John Wick", "Speed"];
+
+  assert.deepEqual(await listTitles(userId, '-actor:"Nobody"'), allTitles);
+  assert.deepEqual(await listTitles(userId, "-genre:horror"), allTitles);
+  assert.deepEqual(await listTitles(userId, "-director:nobody"), allTitles);
+  assert.deepEqual(await listTitles(userId, '-"!!!"'), allTitles);
+  assert.deepEqual(await listTitles(userId, '"!!!"'), []);
+  assert.deepEqual(await listTitles(userId, "-actor:sandra -genre:sci-fi"), ["John Wick"]);
+});
+
+test("movie/query: a word with a colon that is not a field is a search term, so titles need no quotes", async () => {
+  assert.deepEqual(parseMovieQuery("Star Wars: Episode year:1977"), {
+    type: "and",
+    children: [
+      { type: "text", value: "Star" },
+      { type: "text", value: "Wars" },
+      { type: "text", value: "Episode" },
+      { type: "field", field: "year", operator: "=", value: 1977 },
+    ],
+  });
+  assert.deepEqual(parseMovieQuery('"Alien" : Covenant'), {
+    type: "and",
+    children: [{ type: "text", value: "Alien" }, { type: "text", value: "Covenant" }],
+  });
+
+  const { id: userId } = await createTestUser();
+  await MovieCreateAbl.create({
+    userId, title: "Star Wars: Episode IV", year: 1977, format: "DVD", actors: ["Mark Hamill"],
+  });
+  await MovieCreateAbl.create({ userId, title: "Star Trek", year: 1979, format: "DVD", actors: ["William Shatner"] });
+
+  assert.deepEqual(await listTitles(userId, "Star Wars: Episode"), ["Star Wars: Episode IV"]);
+});
+
+test("movie/query: sort=relevance ranks by the search terms of q, with movies matched only by fields last", async () => {
+  const { id: userId } = await createTestUser();
+  await MovieCreateAbl.create({ userId, title: "Heat", year: 1995, format: "DVD", actors: ["Robert De Niro"] });
+  await MovieCreateAbl.create({ userId, title: "Speed", year: 1994, format: "VHS", actors: ["Keanu Reeves"] });
+  await MovieCreateAbl.create({
+    userId, title: "Robert the Bruce", year: 2019, format: "DVD", actors: ["Angus Macfadyen"],
+  });
+
+  const res = await MovieListAbl.list({ userId, q: "robert OR format:vhs -year:>2020", sort: "relevance" });
+
+  assert.deepEqual(res.data.map((m) => m.title), ["Robert the Bruce", "Heat", "Speed"]);
+});
@@ -0,0 +1,112 @@
+require("../../helpers/test-db");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  CreateAbl: MovieCreateAbl,
+  DeleteAbl: MovieDeleteAbl,
+  GetAbl: MovieGetAbl,
+  ListAbl: MovieListAbl,
+  ImportAbl: MovieImportAbl,
+  ListTrashAbl: MovieListTrashAbl,
+  RestoreAbl: MovieRestoreAbl,
+  PurgeTrashAbl: MoviePurgeTrashAbl,
+} = require("../../../app/abl/movie");
+const { MovieModel } = require("../../../app/models");
+const createTestUser = require("../../helpers/test-user");
+
+async function createTrashedMovie(userId) {
+  const { data: movie } = await MovieCreateAbl.create({
+    userId, title: "The Matrix", year: 1999, format: "DVD", actors: ["Keanu Reeves"],
+  });
+  await MovieDeleteAbl.delete({ id: movie.id, userId });
+  return movie;
+}
+
+test("movie/trash: deleted movies move to the trash and can be restored", async () => {
+  const { id: userId } = await createTestUser();
+  const movie = await createTrashedMovie(userId);
+
+  const list = await MovieListAbl.list({ userId });
+  assert.equal(list.meta?.total, 0);
+
+  const withTrashed = await MovieListAbl.list({ userId, includeTrashed: true });
+  assert.equal(withTrashed.meta?.total, 1);
+
+  const trash = await MovieListTrashAbl.listTrash({ userId });
+  assert.deepEqual(trash.data.map((m) => m.id), [movie.id]);
+  assert.ok(trash.data[0].deletedAt);
+
+  const restored = await MovieRestoreAbl.restore({ id: movie.id, userId });
+  assert.equal(restored.data?.deletedAt, null);
+  assert.deepEqual(restored.data?.actors.map((a) => a.name), ["Keanu Reeves"]);
+
+  const res = await MovieGetAbl.get({ id: movie.id, userId });
+  assert.equal(res.data?.title, "The Matrix");
+});
+
+test("movie/trash: getById ignores trashed movies unless asked to include them", async () => {
+  const { id: userId } = await createTestUser();
+  const movie = await createTrashedMovie(userId);
+
+  await assert.rejects(
+    () => MovieGetAbl.get({ id: movie.id, userId }),
+    (err) => {
+      assert.equal(err.code, "movieDoesNotExist");
+      return true;
+    }
+  );
+
+  const res = await MovieGetAbl.get({ id: movie.id, userId, includeTrashed: true });
+  assert.equal(res.data?.id, movie.id);
+});
+
+test("movie/trash: restoring a movie that is not in the trash throws movieNotInTrash", async () => {
+  const { id: userId } = await createTestUser();
+  const { data: movie } = await MovieCreateAbl.create({
+    userId, title: "Speed", year: 1994, format: "VHS", actors: ["Sandra Bullock"],
+  });
+
+  await assert.rejects(
+    () => MovieRestoreAbl.restore({ id: movie.id, userId }),
+    (err) => {
+      assert.equal(err.code, "movieNotInTrash");
+      assert.equal(err.statusCode, 404);
+      return true;
+    }
+  );
+});
+
+test("movie/trash: trashed movies do not count as duplicates", async () => {
+  const { id: userId } = await createTestUser();
+  await createTrashedMovie(userId);
+
+  const content = [
+    "Title: The Matrix",
+    "Release Year: 1999",
+    "Format: DVD",
+    "Stars: Keanu Reeves",
+    "",
+  ].join("\n");
+
+  const res = await MovieImportAbl.import({ userId, file: { buffer: Buffer.from(content, "utf-8") } });
+  assert.equal(res.meta?.imported, 1);
+  assert.equal(res.meta?.duplicates, 0);
+});
+
+test("movie/trash: purge hard-deletes only movies older than the retention period", async () => {
+  const { id: userId } = await createTestUser();
+  const old = await createTrashedMovie(userId);
+  const recent = await createTrashedMovie(userId);
+
+  const longAgo = new Date(Date.now() - 31 * 24 * 60 * 60 * 1000);
+  await MovieModel.update({ deletedAt: longAgo }, { where: { id: old.id }, paranoid: false });
+
+  const res = await MoviePurgeTrashAbl.purgeTrash({ userId });
+  assert.equal(res.meta?.purged, 1);
+  assert.equal(res.meta?.retentionDays, 30);
+
+  const trash = await MovieListTrashAbl.listTrash({ userId });
+  assert.deepEqual(trash.data.map((m) => m.id), [recent.id]);
+});
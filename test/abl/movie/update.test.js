@@ -8,9 +8,25 @@ const {
   UpdateAbl: MovieUpdateAbl,
   GetAbl: MovieGetAbl,
 } = require("../../../app/abl/movie");
+const { CreateAbl: LoanCreateAbl } = require("../../../app/abl/loan");
+const { validate } = require("../../../app/middleware/validator");
+const { parseIfMatch } = require("../../../app/components/helpers/etag-helper");
+const { movieUpdateValidation } = require("../../../app/api/validation-schemas/movie-validation-schemas");
+const createTestUser = require("../../helpers/test-user");
+
+async function validateUpdate(id, body) {
+  const req = { params: { id: String(id) }, body, query: {} };
+  let error;
+  await validate(movieUpdateValidation)(req, {}, (err) => { error = err; });
+  if (error) throw error;
+  return req.validatedDtoIn;
+}
 
 test("movie/update: happy path updates fields", async () => {
+  const { id: userId } = await createTestUser();
+
   const created = await MovieCreateAbl.create({
+    userId,
     title: "The Matrix",
     year: 1999,
     format: "DVD",
@@ -20,17 +36,19 @@ test("movie/update: happy path updates fields", async () => {
   const id = created.data?.id;
   assert.ok(id);
 
-  const updated = await MovieUpdateAbl.update({ id, title: "The Matrix (Updated)" });
+  const updated = await MovieUpdateAbl.update({ id, userId, title: "The Matrix (Updated)" });
   assert.equal(updated.status, 1);
   assert.equal(updated.data?.title, "The Matrix (Updated)");
 
-  const got = await MovieGetAbl.get({ id });
+  const got = await MovieGetAbl.get({ id, userId });
   assert.equal(got.data?.title, "The Matrix (Updated)");
 });
 
 test("movie/update: non-existent id returns movieDoesNotExist (404)", async () => {
+  const { id: userId } = await createTestUser();
+
   await assert.rejects(
-    () => MovieUpdateAbl.update({ id: 999999, title: "X" }),
+    () => MovieUpdateAbl.update({ id: 999999, userId, title: "X" }),
     (err) => {
       assert.equal(err.code, "movieDoesNotExist");
       assert.equal(err.statusCode, 404);
@@ -39,3 +57,136 @@ test("movie/update: non-existent id returns movieDoesNotExist (404)", async () =
   );
 });
 
+
+test("movie/update: actors replace the cast in the given billing order", async () => {
+  const { id: userId } = await createTestUser();
+
+  const created = await MovieCreateAbl.create({
+    userId,
+    title: "The Matrix",
+    year: 1999,
+    format: "DVD",
+    actors: ["Keanu Reeves", "Carrie-Anne Moss"],
+  });
+
+  const updated = await MovieUpdateAbl.update({
+    id: created.data?.id,
+    userId,
+    actors: [{ name: "Carrie-Anne Moss", character: "Trinity" }, "Hugo Weaving"],
+  });
+
+  assert.deepEqual(
+    updated.data?.actors.map(({ name, character }) => ({ name, character })),
+    [
+      { name: "Carrie-Anne Moss", character: "Trinity" },
+      { name: "Hugo Weaving", character: null },
+    ]
+  );
+});
+
+test("movie/update: increments the version and rejects a stale expected version with movieVersionMismatch", async () => {
+  const { id: userId } = await createTestUser();
+  const { data: movie } = await MovieCreateAbl.create({
+    userId, title: "Speed", year: 1994, format: "VHS", actors: ["Sandra Bullock"],
+  });
+  assert.equal(movie.version, 1);
+
+  const updated = await MovieUpdateAbl.update({ id: movie.id, userId, actors: ["Keanu Reeves"], expectedVersions: [1] });
+  assert.equal(updated.data?.version, 2);
+
+  const unchanged = await MovieUpdateAbl.update({ id: movie.id, userId, title: "Speed", expectedVersions: [2] });
+  assert.equal(unchanged.data?.version, 2);
+
+  await assert.rejects(
+    () => MovieUpdateAbl.update({ id: movie.id, userId, title: "Speed 2", expectedVersions: [1] }),
+    (err) => {
+      assert.equal(err.code, "movieVersionMismatch");
+      assert.equal(err.statusCode, 412);
+      assert.equal(err.paramMap?.currentVersion, 2);
+      return true;
+    }
+  );
+
+  const res = await MovieGetAbl.get({ id: movie.id, userId });
+  assert.equal(res.data?.title, "Speed");
+});
+
+test("movie/update: a weak If-Match tag never matches and returns movieVersionMismatch", async () => {
+  const { id: userId } = await createTestUser();
+  const { data: movie } = await MovieCreateAbl.create({
+    userId, title: "Speed", year: 1994, format: "VHS", actors: ["Sandra Bullock"],
+  });
+
+  assert.deepEqual(parseIfMatch('W/"1", "2"'), [2]);
+
+  await assert.rejects(
+    () => MovieUpdateAbl.update({ id: movie.id, userId, title: "Speed 2", expectedVersions: parseIfMatch('W/"1"') }),
+    (err) => {
+      assert.equal(err.code, "movieVersionMismatch");
+      assert.equal(err.statusCode, 412);
+      assert.equal(err.paramMap?.currentVersion, 1);
+      return true;
+    }
+  );
+
+  const updated = await MovieUpdateAbl.update({
+    id: movie.id, userId, title: "Speed 2", expectedVersions: parseIfMatch('"1"'),
+  });
+  assert.equal(updated.data?.version, 2);
+});
+
+test("movie/update: converting a copy on loan to Digital returns movieOnLoan (409), also with JSON Patch", async () => {
+  const { id: userId } = await createTestUser();
+  const { data: movie } = await MovieCreateAbl.create({
+    userId, title: "Speed", year: 1994, format: "VHS", actors: ["Sandra Bullock"],
+  });
+  await LoanCreateAbl.create({ movieId: movie.id, userId, borrowerName: "Bob", lentAt: "2024-01-01", dueAt: "2024-02-01" });
+
+  const updates = [
+    { id: movie.id, userId, format: "Digital" },
+    { id: movie.id, userId, operations: [{ op: "replace", path: "/format", value: "Digital" }] },
+  ];
+  for (const dtoIn of updates) {
+    await assert.rejects(
+      () => MovieUpdateAbl.update(dtoIn),
+      (err) => {
+        assert.equal(err.code, "movieOnLoan");
+        assert.equal(err.statusCode, 409);
+        return true;
+      }
+    );
+  }
+
+  const res = await MovieUpdateAbl.update({ id: movie.id, userId, format: "DVD" });
+  assert.equal(res.data?.format, "DVD");
+  assert.equal(res.data?.version, 2);
+});
+
+test("movie/update: null clears a nullable field, while \"\" and 0 are rejected", async () => {
+  const { id: userId } = await createTestUser();
+  const { data: movie } = await MovieCreateAbl.create({
+    userId, title: "Speed", year: 1994, format: "VHS", actors: ["Sandra Bullock"], runtime: 116,
+    synopsis: "A bus must stay above 50 mph.", language: "en", country: "US", barcode: "5039036067089",
+  });
+
+  const dtoIn = await validateUpdate(movie.id, {
+    runtime: null, synopsis: "  ", language: null, country: null, barcode: null,
+  });
+  const res = await MovieUpdateAbl.update({ ...dtoIn, userId });
+  assert.equal(res.data?.runtime, null);
+  assert.equal(res.data?.synopsis, null);
+  assert.equal(res.data?.language, null);
+  assert.equal(res.data?.country, null);
+  assert.equal(res.data?.barcode, null);
+
+  for (const body of [{ runtime: "" }, { runtime: 0 }, { language: "" }, { language: 0 }, { country: "" }, { barcode: "" }]) {
+    await assert.rejects(
+      () => validateUpdate(movie.id, body),
+      (err) => {
+        assert.equal(err.code, "invalidInputData");
+        assert.deepEqual(err.paramMap.errors.map(e => e.field), Object.keys(body));
+        return true;
+      }
+    );
+  }
+});
@@ -0,0 +1,24 @@
+require("../../helpers/test-db");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { GetAbl: PosterGetAbl } = require("../../../app/abl/poster");
+const { CreateAbl: MovieCreateAbl } = require("../../../app/abl/movie");
+const createTestUser = require("../../helpers/test-user");
+
+test("poster/get: a movie without a poster throws posterDoesNotExist (404)", async () => {
+  const { id: userId } = await createTestUser();
+  const { data: movie } = await MovieCreateAbl.create({
+    userId, title: "The Matrix", year: 1999, format: "DVD", actors: ["Keanu Reeves"],
+  });
+
+  await assert.rejects(
+    () => PosterGetAbl.get({ movieId: movie.id, userId, size: "thumb" }),
+    (err) => {
+      assert.equal(err.code, "posterDoesNotExist");
+      assert.equal(err.statusCode, 404);
+      return true;
+    }
+  );
+});
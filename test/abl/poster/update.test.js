@@ -0,0 +1,81 @@
+require("../../helpers/test-db");
+
+const fs = require("node:fs");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const sharp = require("sharp");
+
+const { UpdateAbl: PosterUpdateAbl, GetAbl: PosterGetAbl } = require("../../../app/abl/poster");
+const {
+  CreateAbl: MovieCreateAbl,
+  DeleteAbl: MovieDeleteAbl,
+  PurgeTrashAbl: MoviePurgeTrashAbl,
+} = require("../../../app/abl/movie");
+const { MovieModel } = require("../../../app/models");
+const createTestUser = require("../../helpers/test-user");
+
+async function createMovie(userId) {
+  const { data } = await MovieCreateAbl.create({
+    userId, title: "The Matrix", year: 1999, format: "DVD", actors: ["Keanu Reeves"],
+  });
+  return data;
+}
+
+async function createImage(width, height) {
+  const buffer = await sharp({ create: { width, height, channels: 3, background: "#336699" } }).png().toBuffer();
+  return { buffer, originalname: "poster.png" };
+}
+
+test("poster/update: stores a full-size poster and a smaller thumbnail", async () => {
+  const { id: userId } = await createTestUser();
+  const movie = await createMovie(userId);
+
+  const res = await PosterUpdateAbl.update({ movieId: movie.id, userId, file: await createImage(1200, 1800) });
+  assert.ok(res.data?.posterUpdatedAt);
+  assert.equal(res.data?.version, movie.version);
+
+  const full = await PosterGetAbl.get({ movieId: movie.id, userId });
+  const thumb = await PosterGetAbl.get({ movieId: movie.id, userId, size: "thumb" });
+
+  assert.equal(full.data?.contentType, "image/jpeg");
+  assert.deepEqual(
+    await sharp(full.data.filePath).metadata().then(({ width, height }) => [width, height]),
+    [1000, 1500]
+  );
+  assert.deepEqual(
+    await sharp(thumb.data.filePath).metadata().then(({ width, height }) => [width, height]),
+    [200, 300]
+  );
+});
+
+test("poster/update: a file that is not an image throws invalidPosterImage", async () => {
+  const { id: userId } = await createTestUser();
+  const movie = await createMovie(userId);
+
+  await assert.rejects(
+    () => PosterUpdateAbl.update({
+      movieId: movie.id, userId, file: { buffer: Buffer.from("not an image"), originalname: "poster.png" },
+    }),
+    (err) => {
+      assert.equal(err.code, "invalidPosterImage");
+      return true;
+    }
+  );
+});
+
+test("poster/update: purging a trashed movie removes its poster files", async () => {
+  const { id: userId } = await createTestUser();
+  const movie = await createMovie(userId);
+
+  await PosterUpdateAbl.update({ movieId: movie.id, userId, file: await createImage(300, 450) });
+  const { data: poster } = await PosterGetAbl.get({ movieId: movie.id, userId });
+
+  await MovieDeleteAbl.delete({ id: movie.id, userId });
+  assert.ok(fs.existsSync(poster.filePath), "poster is kept while the movie is in the trash");
+
+  const longAgo = new Date(Date.now() - 31 * 24 * 60 * 60 * 1000);
+  await MovieModel.update({ deletedAt: longAgo }, { where: { id: movie.id }, paranoid: false });
+  await MoviePurgeTrashAbl.purgeTrash({ userId });
+
+  assert.equal(fs.existsSync(poster.filePath), false);
+});
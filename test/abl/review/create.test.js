@@ -0,0 +1,65 @@
+require("../../helpers/test-db");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { CreateAbl: MovieCreateAbl, GetAbl: MovieGetAbl } = require("../../../app/abl/movie");
+const { CreateAbl: ReviewCreateAbl } = require("../../../app/abl/review");
+const createTestUser = require("../../helpers/test-user");
+
+async function createMovie(userId) {
+  const res = await MovieCreateAbl.create({
+    userId,
+    title: "The Matrix",
+    year: 1999,
+    format: "DVD",
+    actors: ["Keanu Reeves"],
+  });
+  return res.data;
+}
+
+test("review/create: stores the review and updates the movie rating", async () => {
+  const { id: userId } = await createTestUser();
+  const movie = await createMovie(userId);
+
+  const res = await ReviewCreateAbl.create({ movieId: movie.id, userId, rating: 8, text: "Still holds up." });
+
+  assert.equal(res.status, 1);
+  assert.equal(res.data?.rating, 8);
+  assert.equal(res.data?.text, "Still holds up.");
+  assert.equal(res.data?.author?.id, userId);
+
+  const movieRes = await MovieGetAbl.get({ id: movie.id, userId });
+  assert.equal(movieRes.data?.averageRating, 8);
+  assert.equal(movieRes.data?.reviewCount, 1);
+});
+
+test("review/create: second review of the same movie throws reviewAlreadyExists", async () => {
+  const { id: userId } = await createTestUser();
+  const movie = await createMovie(userId);
+
+  await ReviewCreateAbl.create({ movieId: movie.id, userId, rating: 8 });
+
+  await assert.rejects(
+    () => ReviewCreateAbl.create({ movieId: movie.id, userId, rating: 5 }),
+    (err) => {
+      assert.equal(err.code, "reviewAlreadyExists");
+      assert.equal(err.statusCode, 409);
+      return true;
+    }
+  );
+});
+
+test("review/create: another user's movie throws movieDoesNotExist", async () => {
+  const { id: ownerId } = await createTestUser();
+  const { id: userId } = await createTestUser();
+  const movie = await createMovie(ownerId);
+
+  await assert.rejects(
+    () => ReviewCreateAbl.create({ movieId: movie.id, userId, rating: 8 }),
+    (err) => {
+      assert.equal(err.code, "movieDoesNotExist");
+      return true;
+    }
+  );
+});
@@ -0,0 +1,44 @@
+require("../../helpers/test-db");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { CreateAbl: MovieCreateAbl, GetAbl: MovieGetAbl } = require("../../../app/abl/movie");
+const { CreateAbl: ReviewCreateAbl, UpdateAbl: ReviewUpdateAbl } = require("../../../app/abl/review");
+const createTestUser = require("../../helpers/test-user");
+
+test("review/update: changes the rating and keeps the text", async () => {
+  const { id: userId } = await createTestUser();
+  const { data: movie } = await MovieCreateAbl.create({
+    userId, title: "Speed", year: 1994, format: "VHS", actors: ["Sandra Bullock"],
+  });
+  const { data: review } = await ReviewCreateAbl.create({ movieId: movie.id, userId, rating: 6, text: "Fun." });
+
+  const res = await ReviewUpdateAbl.update({ movieId: movie.id, reviewId: review.id, userId, rating: 9 });
+
+  assert.equal(res.data?.rating, 9);
+  assert.equal(res.data?.text, "Fun.");
+
+  const movieRes = await MovieGetAbl.get({ id: movie.id, userId });
+  assert.equal(movieRes.data?.averageRating, 9);
+});
+
+test("review/update: review of another movie throws reviewDoesNotExist", async () => {
+  const { id: userId } = await createTestUser();
+  const { data: speed } = await MovieCreateAbl.create({
+    userId, title: "Speed", year: 1994, format: "VHS", actors: ["Sandra Bullock"],
+  });
+  const { data: matrix } = await MovieCreateAbl.create({
+    userId, title: "The Matrix", year: 1999, format: "DVD", actors: ["Keanu Reeves"],
+  });
+  const { data: review } = await ReviewCreateAbl.create({ movieId: speed.id, userId, rating: 6 });
+
+  await assert.rejects(
+    () => ReviewUpdateAbl.update({ movieId: matrix.id, reviewId: review.id, userId, rating: 9 }),
+    (err) => {
+      assert.equal(err.code, "reviewDoesNotExist");
+      assert.equal(err.statusCode, 404);
+      return true;
+    }
+  );
+});
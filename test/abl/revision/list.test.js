@@ -0,0 +1,91 @@
+require("../../helpers/test-db");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  CreateAbl: MovieCreateAbl,
+  UpdateAbl: MovieUpdateAbl,
+  ImportAbl: MovieImportAbl,
+  GetAbl: MovieGetAbl,
+} = require("../../../app/abl/movie");
+const { UpdateAbl: ActorUpdateAbl } = require("../../../app/abl/actor");
+const { ListAbl: RevisionListAbl } = require("../../../app/abl/revision");
+const createTestUser = require("../../helpers/test-user");
+
+test("revision/list: records creation and field-level diffs of updates, newest first", async () => {
+  const { id: userId } = await createTestUser();
+  const { data: movie } = await MovieCreateAbl.create({
+    userId, title: "The Matrix", year: 1999, format: "DVD",
+    actors: ["Keanu Reeves", { name: "Carrie-Anne Moss", character: "Trinity" }], genres: ["Action"],
+  });
+
+  await MovieUpdateAbl.update({
+    id: movie.id, userId, format: "Blu-Ray",
+    actors: [{ name: "Carrie-Anne Moss", character: "Trinity" }, "Laurence Fishburne"], genres: ["Sci-Fi"],
+  });
+
+  const res = await RevisionListAbl.list({ movieId: movie.id, userId });
+
+  assert.equal(res.meta?.total, 2);
+  assert.deepEqual(res.data.map(r => [r.revision, r.action]), [[2, "update"], [1, "create"]]);
+  assert.equal(res.data[1].changes, null);
+  assert.equal(res.data[0].author?.id, userId);
+  assert.deepEqual(res.data[0].changes, {
+    format: { from: "DVD", to: "Blu-Ray" },
+    actors: {
+      added: [{ name: "Laurence Fishburne", character: null }],
+      removed: [{ name: "Keanu Reeves", character: null }],
+      changed: [{ name: "Carrie-Anne Moss", billingOrder: { from: 2, to: 1 } }],
+    },
+    genres: { added: ["Sci-Fi"], removed: ["Action"] },
+  });
+});
+
+test("revision/list: an update without changes records no revision", async () => {
+  const { id: userId } = await createTestUser();
+  const { data: movie } = await MovieCreateAbl.create({
+    userId, title: "Speed", year: 1994, format: "VHS", actors: ["Sandra Bullock"],
+  });
+
+  await MovieUpdateAbl.update({ id: movie.id, userId, title: "Speed", actors: ["Sandra Bullock"] });
+
+  const res = await RevisionListAbl.list({ movieId: movie.id, userId });
+  assert.equal(res.meta?.total, 1);
+});
+
+test("revision/list: imported movies get their creation revision when they are imported", async () => {
+  const { id: userId } = await createTestUser();
+  const content = "Title: Speed\nRelease Year: 1994\nFormat: VHS\nStars: Sandra Bulock\n";
+  const { data: [movie] } = await MovieImportAbl.import({ userId, file: { buffer: Buffer.from(content, "utf-8") } });
+
+  const imported = await RevisionListAbl.list({ movieId: movie.id, userId });
+  assert.deepEqual(imported.data.map(r => [r.revision, r.action]), [[1, "create"]]);
+  assert.equal(imported.data[0].author?.id, userId);
+
+  const { data: { actors: [actor] } } = await MovieGetAbl.get({ id: movie.id, userId });
+  await ActorUpdateAbl.update({ id: actor.id, userId, name: "Sandra Bullock" });
+  await MovieUpdateAbl.update({ id: movie.id, userId, year: 1995 });
+
+  const res = await RevisionListAbl.list({ movieId: movie.id, userId });
+  assert.deepEqual(res.data.map(r => [r.revision, r.action]), [[3, "update"], [2, "update"], [1, "create"]]);
+  assert.equal(res.data[2].snapshot.year, 1994);
+  assert.deepEqual(res.data[2].snapshot.actors, [{ name: "Sandra Bulock", character: null }]);
+  assert.deepEqual(res.data[0].changes, { year: { from: 1994, to: 1995 } });
+});
+
+test("revision/list: movie of another user throws movieDoesNotExist", async () => {
+  const { id: ownerId } = await createTestUser();
+  const { id: otherUserId } = await createTestUser();
+  const { data: movie } = await MovieCreateAbl.create({
+    userId: ownerId, title: "Speed", year: 1994, format: "VHS", actors: ["Sandra Bullock"],
+  });
+
+  await assert.rejects(
+    () => RevisionListAbl.list({ movieId: movie.id, userId: otherUserId }),
+    (err) => {
+      assert.equal(err.code, "movieDoesNotExist");
+      return true;
+    }
+  );
+});
@@ -0,0 +1,68 @@
+require("../../helpers/test-db");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { CreateAbl: MovieCreateAbl, UpdateAbl: MovieUpdateAbl } = require("../../../app/abl/movie");
+const { ListAbl: RevisionListAbl, RevertAbl: RevisionRevertAbl } = require("../../../app/abl/revision");
+const { CreateAbl: FormatCreateAbl, DeleteAbl: FormatDeleteAbl } = require("../../../app/abl/format");
+const createTestUser = require("../../helpers/test-user");
+
+test("revision/revert: restores fields, cast and genres and records a revert revision", async () => {
+  const { id: userId } = await createTestUser();
+  const { data: movie } = await MovieCreateAbl.create({
+    userId, title: "The Matrix", year: 1999, format: "DVD",
+    actors: [{ name: "Keanu Reeves", character: "Neo" }, "Carrie-Anne Moss"], genres: ["Action"],
+  });
+  await MovieUpdateAbl.update({
+    id: movie.id, userId, title: "Matrix", actors: ["Hugo Weaving"], genres: [],
+  });
+
+  const res = await RevisionRevertAbl.revert({ movieId: movie.id, revision: 1, userId });
+
+  assert.equal(res.data?.title, "The Matrix");
+  assert.deepEqual(res.data?.actors.map(a => [a.name, a.character]), [["Keanu Reeves", "Neo"], ["Carrie-Anne Moss", null]]);
+  assert.deepEqual(res.data?.genres.map(g => g.name), ["Action"]);
+
+  const revisions = await RevisionListAbl.list({ movieId: movie.id, userId });
+  assert.equal(revisions.data[0].revision, 3);
+  assert.equal(revisions.data[0].action, "revert");
+  assert.equal(revisions.data[0].revertedFrom, 1);
+  assert.deepEqual(revisions.data[0].changes.title, { from: "Matrix", to: "The Matrix" });
+});
+
+test("revision/revert: non-existent revision throws revisionDoesNotExist", async () => {
+  const { id: userId } = await createTestUser();
+  const { data: movie } = await MovieCreateAbl.create({
+    userId, title: "Speed", year: 1994, format: "VHS", actors: ["Sandra Bullock"],
+  });
+
+  await assert.rejects(
+    () => RevisionRevertAbl.revert({ movieId: movie.id, revision: 5, userId }),
+    (err) => {
+      assert.equal(err.code, "revisionDoesNotExist");
+      assert.equal(err.statusCode, 404);
+      return true;
+    }
+  );
+});
+
+test("revision/revert: revision with a deleted format throws revisionFormatDoesNotExist", async () => {
+  const { id: userId } = await createTestUser();
+  const { id: adminId } = await createTestUser({ email: "admin@example.com" });
+  const format = await FormatCreateAbl.create({ userId: adminId, name: "LaserDisc" });
+  const { data: movie } = await MovieCreateAbl.create({
+    userId, title: "Speed", year: 1994, format: "LaserDisc", actors: ["Sandra Bullock"],
+  });
+  await MovieUpdateAbl.update({ id: movie.id, userId, format: "DVD" });
+  await FormatDeleteAbl.delete({ userId: adminId, id: format.data.id });
+
+  await assert.rejects(
+    () => RevisionRevertAbl.revert({ movieId: movie.id, revision: 1, userId }),
+    (err) => {
+      assert.equal(err.code, "revisionFormatDoesNotExist");
+      assert.equal(err.statusCode, 409);
+      return true;
+    }
+  );
+});
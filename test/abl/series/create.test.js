@@ -0,0 +1,41 @@
+require("../../helpers/test-db");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { CreateAbl: SeriesCreateAbl, ListAbl: SeriesListAbl } = require("../../../app/abl/series");
+const createTestUser = require("../../helpers/test-user");
+
+test("series/create: happy path creates an empty series listed for its owner only", async () => {
+  const { id: userId } = await createTestUser();
+  const { id: otherUserId } = await createTestUser();
+
+  const res = await SeriesCreateAbl.create({ userId, name: "The Matrix Trilogy" });
+  assert.equal(res.status, 1);
+  assert.equal(res.data?.name, "The Matrix Trilogy");
+  assert.deepEqual(res.data?.movies, []);
+
+  const own = await SeriesListAbl.list({ userId });
+  const other = await SeriesListAbl.list({ userId: otherUserId });
+  assert.deepEqual(own.data.map((s) => [s.name, s.movieCount]), [["The Matrix Trilogy", 0]]);
+  assert.equal(other.meta.total, 0);
+});
+
+test("series/create: name already taken by the user (case-insensitive) returns seriesAlreadyExists (409)", async () => {
+  const { id: userId } = await createTestUser();
+  const { id: otherUserId } = await createTestUser();
+
+  await SeriesCreateAbl.create({ userId, name: "Star Wars" });
+
+  await assert.rejects(
+    () => SeriesCreateAbl.create({ userId, name: "star wars" }),
+    (err) => {
+      assert.equal(err.code, "seriesAlreadyExists");
+      assert.equal(err.statusCode, 409);
+      return true;
+    }
+  );
+
+  const res = await SeriesCreateAbl.create({ userId: otherUserId, name: "Star Wars" });
+  assert.equal(res.status, 1);
+});
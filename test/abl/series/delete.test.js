@@ -0,0 +1,38 @@
+require("../../helpers/test-db");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { CreateAbl: MovieCreateAbl, GetAbl: MovieGetAbl } = require("../../../app/abl/movie");
+const {
+  CreateAbl: SeriesCreateAbl,
+  DeleteAbl: SeriesDeleteAbl,
+  GetAbl: SeriesGetAbl,
+  SetMovieAbl: SeriesSetMovieAbl,
+} = require("../../../app/abl/series");
+const createTestUser = require("../../helpers/test-user");
+
+test("series/delete: movies of a deleted series stay in the collection without a series", async () => {
+  const { id: userId } = await createTestUser();
+  const series = await SeriesCreateAbl.create({ userId, name: "The Matrix" });
+  const movie = await MovieCreateAbl.create({
+    userId, title: "The Matrix", year: 1999, format: "DVD", actors: ["Keanu Reeves"],
+  });
+  await SeriesSetMovieAbl.setMovie({ userId, id: series.data.id, movieId: movie.data.id, position: 1 });
+
+  const res = await SeriesDeleteAbl.delete({ userId, id: series.data.id });
+  assert.equal(res.status, 1);
+
+  const fetched = await MovieGetAbl.get({ userId, id: movie.data.id });
+  assert.equal(fetched.data.series, null);
+  assert.equal(fetched.data.seriesPosition, null);
+
+  await assert.rejects(
+    () => SeriesGetAbl.get({ userId, id: series.data.id }),
+    (err) => {
+      assert.equal(err.code, "seriesDoesNotExist");
+      assert.equal(err.statusCode, 404);
+      return true;
+    }
+  );
+});
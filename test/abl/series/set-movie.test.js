@@ -0,0 +1,98 @@
+require("../../helpers/test-db");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { CreateAbl: MovieCreateAbl } = require("../../../app/abl/movie");
+const {
+  CreateAbl: SeriesCreateAbl,
+  GetAbl: SeriesGetAbl,
+  SetMovieAbl: SeriesSetMovieAbl,
+  RemoveMovieAbl: SeriesRemoveMovieAbl,
+} = require("../../../app/abl/series");
+const createTestUser = require("../../helpers/test-user");
+
+async function createMovie(userId, title, year) {
+  const res = await MovieCreateAbl.create({ userId, title, year, format: "DVD", actors: ["Keanu Reeves"] });
+  return res.data;
+}
+
+test("series/set-movie: movies are returned in watch order, not in the order they were added", async () => {
+  const { id: userId } = await createTestUser();
+  const series = await SeriesCreateAbl.create({ userId, name: "The Matrix" });
+  const revolutions = await createMovie(userId, "The Matrix Revolutions", 2003);
+  const matrix = await createMovie(userId, "The Matrix", 1999);
+  const reloaded = await createMovie(userId, "The Matrix Reloaded", 2003);
+
+  await SeriesSetMovieAbl.setMovie({ userId, id: series.data.id, movieId: revolutions.id, position: 3 });
+  await SeriesSetMovieAbl.setMovie({ userId, id: series.data.id, movieId: matrix.id, position: 1 });
+  const res = await SeriesSetMovieAbl.setMovie({ userId, id: series.data.id, movieId: reloaded.id, position: 2 });
+
+  assert.deepEqual(res.data.movies.map((m) => [m.position, m.title]), [
+    [1, "The Matrix"],
+    [2, "The Matrix Reloaded"],
+    [3, "The Matrix Revolutions"],
+  ]);
+
+  const fetched = await SeriesGetAbl.get({ userId, id: series.data.id });
+  assert.deepEqual(fetched.data.movies.map((m) => m.id), [matrix.id, reloaded.id, revolutions.id]);
+});
+
+test("series/set-movie: position held by another movie returns seriesPositionTaken (409)", async () => {
+  const { id: userId } = await createTestUser();
+  const series = await SeriesCreateAbl.create({ userId, name: "John Wick" });
+  const first = await createMovie(userId, "John Wick", 2014);
+  const second = await createMovie(userId, "John Wick: Chapter 2", 2017);
+
+  await SeriesSetMovieAbl.setMovie({ userId, id: series.data.id, movieId: first.id, position: 1 });
+
+  await assert.rejects(
+    () => SeriesSetMovieAbl.setMovie({ userId, id: series.data.id, movieId: second.id, position: 1 }),
+    (err) => {
+      assert.equal(err.code, "seriesPositionTaken");
+      assert.equal(err.statusCode, 409);
+      assert.equal(err.paramMap?.movieId, first.id);
+      return true;
+    }
+  );
+});
+
+test("series/set-movie: placing a movie in another series moves it out of the previous one", async () => {
+  const { id: userId } = await createTestUser();
+  const trilogy = await SeriesCreateAbl.create({ userId, name: "The Matrix Trilogy" });
+  const universe = await SeriesCreateAbl.create({ userId, name: "The Matrix Universe" });
+  const matrix = await createMovie(userId, "The Matrix", 1999);
+
+  await SeriesSetMovieAbl.setMovie({ userId, id: trilogy.data.id, movieId: matrix.id, position: 1 });
+  await SeriesSetMovieAbl.setMovie({ userId, id: universe.data.id, movieId: matrix.id, position: 2 });
+
+  const oldSeries = await SeriesGetAbl.get({ userId, id: trilogy.data.id });
+  const newSeries = await SeriesGetAbl.get({ userId, id: universe.data.id });
+  assert.deepEqual(oldSeries.data.movies, []);
+  assert.deepEqual(newSeries.data.movies.map((m) => [m.position, m.id]), [[2, matrix.id]]);
+
+  await assert.rejects(
+    () => SeriesRemoveMovieAbl.removeMovie({ userId, id: trilogy.data.id, movieId: matrix.id }),
+    (err) => {
+      assert.equal(err.code, "movieNotInSeries");
+      assert.equal(err.statusCode, 404);
+      return true;
+    }
+  );
+});
+
+test("series/set-movie: series of another user returns seriesDoesNotExist (404)", async () => {
+  const { id: ownerId } = await createTestUser();
+  const { id: otherUserId } = await createTestUser();
+  const series = await SeriesCreateAbl.create({ userId: ownerId, name: "The Matrix" });
+  const movie = await createMovie(otherUserId, "The Matrix", 1999);
+
+  await assert.rejects(
+    () => SeriesSetMovieAbl.setMovie({ userId: otherUserId, id: series.data.id, movieId: movie.id, position: 1 }),
+    (err) => {
+      assert.equal(err.code, "seriesDoesNotExist");
+      assert.equal(err.statusCode, 404);
+      return true;
+    }
+  );
+});
@@ -0,0 +1,48 @@
+require("../../helpers/test-db");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { CreateAbl: MovieCreateAbl, GetAbl: MovieGetAbl } = require("../../../app/abl/movie");
+const { CreateAbl: ViewCreateAbl, ListAbl: ViewListAbl } = require("../../../app/abl/view");
+const createTestUser = require("../../helpers/test-user");
+
+test("view/create: rewatches are logged and counted separately", async () => {
+  const { id: userId } = await createTestUser();
+  const { data: movie } = await MovieCreateAbl.create({
+    userId, title: "The Matrix", year: 1999, format: "DVD", actors: ["Keanu Reeves"],
+  });
+
+  await ViewCreateAbl.create({ movieId: movie.id, userId, watchedAt: "2020-01-05", note: "First time" });
+  await ViewCreateAbl.create({ movieId: movie.id, userId, watchedAt: "2024-03-01" });
+
+  const res = await ViewListAbl.list({ movieId: movie.id, userId });
+  assert.equal(res.meta?.total, 2);
+  assert.deepEqual(
+    res.data.map(({ watchedAt, note }) => ({ watchedAt, note })),
+    [
+      { watchedAt: "2024-03-01", note: null },
+      { watchedAt: "2020-01-05", note: "First time" },
+    ]
+  );
+
+  const movieRes = await MovieGetAbl.get({ id: movie.id, userId });
+  assert.equal(movieRes.data?.viewCount, 2);
+  assert.equal(movieRes.data?.lastWatchedAt, "2024-03-01");
+});
+
+test("view/create: another user's movie throws movieDoesNotExist", async () => {
+  const { id: ownerId } = await createTestUser();
+  const { id: userId } = await createTestUser();
+  const { data: movie } = await MovieCreateAbl.create({
+    userId: ownerId, title: "The Matrix", year: 1999, format: "DVD", actors: ["Keanu Reeves"],
+  });
+
+  await assert.rejects(
+    () => ViewCreateAbl.create({ movieId: movie.id, userId, watchedAt: "2020-01-05" }),
+    (err) => {
+      assert.equal(err.code, "movieDoesNotExist");
+      return true;
+    }
+  );
+});
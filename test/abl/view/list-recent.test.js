@@ -0,0 +1,36 @@
+require("../../helpers/test-db");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { CreateAbl: MovieCreateAbl } = require("../../../app/abl/movie");
+const { CreateAbl: ViewCreateAbl, ListRecentAbl: ViewListRecentAbl } = require("../../../app/abl/view");
+const createTestUser = require("../../helpers/test-user");
+
+test("view/listRecent: lists each watched movie once, most recent first", async () => {
+  const { id: userId } = await createTestUser();
+  const { data: matrix } = await MovieCreateAbl.create({
+    userId, title: "The Matrix", year: 1999, format: "DVD", actors: ["Keanu Reeves"],
+  });
+  const { data: speed } = await MovieCreateAbl.create({
+    userId, title: "Speed", year: 1994, format: "VHS", actors: ["Sandra Bullock"],
+  });
+  await MovieCreateAbl.create({
+    userId, title: "John Wick", year: 2014, format: "Blu-Ray", actors: ["Keanu Reeves"],
+  });
+
+  await ViewCreateAbl.create({ movieId: matrix.id, userId, watchedAt: "2020-01-05" });
+  await ViewCreateAbl.create({ movieId: speed.id, userId, watchedAt: "2022-07-14" });
+  await ViewCreateAbl.create({ movieId: matrix.id, userId, watchedAt: "2024-03-01" });
+
+  const res = await ViewListRecentAbl.listRecent({ userId });
+
+  assert.equal(res.status, 1);
+  assert.deepEqual(
+    res.data.map(({ title, lastWatchedAt, viewCount }) => ({ title, lastWatchedAt, viewCount })),
+    [
+      { title: "The Matrix", lastWatchedAt: "2024-03-01", viewCount: 2 },
+      { title: "Speed", lastWatchedAt: "2022-07-14", viewCount: 1 },
+    ]
+  );
+});
@@ -1,6 +1,13 @@
+const os = require("node:os");
+const path = require("node:path");
+
 process.env.NODE_ENV = "test";
 process.env.JWT_SECRET = process.env.JWT_SECRET || "testsecret";
 process.env.PASSWORD_SALT_ROUNDS = process.env.PASSWORD_SALT_ROUNDS || "1";
+process.env.ADMIN_EMAILS = process.env.ADMIN_EMAILS || "admin@example.com";
+process.env.POSTER_DIR = process.env.POSTER_DIR || path.join(os.tmpdir(), "express-movies-test-posters");
+process.env.BARCODE_CATALOG_PATH = process.env.BARCODE_CATALOG_PATH ||
+  path.join(os.tmpdir(), `express-movies-test-barcode-catalog-${process.pid}.csv`);
 
 const test = require("node:test");
 const { sequelize } = require("../../app/models");
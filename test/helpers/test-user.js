@@ -0,0 +1,19 @@
+const userDao = require("../../app/dao/user-sequelize-dao");
+
+let sequence = 0;
+
+/**
+ * Creates a user directly through the DAO so movie tests have an owner to work with.
+ *
+ * @param {Object} [overrides] - Fields overriding the generated defaults.
+ * @returns {Promise<Object>} The created user as a plain object.
+ */
+module.exports = async function createTestUser(overrides = {}) {
+  sequence++;
+  return userDao.create({
+    name: `Test User ${sequence}`,
+    email: `user${sequence}@example.com`,
+    password: "hashed-password",
+    ...overrides
+  });
+};